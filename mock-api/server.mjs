@@ -0,0 +1,716 @@
+/**
+ * A local mock of the BandBook API (AUTH_API_BASE), for developing and testing cloud sync without the real backend
+ *
+ * Run it with `node mock-api/server.mjs` (Node 18+, no dependencies) and point `AUTH_API_BASE` in `src/globals.js` at it
+ * (http://localhost:8787 by default). Serve `src` from localhost too, so the session cookies are sent.
+ * Sign up with any email and password: instead of sending emails, the server logs the verification and password reset
+ * links. Sessions expire after SESSION_TTL seconds (15 minutes by default; set it lower to test refreshing). Everything is
+ * kept in memory.
+ * A book is shared by whoever uploads it first (its owner) with the accounts they add as members, who each have a role.
+*/
+import { createServer } from 'node:http'
+import { randomUUID, createHash } from 'node:crypto'
+
+/**
+ * The port to listen on
+ * @type {number}
+*/
+const PORT = Number(process.env.PORT) || 8787
+
+/**
+ * How long a session lasts before it has to be refreshed (in seconds)
+ * @type {number}
+*/
+const SESSION_TTL = Number(process.env.SESSION_TTL) || 15 * 60
+
+/**
+ * How long a refresh token lasts (in seconds)
+ * @type {number}
+*/
+const REFRESH_TTL = 30 * 24 * 60 * 60
+
+/**
+ * How long a verification or password reset link lasts (in milliseconds)
+ * @type {number}
+*/
+const LINK_TTL = 24 * 60 * 60 * 1000
+
+/**
+ * @typedef {Object} ServerRecord
+ * @property {string} store - The name of the record's store
+ * @property {string} id - The record key
+ * @property {number} rev - The record's revision (the server's change sequence number when it was last changed)
+ * @property {number} updatedAt - When the record was changed on the device (milliseconds since the epoch)
+ * @property {boolean} deleted - Whether the record was deleted
+ * @property {Object|null} record - The record (null if it was deleted), with who created and last changed it
+ * (`createdBy` and `updatedBy`)
+*/
+
+/**
+ * @typedef {Object} Account
+ * @property {string} email - The email address
+ * @property {string} password - The password
+ * @property {boolean} verified - Whether the email address has been verified
+*/
+
+/**
+ * @typedef {'viewer'|'editor'|'owner'} Role
+*/
+
+/**
+ * @typedef {Object} SharedBook
+ * @property {Map<string, { role: Role, since: number }>} members - The members' roles and when they joined (a revision), by email
+ * @property {Map<string, number>} removed - When former members were removed (a revision), by email
+*/
+
+/**
+ * The roles a book member can have
+ * @type {Role[]}
+*/
+const ROLES = ['viewer', 'editor', 'owner']
+
+/**
+ * Accounts, by email
+ * @type {Map<string, Account>}
+*/
+const accounts = new Map()
+
+/**
+ * The revision of the latest change (of any account)
+ * @type {number}
+*/
+let seq = 0
+
+/**
+ * Records, by space and then by store and key: each book's records are in the book's space (shared by its members), and
+ * everything else (tags, settings and private markers) is in the space of the account it belongs to
+ * @type {Map<string, Map<string, ServerRecord>>}
+*/
+const spaces = new Map()
+
+/**
+ * The members of each book, by book id (a book's first member is whoever uploads it first)
+ * @type {Map<string, SharedBook>}
+*/
+const books = new Map()
+
+/**
+ * Uploaded audio chunks, by content hash (shared, so members of a book can download its audio)
+ * @type {Map<string, Buffer>}
+*/
+const audioChunks = new Map()
+
+/**
+ * Uploaded audio files (their chunks), by content hash
+ * @type {Map<string, { type: string, size: number, chunks: string[] }>}
+*/
+const audioFiles = new Map()
+
+/**
+ * @typedef {Object} Token
+ * @property {string} email - The email of the account the token belongs to
+ * @property {number} expiresAt - When the token expires (milliseconds since the epoch)
+*/
+
+/**
+ * Sessions, by session token
+ * @type {Map<string, Token>}
+*/
+const sessions = new Map()
+
+/**
+ * Refresh tokens, by token (each can be used once: refreshing replaces it)
+ * @type {Map<string, Token>}
+*/
+const refreshTokens = new Map()
+
+/**
+ * Email verification and password reset tokens, by token
+ * @type {Map<string, Token & { purpose: 'verify'|'reset' }>}
+*/
+const linkTokens = new Map()
+
+/**
+ * Returns the cookies of a request
+ * @param {import('node:http').IncomingMessage} req - The request
+ * @returns {Object<string, string>}
+*/
+const getCookies = (req) => Object.fromEntries(
+	(req.headers.cookie ?? '').split(';').map(cookie => cookie.trim().split('=')).filter(([name]) => name)
+)
+
+/**
+ * Returns the body of a request
+ * @param {import('node:http').IncomingMessage} req - The request
+ * @returns {Promise<Buffer>}
+*/
+const readRawBody = async (req) => {
+	const chunks = []
+	for await (const chunk of req) chunks.push(chunk)
+	return Buffer.concat(chunks)
+}
+
+/**
+ * Returns the JSON body of a request
+ * @param {import('node:http').IncomingMessage} req - The request
+ * @returns {Promise<any>}
+*/
+const readBody = async (req) => {
+	const text = (await readRawBody(req)).toString()
+	return text ? JSON.parse(text) : {}
+}
+
+/**
+ * Returns the SHA-256 hash of some data (as hex, like the app's hashBlob)
+ * @param {Buffer} data - The data
+ * @returns {string}
+*/
+const hash = (data) => createHash('sha256').update(data).digest('hex')
+
+/**
+ * Sends a response (as JSON, unless the body is a string or a Buffer)
+ * @param {import('node:http').ServerResponse} res - The response
+ * @param {number} status - The status code
+ * @param {any} [body] - The body
+ * @param {Object<string, string|string[]>} [headers={}] - Extra headers
+ * @returns {void}
+*/
+const send = (res, status, body, headers = {}) => {
+	if (Buffer.isBuffer(body)) {
+		res.writeHead(status, { 'Content-Type': 'application/octet-stream', ...headers })
+		return res.end(body)
+	}
+
+	const isText = typeof body === 'string'
+	res.writeHead(status, { 'Content-Type': isText ? 'text/plain' : 'application/json', ...headers })
+	res.end(body === undefined ? undefined : isText ? body : JSON.stringify(body))
+}
+
+/**
+ * Returns the account a token belongs to (null if the token is unknown or expired)
+ * @param {Map<string, Token>} tokens - The tokens
+ * @param {string} [token] - The token
+ * @returns {Account|null}
+*/
+const getTokenAccount = (tokens, token) => {
+	const found = tokens.get(token)
+	if (!found || found.expiresAt < Date.now()) return null
+	return accounts.get(found.email) ?? null
+}
+
+/**
+ * Returns the account of the signed in user (null if the request has no valid session)
+ * @param {import('node:http').IncomingMessage} req - The request
+ * @returns {Account|null}
+*/
+const getAccount = (req) => getTokenAccount(sessions, getCookies(req).session)
+
+/**
+ * Ends every session of an account (e.g. when its password changes)
+ * @param {string} email - The account's email
+ * @returns {void}
+*/
+const endSessions = (email) => {
+	for (const tokens of [sessions, refreshTokens]) {
+		for (const [token, found] of tokens) {
+			if (found.email === email) tokens.delete(token)
+		}
+	}
+}
+
+/**
+ * Starts a session, responding with what the app shows about it
+ * @param {import('node:http').ServerResponse} res - The response
+ * @param {Account} account - The account
+ * @returns {void}
+*/
+const startSession = (res, account) => {
+	const session = randomUUID()
+	const refresh = randomUUID()
+	const expiresAt = Date.now() + SESSION_TTL * 1000
+
+	sessions.set(session, { email: account.email, expiresAt })
+	refreshTokens.set(refresh, { email: account.email, expiresAt: Date.now() + REFRESH_TTL * 1000 })
+
+	return send(res, 200, { email: account.email, verified: account.verified, expiresIn: SESSION_TTL }, {
+		'Set-Cookie': [
+			`session=${session}; HttpOnly; SameSite=Lax; Path=/; Max-Age=${SESSION_TTL}`,
+			`refresh=${refresh}; SameSite=Lax; Path=/; Max-Age=${REFRESH_TTL}`
+		]
+	})
+}
+
+/**
+ * Ends the request's session and clears its cookies
+ * @param {import('node:http').IncomingMessage} req - The request
+ * @param {import('node:http').ServerResponse} res - The response
+ * @returns {void}
+*/
+const endSession = (req, res) => {
+	const { session, refresh } = getCookies(req)
+	sessions.delete(session)
+	refreshTokens.delete(refresh)
+
+	return send(res, 200, {}, {
+		'Set-Cookie': ['session=; Max-Age=0; Path=/', 'refresh=; Max-Age=0; Path=/']
+	})
+}
+
+/**
+ * "Emails" a verification or password reset link (logs it)
+ * @param {Account} account - The account
+ * @param {'verify'|'reset'} purpose - What the link is for
+ * @returns {void}
+*/
+const sendLink = (account, purpose) => {
+	const token = randomUUID()
+	linkTokens.set(token, { email: account.email, purpose, expiresAt: Date.now() + LINK_TTL })
+
+	const action = purpose === 'verify' ? 'Verify the email address of' : 'Reset the password of'
+	console.log(`${action} ${account.email}: open the app with ?${purpose}=${token}`)
+}
+
+/**
+ * Uses a verification or password reset token (each works once)
+ * @param {string} token - The token
+ * @param {'verify'|'reset'} purpose - What the token is for
+ * @returns {Account|null} - The token's account (null if the token is unknown, expired or for something else)
+*/
+const useLinkToken = (token, purpose) => {
+	const account = getTokenAccount(linkTokens, token)
+	if (!account || linkTokens.get(token).purpose !== purpose) return null
+
+	linkTokens.delete(token)
+	return account
+}
+
+/**
+ * Returns why a password can't be used (null if it can)
+ * @param {string} [password] - The password
+ * @returns {string|null}
+*/
+const checkPassword = (password) => {
+	if (typeof password !== 'string' || password.length < 8) return 'The password must be at least 8 characters long'
+	return null
+}
+
+/**
+ * Returns the records in a space (creating the space if it is new)
+ * @param {string} space - The space
+ * @returns {Map<string, ServerRecord>}
+*/
+const getSpace = (space) => {
+	if (!spaces.has(space)) spaces.set(space, new Map())
+	return spaces.get(space)
+}
+
+/**
+ * Returns a member's role in a book
+ * @param {string} bookId - The book id
+ * @param {Account} account - The member's account
+ * @returns {Role|null} - null if the account isn't a member
+*/
+const getRole = (bookId, account) => books.get(bookId)?.members.get(account.email)?.role ?? null
+
+/**
+ * Returns a record the account can see, and the space it is in
+ * @param {Account} account - The account
+ * @param {string} key - The record's store and key
+ * @returns {{ space: string, current: ServerRecord }|null}
+*/
+const findRecord = (account, key) => {
+	const visible = [`account:${account.email}`, ...[...books.keys()].filter(bookId => getRole(bookId, account)).map(bookId => `book:${bookId}`)]
+	let found = null
+
+	// A record that moved (e.g. a marker made private) leaves a deletion behind, so the latest revision is where it is now
+	for (const space of visible) {
+		const current = spaces.get(space)?.get(key)
+		if (current && (!found || current.rev > found.current.rev)) found = { space, current }
+	}
+
+	return found
+}
+
+/**
+ * Returns whether an account can make a change in a space
+ * Any member can comment, but only editors and owners can change or delete someone else's comment
+ * @param {Account} account - The account
+ * @param {string} space - The space
+ * @param {string} store - The name of the record's store
+ * @param {boolean} deleted - Whether the change deletes the record
+ * @param {ServerRecord|null} [current=null] - The record the change replaces
+ * @returns {boolean}
+*/
+const canWrite = (account, space, store, deleted, current = null) => {
+	if (!space.startsWith('book:')) return space === `account:${account.email}`
+
+	const bookId = space.slice('book:'.length)
+	if (!books.has(bookId)) setMember(bookId, account.email, 'owner')
+
+	const role = getRole(bookId, account)
+	const isAuthor = !current?.record || current.record.createdBy === account.email
+	if (store === 'comments' && role && isAuthor) return true
+
+	return store === 'books' && deleted ? role === 'owner' : role === 'editor' || role === 'owner'
+}
+
+/**
+ * Adds or changes a book member (a book that isn't shared yet is created, with the account as its owner)
+ * @param {string} bookId - The book id
+ * @param {string} email - The member's email
+ * @param {Role} role - The member's role
+ * @returns {void}
+*/
+const setMember = (bookId, email, role) => {
+	if (!books.has(bookId)) books.set(bookId, { members: new Map(), removed: new Map() })
+
+	const book = books.get(bookId)
+	const since = book.members.get(email)?.since ?? ++seq
+
+	book.members.set(email, { role, since })
+	book.removed.delete(email)
+}
+
+/**
+ * Removes a book member: the book is deleted from their devices on their next sync
+ * @param {string} bookId - The book id
+ * @param {string} email - The member's email
+ * @returns {void}
+*/
+const removeMember = (bookId, email) => {
+	const book = books.get(bookId)
+	if (!book?.members.delete(email)) return
+
+	book.removed.set(email, ++seq)
+
+	// A book without an owner is gone for everyone
+	if (![...book.members.values()].some(member => member.role === 'owner')) {
+		for (const member of book.members.keys()) removeMember(bookId, member)
+	}
+}
+
+/**
+ * Saves uploaded changes, refusing any based on an old revision (the record was changed on another device since) and
+ * any the account isn't allowed to make (e.g. a viewer changing a shared book)
+ * @param {Account} account - The account
+ * @param {Array<ServerRecord & { bookId?: string|null }>} changes - The changes (each `rev` is the revision the change is
+ * based on, and `bookId` the book a new record belongs to, or null for the account's own records)
+ * @returns {{ applied: Array<{ store: string, id: string, rev: number }>, conflicts: ServerRecord[], rejected: ServerRecord[] }}
+*/
+const push = (account, changes) => {
+	const applied = []
+	const conflicts = []
+	const rejected = []
+
+	for (const { store, id, rev, updatedAt, deleted, record, bookId = null } of changes) {
+		const key = `${store}/${id}`
+		const found = findRecord(account, key)
+		const current = found?.current
+
+		if (current && current.rev !== rev) {
+			conflicts.push(current)
+			continue
+		}
+
+		// A deletion happens where the record is, and anything else goes to its book (or the account's own space)
+		const space = deleted && found ? found.space : bookId ? `book:${bookId}` : `account:${account.email}`
+		const moved = found && found.space !== space && !current.deleted
+
+		if (!canWrite(account, space, store, deleted, current) || (moved && !canWrite(account, found.space, store, true, current))) {
+			// The device undoes the change (and deletes a record that was never uploaded)
+			rejected.push(current ?? { store, id, rev: 0, updatedAt, deleted: true, record: null })
+			continue
+		}
+
+		// A record moved out of a book (e.g. a marker made private) is deleted for the other members
+		if (moved) {
+			getSpace(found.space).set(key, { ...current, rev: ++seq, deleted: true, record: null })
+		}
+
+		const stamped = deleted ? null : { ...record, createdBy: current?.record?.createdBy ?? account.email, updatedBy: account.email }
+		getSpace(space).set(key, { store, id, rev: ++seq, updatedAt, deleted: Boolean(deleted), record: stamped })
+		applied.push({ store, id, rev: seq })
+	}
+
+	return { applied, conflicts, rejected }
+}
+
+/**
+ * Returns the records changed since a revision, oldest first, and the books the account is a member of
+ * A book the account joined since gets all of its records, and one it was removed from a deletion of each
+ * @param {Account} account - The account
+ * @param {number} since - A revision (0 for every record)
+ * @returns {{ cursor: number, changes: ServerRecord[], books: Array<{ id: string, role: Role, members: number }> }}
+*/
+const pull = (account, since) => {
+	const changes = [...getSpace(`account:${account.email}`).values()].filter(record => record.rev > since)
+	const memberships = []
+
+	for (const [bookId, book] of books) {
+		const records = [...getSpace(`book:${bookId}`).values()]
+		const member = book.members.get(account.email)
+		const removedAt = book.removed.get(account.email) ?? 0
+
+		if (member) {
+			memberships.push({ id: bookId, role: member.role, members: book.members.size })
+			changes.push(...records.filter(record => member.since > since || record.rev > since))
+		} else if (removedAt > since) {
+			changes.push(...records.filter(record => !record.deleted).map(record => ({ ...record, rev: removedAt, deleted: true, record: null })))
+		}
+	}
+
+	return { cursor: seq, changes: changes.sort((a, b) => a.rev - b.rev), books: memberships }
+}
+
+/**
+ * Returns a book's members
+ * @param {string} bookId - The book id
+ * @returns {Array<{ email: string, role: Role }>}
+*/
+const getMembers = (bookId) => [...(books.get(bookId)?.members ?? [])].map(([email, { role }]) => ({ email, role }))
+
+const server = createServer(async (req, res) => {
+	// Allow credentialed requests from wherever the app is served
+	res.setHeader('Access-Control-Allow-Origin', req.headers.origin ?? '*')
+	res.setHeader('Access-Control-Allow-Credentials', 'true')
+	res.setHeader('Access-Control-Allow-Headers', 'Content-Type')
+	res.setHeader('Access-Control-Allow-Methods', 'GET, POST, PUT, OPTIONS')
+
+	if (req.method === 'OPTIONS') return send(res, 204)
+
+	const url = new URL(req.url, `http://${req.headers.host}`)
+
+	// Audio routes end in a content hash (e.g. "PUT /audio/chunks/<hash>") and book routes have the book id
+	const [, audioRoute, audioHash] = url.pathname.match(/^(\/audio\/(?:chunks|files))\/([0-9a-f]{64})$/) ?? []
+	const [, bookId, bookRoute] = url.pathname.match(/^\/books\/([^/]+)(\/.+)$/) ?? []
+	const path = audioRoute ? `${audioRoute}/:hash` : bookId ? `/books/:id${bookRoute}` : url.pathname
+	const route = `${req.method} ${path}`
+
+	try {
+		switch (route) {
+			case 'POST /signup': {
+				const { email, password } = await readBody(req)
+				if (!email) return send(res, 400, 'An email address is required')
+				if (checkPassword(password)) return send(res, 400, checkPassword(password))
+				if (accounts.has(email)) return send(res, 409, 'An account already exists for that email address')
+
+				const account = { email, password, verified: false }
+				accounts.set(email, account)
+				sendLink(account, 'verify')
+				return startSession(res, account)
+			}
+
+			case 'POST /login': {
+				const { email, password } = await readBody(req)
+				if (!email || !password) return send(res, 400, 'Email and password are required')
+
+				const account = accounts.get(email)
+				if (account?.password !== password) return send(res, 401, 'Wrong email or password')
+
+				return startSession(res, account)
+			}
+
+			case 'POST /refresh': {
+				// The refresh token is replaced, so a stolen one stops working once the app has used it
+				const { refresh } = getCookies(req)
+				const account = getTokenAccount(refreshTokens, refresh)
+				refreshTokens.delete(refresh)
+
+				return account ? startSession(res, account) : send(res, 401, 'Not logged in')
+			}
+
+			case 'POST /logout':
+				return endSession(req, res)
+
+			case 'POST /verify-email': {
+				const { token } = await readBody(req)
+				const account = useLinkToken(token, 'verify')
+				if (!account) return send(res, 400, 'The link is invalid or has expired')
+
+				account.verified = true
+				return send(res, 200, { email: account.email, verified: true })
+			}
+
+			case 'POST /verify-email/resend': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				if (!account.verified) sendLink(account, 'verify')
+				return send(res, 200, {})
+			}
+
+			case 'POST /forgot-password': {
+				const { email } = await readBody(req)
+				const account = accounts.get(email)
+
+				// Respond the same either way, so the form can't be used to find out who has an account
+				if (account) sendLink(account, 'reset')
+				return send(res, 200, {})
+			}
+
+			case 'POST /reset-password': {
+				const { token, password } = await readBody(req)
+				if (checkPassword(password)) return send(res, 400, checkPassword(password))
+
+				const account = useLinkToken(token, 'reset')
+				if (!account) return send(res, 400, 'The link is invalid or has expired')
+
+				// Following the emailed link proves the address too
+				account.password = password
+				account.verified = true
+				endSessions(account.email)
+				return send(res, 200, {})
+			}
+
+			case 'POST /change-password': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const { currentPassword, newPassword } = await readBody(req)
+				if (account.password !== currentPassword) return send(res, 403, 'The current password is wrong')
+				if (checkPassword(newPassword)) return send(res, 400, checkPassword(newPassword))
+
+				// Other devices have to log in again with the new password
+				account.password = newPassword
+				endSessions(account.email)
+				return startSession(res, account)
+			}
+
+			case 'POST /account/delete': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const { password } = await readBody(req)
+				if (account.password !== password) return send(res, 403, 'The password is wrong')
+
+				// The account leaves its books (a book it owned alone is deleted for everyone)
+				for (const id of books.keys()) removeMember(id, account.email)
+				spaces.delete(`account:${account.email}`)
+
+				accounts.delete(account.email)
+				endSessions(account.email)
+				return endSession(req, res)
+			}
+
+			case 'POST /sync/push': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const { changes = [] } = await readBody(req)
+				return send(res, 200, push(account, changes))
+			}
+
+			case 'GET /sync/pull': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				return send(res, 200, pull(account, Number(url.searchParams.get('since')) || 0))
+			}
+
+			case 'GET /books/:id/members': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+				if (!getRole(bookId, account)) return send(res, 404, 'The book has not been uploaded yet')
+
+				return send(res, 200, { members: getMembers(bookId) })
+			}
+
+			case 'POST /books/:id/members': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+				if (!getRole(bookId, account)) return send(res, 404, 'The book has not been uploaded yet')
+				if (getRole(bookId, account) !== 'owner') return send(res, 403, 'Only owners can share a book')
+
+				const { email, role } = await readBody(req)
+				if (!ROLES.includes(role)) return send(res, 400, `The role must be ${ROLES.join(', ')}`)
+				if (!accounts.has(email)) return send(res, 404, `There is no account for ${email}`)
+
+				const owners = getMembers(bookId).filter(member => member.role === 'owner')
+				if (role !== 'owner' && owners.length === 1 && owners[0].email === email) {
+					return send(res, 400, 'A book needs an owner: make someone else an owner first')
+				}
+
+				setMember(bookId, email, role)
+				return send(res, 200, { members: getMembers(bookId) })
+			}
+
+			case 'POST /books/:id/members/remove': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				// Owners can remove anyone, and anyone can leave
+				const { email } = await readBody(req)
+				const role = getRole(bookId, account)
+				if (!role) return send(res, 404, 'The book has not been uploaded yet')
+				if (role !== 'owner' && email !== account.email) return send(res, 403, 'Only owners can remove members')
+
+				const owners = getMembers(bookId).filter(member => member.role === 'owner')
+				if (owners.length === 1 && owners[0].email === email && getMembers(bookId).length > 1) {
+					return send(res, 400, 'A book needs an owner: make someone else an owner first')
+				}
+
+				removeMember(bookId, email)
+				return send(res, 200, { members: getMembers(bookId) })
+			}
+
+			case 'POST /audio/chunks/missing': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const { hashes = [] } = await readBody(req)
+				return send(res, 200, { missing: hashes.filter(chunkHash => !audioChunks.has(chunkHash)) })
+			}
+
+			case 'PUT /audio/chunks/:hash': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const data = await readRawBody(req)
+				if (hash(data) !== audioHash) return send(res, 400, 'The chunk does not match its hash')
+
+				audioChunks.set(audioHash, data)
+				return send(res, 200, {})
+			}
+
+			case 'GET /audio/chunks/:hash': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const data = audioChunks.get(audioHash)
+				return data ? send(res, 200, data) : send(res, 404, 'Not found')
+			}
+
+			case 'PUT /audio/files/:hash': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const { type = '', size, chunks = [] } = await readBody(req)
+				const missing = chunks.filter(chunkHash => !audioChunks.has(chunkHash))
+				if (missing.length) return send(res, 409, { missing })
+
+				if (hash(Buffer.concat(chunks.map(chunkHash => audioChunks.get(chunkHash)))) !== audioHash) {
+					return send(res, 400, 'The chunks do not match the file hash')
+				}
+
+				audioFiles.set(audioHash, { type, size, chunks })
+				return send(res, 200, {})
+			}
+
+			case 'GET /audio/files/:hash': {
+				const account = getAccount(req)
+				if (!account) return send(res, 401, 'Not logged in')
+
+				const file = audioFiles.get(audioHash)
+				return file ? send(res, 200, file) : send(res, 404, 'Not found')
+			}
+
+			default:
+				return send(res, 404, 'Not found')
+		}
+	} catch (error) {
+		console.error(`${route} failed:`, error)
+		return send(res, 500, error.message)
+	}
+})
+
+server.listen(PORT, () => console.log(`Mock BandBook API listening on http://localhost:${PORT}`))
@@ -0,0 +1,139 @@
+/**
+ * The URL of the pitch shift AudioWorklet module
+ * @type {URL}
+ */
+const PITCH_SHIFT_WORKLET_URL = new URL('../worklets/pitch-shift-processor.js', import.meta.url)
+
+/**
+ * A Web Audio processing chain for an audio element
+ *
+ * The chain is built lazily (AudioContexts need a user gesture) and, once
+ * built, all audio from the element is routed through it:
+ * media element -> pitch shift worklet -> destination
+ */
+export class AudioProcessor {
+	/** @type {AudioContext|null} */
+	context = null
+
+	/** @type {MediaElementAudioSourceNode|null} */
+	sourceNode = null
+
+	/** @type {AudioWorkletNode|null} */
+	pitchNode = null
+
+	/** @type {Promise<void>|null} */
+	connecting = null
+
+	/**
+	 * The current pitch ratio (1 = unchanged)
+	 * @type {number}
+	 */
+	pitchRatio = 1
+
+	/**
+	 * @constructor
+	 * @param {HTMLAudioElement} audioElement - The audio element to process
+	 */
+	constructor(audioElement) {
+		this.audioElement = audioElement
+	}
+
+	/**
+	 * Returns whether the browser supports the processing chain
+	 * @returns {boolean}
+	 */
+	static isSupported() {
+		return typeof AudioContext !== 'undefined' && typeof AudioWorkletNode !== 'undefined'
+	}
+
+	/**
+	 * Builds the processing chain (only once)
+	 * @returns {Promise<void>}
+	 * @throws {Error} - If the browser does not support AudioWorklets
+	 */
+	connect() {
+		if (this.connecting) return this.connecting
+
+		this.connecting = (async () => {
+			if (!AudioProcessor.isSupported()) {
+				throw new Error('This browser does not support audio processing')
+			}
+
+			const context = new AudioContext()
+			await context.audioWorklet.addModule(PITCH_SHIFT_WORKLET_URL)
+
+			this.sourceNode = context.createMediaElementSource(this.audioElement)
+			this.pitchNode = new AudioWorkletNode(context, 'pitch-shift-processor')
+			this.pitchNode.parameters.get('pitchRatio').value = this.pitchRatio
+
+			this.sourceNode.connect(this.pitchNode)
+			this.pitchNode.connect(context.destination)
+
+			this.context = context
+		})().catch(error => {
+			this.connecting = null
+			throw error
+		})
+
+		return this.connecting
+	}
+
+	/**
+	 * Returns whether the processing chain has been built
+	 * @returns {boolean}
+	 */
+	isConnected() {
+		return this.context !== null
+	}
+
+	/**
+	 * Resumes the audio context (required after autoplay restrictions suspend it)
+	 * @returns {Promise<void>}
+	 */
+	async resume() {
+		if (this.context?.state === 'suspended') {
+			await this.context.resume()
+		}
+	}
+
+	/**
+	 * Sets the pitch shift in semitones and cents
+	 * @param {number} semitones - Whole semitones to shift by (may be negative)
+	 * @param {number} [cents=0] - Additional cents to shift by (may be negative)
+	 * @returns {void}
+	 */
+	setPitch(semitones, cents = 0) {
+		this.pitchRatio = AudioProcessor.getPitchRatio(semitones, cents)
+		this.pitchNode?.parameters.get('pitchRatio').setValueAtTime(this.pitchRatio, this.context.currentTime)
+	}
+
+	/**
+	 * Converts a shift in semitones and cents into a frequency ratio
+	 * @param {number} semitones
+	 * @param {number} [cents=0]
+	 * @returns {number}
+	 */
+	static getPitchRatio(semitones, cents = 0) {
+		return 2 ** (((Number(semitones) || 0) + (Number(cents) || 0) / 100) / 12)
+	}
+
+	/**
+	 * Disconnects the chain and closes the audio context
+	 * @returns {void}
+	 */
+	destroy() {
+		this.sourceNode?.disconnect()
+		this.pitchNode?.disconnect()
+
+		if (this.context) {
+			this.context.close().catch(error => {
+				console.error('Error closing audio context:', error)
+			})
+		}
+
+		this.context = null
+		this.sourceNode = null
+		this.pitchNode = null
+		this.connecting = null
+	}
+}
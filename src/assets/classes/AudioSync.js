@@ -0,0 +1,290 @@
+import { Notification } from './Notification.js'
+import { hashBlob } from '../utils.js'
+
+/**
+ * @typedef {Object} AudioManifest
+ * @property {string} type - The audio's MIME type
+ * @property {number} size - The audio's size in bytes
+ * @property {string[]} chunks - The content hashes of the audio's chunks, in order
+*/
+
+/**
+ * @typedef {Object} AudioTransfer
+ * @property {'Uploading'|'Downloading'} action - Which way the audio is going
+ * @property {number} loaded - The bytes transferred so far
+ * @property {number} total - The size of the audio in bytes
+*/
+
+/**
+ * Uploads song audio to the cloud and downloads it on other devices
+ *
+ * Audio is split into chunks stored by content hash, so an interrupted upload resumes where it stopped and a file that is
+ * already in the cloud (e.g. the same recording in two books) isn't uploaded again. Each song records the hash of its
+ * uploaded audio (see SyncManager.updateSongAudioHash), and devices without the audio download it when the song is first opened.
+ *
+ * The API (mock-api/server.mjs is a local mock of it):
+ * - `GET /audio/files/<hash>` responds with the AudioManifest of an uploaded file (404 if it hasn't been uploaded)
+ * - `PUT /audio/files/<hash>` with an AudioManifest saves it once all of its chunks are uploaded
+ * - `POST /audio/chunks/missing` with `{ hashes }` responds with `{ missing }`, the chunks that haven't been uploaded
+ * - `PUT /audio/chunks/<hash>` uploads a chunk and `GET /audio/chunks/<hash>` downloads it
+*/
+export class AudioSync {
+	/**
+	 * The size of each chunk in bytes
+	 * @type {number}
+	*/
+	static CHUNK_SIZE = 1024 * 1024
+
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * Settles when the uploads in progress are done (null if there are none)
+	 * @type {Promise<void>|null}
+	*/
+	uploading = null
+
+	/**
+	 * Whether to check for audio to upload again once the uploads in progress are done (e.g. a song was added during them)
+	 * @type {boolean}
+	 * @default false
+	*/
+	uploadAgain = false
+
+	/**
+	 * Downloads in progress, by song id
+	 * @type {Map<string, Promise<Blob|null>>}
+	*/
+	downloads = new Map()
+
+	/**
+	 * Transfers in progress, by song id
+	 * @type {Map<string, AudioTransfer>}
+	*/
+	transfers = new Map()
+
+	/**
+	 * The progress bar of each song in the navigation, by song id
+	 * @type {Map<string, HTMLProgressElement>}
+	*/
+	progressElements = new Map()
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor(bandbook) {
+		this.bandbook = bandbook
+	}
+
+	/**
+	 * Uploads the audio of every song whose audio isn't in the cloud yet (one song at a time)
+	 * @returns {Promise<void>}
+	*/
+	uploadPending() {
+		if (!this.bandbook.cloudSync.canSync()) return Promise.resolve()
+
+		if (this.uploading) {
+			this.uploadAgain = true
+			return this.uploading
+		}
+
+		this.uploading = (async () => {
+			const { syncManager } = this.bandbook
+
+			for (const songId of await syncManager.getSongSrcIds()) {
+				const metadata = await syncManager.getSongMetadata(songId)
+				if (!metadata) continue
+
+				const audio = await syncManager.getHashedSongSrc(songId)
+				if (!audio || audio.hash === metadata.audioHash) continue
+
+				await this.upload(songId, audio)
+				await syncManager.updateSongAudioHash(songId, audio.hash)
+			}
+		})().catch(error => {
+			// A network error means the connection dropped, and a 401 that the user has to log in again:
+			// either way the upload resumes on the next sync
+			if (error instanceof TypeError || error.status === 401) return
+
+			Sentry.captureException(error)
+			console.error('Error uploading audio:', error)
+		}).finally(() => {
+			this.uploading = null
+
+			if (this.uploadAgain) {
+				this.uploadAgain = false
+				this.uploadPending()
+			}
+		})
+
+		return this.uploading
+	}
+
+	/**
+	 * Uploads a song's audio, skipping the chunks that are already in the cloud
+	 * @param {string} songId - The song id
+	 * @param {{ src: Blob, hash: string }} audio - The song's audio and its content hash
+	 * @returns {Promise<void>}
+	*/
+	async upload(songId, { src, hash }) {
+		const { cloudSync } = this.bandbook
+
+		if (await this.getManifest(hash)) return
+
+		const chunks = []
+		for (let start = 0; start < src.size; start += AudioSync.CHUNK_SIZE) {
+			const blob = src.slice(start, start + AudioSync.CHUNK_SIZE)
+			chunks.push({ blob, hash: await hashBlob(blob) })
+		}
+
+		const { missing = [] } = await cloudSync.request('/audio/chunks/missing', {
+			method: 'POST',
+			body: JSON.stringify({ hashes: chunks.map(chunk => chunk.hash) })
+		})
+
+		const toUpload = chunks.filter(chunk => missing.includes(chunk.hash))
+		let loaded = src.size - toUpload.reduce((total, chunk) => total + chunk.blob.size, 0)
+		this.setProgress(songId, { action: 'Uploading', loaded, total: src.size })
+
+		try {
+			for (const chunk of toUpload) {
+				await cloudSync.fetch(`/audio/chunks/${chunk.hash}`, {
+					method: 'PUT',
+					headers: { 'Content-Type': 'application/octet-stream' },
+					body: chunk.blob
+				})
+
+				loaded += chunk.blob.size
+				this.setProgress(songId, { action: 'Uploading', loaded, total: src.size })
+			}
+
+			/** @type {AudioManifest} */
+			const manifest = { type: src.type, size: src.size, chunks: chunks.map(chunk => chunk.hash) }
+			await cloudSync.fetch(`/audio/files/${hash}`, { method: 'PUT', body: JSON.stringify(manifest) })
+		} finally {
+			this.setProgress(songId, null)
+		}
+	}
+
+	/**
+	 * Returns the manifest of a file in the cloud
+	 * @param {string} hash - The file's content hash
+	 * @returns {Promise<AudioManifest|null>} - null if the file hasn't been uploaded
+	*/
+	async getManifest(hash) {
+		try {
+			return await this.bandbook.cloudSync.request(`/audio/files/${hash}`)
+		} catch (error) {
+			if (error.status === 404) return null
+			throw error
+		}
+	}
+
+	/**
+	 * Downloads and saves a song's audio (for songs synced from another device, when they are first opened)
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {Promise<Blob|null>} - The audio (null if it isn't in the cloud or can't be downloaded now)
+	 * @throws {Error} - If the download fails
+	*/
+	download(song) {
+		if (this.downloads.has(song.id)) return this.downloads.get(song.id)
+
+		const download = this.fetchAudio(song).finally(() => {
+			this.downloads.delete(song.id)
+			this.setProgress(song.id, null)
+		})
+
+		this.downloads.set(song.id, download)
+		return download
+	}
+
+	/**
+	 * Downloads a song's audio one chunk at a time, then checks and saves it
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {Promise<Blob|null>}
+	*/
+	async fetchAudio(song) {
+		const { syncManager, cloudSync, storageManager, authManager } = this.bandbook
+		if (!authManager.isLoggedIn || !navigator.onLine) return null
+
+		const audioHash = (await syncManager.getSongMetadata(song.id))?.audioHash
+		if (!audioHash) return null
+
+		const manifest = await this.getManifest(audioHash)
+		if (!manifest) return null
+
+		await storageManager.checkSpaceFor(manifest.size, song.title)
+
+		const parts = []
+		let loaded = 0
+		this.setProgress(song.id, { action: 'Downloading', loaded, total: manifest.size })
+
+		for (const chunkHash of manifest.chunks) {
+			const response = await cloudSync.fetch(`/audio/chunks/${chunkHash}`)
+			const part = await response.blob()
+			parts.push(part)
+
+			loaded += part.size
+			this.setProgress(song.id, { action: 'Downloading', loaded, total: manifest.size })
+		}
+
+		const src = new Blob(parts, { type: manifest.type })
+		if (await hashBlob(src) !== audioHash) throw new Error(`The downloaded audio for ${song.title} is damaged`)
+
+		await syncManager.updateSongSrc(song, src, audioHash)
+		new Notification(`Downloaded the audio for ${song.title}`, 'success')
+		return src
+	}
+
+	/**
+	 * Returns a progress bar for a song's audio transfers (shown in the navigation while one is in progress)
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {HTMLProgressElement}
+	*/
+	getProgressElement(song) {
+		const progress = document.createElement('progress')
+		progress.classList.add('audio-sync-progress')
+
+		this.progressElements.set(song.id, progress)
+		this.renderProgress(song.id)
+		return progress
+	}
+
+	/**
+	 * Updates (or, with null, ends) a song's transfer progress
+	 * @param {string} songId - The song id
+	 * @param {AudioTransfer|null} transfer - The transfer's progress
+	 * @returns {void}
+	*/
+	setProgress(songId, transfer) {
+		if (transfer) {
+			this.transfers.set(songId, transfer)
+		} else {
+			this.transfers.delete(songId)
+		}
+
+		this.renderProgress(songId)
+	}
+
+	/**
+	 * Shows a song's transfer progress on its progress bar
+	 * @param {string} songId - The song id
+	 * @returns {void}
+	*/
+	renderProgress(songId) {
+		const progress = this.progressElements.get(songId)
+		if (!progress) return
+
+		const transfer = this.transfers.get(songId)
+		progress.hidden = !transfer
+		if (!transfer) return
+
+		progress.max = transfer.total || 1
+		progress.value = transfer.loaded
+		progress.title = `${transfer.action} audio: ${Math.round(transfer.loaded / (transfer.total || 1) * 100)}%`
+	}
+}
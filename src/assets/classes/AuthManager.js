@@ -3,22 +3,114 @@ import { Notification } from "./Notification.js"
 import { AUTH_API_BASE } from "../../globals.js"
 import { Modal } from "./Modal.js"
 
+/**
+ * @typedef {Object} Session
+ * @property {string} email - The email address of the logged in user
+ * @property {boolean} verified - Whether the email address has been verified
+ * @property {number} expiresAt - When the session expires and has to be refreshed (milliseconds since the epoch)
+*/
+
+/**
+ * An error response from the account API
+*/
+export class AuthError extends Error {
+	/**
+	 * @constructor
+	 * @param {string} message - The server's message
+	 * @param {number} status - The status code
+	*/
+	constructor(message, status) {
+		super(message)
+		this.name = "AuthError"
+		this.status = status
+	}
+}
+
+/**
+ * Manages the user's account: signing up and logging in, verifying the email address, resetting and changing the password,
+ * deleting the account, and keeping the session alive while the BandBook is open
+ *
+ * The API (mock-api/server.mjs is a local mock of it). Requests that start a session respond with
+ * `{ email, verified, expiresIn }` (expiresIn in seconds) and set the session and refresh token cookies:
+ * - `POST /signup` with `{ email, password }` starts a session and emails a verification link
+ * - `POST /login` with `{ email, password }` starts a session
+ * - `POST /refresh` starts a new session and replaces the refresh token (401 if it is invalid or expired)
+ * - `POST /logout` ends the session
+ * - `POST /verify-email` with `{ token }` verifies the email address, and `POST /verify-email/resend` emails the link again
+ * - `POST /forgot-password` with `{ email }` emails a password reset link, and `POST /reset-password` with `{ token, password }` uses it
+ * - `POST /change-password` with `{ currentPassword, newPassword }` ends every other session and starts a new one
+ * - `POST /account/delete` with `{ password }` deletes the account and everything in the cloud
+ *
+ * Emailed links open the BandBook with `?verify=<token>` or `?reset=<token>`.
+*/
 export class AuthManager {
+	/**
+	 * How long before the session expires to refresh it (in milliseconds; at most half the session)
+	 * @type {number}
+	*/
+	static REFRESH_MARGIN = 60 * 1000
+
+	/**
+	 * The name of the lock held while refreshing (each refresh replaces the refresh token, so tabs take turns)
+	 * @type {string}
+	*/
+	static REFRESH_LOCK = "bandbook-refresh"
+
+	/**
+	 * The shortest password allowed
+	 * @type {number}
+	*/
+	static MIN_PASSWORD_LENGTH = 8
+
 	/**
 	 * The BandBook instance
 	 * @type {BandBook}
 	*/
 	bandbook = null
 
+	/**
+	 * Whether the user is logged in (false until the session is restored)
+	 * @type {boolean}
+	 * @default false
+	*/
+	isLoggedIn = false
+
+	/**
+	 * The logged in user (null when logged out)
+	 * @type {{ email: string, verified: boolean }|null}
+	*/
+	user = null
+
+	/**
+	 * When the session expires (null when logged out)
+	 * @type {number|null}
+	*/
+	expiresAt = null
+
+	/**
+	 * The timer of the next refresh
+	 * @type {number|null}
+	*/
+	refreshTimer = null
+
+	/**
+	 * Settles when the refresh in progress is done (null if there isn't one)
+	 * @type {Promise<boolean>|null}
+	*/
+	refreshing = null
+
+	/**
+	 * The login modal, while it is open
+	 * @type {Modal|null}
+	*/
+	loginModal = null
+
 	/**
 	 * The constructor for the AuthManager class
 	 * @param {BandBook} bandbook - The BandBook instance
 	 */
 	constructor(bandbook) {
 		this.bandbook = bandbook
-
-		this.isLoggedIn = this.attemptRefresh()
-		this.user = null
 		this.authButton = null
 
 		this.init()
@@ -26,25 +118,156 @@ export class AuthManager {
 
 	init() {
 		this.authButton = this.getAuthButton()
+
+		// The session is restored first, so a link opened while logged in updates the logged in user
+		this.attemptRefresh().then(() => this.handleEmailLink())
+
+		// A session that couldn't be checked offline is checked once the connection is back
+		window.addEventListener("online", () => {
+			if (!this.isLoggedIn) this.attemptRefresh()
+		})
 	}
 
+	/**
+	 * Restores or extends the session with the refresh token
+	 * @returns {Promise<boolean>} - Whether the user is logged in
+	*/
 	attemptRefresh() {
-		// If the user does not have a "refresh" cookie return false
-		if (!document.cookie.split("; ").find(row => row.startsWith("refresh="))) return false
+		// If the user does not have a "refresh" cookie they aren't logged in
+		if (!document.cookie.split("; ").find(row => row.startsWith("refresh="))) return Promise.resolve(this.isLoggedIn)
+
+		if (this.refreshing) return this.refreshing
+
+		const expiresAt = this.expiresAt
+		const refresh = async () => {
+			// Another tab refreshed while this one waited for the lock (and told this one about the new session)
+			if (this.isLoggedIn && this.expiresAt !== expiresAt) return true
+
+			try {
+				this.setSession(AuthManager.toSession(await this.request("/refresh")))
+			} catch (error) {
+				// Offline, the session is kept until it can be checked
+				if (error instanceof TypeError) return this.isLoggedIn
+
+				this.onSessionExpired()
+			}
 
-		// Simulate an API call to check if the user is logged in
-		fetch(`${AUTH_API_BASE}/refresh`, {
+			return this.isLoggedIn
+		}
+
+		this.refreshing = (navigator.locks ? navigator.locks.request(AuthManager.REFRESH_LOCK, refresh) : refresh())
+			.finally(() => {
+				this.refreshing = null
+			})
+
+		return this.refreshing
+	}
+
+	/**
+	 * Updates the logged in state and schedules the session's refresh
+	 * @param {Session|null} session - The session (null when logged out)
+	 * @param {boolean} [broadcast=true] - Whether to tell other tabs (false for a change another tab told this one about)
+	 * @returns {void}
+	*/
+	setSession(session, broadcast = true) {
+		const wasLoggedIn = this.isLoggedIn
+
+		this.isLoggedIn = Boolean(session)
+		this.user = session ? { email: session.email, verified: Boolean(session.verified) } : null
+		this.expiresAt = session?.expiresAt ?? null
+
+		clearTimeout(this.refreshTimer)
+		if (this.expiresAt) {
+			const remaining = this.expiresAt - Date.now()
+			this.refreshTimer = setTimeout(() => this.attemptRefresh(), Math.max(remaining / 2, remaining - AuthManager.REFRESH_MARGIN))
+		}
+
+		this.updateAuthButton()
+		if (broadcast) this.bandbook.tabSync?.broadcastSession(session)
+
+		// Upload the changes made while logged out and download the ones made on other devices
+		if (this.isLoggedIn && !wasLoggedIn) this.bandbook.cloudSync?.sync()
+	}
+
+	/**
+	 * Makes the device's cloud state belong to the account being logged in to. The sync position, revisions and shared books
+	 * of another account don't apply to it, so after the user confirms they are forgotten and everything is uploaded again
+	 * @param {string} email - The account's email
+	 * @param {boolean} [isNew=false] - Whether the account was just created (and so owns everything on this device)
+	 * @returns {Promise<boolean>} - Whether the device is synced with the account (false if the user cancelled)
+	*/
+	async useAccount(email, isNew = false) {
+		const { syncManager, sharingManager } = this.bandbook
+		const syncedEmail = await syncManager.getSyncState("account")
+
+		if (isNew || (syncedEmail && syncedEmail !== email)) {
+			if (!isNew && !confirm(`This device is synced with ${syncedEmail}. Log in as ${email} and upload the BandBook on this device to that account instead?`)) {
+				return false
+			}
+
+			await syncManager.forgetCloudState()
+			await sharingManager.setBooks([])
+		}
+
+		await syncManager.setSyncState("account", email)
+		return true
+	}
+
+	/**
+	 * Logs the user out when the API rejects the session and asks them to log in again
+	 * Changes saved in the meantime stay queued and are uploaded once they do
+	 * @returns {void}
+	*/
+	onSessionExpired() {
+		if (!this.isLoggedIn) return
+
+		this.setSession(null)
+		new Notification("Your session has expired. Log in again to keep syncing - your changes are saved on this device.", "warning", true, 10000)
+		this.login()
+	}
+
+	/**
+	 * Sends a request to the account API
+	 * @param {string} path - The path (after AUTH_API_BASE)
+	 * @param {Object} [body] - The JSON body
+	 * @returns {Promise<any>} - The response body
+	 * @throws {AuthError} - If the response isn't ok
+	 * @throws {TypeError} - If the server can't be reached
+	*/
+	async request(path, body) {
+		const response = await fetch(`${AUTH_API_BASE}${path}`, {
 			method: "POST",
 			headers: {
 				"Content-Type": "application/json"
 			},
+			body: body ? JSON.stringify(body) : undefined,
 			credentials: "include"
-		}).then((response) => {
-			if (!response.ok) throw new Error("Failed to refresh token")
-			else return true
-		}).catch(() => {
-			return false
 		})
+
+		const text = await response.text()
+		if (!response.ok) throw new AuthError(text || `Request failed (${response.status})`, response.status)
+
+		return text ? JSON.parse(text) : {}
+	}
+
+	/**
+	 * Returns the session described by an API response
+	 * @param {{ email: string, verified: boolean, expiresIn: number }} response - The response body
+	 * @returns {Session}
+	*/
+	static toSession({ email, verified, expiresIn }) {
+		// The server says how long the session lasts rather than when it ends, in case the clocks disagree
+		return { email, verified, expiresAt: Date.now() + expiresIn * 1000 }
+	}
+
+	/**
+	 * Returns a message for an error from the account API
+	 * @param {Error} error - The error
+	 * @returns {string}
+	*/
+	static getErrorMessage(error) {
+		if (error instanceof TypeError) return "Unable to reach the server - check your connection and try again."
+		return error.message
 	}
 
 	getAuthButton() {
@@ -52,144 +275,357 @@ export class AuthManager {
 
 		const button = document.createElement("button")
 		button.classList.add("bb-button", "bb-nav-button")
-		button.innerHTML = this.isLoggedIn ? "Logout" : "Login"
-		button.addEventListener("click", () => this.isLoggedIn ? this.logout() : this.login())
+		button.innerHTML = this.isLoggedIn ? "Account" : "Login"
+		button.addEventListener("click", () => this.isLoggedIn ? this.openAccountModal() : this.login())
 		return button
 	}
 
-	login() {
-		const titleEl = document.createElement("h2")
-		titleEl.innerText = "Login"
-		
-		const content = document.createElement("div")
-		content.classList.add("bb-login-modal")
-
-		// Email input
-		const emailLabel = document.createElement("label")
-		emailLabel.setAttribute("for", "bb-login-email")
-
-		const emailSpan = document.createElement("span")
-		emailSpan.innerText = "Email"
-		emailLabel.appendChild(emailSpan)
-
-		const emailInput = document.createElement("input")
-		emailInput.setAttribute("type", "email")
-		emailInput.setAttribute("autocomplete", "email")
-		emailInput.setAttribute("id", "bb-login-email")
-		emailInput.setAttribute("name", "email")
-		emailInput.setAttribute("required", "true")
-		emailInput.setAttribute("placeholder", " ")
-
-		emailLabel.appendChild(emailInput)
-		content.appendChild(emailLabel)
-
-		// Password input
-		const passwordLabel = document.createElement("label")
-		passwordLabel.setAttribute("for", "bb-login-password")
+	/**
+	 * Returns a labelled input for the account forms
+	 * @param {string} name - The input's name
+	 * @param {string} text - The label
+	 * @param {"email"|"password"} type - The input type
+	 * @param {string} autocomplete - The autocomplete hint (e.g. "new-password")
+	 * @returns {{ label: HTMLLabelElement, input: HTMLInputElement }}
+	*/
+	getField(name, text, type, autocomplete) {
+		const label = document.createElement("label")
+		label.setAttribute("for", `bb-login-${name}`)
+
+		const span = document.createElement("span")
+		span.innerText = text
+		label.appendChild(span)
+
+		const input = document.createElement("input")
+		input.setAttribute("type", type)
+		input.setAttribute("autocomplete", autocomplete)
+		input.setAttribute("id", `bb-login-${name}`)
+		input.setAttribute("name", name)
+		input.setAttribute("required", "true")
+		input.setAttribute("placeholder", " ")
+
+		if (autocomplete === "new-password") input.setAttribute("minlength", AuthManager.MIN_PASSWORD_LENGTH)
+
+		label.appendChild(input)
+		return { label, input }
+	}
 
-		const passwordSpan = document.createElement("span")
-		passwordSpan.innerText = "Password"
-		passwordLabel.appendChild(passwordSpan)
+	/**
+	 * Returns a button that opens another account form (e.g. "Forgot your password?" on the login form)
+	 * @param {string} text - The button text
+	 * @param {Modal} from - The modal to close
+	 * @param {() => void} open - Opens the other form
+	 * @returns {HTMLButtonElement}
+	*/
+	getFormLink(text, from, open) {
+		const button = document.createElement("button")
+		button.setAttribute("type", "button")
+		button.classList.add("bb-link-button")
+		button.innerText = text
+		button.addEventListener("click", () => {
+			from.remove()
+			open()
+		})
+		return button
+	}
 
-		const passwordInput = document.createElement("input")
-		passwordInput.setAttribute("type", "password")
-		passwordInput.setAttribute("autocomplete", "current-password")
-		passwordInput.setAttribute("id", "bb-login-password")
-		passwordInput.setAttribute("name", "password")
-		passwordInput.setAttribute("required", "true")
-		passwordInput.setAttribute("placeholder", " ")
+	/**
+	 * Opens a modal with an account form
+	 * @param {Object} options
+	 * @param {string} options.title - The modal title
+	 * @param {HTMLElement[]} options.fields - The form's fields (and any text)
+	 * @param {string} options.submitText - The submit button text
+	 * @param {() => Promise<void>} options.onSubmit - Submits the form (the modal closes when it resolves, or shows its error)
+	 * @param {(error: Error) => string} [options.getErrorMessage] - Returns the message for an error
+	 * @param {Function|null} [onClose=null] - Callback when the modal is closed
+	 * @returns {Modal}
+	*/
+	openForm({ title, fields, submitText, onSubmit, getErrorMessage = AuthManager.getErrorMessage }, onClose = null) {
+		const titleEl = document.createElement("h2")
+		titleEl.innerText = title
 
-		passwordLabel.appendChild(passwordInput)
-		content.appendChild(passwordLabel)
+		const content = document.createElement("div")
+		content.classList.add("bb-login-modal")
+		fields.forEach(field => content.appendChild(field))
 
 		// Submit button
 		const submitButton = document.createElement("button")
 		submitButton.setAttribute("type", "submit")
 		submitButton.classList.add("bb-button", "bb-submit-button")
-		submitButton.innerText = "Login"
+		submitButton.innerText = submitText
 
 		// Error message
 		const errorMessage = document.createElement("p")
 		errorMessage.classList.add("bb-error-message")
 		content.appendChild(errorMessage)
 		content.appendChild(submitButton)
-		
-		const handleLoginSubmit = async (e) => {
+
+		const handleSubmit = async (e) => {
 			// validate submission
 			const form = e.target
 			if (!form.checkValidity()) return form.reportValidity()
+			if (submitButton.disabled) return
 
 			submitButton.disabled = true
 			errorMessage.innerText = ""
-			
-			const email = emailInput.value.trim()
-			const password = passwordInput.value
 
-			if (!email || !password) {
-				errorMessage.innerText = "Please fill in all fields"
+			try {
+				await onSubmit()
+				modal.remove()
+			} catch (error) {
+				errorMessage.innerText = getErrorMessage(error)
+			} finally {
 				submitButton.disabled = false
-				return
 			}
+		}
 
-			try {
+		const modal = new Modal(titleEl, content, {useForm: true, onFormSubmit: (e) => handleSubmit(e)}, onClose)
+
+		fields.find(field => field.querySelector?.("input"))?.querySelector("input").focus()
+		return modal
+	}
 
-				const loginRes = await fetch(`${AUTH_API_BASE}/login`, {
-					method: "POST",
-					headers: {
-						"Content-Type": "application/json"
-					},
-					body: JSON.stringify({ email, password }),
-					credentials: "include"
+	login() {
+		if (this.loginModal) return
+
+		const email = this.getField("email", "Email", "email", "email")
+		const password = this.getField("password", "Password", "password", "current-password")
+
+		this.loginModal = this.openForm({
+			title: "Login",
+			fields: [email.label, password.label],
+			submitText: "Login",
+			onSubmit: async () => {
+				const session = await this.request("/login", {
+					email: email.input.value.trim(),
+					password: password.input.value
 				})
-	
-				const [ok, body] = await (async (response) => {
-					const body = await response.text();
-					return [response.ok, body];
-				})(loginRes)
-				
-				if (!ok) {
-					throw new Error(body || "Login failed");
+
+				if (!await this.useAccount(session.email)) {
+					await this.request("/logout").catch(() => {})
+					throw new Error("Not logged in - this device is still synced with the previous account.")
 				}
 
-				this.isLoggedIn = true;
-				this.updateAuthButton();
-				loginModal.remove();
-			} catch (error) {
-				errorMessage.innerText = `Login failed - check your credentials and try again.`;
-			} finally {
-				submitButton.disabled = false;
+				this.setSession(AuthManager.toSession(session))
+				new Notification("Successfully Logged In", "success")
+			},
+			getErrorMessage: (error) => error instanceof AuthError
+				? "Login failed - check your credentials and try again."
+				: AuthManager.getErrorMessage(error)
+		}, () => {
+			this.loginModal = null
+		})
+
+		const links = document.createElement("p")
+		links.classList.add("bb-login-links")
+		links.appendChild(this.getFormLink("Create an account", this.loginModal, () => this.signUp()))
+		links.appendChild(this.getFormLink("Forgot your password?", this.loginModal, () => this.forgotPassword()))
+		this.loginModal.content.appendChild(links)
+	}
+
+	signUp() {
+		const email = this.getField("email", "Email", "email", "email")
+		const password = this.getField("password", `Password (at least ${AuthManager.MIN_PASSWORD_LENGTH} characters)`, "password", "new-password")
+
+		this.openForm({
+			title: "Create an account",
+			fields: [email.label, password.label],
+			submitText: "Create account",
+			onSubmit: async () => {
+				const session = await this.request("/signup", {
+					email: email.input.value.trim(),
+					password: password.input.value
+				})
+
+				// Everything on this device is uploaded to the new account (which owns it), even if it was synced to another one before
+				await this.useAccount(session.email, true)
+
+				this.setSession(AuthManager.toSession(session))
+				new Notification("Account created. Check your email for a link to verify your address.", "success", true, 10000)
 			}
+		})
+	}
 
-			const localDataPresent = this.bandbook.songs.length > 0
+	forgotPassword() {
+		const email = this.getField("email", "Email", "email", "email")
 
-			if (!localDataPresent) {
-				try {
-					const res = await fetch(`${AUTH_API_BASE}/data`, {credentials: "include"})
-					const data = await res.json()
-					this.bandbook.init(data?.songs)
-				} catch (e) {
-					Sentry.captureException(error)
+		const description = document.createElement("p")
+		description.innerText = "Enter the email address of your account and we'll email you a link to reset its password."
 
-					return new Notification("Failed to load user data after login", "error");
-				}
+		this.openForm({
+			title: "Reset your password",
+			fields: [description, email.label],
+			submitText: "Email me a link",
+			onSubmit: async () => {
+				const address = email.input.value.trim()
+				await this.request("/forgot-password", { email: address })
+				new Notification(`If there is an account for ${address}, a link to reset its password has been emailed to it.`, "success", true, 10000)
 			}
+		})
+	}
 
-			new Notification("Successfully Logged In", "success");
+	/**
+	 * Asks for a new password after the user opens a password reset link
+	 * @param {string} token - The token from the link
+	 * @returns {void}
+	*/
+	resetPassword(token) {
+		const password = this.getField("password", `New password (at least ${AuthManager.MIN_PASSWORD_LENGTH} characters)`, "password", "new-password")
+
+		this.openForm({
+			title: "Choose a new password",
+			fields: [password.label],
+			submitText: "Reset password",
+			onSubmit: async () => {
+				await this.request("/reset-password", { token, password: password.input.value })
+
+				// Resetting the password ends every session
+				this.setSession(null)
+				new Notification("Your password has been reset. Log in with your new password.", "success")
+				setTimeout(() => this.login())
+			}
+		})
+	}
+
+	/**
+	 * Verifies the email address or opens the password reset form when the BandBook is opened from an emailed link
+	 * @returns {Promise<void>}
+	*/
+	async handleEmailLink() {
+		const params = new URLSearchParams(location.search)
+		const verifyToken = params.get("verify")
+		const resetToken = params.get("reset")
+
+		if (!verifyToken && !resetToken) return
+
+		// Each link works once, so it is removed from the address (and reloading doesn't try it again)
+		params.delete("verify")
+		params.delete("reset")
+		history.replaceState(history.state, "", `${location.pathname}${params.size ? `?${params}` : ""}${location.hash}`)
+
+		if (resetToken) return this.resetPassword(resetToken)
+
+		try {
+			await this.request("/verify-email", { token: verifyToken })
+			if (this.isLoggedIn) this.setSession({ ...this.user, verified: true, expiresAt: this.expiresAt })
+
+			new Notification("Your email address is verified", "success")
+		} catch (error) {
+			new Notification(`Unable to verify your email address: ${AuthManager.getErrorMessage(error)}`, "error", true, 10000)
+		}
+	}
+
+	openAccountModal() {
+		const titleEl = document.createElement("h2")
+		titleEl.innerText = "Account"
+
+		const content = document.createElement("div")
+		content.classList.add("bb-account-modal")
+
+		const email = document.createElement("p")
+		email.innerText = `Logged in as ${this.user.email}`
+		content.appendChild(email)
+
+		if (!this.user.verified) {
+			const unverified = document.createElement("p")
+			unverified.innerText = "Your email address isn't verified yet. Check your email for the link."
+			content.appendChild(unverified)
+
+			const resendButton = document.createElement("button")
+			resendButton.classList.add("bb-button")
+			resendButton.innerText = "Email the link again"
+			resendButton.addEventListener("click", async () => {
+				resendButton.disabled = true
+
+				try {
+					await this.request("/verify-email/resend")
+					new Notification(`The link has been emailed to ${this.user.email}`, "success")
+				} catch (error) {
+					new Notification(`Unable to email the link: ${AuthManager.getErrorMessage(error)}`, "error")
+				} finally {
+					resendButton.disabled = false
+				}
+			})
+			content.appendChild(resendButton)
 		}
 
-		const loginModal = new Modal(titleEl, content, {useForm: true, onFormSubmit: (e) => handleLoginSubmit(e)})
+		const actions = document.createElement("div")
+		actions.classList.add("bb-account-actions")
+
+		const addAction = (text, onClick) => {
+			const button = document.createElement("button")
+			button.classList.add("bb-button")
+			button.innerText = text
+			button.addEventListener("click", () => {
+				accountModal.remove()
+				onClick()
+			})
+			actions.appendChild(button)
+		}
+
+		addAction("Change password", () => this.changePassword())
+		addAction("Logout", () => this.logout())
+		addAction("Delete account", () => this.deleteAccount())
+		content.appendChild(actions)
+
+		const accountModal = new Modal(titleEl, content, {useForm: false})
+	}
+
+	changePassword() {
+		const currentPassword = this.getField("current-password", "Current password", "password", "current-password")
+		const newPassword = this.getField("new-password", `New password (at least ${AuthManager.MIN_PASSWORD_LENGTH} characters)`, "password", "new-password")
+
+		this.openForm({
+			title: "Change password",
+			fields: [currentPassword.label, newPassword.label],
+			submitText: "Change password",
+			onSubmit: async () => {
+				const session = await this.request("/change-password", {
+					currentPassword: currentPassword.input.value,
+					newPassword: newPassword.input.value
+				})
+
+				this.setSession(AuthManager.toSession(session))
+				new Notification("Your password has been changed. Other devices will need to log in again.", "success")
+			}
+		})
+	}
+
+	deleteAccount() {
+		const description = document.createElement("p")
+		description.innerText = "This deletes your account and everything saved in the cloud. The BandBook on this device is kept. Enter your password to confirm."
+
+		const password = this.getField("password", "Password", "password", "current-password")
+
+		this.openForm({
+			title: "Delete account",
+			fields: [description, password.label],
+			submitText: "Delete account",
+			onSubmit: async () => {
+				if (!confirm(`Are you sure you want to delete the account for ${this.user.email}? This cannot be undone.`)) {
+					throw new Error("The account was not deleted.")
+				}
 
-		emailInput.focus()
+				await this.request("/account/delete", { password: password.input.value })
+
+				// If the user makes another account, everything on this device is uploaded to it (and owned by it)
+				await this.bandbook.syncManager.forgetCloudState()
+				await this.bandbook.sharingManager.setBooks([])
+
+				this.setSession(null)
+				new Notification("Your account has been deleted", "success")
+			}
+		})
 	}
 
 	logout() {
 		fetch(`${AUTH_API_BASE}/logout`, {
 			method: "POST",
 			credentials: "include"
+		}).catch(() => {
+			// The session ends here either way
 		}).finally(() => {
-			this.isLoggedIn = false
-			this.user = null
-			this.updateAuthButton()
+			this.setSession(null)
 
 			new Notification("Successfully Logged Out", "success")
 		})
@@ -197,6 +633,6 @@ export class AuthManager {
 
 	updateAuthButton() {
 		if (!this.authButton) return
-		this.authButton.innerHTML = this.isLoggedIn ? "Logout" : "Login"
+		this.authButton.innerHTML = this.isLoggedIn ? "Account" : "Login"
 	}
 }
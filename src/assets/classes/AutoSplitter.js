@@ -0,0 +1,493 @@
+import { Marker } from './Marker.js'
+import { Modal } from './Modal.js'
+import { Notification } from './Notification.js'
+import { StorageQuotaError } from './StorageManager.js'
+import { Song } from './Song.js'
+import { Encoder } from './Encoder.js'
+import { runAudioWorker, decodeAudio, secondsToFormattedTime as format } from '../utils.js'
+
+/**
+ * The URL of the silence detection worker script
+ * @type {URL}
+ */
+const SILENCE_DETECTION_WORKER_URL = new URL('../workers/silence-detection-worker.js', import.meta.url)
+
+/**
+ * The name of the tag given to cut markers
+ * @type {string}
+ */
+const CUT_TAG = 'split'
+
+/**
+ * @typedef {Object} SilenceAnalysis
+ * @property {number} frameLength - The length of a frame in seconds
+ * @property {Float32Array} loudness - The loudness of every frame in dBFS
+ * @property {Float32Array} flatness - The smoothed spectral flatness of every frame (0 to 1)
+*/
+
+/**
+ * @typedef {Object} SplitOptions
+ * @property {number} threshold - How far below the loud passages (in dB) a frame counts as silence
+ * @property {number} minGap - The shortest gap (in seconds) that separates two songs
+ * @property {number} minLength - The shortest region (in seconds) kept as a song
+ * @property {boolean} detectApplause - Whether noise-like sound (applause, crowd noise) counts as a gap
+*/
+
+/**
+ * @typedef {Object} Region
+ * @property {number} start - The start of the region in seconds
+ * @property {number} end - The end of the region in seconds
+*/
+
+/**
+ * Splits a long recording (e.g. a whole rehearsal) into songs at silences and applause
+ *
+ * 1. The recording is analyzed once in a Web Worker
+ * 2. The proposed cuts (which follow the settings live) are placed as markers tagged "split"
+ * 3. Once the markers have been adjusted on the waveform, one new song is created per region between them
+*/
+export class AutoSplitter {
+	/**
+	 * The default split settings
+	 * @type {SplitOptions}
+	*/
+	static DEFAULTS = {
+		threshold: 35,
+		minGap: 3,
+		minLength: 30,
+		detectApplause: true
+	}
+
+	/**
+	 * The smoothed spectral flatness above which sound counts as applause
+	 * @type {number}
+	*/
+	static APPLAUSE_FLATNESS = 0.3
+
+	/**
+	 * The silence (in seconds) kept around each song so attacks and decays are not clipped
+	 * @type {number}
+	*/
+	static PADDING = 0.5
+
+	/** @type {Song} */
+	song
+
+	/** @type {SilenceAnalysis|null} */
+	analysis = null
+
+	/** @type {Promise<SilenceAnalysis>|null} */
+	analyzing = null
+
+	/** @type {SplitOptions} */
+	options = { ...AutoSplitter.DEFAULTS }
+
+	/**
+	 * @constructor
+	 * @param {Song} song - The song holding the long recording
+	*/
+	constructor(song) {
+		this.song = song
+	}
+
+	/**
+	 * Analyzes the recording (once)
+	 * @returns {Promise<SilenceAnalysis>}
+	 * @throws {Error} - If the recording cannot be decoded or analyzed
+	*/
+	analyze() {
+		if (this.analysis) return Promise.resolve(this.analysis)
+
+		this.analyzing ??= this.song.getPlaybackSrc().then(decodeAudio)
+			.then(buffer => runAudioWorker(SILENCE_DETECTION_WORKER_URL, buffer))
+			.then(({ analysis }) => {
+				this.analysis = analysis
+				return analysis
+			})
+			.finally(() => {
+				this.analyzing = null
+			})
+
+		return this.analyzing
+	}
+
+	/**
+	 * Returns the loudness (in dBFS) of the loud passages of an analysis - the 95th percentile
+	 * Thresholds are relative to it so quiet and loud recordings split alike
+	 * @param {SilenceAnalysis} analysis - A silence analysis
+	 * @returns {number}
+	*/
+	static getReferenceLoudness(analysis) {
+		const sorted = Float32Array.from(analysis.loudness).sort()
+		return sorted[Math.floor((sorted.length - 1) * 0.95)]
+	}
+
+	/**
+	 * Returns whether every frame of an analysis is part of a gap
+	 * @param {SilenceAnalysis} analysis - A silence analysis
+	 * @param {SplitOptions} options - The split settings
+	 * @returns {boolean[]}
+	*/
+	static getGapFrames(analysis, options) {
+		const silence = AutoSplitter.getReferenceLoudness(analysis) - options.threshold
+
+		return Array.from(analysis.loudness, (loudness, i) => loudness < silence
+			|| (options.detectApplause && analysis.flatness[i] > AutoSplitter.APPLAUSE_FLATNESS))
+	}
+
+	/**
+	 * Finds the songs of a recording: the sound between gaps of at least the minimum length
+	 * @param {SilenceAnalysis} analysis - A silence analysis
+	 * @param {SplitOptions} options - The split settings
+	 * @returns {Region[]}
+	*/
+	static findRegions(analysis, options) {
+		const { frameLength } = analysis
+		const gaps = AutoSplitter.getGapFrames(analysis, options)
+		const minGapFrames = Math.max(1, Math.round(options.minGap / frameLength))
+
+		// Runs of sound, merged when the gap between them is too short to separate songs
+		const runs = []
+		let start = null
+		gaps.forEach((isGap, frame) => {
+			if (!isGap && start === null) start = frame
+			if ((isGap || frame === gaps.length - 1) && start !== null) {
+				const end = isGap ? frame : frame + 1
+				const last = runs[runs.length - 1]
+				if (last && start - last.end < minGapFrames) last.end = end
+				else runs.push({ start, end })
+				start = null
+			}
+		})
+
+		return AutoSplitter.pad(
+			runs
+				.map(run => ({ start: run.start * frameLength, end: run.end * frameLength }))
+				.filter(region => region.end - region.start >= options.minLength),
+			gaps.length * frameLength
+		)
+	}
+
+	/**
+	 * Returns the regions between cut times, each trimmed to where it has sound
+	 * Regions without any sound are left out
+	 * @param {SilenceAnalysis} analysis - A silence analysis
+	 * @param {SplitOptions} options - The split settings
+	 * @param {number[]} cuts - Cut times in seconds
+	 * @returns {Region[]}
+	*/
+	static getRegionsBetweenCuts(analysis, options, cuts) {
+		const { frameLength } = analysis
+		const gaps = AutoSplitter.getGapFrames(analysis, options)
+		const duration = gaps.length * frameLength
+		const boundaries = [0, ...cuts.filter(time => time > 0 && time < duration).sort((a, b) => a - b), duration]
+
+		const regions = []
+		for (let i = 0; i < boundaries.length - 1; i++) {
+			let first = Math.floor(boundaries[i] / frameLength)
+			let last = Math.ceil(boundaries[i + 1] / frameLength) - 1
+			while (first <= last && gaps[first]) first++
+			while (last >= first && gaps[last]) last--
+			if (first > last) continue
+
+			// Pad within the cuts
+			regions.push({
+				start: Math.max(boundaries[i], first * frameLength - AutoSplitter.PADDING),
+				end: Math.min(boundaries[i + 1], (last + 1) * frameLength + AutoSplitter.PADDING)
+			})
+		}
+
+		return regions
+	}
+
+	/**
+	 * Returns the cut times between regions: the middle of each gap
+	 * @param {Region[]} regions - Regions in order
+	 * @returns {number[]}
+	*/
+	static getCuts(regions) {
+		return regions.slice(1).map((region, i) => Math.round((regions[i].end + region.start) / 2 * 100) / 100)
+	}
+
+	/**
+	 * Widens regions by the padding without overlapping each other or the ends of the recording
+	 * @param {Region[]} regions - Regions in order
+	 * @param {number} duration - The duration of the recording in seconds
+	 * @returns {Region[]}
+	*/
+	static pad(regions, duration) {
+		return regions.map((region, i) => ({
+			start: Math.max(regions[i - 1]?.end ?? 0, region.start - AutoSplitter.PADDING),
+			end: Math.min(regions[i + 1]?.start ?? duration, region.end + AutoSplitter.PADDING)
+		}))
+	}
+
+	/**
+	 * Returns the song's cut markers in order
+	 * @returns {Marker[]}
+	*/
+	getCutMarkers() {
+		return this.song.markerList.markers
+			.filter(marker => marker.tags?.some(tag => tag.name === CUT_TAG))
+			.sort((a, b) => a.time - b.time)
+	}
+
+	/**
+	 * Replaces the song's cut markers
+	 * @param {number[]} cuts - Cut times in seconds
+	 * @returns {Promise<void>}
+	*/
+	async placeCutMarkers(cuts) {
+		const { bandbook, markerList } = this.song
+		const tag = await bandbook.tagManager.getTag(CUT_TAG)
+
+		this.getCutMarkers().forEach(marker => {
+			markerList.removeMarker(marker)
+			bandbook.tagManager.removeTag(tag, marker)
+			bandbook.syncManager.deleteMarker(marker)
+		})
+
+		cuts.forEach((time, i) => {
+			const marker = new Marker(time, this.song, `Cut ${i + 1}`, '', [tag])
+			// Set the tag now (the constructor resolves tags asynchronously) so it is synced with the marker
+			marker.tags = [tag]
+			bandbook.tagManager.applyTag(tag, marker)
+			markerList.addMarker(marker)
+			bandbook.syncManager.createMarker(marker)
+		})
+
+		markerList.renderMarkersList()
+	}
+
+	/**
+	 * Creates one new song per region, in a single batch
+	 * Markers within a region (other than cut markers) are copied to its song
+	 * @param {Region[]} regions - The regions to make into songs
+	 * @param {string} titlePrefix - The start of every title, followed by the song's number
+	 * @returns {Promise<Song[]>} - The new songs
+	 * @throws {StorageQuotaError} - If there isn't room to save the new songs (none are added)
+	*/
+	async createSongs(regions, titlePrefix) {
+		const buffer = await decodeAudio(await this.song.getPlaybackSrc())
+		const { numberOfChannels, sampleRate } = buffer
+		const digits = String(regions.length).length
+		const batchId = new Date().getTime()
+
+		const songs = regions.map(({ start, end }, i) => {
+			const startSample = Math.floor(start * sampleRate)
+			const length = Math.max(1, Math.min(buffer.length, Math.floor(end * sampleRate)) - startSample)
+			const clip = new AudioBuffer({ numberOfChannels, length, sampleRate })
+			for (let channel = 0; channel < numberOfChannels; channel++) {
+				clip.copyToChannel(buffer.getChannelData(channel).subarray(startSample, startSample + length), channel)
+			}
+
+			const title = `${titlePrefix} ${String(i + 1).padStart(digits, '0')}`
+			const markers = this.song.markerList.markers
+				.filter(marker => marker.time >= start && marker.time <= end && !marker.tags?.some(tag => tag.name === CUT_TAG))
+				.map(marker => new Marker(marker.time - start, marker.song, marker.title, marker.notes, marker.tags, crypto.randomUUID(), { isPrivate: marker.isPrivate }).getData())
+
+			return { clip, data: {
+				title,
+				slug: `${title.replace(/\s/g, '-').toLowerCase()}-${batchId}`,
+				composer: this.song.composer,
+				tempo: 120,
+				key: 'C',
+				timeSignature: this.song.timeSignature,
+				markers,
+				notes: `Split from ${this.song.title} (${format(start)}-${format(end)})`
+			} }
+		})
+
+		// Encode one at a time to keep memory in check
+		const storageFormat = this.song.bandbook.settingsManager.getStorageFormat()
+		const newSongs = []
+		for (const { clip, data } of songs) {
+			const blob = await Encoder.encode(clip, storageFormat)
+			newSongs.push(new Song({ ...data, src: blob, srcType: blob.type, duration: clip.duration }, this.song.bandbook))
+		}
+
+		const { bandbook } = this.song
+		await bandbook.storageManager.checkSpaceFor(newSongs.reduce((total, song) => total + song.src.size, 0), 'the new songs')
+		bandbook.addSongs(newSongs)
+		bandbook.renderSongNavigation()
+
+		for (const song of newSongs) {
+			await bandbook.syncManager.createSong(song)
+			song.markerList.markers.forEach(marker => bandbook.syncManager.createMarker(marker))
+		}
+
+		return newSongs
+	}
+
+	/**
+	 * Opens the auto-split modal
+	 * @returns {void}
+	*/
+	openModal() {
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = 'Auto-split Recording'
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('auto-split')
+
+		const status = document.createElement('p')
+		status.textContent = 'Analyzing the recording...'
+		modalContent.appendChild(status)
+
+		const modal = new Modal(modalHeader, modalContent, { useForm: false })
+
+		this.analyze().then(analysis => {
+			if (!modalContent.isConnected) return
+			status.remove()
+			modalContent.appendChild(this.getModalContent(analysis, modal))
+		}).catch(error => {
+			Sentry.captureException(error)
+			status.textContent = `Unable to analyze the recording: ${error.message}`
+		})
+	}
+
+	/**
+	 * Returns the settings, the proposed songs and the actions of the auto-split modal
+	 * @param {SilenceAnalysis} analysis - The analysis of the recording
+	 * @param {Modal} modal - The open modal
+	 * @returns {DocumentFragment}
+	*/
+	getModalContent(analysis, modal) {
+		const fragment = document.createDocumentFragment()
+
+		const settings = document.createElement('fieldset')
+		const legend = document.createElement('legend')
+		legend.textContent = 'Settings'
+		settings.appendChild(legend)
+
+		const addSetting = (label, input) => {
+			const wrapper = document.createElement('label')
+			wrapper.textContent = label
+			wrapper.appendChild(input)
+			settings.appendChild(wrapper)
+			input.addEventListener('input', () => {
+				this.options[input.name] = input.type === 'checkbox' ? input.checked : Number(input.value)
+				update()
+			})
+		}
+
+		const numberInput = (name, min, max, step, type = 'number') => {
+			const input = document.createElement('input')
+			input.type = type
+			input.name = name
+			input.min = min
+			input.max = max
+			input.step = step
+			input.value = this.options[name]
+			return input
+		}
+
+		const thresholdInput = numberInput('threshold', 10, 60, 1, 'range')
+		const thresholdValue = document.createElement('output')
+		addSetting('Silence threshold (dB below the loud passages)', thresholdInput)
+		thresholdInput.after(thresholdValue)
+		addSetting('Minimum gap (seconds)', numberInput('minGap', 0.5, 60, 0.5))
+		addSetting('Minimum song length (seconds)', numberInput('minLength', 0, 600, 5))
+
+		const applauseInput = document.createElement('input')
+		applauseInput.type = 'checkbox'
+		applauseInput.name = 'detectApplause'
+		applauseInput.checked = this.options.detectApplause
+		addSetting('Treat applause as a gap', applauseInput)
+
+		const titleInput = document.createElement('input')
+		titleInput.type = 'text'
+		titleInput.value = `${this.song.title} - Song`
+		const titleLabel = document.createElement('label')
+		titleLabel.textContent = 'Title prefix'
+		titleLabel.appendChild(titleInput)
+		settings.appendChild(titleLabel)
+
+		fragment.appendChild(settings)
+
+		const summary = document.createElement('p')
+		const list = document.createElement('ol')
+		list.classList.add('auto-split-regions')
+		fragment.appendChild(summary)
+		fragment.appendChild(list)
+
+		const actions = document.createElement('div')
+		actions.classList.add('auto-split-actions')
+
+		const placeButton = document.createElement('button')
+		placeButton.title = 'Show the proposed cuts as markers tagged "split" to adjust on the waveform'
+		placeButton.addEventListener('click', async () => {
+			placeButton.disabled = true
+			try {
+				const cuts = AutoSplitter.getCuts(AutoSplitter.findRegions(analysis, this.options))
+				await this.placeCutMarkers(cuts)
+				new Notification(`${cuts.length} cut markers placed. Drag, add or delete them, then create the songs.`, 'success')
+				update()
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Unable to place cut markers: ${error.message}`, 'error')
+			} finally {
+				placeButton.disabled = false
+			}
+		})
+
+		const createButton = document.createElement('button')
+		createButton.addEventListener('click', async () => {
+			const regions = getRegions()
+			if (!regions.length) return
+
+			createButton.disabled = true
+			this.song.bandbook.wrapper.classList.add('bandbook-loading')
+			try {
+				const songs = await this.createSongs(regions, titleInput.value.trim() || this.song.title)
+				new Notification(`${songs.length} songs created`, 'success')
+				modal.remove()
+			} catch (error) {
+				if (error instanceof StorageQuotaError) {
+					this.song.bandbook.onStorageError(error)
+				} else {
+					Sentry.captureException(error)
+					new Notification(`Unable to create songs: ${error.message}`, 'error')
+				}
+				createButton.disabled = false
+			} finally {
+				this.song.bandbook.wrapper.classList.remove('bandbook-loading')
+			}
+		})
+
+		actions.appendChild(placeButton)
+		actions.appendChild(createButton)
+		fragment.appendChild(actions)
+
+		// The cut markers (once placed and adjusted) decide the songs, otherwise the settings do
+		const getRegions = () => {
+			const cutMarkers = this.getCutMarkers()
+			return cutMarkers.length
+				? AutoSplitter.getRegionsBetweenCuts(analysis, this.options, cutMarkers.map(marker => marker.time))
+				: AutoSplitter.findRegions(analysis, this.options)
+		}
+
+		const update = () => {
+			const regions = getRegions()
+			const cutMarkers = this.getCutMarkers().length
+
+			thresholdValue.textContent = `-${this.options.threshold} dB`
+			summary.textContent = cutMarkers
+				? `${regions.length} songs between the ${cutMarkers} cut markers:`
+				: `${regions.length} songs found:`
+
+			list.replaceChildren(...regions.map(({ start, end }) => {
+				const item = document.createElement('li')
+				item.textContent = `${format(start)} - ${format(end)}`
+				return item
+			}))
+
+			placeButton.textContent = cutMarkers ? 'Replace cut markers' : 'Place cut markers'
+			createButton.textContent = `Create ${regions.length} songs`
+			createButton.disabled = regions.length === 0
+		}
+
+		update()
+		return fragment
+	}
+}
@@ -4,10 +4,19 @@ import { SyncManager } from "./SyncManager.js"
 import { Notification } from "./Notification.js"
 import { Modal } from "./Modal.js"
 import { SettingsManager } from "./SettingsManager.js"
+import { StorageManager, StorageQuotaError } from "./StorageManager.js"
+import { SnapshotManager } from "./SnapshotManager.js"
+import { TabSync } from "./TabSync.js"
+import { CloudSync } from "./CloudSync.js"
+import { AudioSync } from "./AudioSync.js"
 import { TagManager } from "./TagManager.js"
+import { SetlistManager } from "./SetlistManager.js"
+import { PrintPacket } from "./PrintPacket.js"
+import { BandBookArchive } from "./BandBookArchive.js"
+import { MigrationError } from "./Migrations.js"
 import { AuthManager } from "./AuthManager.js"
+import { SharingManager } from "./SharingManager.js"
 import { Icon } from "./Icon.js"
-import { AUTH_API_BASE } from "../../globals.js"
 
 /**
  * Represents a collection of songs
@@ -44,6 +53,41 @@ export class BandBook {
    */
   settingsManager = null
 
+  /**
+   * The storage manager for the BandBook instance
+   * @type {StorageManager}
+   * @default null
+   */
+  storageManager = null
+
+  /**
+   * The snapshot manager for the BandBook instance
+   * @type {SnapshotManager}
+   * @default null
+   */
+  snapshotManager = null
+
+  /**
+   * Keeps other tabs up to date and decides which tab saves to the cloud
+   * @type {TabSync}
+   * @default null
+   */
+  tabSync = null
+
+  /**
+   * Syncs the BandBook with the cloud
+   * @type {CloudSync}
+   * @default null
+   */
+  cloudSync = null
+
+  /**
+   * Uploads song audio to the cloud and downloads it on other devices
+   * @type {AudioSync}
+   * @default null
+   */
+  audioSync = null
+
   /**
    * The authentication manager for the BandBook instance
    * @type {AuthManager}
@@ -51,9 +95,19 @@ export class BandBook {
    */
   authManager = null
 
+  /**
+   * Shares books with bandmates and knows what the user can do in each
+   * @type {SharingManager}
+   * @default null
+   */
+  sharingManager = null
+
   /** @type {TagManager} */
   tagManager = null
 
+  /** @type {SetlistManager} */
+  setlistManager = null
+
   /**
    * The navigation element for the BandBook instance
    * @type {HTMLElement}
@@ -68,6 +122,13 @@ export class BandBook {
    */
   songs = []
 
+  /**
+   * The name of the current book
+   * @type {string}
+   * @default ""
+   */
+  name = ""
+
   /**
    * The current version of the BandBook app
    * @type {string}
@@ -91,7 +152,13 @@ export class BandBook {
     this.workspace = new Workspace(wrapperElement)
     this.syncManager = new SyncManager(this)
     this.settingsManager = new SettingsManager(this)
+    this.storageManager = new StorageManager(this)
+    this.snapshotManager = new SnapshotManager(this)
+    this.tabSync = new TabSync(this)
     this.authManager = new AuthManager(this)
+    this.sharingManager = new SharingManager(this)
+    this.cloudSync = new CloudSync(this)
+    this.audioSync = new AudioSync(this)
 
     // Load the BandBook
     this.load()
@@ -105,11 +172,18 @@ export class BandBook {
   async load() {
     try {
       const data = await this.syncManager.loadBandBook()
+      await this.sharingManager.load()
       await this.init(data || [])
     } catch (error) {
       Sentry.captureException(error)
       console.error("Error loading BandBook:", error)
-      new Notification("Error loading saved data. Starting fresh.", "error", true)
+
+      // Saved data is untouched (and backed up), so don't suggest it is gone
+      if (error instanceof MigrationError) {
+        new Notification(`${error.message}. Your saved data has not been changed. Refresh the page to try again.`, "error", true)
+      } else {
+        new Notification("Error loading saved data. Starting fresh.", "error", true)
+      }
       await this.init([])
     } finally {
       this.wrapper.classList.remove("bandbook-loading")
@@ -119,20 +193,42 @@ export class BandBook {
   /**
    * Initializes the BandBook instance
    * @param {SongData[]} songData - An array of song data
+   * @param {import('./Setlist.js').SetlistData[]|null} [setlistData=null] - Setlists to use instead of the saved ones
    * @returns {void}
    */
-  async init(songData) {
+  async init(songData, setlistData = null) {
     if (!this.id) this.id = this.createId
 
     this.tagManager = new TagManager(this, songData)
+    this.setlistManager = new SetlistManager(this, setlistData)
 
     // Create an array of Song instances from the song data
     this.songs = songData ? songData.map((song) => new Song(song, this)) : []
 
-    // Set the active song
-    this.setActiveSong(this.activeSong || this.songs[0])
+    // Set the active song (the same song again when the book is reloaded)
+    this.setActiveSong(this.songs.find(song => song.id === this.activeSong?.id) || this.songs[0])
 
     this.checkForUploadedAudio()
+    this.loadMissingDurations()
+  }
+
+  /**
+   * Reads the durations of songs saved before durations were, one at a time (their audio isn't otherwise loaded until opened)
+   * @returns {Promise<void>}
+   */
+  async loadMissingDurations() {
+    const songs = this.songs.filter(song => !song.duration)
+    if (!songs.length) return
+
+    for (const song of songs) {
+      try {
+        await song.loadDuration()
+      } catch (error) {
+        console.error("Error loading song duration:", error)
+      }
+    }
+
+    this.renderSongNavigation()
   }
 
   /**
@@ -171,15 +267,32 @@ export class BandBook {
   }
 
   /**
-   * Removes a song from the BandBook instance
-   * @param {Song} song - A Song instance
+   * Adds several songs to the BandBook instance at once, making the first one active
+   * @param {Song[]} songs - Song instances
    * @returns {void}
    */
-  removeSong(song) {
+  addSongs(songs) {
+    if (!songs.length) return
+    this.songs.push(...songs)
+    this.setActiveSong(songs[0])
+  }
+
+  /**
+   * Removes a song from the BandBook instance (after taking a snapshot, so it can be restored)
+   * @param {Song} song - A Song instance
+   * @param {Object} [options={}]
+   * @param {boolean} [options.snapshot=true] - Whether to take a snapshot first (not when deleting to free up space)
+   * @returns {Promise<boolean>} - Whether the song was removed
+   */
+  async removeSong(song, { snapshot = true } = {}) {
+    if (snapshot && !(await this.snapshotManager.snapshotBefore(`Before deleting ${song.title}`))) return false
+
     this.songs = this.songs.filter((s) => s.id !== song.id)
+    this.setlistManager?.removeSong(song)
     this.setActiveSong(this.songs[0] || null)
     this.renderSongNavigation()
     this.syncManager.deleteSong(song)
+    return true
   }
 
   /**
@@ -221,6 +334,7 @@ export class BandBook {
     const logo = document.createElement("p")
     logo.textContent = "BandBook"
     header.appendChild(logo)
+    header.appendChild(this.getBookSelect())
 
     const navToggle = document.createElement("label")
     navToggle.classList.add("nav-toggle")
@@ -240,6 +354,7 @@ export class BandBook {
     list.addEventListener("dragover", (e) => e.preventDefault())
     list.addEventListener("drop", (e) => {
       const draggedSongId = e.dataTransfer.getData("text/plain")
+      if (draggedSongId && !this.sharingManager.requireEdit("reorder songs")) return
 
       // construct map of song items' bounding boxes
       const songItems = Array.from(list.children)
@@ -302,17 +417,26 @@ export class BandBook {
       // Add a separator if there are songs
       if (this.songs?.length > 0) navigation.appendChild(document.createElement("hr"))
 
+    // Add the setlists
+    if (this.setlistManager) navigation.appendChild(this.setlistManager.getSetlistNav())
+
       // Add the BandBook controls
     const navButtonWrapper = document.createElement("div")
     navButtonWrapper.classList.add("nav-button-wrapper")
 
-      navButtonWrapper.appendChild(this.getCreateSongButton())
-    if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
+    navButtonWrapper.appendChild(this.getBooksButton())
+
+    // Viewers of a shared book can't add songs to it
+    const canEdit = this.sharingManager.canEdit()
+      if (canEdit) navButtonWrapper.appendChild(this.getCreateSongButton())
+    if (canEdit && navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
       // Only show the record button if the browser supports getUserMedia
       navButtonWrapper.appendChild(this.getRecordSongButton())
     }
       navButtonWrapper.appendChild(this.getImportButton())
       navButtonWrapper.appendChild(this.getExportButton())
+    navButtonWrapper.appendChild(this.getPrintButton())
+    navButtonWrapper.appendChild(this.snapshotManager.getSnapshotsNavItem())
       navButtonWrapper.appendChild(this.settingsManager.getSettingsNavItem())
     navButtonWrapper.appendChild(this.authManager.getAuthButton())
 
@@ -336,7 +460,7 @@ export class BandBook {
 	const dragAndDropIcon = document.createElement("span")
 	dragAndDropIcon.classList.add("drag-and-drop-icon")
 	dragAndDropIcon.appendChild(new Icon("up-down", 20, 20).getImg())
-	dragAndDropIcon.draggable = true
+	dragAndDropIcon.draggable = this.sharingManager.canEdit()
 	dragAndDropIcon.title = "Drag and drop to reorder songs"
 	dragAndDropIcon.addEventListener("dragstart", (e) => {
 	  e.dataTransfer.setData("text/plain", song.id)
@@ -344,9 +468,10 @@ export class BandBook {
 
     const button = document.createElement("button")
     button.textContent = song.title
+    button.appendChild(this.audioSync.getProgressElement(song))
     if (song === this.activeSong) button.classList.add("active")
     button.addEventListener("click", () => {
-      this.activeSong.player.getAudioElement().pause()
+      this.activeSong?.player?.getAudioElement().pause()
       this.setActiveSong(song)
     })
 
@@ -368,6 +493,9 @@ export class BandBook {
    * @returns {void}
    */
   setActiveSong(song) {
+    // Only the active song keeps its audio in memory
+    if (this.activeSong && this.activeSong !== song) this.activeSong.release()
+
     this.activeSong = song
     this.refresh()
   }
@@ -465,9 +593,10 @@ export class BandBook {
 		})
 
 		mediaRecorder.addEventListener("stop", () => {
-			const audioBlob = new Blob(audioChunks, { type: "audio/wav" })
-			const fileName = "recorded-audio.wav"
-			this.createSong(audioBlob, "audio/wav", fileName)
+			// MediaRecorder picks the container and codec (e.g. audio/webm;codecs=opus), not WAV
+			const type = mediaRecorder.mimeType || audioChunks[0]?.type || "audio/webm"
+			const audioBlob = new Blob(audioChunks, { type })
+			this.createSong(audioBlob, type, "Recorded Audio")
 		})
 
 		modalContent.appendChild(recordButton)
@@ -485,15 +614,26 @@ export class BandBook {
    * @param {File} file - A file object
    * @param {string} fileType - The file type
    * @param {string} name - The file name
-   * @returns {void}
+   * @returns {Promise<void>}
    */
-  createSong(file, fileType, name) {
-	// Read the file as an ArrayBuffer
-	file.arrayBuffer().then((arrayBuffer) => {
+  async createSong(file, fileType, name) {
+	if (!this.sharingManager.requireEdit("add songs")) return
+
+	// Check for room first, so a song that can't be saved is never added
+	try {
+		await this.storageManager.checkSpaceFor(file.size, name)
+	} catch (error) {
+		this.onStorageError(error)
+		return
+	}
 
-		// Create song data
+	// Ask the browser not to evict the library now that there is something in it
+	this.storageManager.requestPersistence()
+
+	try {
+		// Create song data (the file is used as it is, so it isn't copied into memory)
 		const songData = {
-			src: arrayBuffer,
+			src: file,
 			srcType: fileType,
 			title: name,
 			slug: name.replace(/\s/g, "-").toLowerCase() + "-" + new Date().getTime(),
@@ -508,10 +648,25 @@ export class BandBook {
 		const song = new Song(songData, this)
 		this.addSong(song)
 		this.renderSongNavigation()
-		this.syncManager.createSong(song)
-	}).catch((error) => {
+		this.syncManager.createSong(song).catch(error => this.onStorageError(error))
+	} catch (error) {
 		new Notification("Error reading file: " + error.message, "error", true)
-	})
+	}
+  }
+
+  /**
+   * Reports an error saving new data, opening the storage panel if there wasn't room
+   * @param {Error} error - The error
+   * @returns {void}
+   */
+  onStorageError(error) {
+    if (error instanceof StorageQuotaError) {
+      this.settingsManager.openStorageModal(error)
+      return
+    }
+
+    Sentry.captureException(error)
+    new Notification("Error saving: " + error.message, "error", true)
   }
 
   /**
@@ -522,17 +677,23 @@ export class BandBook {
     const button = document.createElement("button")
     button.textContent = "Import"
     button.addEventListener("click", () => {
-      // Create a temporary input to accept JSON files (never appended to the DOM)
+      // Create a temporary input to accept archives and legacy JSON exports (never appended to the DOM)
       const input = document.createElement("input")
       input.type = "file"
-      input.accept = "application/json"
-      input.addEventListener("change", (e) => {
+      input.accept = BandBookArchive.ACCEPT
+      input.addEventListener("change", async (e) => {
         const file = e.target.files[0]
-        const reader = new FileReader()
-        reader.onload = (readerEvent) => {
-          this.syncManager.importBandBook(readerEvent.target.result)
+        if (!file) return
+
+        this.wrapper.classList.add("bandbook-loading")
+        try {
+          this.getImportModal(await BandBookArchive.read(file))
+        } catch (error) {
+          Sentry.captureException(error)
+          new Notification("Error reading file: " + error.message, "error", true)
+        } finally {
+          this.wrapper.classList.remove("bandbook-loading")
         }
-        reader.readAsText(file)
       })
 
       // Immediately trigger the hidden input on button click
@@ -543,46 +704,550 @@ export class BandBook {
   }
 
   /**
-   * Returns the export button
+   * Opens a modal to choose whether an import goes into a new book, is merged into the current one or replaces it
+   * @param {Object} bandBookData - BandBook data read from an export
+   * @returns {void}
+   */
+  getImportModal(bandBookData) {
+    const modalHeader = document.createElement("h2")
+    modalHeader.textContent = "Import"
+
+    const modalContent = document.createElement("div")
+
+    const importCopy = document.createElement("p")
+    importCopy.textContent = this.sharingManager.canEdit()
+      ? `Import into a new book, merge into ${this.name}, or replace everything in ${this.name}?`
+      : `You can only view ${this.name}, so imports go into a new book.`
+    modalContent.appendChild(importCopy)
+
+    const modal = new Modal(modalHeader, modalContent, { useForm: false })
+
+    const importInto = async (asNewBook) => {
+      modal.remove()
+      if (!asNewBook && !this.sharingManager.requireEdit("replace its songs")) return
+
+      this.wrapper.classList.add("bandbook-loading")
+      this.activeSong?.player?.getAudioElement().pause()
+      try {
+        await this.syncManager.importBandBook(bandBookData, { asNewBook })
+      } finally {
+        this.wrapper.classList.remove("bandbook-loading")
+      }
+    }
+
+    const newBookButton = document.createElement("button")
+    newBookButton.textContent = "Import as New Book"
+    newBookButton.addEventListener("click", () => importInto(true))
+
+    const mergeButton = document.createElement("button")
+    mergeButton.textContent = `Merge into ${this.name}`
+    mergeButton.addEventListener("click", () => {
+      modal.remove()
+      this.getMergeModal(bandBookData)
+    })
+
+    const replaceButton = document.createElement("button")
+    replaceButton.textContent = `Replace ${this.name}`
+    replaceButton.addEventListener("click", () => {
+      if (confirm(`Are you sure you want to replace all songs, markers and setlists in ${this.name}? A snapshot is taken first, so this can be undone from Snapshots.`)) importInto(false)
+    })
+
+    modalContent.appendChild(newBookButton)
+
+    if (this.sharingManager.canEdit()) {
+      modalContent.appendChild(mergeButton)
+      modalContent.appendChild(replaceButton)
+    }
+  }
+
+  /**
+   * Merges an import into the current book, first asking what to do with each song that is already in it
+   * @param {Object} bandBookData - BandBook data read from an export
+   * @returns {void}
+   */
+  getMergeModal(bandBookData) {
+    if (!this.sharingManager.requireEdit("merge into it")) return
+
+    const merge = async (resolutions) => {
+      this.wrapper.classList.add("bandbook-loading")
+      this.activeSong?.player?.getAudioElement().pause()
+      try {
+        if (await this.syncManager.mergeBandBook(bandBookData, resolutions)) {
+          new Notification(`Merged into ${this.name}`, "success")
+        }
+      } catch (error) {
+        Sentry.captureException(error)
+        new Notification("Error merging import: " + error.message, "error", true)
+      } finally {
+        this.wrapper.classList.remove("bandbook-loading")
+      }
+    }
+
+    const conflicts = this.syncManager.getImportConflicts(bandBookData)
+    if (!conflicts.length) {
+      merge()
+      return
+    }
+
+    const modalHeader = document.createElement("h2")
+    modalHeader.textContent = "Merge"
+
+    const modalContent = document.createElement("div")
+    modalContent.classList.add("merge-conflicts")
+
+    const copy = document.createElement("p")
+    copy.textContent = `${conflicts.length} of the imported songs ${conflicts.length === 1 ? "is" : "are"} already in ${this.name}. Choose what to do with each one.`
+    modalContent.appendChild(copy)
+
+    const choices = [
+      ["mine", "Keep mine"],
+      ["theirs", "Take theirs"],
+      ["both", "Keep both"],
+    ]
+
+    const list = document.createElement("ul")
+    const selects = conflicts.map(({ incoming, existing }) => {
+      const item = document.createElement("li")
+      const label = document.createElement("label")
+      label.textContent = incoming.title === existing.title ? existing.title : `${existing.title} / ${incoming.title}`
+
+      const select = document.createElement("select")
+      choices.forEach(([value, text]) => {
+        const option = document.createElement("option")
+        option.value = value
+        option.textContent = text
+        select.appendChild(option)
+      })
+
+      label.appendChild(select)
+      item.appendChild(label)
+      list.appendChild(item)
+      return select
+    })
+    modalContent.appendChild(list)
+
+    // Set every conflict at once
+    const actions = document.createElement("div")
+    actions.classList.add("merge-actions")
+    choices.forEach(([value, text]) => {
+      const button = document.createElement("button")
+      button.textContent = `${text} (all)`
+      button.addEventListener("click", () => selects.forEach(select => select.value = value))
+      actions.appendChild(button)
+    })
+
+    const modal = new Modal(modalHeader, modalContent, { useForm: false })
+
+    const mergeButton = document.createElement("button")
+    mergeButton.textContent = "Merge"
+    mergeButton.addEventListener("click", () => {
+      modal.remove()
+      merge(new Map(conflicts.map(({ incoming }, i) => [incoming, selects[i].value])))
+    })
+    actions.appendChild(mergeButton)
+    modalContent.appendChild(actions)
+  }
+
+  /**
+   * Returns a select to switch between books
+   * @returns {HTMLSelectElement} - A select element
+   */
+  getBookSelect() {
+    const select = document.createElement("select")
+    select.classList.add("book-select")
+    select.ariaLabel = "Book"
+
+    const current = document.createElement("option")
+    current.value = this.id
+    current.textContent = this.name
+    select.appendChild(current)
+
+    // Fill in the other books once they are loaded
+    this.syncManager.getBooks().then(books => {
+      select.replaceChildren(...books.map(book => {
+        const option = document.createElement("option")
+        option.value = book.id
+        option.textContent = book.name
+        option.selected = book.id === this.id
+        return option
+      }))
+    }).catch(err => console.error("Error getting books:", err))
+
+    select.addEventListener("change", () => this.switchBook(select.value))
+    return select
+  }
+
+  /**
+   * Returns the books button
    * @returns {HTMLButtonElement} - A button element
    */
-  getExportButton() {
+  getBooksButton() {
     const button = document.createElement("button")
-    button.textContent = "Export"
-    button.addEventListener("click", () => this.export())
+    button.textContent = "Books"
+    button.addEventListener("click", () => this.getBooksModal())
     return button
   }
 
   /**
-   * Export the BandBook instance as a JSON object
-   * @returns {Promise<Object>} - A JSON object representing the BandBook instance
+   * Opens a modal to create, rename, switch between and delete books
+   * @returns {Promise<void>}
    */
-  async export() {
-    let stringifiedData;
+  async getBooksModal() {
+    const modalHeader = document.createElement("h2")
+    modalHeader.textContent = "Books"
+
+    const modalContent = document.createElement("div")
+    modalContent.classList.add("books-manager")
+    const modal = new Modal(modalHeader, modalContent, { useForm: false })
+
+    const render = async () => {
+      const books = await this.syncManager.getBooks()
+
+      const list = document.createElement("ul")
+      list.classList.add("book-list")
+      books.forEach(book => {
+        const item = document.createElement("li")
+        if (book.id === this.id) item.classList.add("active")
+
+        const role = this.sharingManager.getRole(book.id)
+        const shared = this.sharingManager.isShared(book.id)
+
+        const name = document.createElement("p")
+        name.textContent = `${book.name} (${book.songCount} ${book.songCount === 1 ? "song" : "songs"})`
+        if (shared) name.textContent += ` - shared, ${SharingManager.ROLES[role].toLowerCase()}`
+        item.appendChild(name)
+
+        const openButton = document.createElement("button")
+        openButton.textContent = book.id === this.id ? "Open" : "Switch"
+        openButton.disabled = book.id === this.id
+        openButton.addEventListener("click", () => {
+          modal.remove()
+          this.switchBook(book.id)
+        })
+
+        const shareButton = document.createElement("button")
+        shareButton.textContent = shared ? "Members" : "Share"
+        shareButton.addEventListener("click", () => {
+          modal.remove()
+          this.sharingManager.openMembersModal(book.id, book.name)
+        })
+
+        const renameButton = document.createElement("button")
+        renameButton.textContent = "Rename"
+        renameButton.hidden = role === "viewer"
+        renameButton.addEventListener("click", async () => {
+          const name = prompt("Book name", book.name)?.trim()
+          if (!name) return
+          await this.renameBook(book.id, name)
+          render()
+        })
+
+        // Only owners can delete a shared book (for every member); other members leave it instead
+        const deleteButton = document.createElement("button")
+        deleteButton.textContent = "Delete"
+        deleteButton.hidden = role !== "owner"
+        deleteButton.addEventListener("click", async () => {
+          const members = shared ? " It will be deleted for everyone it is shared with." : ""
+          if (!confirm(`Are you sure you want to delete ${book.name} and all of its songs, markers and setlists?${members} A snapshot is taken first, so you can restore it here as a new book.`)) return
+          await this.deleteBook(book.id)
+          render()
+        })
+
+        item.appendChild(openButton)
+        item.appendChild(shareButton)
+        item.appendChild(renameButton)
+        item.appendChild(deleteButton)
+        list.appendChild(item)
+      })
+
+      const newBookButton = document.createElement("button")
+      newBookButton.textContent = "New Book"
+      newBookButton.addEventListener("click", async () => {
+        const name = prompt("Book name", "New Book")?.trim()
+        if (!name) return
+        modal.remove()
+        await this.createBook(name)
+      })
+
+      // Deleted books are kept as snapshots until those are deleted
+      const deletedBooks = await this.syncManager.getDeletedBookSnapshots()
+
+      const deletedHeading = document.createElement("h3")
+      deletedHeading.textContent = "Deleted Books"
+
+      const deletedList = document.createElement("ul")
+      deletedList.classList.add("book-list")
+      deletedBooks.forEach(snapshot => {
+        const item = document.createElement("li")
+
+        const name = document.createElement("p")
+        name.textContent = `${snapshot.name} (${snapshot.songs.length} ${snapshot.songs.length === 1 ? "song" : "songs"}) - snapshot from ${SnapshotManager.getLabel(snapshot)}`
+        item.appendChild(name)
+
+        const restoreButton = document.createElement("button")
+        restoreButton.textContent = "Restore"
+        restoreButton.addEventListener("click", async () => {
+          if (!confirm(`Restore ${snapshot.name} as a new book from the snapshot from ${SnapshotManager.getLabel(snapshot)}?`)) return
+          modal.remove()
+          await this.restoreDeletedBook(snapshot)
+        })
+
+        const deleteButton = document.createElement("button")
+        deleteButton.textContent = "Delete Snapshots"
+        deleteButton.addEventListener("click", async () => {
+          if (!confirm(`Delete the snapshots of ${snapshot.name}? It can't be restored after this.`)) return
+          try {
+            const snapshots = await this.syncManager.getSnapshots(snapshot.bookId)
+            await this.syncManager.deleteSnapshots(snapshots.map(({ id }) => id))
+          } catch (error) {
+            Sentry.captureException(error)
+            new Notification("Error deleting snapshots: " + error.message, "error")
+          }
+          render()
+        })
+
+        item.appendChild(restoreButton)
+        item.appendChild(deleteButton)
+        deletedList.appendChild(item)
+      })
+
+      modalContent.replaceChildren(list, newBookButton, ...(deletedBooks.length ? [deletedHeading, deletedList] : []))
+    }
+
+    render().catch(error => {
+      Sentry.captureException(error)
+      new Notification("Error loading books", "error")
+    })
+  }
+
+  /**
+   * Switches to another book
+   * @param {string} id - A book id
+   * @returns {Promise<void>}
+   */
+  async switchBook(id) {
+    if (!id || id === this.id) return
+
+    this.id = id
+    await this.reload()
+  }
+
+  /**
+   * Reloads the current book from indexedDB (e.g. after songs are merged into it or it changed in another tab)
+   * The open song stays open if it is still in the book
+   * @returns {Promise<void>}
+   */
+  async reload() {
+    this.activeSong?.player?.getAudioElement().pause()
+    this.songs.forEach(song => song.release())
+    this.wrapper.classList.add("bandbook-loading")
+
+    await this.load()
+  }
+
+  /**
+   * Creates a new, empty book and switches to it
+   * @param {string} name - The book name
+   * @returns {Promise<void>}
+   */
+  async createBook(name) {
+    const id = this.createId
     try {
-      stringifiedData = await this.getData()
-      if (!stringifiedData) {
-        new Notification("No data to export", "error");
-        return;
+      await this.syncManager.createBook(id, name)
+      await this.switchBook(id)
+      new Notification(`${name} created`, "success")
+    } catch (error) {
+      Sentry.captureException(error)
+      new Notification("Error creating book: " + error.message, "error")
+    }
+  }
+
+  /**
+   * Renames a book
+   * @param {string} id - A book id
+   * @param {string} name - The new name
+   * @returns {Promise<void>}
+   */
+  async renameBook(id, name) {
+    await this.syncManager.renameBook(id, name)
+    if (id === this.id) {
+      this.name = name
+      this.renderSongNavigation()
+    }
+  }
+
+  /**
+   * Deletes a book and everything in it (switching to another book if it is the current one)
+   * A snapshot is taken first and the book's snapshots are kept, so it can be restored from the books modal
+   * @param {string} id - A book id
+   * @returns {Promise<void>}
+   */
+  async deleteBook(id) {
+    if (!(await this.snapshotManager.snapshotBefore("Before deleting the book", [], id))) return
+
+    try {
+      await this.syncManager.deleteBook(id)
+
+      if (id !== this.id) {
+        this.renderSongNavigation()
+        return
       }
+
+      // Open another book (a new one is created if this was the last)
+      const [next] = await this.syncManager.getBooks()
+      this.songs.forEach(song => song.release())
+      this.id = next?.id ?? null
+      this.activeSong = null
+      this.wrapper.classList.add("bandbook-loading")
+      await this.load()
     } catch (error) {
       Sentry.captureException(error)
-      new Notification("Error exporting BandBook data", "error", false)
+      new Notification("Error deleting book: " + error.message, "error")
+    }
+  }
+
+  /**
+   * Brings back a deleted book from a snapshot of it, as a new book, and opens it
+   * @param {import('./SnapshotManager.js').Snapshot} snapshot - A snapshot of a deleted book
+   * @returns {Promise<void>}
+   */
+  async restoreDeletedBook(snapshot) {
+    this.wrapper.classList.add("bandbook-loading")
+    try {
+      await this.syncManager.restoreDeletedBook(snapshot)
+      new Notification(`Restored ${snapshot.name}`, "success")
+    } catch (error) {
+      Sentry.captureException(error)
+      new Notification("Error restoring book: " + error.message, "error")
+    } finally {
+      this.wrapper.classList.remove("bandbook-loading")
+    }
+  }
+
+  /**
+   * Returns the export button
+   * @returns {HTMLButtonElement} - A button element
+   */
+  getExportButton() {
+    const button = document.createElement("button")
+    button.textContent = "Export"
+    button.addEventListener("click", () => this.getExportModal())
+    return button
+  }
+
+  /**
+   * Opens a modal to choose what to export: the whole book, a setlist or some songs
+   * @returns {void}
+   */
+  getExportModal() {
+    if (!this.songs.length) {
+      new Notification("No data to export", "error")
       return
     }
 
-    // Create a Blob to download the JSON file
-    const blob = new Blob([stringifiedData], { type: "application/json" })
-    const url = URL.createObjectURL(blob)
+    const modalHeader = document.createElement("h2")
+    modalHeader.textContent = "Export"
+
+    const modalContent = document.createElement("div")
+    modalContent.classList.add("export-options")
+
+    // Source
+    const sourceLabel = document.createElement("label")
+    sourceLabel.textContent = "Export"
+    const sourceSelect = document.createElement("select")
+    const addOption = (value, text) => {
+      const option = document.createElement("option")
+      option.value = value
+      option.textContent = text
+      sourceSelect.appendChild(option)
+    }
+    addOption("", `Whole book (${this.songs.length} songs)`)
+    this.setlistManager?.setlists.forEach(setlist => addOption(setlist.id, `Setlist: ${setlist.name}`))
+    addOption("songs", "Choose songs")
+    sourceLabel.appendChild(sourceSelect)
+
+    // Songs (when choosing songs)
+    const songList = document.createElement("fieldset")
+    songList.classList.add("export-songs")
+    songList.hidden = true
+    const legend = document.createElement("legend")
+    legend.textContent = "Songs"
+    songList.appendChild(legend)
+    const checkboxes = this.songs.map(song => {
+      const label = document.createElement("label")
+      const checkbox = document.createElement("input")
+      checkbox.type = "checkbox"
+      checkbox.checked = song === this.activeSong
+      label.appendChild(checkbox)
+      label.appendChild(document.createTextNode(song.title))
+      songList.appendChild(label)
+      return checkbox
+    })
+    sourceSelect.addEventListener("change", () => songList.hidden = sourceSelect.value !== "songs")
+
+    const modal = new Modal(modalHeader, modalContent, { useForm: false })
 
-    // Create a temporary anchor element to download the JSON file
-    const a = document.createElement("a")
-    a.href = url
-    a.download = "bandbook.json"
-    a.click()
+    const exportButton = document.createElement("button")
+    exportButton.textContent = "Export"
+    exportButton.addEventListener("click", () => {
+      let selection = {}
 
-    URL.revokeObjectURL(url)
-    a.remove()
+      if (sourceSelect.value === "songs") {
+        const songs = this.songs.filter((_, i) => checkboxes[i].checked)
+        if (!songs.length) {
+          new Notification("Choose at least one song to export", "error")
+          return
+        }
+        const name = songs.length === 1 ? songs[0].title : `${this.name} (${songs.length} songs)`
+        selection = { name, songs, setlists: [] }
+      } else if (sourceSelect.value) {
+        const setlist = this.setlistManager.setlists.find(setlist => setlist.id === sourceSelect.value)
+        selection = { name: setlist.name, songs: [...new Set(setlist.getSongs())], setlists: [setlist.getData()] }
+      }
+
+      modal.remove()
+      this.export(selection)
+    })
+
+    modalContent.appendChild(sourceLabel)
+    modalContent.appendChild(songList)
+    modalContent.appendChild(exportButton)
+  }
+
+  /**
+   * Returns the print button (for a rehearsal packet or large-type setlist)
+   * @returns {HTMLButtonElement} - A button element
+   */
+  getPrintButton() {
+    const button = document.createElement("button")
+    button.textContent = "Print"
+    button.addEventListener("click", () => PrintPacket.openPrintModal(this))
+    return button
+  }
+
+  /**
+   * Export the BandBook instance (or some of its songs) as a .bandbook archive (see BandBookArchive)
+   * @param {import('./BandBookArchive.js').ArchiveSelection} [selection={}] - What to export (everything by default)
+   * @returns {Promise<void>}
+   */
+  async export(selection = {}) {
+    if (!(selection.songs ?? this.songs).length) {
+      new Notification("No data to export", "error")
+      return
+    }
+
+    this.wrapper.classList.add("bandbook-loading")
+    try {
+      await BandBookArchive.save(this, selection)
+    } catch (error) {
+      // The user closed the save dialog
+      if (error.name === "AbortError") return
+
+      Sentry.captureException(error)
+      new Notification("Error exporting BandBook data", "error", false)
+    } finally {
+      this.wrapper.classList.remove("bandbook-loading")
+    }
   }
 
   /**
@@ -602,7 +1267,9 @@ export class BandBook {
     // Create an object and stringify it for download
     const data = {
       id: this.id,
+      name: this.name,
       songs: songData,
+      setlists: this.setlistManager?.getData() ?? [],
     }
 
     try {
@@ -766,29 +1433,31 @@ export class BandBook {
 
   /**
    * Adds an event listener to save data when the page visibility changes (e.g. user switches tabs or minimizes the browser)
+   * Only the leader tab saves, so other tabs ask it to (see TabSync)
    * @returns {void}
    */
   addVisibilityChangeListeners() {
-    window.addEventListener("visibilitychange", async () => {
-      if (document.visibilityState === "hidden") {
-        try {
-          const data = await this.getData(false)
-
-          /** Use sendBeacon to save data
-           *  - more reliable than beforeunload
-           *  - completes even if the user closes the tab or browser
-           *  - non-blocking
-          */
-          navigator.sendBeacon(`${AUTH_API_BASE}/data`, data)
-        } catch (error) {
-          Sentry.captureException(error)
-          console.error("Error saving BandBook data on visibility change:", error)
-        }
+    window.addEventListener("visibilitychange", () => {
+      if (document.visibilityState !== "hidden") return
+
+      if (this.tabSync.isLeader) {
+        this.saveToCloud()
+      } else {
+        this.tabSync.requestCloudSave()
       }
     })
 
   }
 
+  /**
+   * Uploads the changes that haven't been synced yet (without audio) to the cloud
+   * The uploads use keepalive, so they complete even if the user closes the tab or browser
+   * @returns {Promise<void>}
+   */
+  saveToCloud() {
+    return this.cloudSync.sync({ keepalive: true })
+  }
+
   /**
    * Alerts the user if the BandBook version is outdated
    * @returns {void}
@@ -0,0 +1,199 @@
+import { ZipWriter, ZipReader } from './ZipArchive.js'
+import { Encoder } from './Encoder.js'
+
+/**
+ * @typedef {Object} ArchiveManifest
+ * @property {'bandbook'} format - Identifies the archive
+ * @property {number} version - The archive format version
+ * @property {string} appVersion - The version of the app that wrote the archive
+ * @property {string} exportedAt - When the archive was written (ISO 8601)
+ * @property {string} id - The book id
+ * @property {string} name - The book name
+ * @property {Array<Object>} songs - Song data, with the path of each song's audio file instead of its src
+ * @property {import('./Setlist.js').SetlistData[]} setlists - The book's setlists
+*/
+
+/**
+ * @typedef {Object} ArchiveSelection
+ * @property {string} [name] - The name of the package (the book name by default)
+ * @property {import('./Song.js').Song[]} [songs] - The songs to export (every song by default)
+ * @property {import('./Setlist.js').SetlistData[]} [setlists] - The setlists to export (every setlist by default)
+*/
+
+/**
+ * The `.bandbook` archive format: a zip of `manifest.json` and the raw audio files
+ *
+ * Archives are written and read a file at a time, so libraries too large for a single JSON string can be backed up
+*/
+export class BandBookArchive {
+	/**
+	 * The archive format version
+	 * @type {number}
+	*/
+	static VERSION = 1
+
+	/**
+	 * The file extension of archives
+	 * @type {string}
+	*/
+	static EXTENSION = 'bandbook'
+
+	/**
+	 * The file types the import input accepts (archives and legacy JSON exports)
+	 * @type {string}
+	*/
+	static ACCEPT = '.bandbook,.zip,application/zip,.json,application/json'
+
+	/**
+	 * Returns the manifest of a BandBook (or some of its songs)
+	 * @param {import('./BandBook.js').BandBook} bandbook - A BandBook instance
+	 * @param {ArchiveSelection} [selection={}] - What to export
+	 * @returns {Promise<ArchiveManifest>}
+	*/
+	static async getManifest(bandbook, selection = {}) {
+		const { name, songs: selectedSongs, setlists } = BandBookArchive.getSelection(bandbook, selection)
+
+		const songs = []
+		for (const song of selectedSongs) {
+			const data = await song.getData(false)
+			songs.push({ ...data, audio: BandBookArchive.getAudioPath(song) })
+		}
+
+		return {
+			format: 'bandbook',
+			version: BandBookArchive.VERSION,
+			appVersion: bandbook.version,
+			exportedAt: new Date().toISOString(),
+			id: bandbook.id,
+			name,
+			songs,
+			setlists
+		}
+	}
+
+	/**
+	 * Fills in the defaults of a selection (setlist entries for songs outside the selection are dropped)
+	 * @param {import('./BandBook.js').BandBook} bandbook - A BandBook instance
+	 * @param {ArchiveSelection} selection - What to export
+	 * @returns {Required<ArchiveSelection>}
+	*/
+	static getSelection(bandbook, { name, songs, setlists } = {}) {
+		songs = songs ?? bandbook.songs
+		const songIds = new Set(songs.map(song => song.id))
+
+		return {
+			name: name || bandbook.name,
+			songs,
+			setlists: (setlists ?? bandbook.setlistManager?.getData() ?? []).map(setlist => ({
+				...setlist,
+				entries: setlist.entries.filter(entry => songIds.has(entry.songId))
+			}))
+		}
+	}
+
+	/**
+	 * Returns the path of a song's audio file in the archive
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {string}
+	*/
+	static getAudioPath(song) {
+		return `audio/${song.id}.${Encoder.getExtension(song.srcType)}`
+	}
+
+	/**
+	 * Writes a BandBook archive
+	 * @param {import('./BandBook.js').BandBook} bandbook - A BandBook instance
+	 * @param {(chunk: Uint8Array) => Promise<void>|void} write - Receives the archive one chunk at a time
+	 * @param {ArchiveSelection} [selection={}] - What to export
+	 * @returns {Promise<void>}
+	*/
+	static async write(bandbook, write, selection = {}) {
+		const zip = new ZipWriter(write)
+		const manifest = await BandBookArchive.getManifest(bandbook, selection)
+
+		// The manifest goes first, so it can be inspected without reading the audio
+		await zip.addFile('manifest.json', JSON.stringify(manifest, null, 2))
+
+		for (const song of selection.songs ?? bandbook.songs) {
+			// Saved audio is read from disk a chunk at a time, never all at once
+			await zip.addFile(BandBookArchive.getAudioPath(song), await song.getSrc())
+		}
+
+		await zip.close()
+	}
+
+	/**
+	 * Saves a BandBook archive, streaming it to disk where the browser allows (otherwise it is downloaded)
+	 * @param {import('./BandBook.js').BandBook} bandbook - A BandBook instance
+	 * @param {ArchiveSelection} [selection={}] - What to export
+	 * @returns {Promise<void>}
+	 * @throws {DOMException} - An AbortError if the user cancels the save dialog
+	*/
+	static async save(bandbook, selection = {}) {
+		const fileName = `${selection.name || bandbook.name || 'bandbook'}.${BandBookArchive.EXTENSION}`
+
+		if (window.showSaveFilePicker) {
+			const handle = await window.showSaveFilePicker({
+				suggestedName: fileName,
+				types: [{ description: 'BandBook archive', accept: { 'application/zip': [`.${BandBookArchive.EXTENSION}`] } }]
+			})
+			const writable = await handle.createWritable()
+
+			try {
+				await BandBookArchive.write(bandbook, chunk => writable.write(chunk), selection)
+				await writable.close()
+			} catch (error) {
+				await writable.abort()
+				throw error
+			}
+
+			return
+		}
+
+		// Blob parts can be paged to disk by the browser, unlike one large string
+		const chunks = []
+		await BandBookArchive.write(bandbook, chunk => { chunks.push(chunk) }, selection)
+		const url = URL.createObjectURL(new Blob(chunks, { type: 'application/zip' }))
+
+		const a = document.createElement('a')
+		a.href = url
+		a.download = fileName
+		a.click()
+
+		URL.revokeObjectURL(url)
+		a.remove()
+	}
+
+	/**
+	 * Reads an exported file (a `.bandbook` archive or a legacy JSON export) into BandBook data for importing
+	 * Song srcs are Blobs (slices of the archive, read only when saved) for archives and base64 strings for legacy JSON
+	 * @param {File} file - The exported file
+	 * @returns {Promise<Object>} - BandBook data, as accepted by SyncManager.importBandBook
+	 * @throws {Error} - If the file is not a BandBook export
+	*/
+	static async read(file) {
+		if (!(await ZipReader.isZip(file))) {
+			try {
+				return JSON.parse(await file.text())
+			} catch (error) {
+				throw new Error(`${file.name} is not a BandBook export`)
+			}
+		}
+
+		const zip = await new ZipReader(file).open()
+		if (!zip.has('manifest.json')) throw new Error(`${file.name} is not a BandBook archive`)
+
+		const manifest = JSON.parse(await zip.getText('manifest.json'))
+		if (manifest.format !== 'bandbook') throw new Error(`${file.name} is not a BandBook archive`)
+		if (manifest.version > BandBookArchive.VERSION) {
+			throw new Error(`${file.name} was exported by a newer version of BandBook. Refresh the page to update.`)
+		}
+
+		const songs = []
+		for (const { audio, ...song } of manifest.songs ?? []) {
+			songs.push({ ...song, src: await zip.getBlob(audio) })
+		}
+
+		return { ...manifest, songs }
+	}
+}
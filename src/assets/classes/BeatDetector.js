@@ -0,0 +1,63 @@
+import { runAudioWorker } from '../utils.js'
+
+/**
+ * The URL of the beat detection worker script
+ * @type {URL}
+ */
+const BEAT_DETECTION_WORKER_URL = new URL('../workers/beat-detection-worker.js', import.meta.url)
+
+/**
+ * @typedef {Object} BeatGrid
+ * @property {number} tempo - The estimated tempo in BPM
+ * @property {number} offset - The time of the first downbeat in seconds
+ * @property {number} beatsPerBar - The number of beats in a bar used for downbeat detection
+ * @property {number[]} beats - Every detected beat time in seconds
+ * @property {number} confidence - How clear the detected pulse is (0 to 1)
+ * @property {'suggested'|'applied'|'dismissed'} [status] - Whether the tempo suggestion has been answered
+*/
+
+/**
+ * Estimates the tempo, beats and first downbeat of decoded audio in a Web Worker
+*/
+export class BeatDetector {
+	/**
+	 * Runs the analysis on decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @param {number} [beatsPerBar=4] - The number of beats in a bar
+	 * @returns {Promise<BeatGrid>}
+	 * @throws {Error} - If the analysis fails
+	*/
+	static async detect(buffer, beatsPerBar = 4) {
+		const { grid } = await runAudioWorker(BEAT_DETECTION_WORKER_URL, buffer, { beatsPerBar })
+		return { ...grid, status: 'suggested' }
+	}
+
+	/**
+	 * Returns the beat in a grid closest to a time
+	 * Beyond the detected beats, the grid continues at the detected tempo
+	 * @param {BeatGrid} grid - A beat grid
+	 * @param {number} time - A time in seconds
+	 * @returns {number} - The time of the closest beat in seconds
+	*/
+	static getNearestBeat(grid, time) {
+		const beats = grid.beats
+		if (!beats?.length) return time
+
+		const beatLength = 60 / grid.tempo
+		const first = beats[0]
+		const last = beats[beats.length - 1]
+		if (time <= first) return Math.max(0, first - Math.round((first - time) / beatLength) * beatLength)
+		if (time >= last) return last + Math.round((time - last) / beatLength) * beatLength
+
+		// Binary search for the first beat after the time
+		let low = 0
+		let high = beats.length - 1
+		while (low < high) {
+			const middle = (low + high) >> 1
+			if (beats[middle] < time) low = middle + 1
+			else high = middle
+		}
+
+		return time - beats[low - 1] < beats[low] - time ? beats[low - 1] : beats[low]
+	}
+}
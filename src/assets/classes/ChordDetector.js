@@ -0,0 +1,43 @@
+import { runAudioWorker, formatChord } from '../utils.js'
+
+/**
+ * The URL of the chord detection worker script
+ * @type {URL}
+ */
+const CHORD_DETECTION_WORKER_URL = new URL('../workers/chord-detection-worker.js', import.meta.url)
+
+/**
+ * @typedef {Object} DetectedChord
+ * @property {number} start - The start of the chord in seconds
+ * @property {number} end - The end of the chord in seconds
+ * @property {number} root - The pitch class of the root (0-11)
+ * @property {'major'|'minor'} quality - Whether the triad is major or minor
+ * @property {number} confidence - How closely the audio matches the chord (0 to 1)
+*/
+
+/**
+ * Estimates the chords of decoded audio over time in a Web Worker
+*/
+export class ChordDetector {
+	/**
+	 * Runs the analysis on decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @param {number[]} [beats] - Beat times in seconds to align chord changes to
+	 * @returns {Promise<DetectedChord[]>}
+	 * @throws {Error} - If the analysis fails
+	*/
+	static async detect(buffer, beats) {
+		const { chords } = await runAudioWorker(CHORD_DETECTION_WORKER_URL, buffer, { beats })
+		return chords
+	}
+
+	/**
+	 * Returns the name of a detected chord
+	 * @param {DetectedChord} chord - A detected chord
+	 * @param {boolean} [useFlats=false] - Whether to spell the root with flats
+	 * @returns {string}
+	*/
+	static getName(chord, useFlats = false) {
+		return formatChord(chord.root, chord.quality, useFlats)
+	}
+}
@@ -0,0 +1,242 @@
+import { Notification } from './Notification.js'
+import { ChordDetector } from './ChordDetector.js'
+
+/**
+ * A lane under the waveform showing the detected chords over time
+ *
+ * - Follows the waveform's zoom and scroll (or shows the whole song without a waveform)
+ * - Highlights the chord under the playhead
+ * - Clicking a chord seeks to it
+ * - The chords can be turned into markers tagged "chord"
+*/
+export class ChordLane {
+	/**
+	 * The height of the lane in CSS pixels
+	 * @type {number}
+	*/
+	static HEIGHT = 28
+
+	/** @type {HTMLDivElement|null} */
+	element = null
+
+	/** @type {HTMLCanvasElement|null} */
+	canvas = null
+
+	/** @type {HTMLDivElement|null} */
+	controls = null
+
+	/** @type {HTMLButtonElement|null} */
+	detectButton = null
+
+	/** @type {HTMLButtonElement|null} */
+	markersButton = null
+
+	/**
+	 * @constructor
+	 * @param {import('./Player.js').Player} player - The Player instance this lane belongs to
+	*/
+	constructor(player) {
+		this.player = player
+		this.song = player.song
+		this.init()
+	}
+
+	/**
+	 * Builds the lane elements and listeners
+	 * @returns {void}
+	*/
+	init() {
+		const element = document.createElement('div')
+		element.className = 'chord-lane'
+
+		const canvas = document.createElement('canvas')
+		canvas.className = 'chord-lane-canvas'
+		canvas.style.height = `${ChordLane.HEIGHT}px`
+		canvas.setAttribute('role', 'img')
+		canvas.addEventListener('click', (e) => {
+			const chord = this.getChordAt(this.xToTime(e.clientX - canvas.getBoundingClientRect().left))
+			if (chord) this.player.getAudioElement().currentTime = chord.start
+		})
+
+		const controls = document.createElement('div')
+		controls.className = 'chord-lane-controls'
+
+		const detectButton = document.createElement('button')
+		detectButton.addEventListener('click', () => this.detect())
+
+		const markersButton = document.createElement('button')
+		markersButton.textContent = 'Add chord markers'
+		markersButton.title = 'Add a marker tagged "chord" at each chord change'
+		markersButton.addEventListener('click', async () => {
+			if (!this.song.bandbook.sharingManager.requireEdit('add chord markers')) return
+
+			markersButton.disabled = true
+			try {
+				const count = await this.song.addChordMarkers()
+				new Notification(count ? `${count} chord markers added` : 'Every chord already has a marker', 'success')
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Unable to add chord markers: ${error.message}`, 'error')
+			} finally {
+				this.updateControls()
+			}
+		})
+
+		controls.appendChild(detectButton)
+		controls.appendChild(markersButton)
+		element.appendChild(canvas)
+
+		this.element = element
+		this.canvas = canvas
+		this.controls = controls
+		this.detectButton = detectButton
+		this.markersButton = markersButton
+
+		const audio = this.player.getAudioElement()
+		this.player.addListener(audio, 'timeupdate', () => this.draw())
+		this.player.addListener(audio, 'loadedmetadata', () => this.draw())
+		this.player.addListener(window, 'resize', () => this.draw())
+
+		this.updateControls()
+	}
+
+	/**
+	 * Returns the lane element
+	 * @returns {HTMLDivElement}
+	*/
+	getElement() {
+		return this.element
+	}
+
+	/**
+	 * Returns the detect and marker buttons
+	 * @returns {HTMLDivElement}
+	*/
+	getControls() {
+		return this.controls
+	}
+
+	/**
+	 * Returns the visible time range (matching the waveform when there is one)
+	 * @returns {[number, number]} - The start and end of the visible range in seconds
+	*/
+	getVisibleRange() {
+		return this.player.waveform?.getVisibleRange() ?? [0, this.song.getDuration()]
+	}
+
+	/**
+	 * Converts an x position in CSS pixels to a time
+	 * @param {number} x - An x position relative to the canvas
+	 * @returns {number}
+	*/
+	xToTime(x) {
+		const [start, end] = this.getVisibleRange()
+		return start + (x / (this.canvas.clientWidth || 1)) * (end - start)
+	}
+
+	/**
+	 * Returns the detected chord at a time
+	 * @param {number} time - A time in seconds
+	 * @returns {import('./ChordDetector.js').DetectedChord|undefined}
+	*/
+	getChordAt(time) {
+		return this.song.chords?.find(chord => time >= chord.start && time < chord.end)
+	}
+
+	/**
+	 * Runs chord detection and redraws
+	 * @returns {Promise<void>}
+	*/
+	async detect() {
+		this.detectButton.disabled = true
+		this.detectButton.textContent = 'Detecting chords...'
+
+		try {
+			await this.song.detectChords()
+		} catch (error) {
+			Sentry.captureException(error)
+			new Notification(`Unable to detect chords: ${error.message}`, 'error')
+		} finally {
+			this.updateControls()
+			this.draw()
+		}
+	}
+
+	/**
+	 * Syncs the buttons with the song's chords
+	 * @returns {void}
+	*/
+	updateControls() {
+		if (!this.element) return
+
+		const hasChords = Boolean(this.song.chords?.length)
+		this.element.classList.toggle('empty', !hasChords)
+		this.detectButton.disabled = Boolean(this.song.detectingChords)
+		this.detectButton.textContent = hasChords ? 'Re-detect chords' : 'Detect chords'
+		this.markersButton.disabled = !hasChords
+		this.canvas.ariaLabel = hasChords
+			? `Chords: ${this.song.chords.map(chord => this.song.getChordName(chord)).join(', ')}`
+			: 'No chords detected'
+	}
+
+	/**
+	 * Draws the chords in the visible range
+	 * @returns {void}
+	*/
+	draw() {
+		const canvas = this.canvas
+		const ctx = canvas?.getContext('2d')
+		if (!ctx || !canvas.isConnected) return
+
+		const cssWidth = canvas.clientWidth
+		const cssHeight = ChordLane.HEIGHT
+		const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1))
+		if (canvas.width !== cssWidth * dpr) canvas.width = cssWidth * dpr
+		if (canvas.height !== cssHeight * dpr) canvas.height = cssHeight * dpr
+
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+		ctx.clearRect(0, 0, cssWidth, cssHeight)
+
+		const [start, end] = this.getVisibleRange()
+		if (!this.song.chords?.length || end <= start) return
+
+		const styles = getComputedStyle(document.documentElement)
+		const textColor = styles.getPropertyValue('--text-neutral').trim() || '#000'
+		const activeColor = styles.getPropertyValue('--primary').trim() || '#007bff'
+		const current = this.getChordAt(this.player.getCurrentTime())
+		const timeToX = (time) => ((time - start) / (end - start)) * cssWidth
+
+		ctx.font = '13px sans-serif'
+		ctx.textBaseline = 'middle'
+		ctx.lineWidth = 1
+
+		this.song.chords.forEach(chord => {
+			if (chord.end < start || chord.start > end) return
+
+			const x1 = Math.max(0, timeToX(chord.start))
+			const x2 = Math.min(cssWidth, timeToX(chord.end))
+			const isCurrent = chord === current
+
+			ctx.globalAlpha = isCurrent ? 0.3 : 0.08
+			ctx.fillStyle = isCurrent ? activeColor : textColor
+			ctx.fillRect(x1, 0, x2 - x1, cssHeight)
+
+			// Chord boundary
+			ctx.globalAlpha = 0.4
+			ctx.strokeStyle = textColor
+			ctx.beginPath()
+			ctx.moveTo(Math.round(x1) + 0.5, 0)
+			ctx.lineTo(Math.round(x1) + 0.5, cssHeight)
+			ctx.stroke()
+
+			// Only label chords wide enough to read
+			if (x2 - x1 > 18) {
+				ctx.globalAlpha = 1
+				ctx.fillStyle = textColor
+				ctx.fillText(this.song.getChordName(chord), x1 + 4, cssHeight / 2, x2 - x1 - 6)
+			}
+		})
+
+		ctx.globalAlpha = 1
+	}
+}
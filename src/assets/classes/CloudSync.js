@@ -0,0 +1,520 @@
+import { Modal } from './Modal.js'
+import { Notification } from './Notification.js'
+import { AUTH_API_BASE } from '../../globals.js'
+
+/**
+ * @typedef {Object} RemoteChange
+ * @property {string} store - The name of the record's store (see SYNCED_STORES)
+ * @property {string} id - The record key
+ * @property {number} rev - The record's revision on the server (when uploading, the revision the change is based on)
+ * @property {number} updatedAt - When the record was changed (milliseconds since the epoch)
+ * @property {boolean} deleted - Whether the record was deleted
+ * @property {Object|null} record - The record, without its revision (null if it was deleted)
+*/
+
+/**
+ * @typedef {Object} SyncConflict
+ * @property {import('./SyncManager.js').QueuedChange} local - The change made on this device
+ * @property {RemoteChange} mine - The change made on this device, as it was uploaded
+ * @property {RemoteChange} theirs - The server's copy of the record (changed on another device)
+*/
+
+/**
+ * Syncs the BandBook with the cloud in both directions
+ *
+ * Every change to a synced record is queued (see SyncManager.putSynced), so changes made offline are uploaded once the
+ * connection is back. Each record has a revision: the server refuses a change based on an old revision (the record was
+ * changed on another device since), and the user chooses which version to keep.
+ *
+ * The API (mock-api/server.mjs is a local mock of it):
+ * - `POST /sync/push` with `{ changes: RemoteChange[] }` (each `rev` is the revision the change is based on, and `bookId`
+ *   the book the record belongs to, or null for the user's own records) responds with `{ applied: Array<{ store, id, rev }>,
+ *   conflicts: RemoteChange[], rejected: RemoteChange[] }` (the server's copy of each record it refused because it changed
+ *   on another device, or because the user isn't allowed to change it)
+ * - `GET /sync/pull?since=<cursor>` responds with `{ cursor, changes: RemoteChange[], books }` (the latest change to each
+ *   record since the cursor, including the books shared with the user, and the user's role in each shared book)
+*/
+export class CloudSync {
+	/**
+	 * How often to sync, to download changes made on other devices (in milliseconds)
+	 * @type {number}
+	*/
+	static SYNC_INTERVAL = 5 * 60 * 1000
+
+	/**
+	 * How long to wait for changes to stop before uploading them (in milliseconds)
+	 * @type {number}
+	*/
+	static SYNC_DELAY = 2000
+
+	/**
+	 * The most changes uploaded in one request
+	 * @type {number}
+	*/
+	static BATCH_SIZE = 100
+
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * Settles when the sync in progress is done (null if none is)
+	 * @type {Promise<void>|null}
+	*/
+	syncing = null
+
+	/**
+	 * Whether to sync again once the sync in progress is done (something changed during it)
+	 * @type {boolean}
+	 * @default false
+	*/
+	syncAgain = false
+
+	/**
+	 * The timer of a pending sync
+	 * @type {number|null}
+	*/
+	timer = null
+
+	/**
+	 * Whether the conflicts modal is open (new conflicts wait for it to close)
+	 * @type {boolean}
+	 * @default false
+	*/
+	resolving = false
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor(bandbook) {
+		this.bandbook = bandbook
+
+		window.addEventListener('online', () => this.sync())
+		setInterval(() => this.sync(), CloudSync.SYNC_INTERVAL)
+	}
+
+	/**
+	 * Returns whether this tab can sync now (only the leader tab syncs, when the user is logged in and online)
+	 * @returns {boolean}
+	*/
+	canSync() {
+		return Boolean(this.bandbook.authManager?.isLoggedIn) && navigator.onLine && Boolean(this.bandbook.tabSync?.isLeader)
+	}
+
+	/**
+	 * Syncs once changes stop being made
+	 * @returns {void}
+	*/
+	schedule() {
+		clearTimeout(this.timer)
+		this.timer = setTimeout(() => this.sync(), CloudSync.SYNC_DELAY)
+	}
+
+	/**
+	 * Uploads queued changes, then downloads changes made on other devices
+	 * Syncs run one at a time (a sync requested during one runs after it)
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.keepalive=false] - Whether uploads should finish even if the page is closed
+	 * @returns {Promise<void>}
+	*/
+	sync({ keepalive = false } = {}) {
+		clearTimeout(this.timer)
+		if (!this.canSync()) return Promise.resolve()
+
+		if (this.syncing) {
+			this.syncAgain = true
+			return this.syncing
+		}
+
+		this.syncing = this.run(keepalive).finally(() => {
+			this.syncing = null
+
+			if (this.syncAgain) {
+				this.syncAgain = false
+				this.sync()
+			}
+		})
+
+		return this.syncing
+	}
+
+	/**
+	 * Runs a sync
+	 * @param {boolean} keepalive - Whether uploads should finish even if the page is closed
+	 * @returns {Promise<void>}
+	*/
+	async run(keepalive) {
+		try {
+			const conflicts = await this.push(keepalive)
+
+			// A change refused on upload is downloaded as well
+			for (const conflict of await this.pull()) {
+				if (!conflicts.some(({ local }) => local.key === conflict.local.key)) conflicts.push(conflict)
+			}
+
+			if (conflicts.length) this.openConflictsModal(conflicts)
+
+			// Audio is uploaded separately, so large files don't hold up syncing everything else
+			this.bandbook.audioSync?.uploadPending()
+		} catch (error) {
+			// A network error means the connection dropped, and a 401 that the user has to log in again:
+			// either way the changes stay queued for the next sync
+			if (error instanceof TypeError || error.status === 401) return
+
+			Sentry.captureException(error)
+			console.error('Error syncing with the cloud:', error)
+		}
+	}
+
+	/**
+	 * Sends a request to the API (as the logged in user)
+	 * @param {string} path - The path (after AUTH_API_BASE)
+	 * @param {RequestInit} [options={}] - Fetch options (the body is JSON unless another Content-Type is given)
+	 * @param {boolean} [retry=true] - Whether to refresh the session and try again if it has expired
+	 * @returns {Promise<Response>}
+	 * @throws {Error} - If the response isn't ok (with the status code as `status`)
+	*/
+	async fetch(path, options = {}, retry = true) {
+		const { authManager } = this.bandbook
+		const response = await fetch(`${AUTH_API_BASE}${path}`, {
+			...options,
+			headers: { 'Content-Type': 'application/json', ...options.headers },
+			credentials: 'include'
+		})
+
+		// The session expired: refresh it, or ask the user to log in again (nothing queued is lost either way)
+		if (response.status === 401) {
+			if (retry && await authManager.attemptRefresh()) return this.fetch(path, options, false)
+			authManager.onSessionExpired()
+		}
+
+		if (!response.ok) {
+			const error = new Error(`Sync request failed (${response.status})`)
+			error.status = response.status
+			throw error
+		}
+
+		return response
+	}
+
+	/**
+	 * Sends a request to the API and returns the JSON response
+	 * @param {string} path - The path (after AUTH_API_BASE)
+	 * @param {RequestInit} [options={}] - Fetch options
+	 * @returns {Promise<any>} - The response body
+	 * @throws {Error} - If the response isn't ok
+	*/
+	async request(path, options = {}) {
+		const response = await this.fetch(path, options)
+		return response.json()
+	}
+
+	/**
+	 * Returns the uploadable form of a queued change
+	 * @param {import('./SyncManager.js').QueuedChange} change - A queued change
+	 * @param {Map<string, string>} [bookIds=new Map()] - The book of each record (see SyncManager.getRecordBookIds)
+	 * @returns {Promise<RemoteChange & { bookId: string|null }>}
+	*/
+	async getUpload(change, bookIds = new Map()) {
+		const stored = change.deleted ? null : await this.bandbook.syncManager.getSyncedRecord(change.store, change.id)
+		const { rev, updatedAt, ...record } = stored ?? {}
+
+		return {
+			store: change.store,
+			id: change.id,
+			rev: change.rev,
+			updatedAt: updatedAt ?? Date.now(),
+			deleted: !stored,
+			record: stored ? record : null,
+			// Records outside a book (tags, settings and private markers) are only the user's
+			bookId: bookIds.get(change.key) ?? null
+		}
+	}
+
+	/**
+	 * Uploads the queued changes
+	 * @param {boolean} [keepalive=false] - Whether the uploads should finish even if the page is closed
+	 * @returns {Promise<SyncConflict[]>} - The changes the server refused (the records were changed on another device)
+	*/
+	async push(keepalive = false) {
+		const { syncManager } = this.bandbook
+		const queued = await syncManager.getQueuedChanges()
+		if (!queued.length) return []
+
+		const bookIds = await syncManager.getRecordBookIds()
+		const conflicts = []
+		const denied = []
+		const undone = []
+
+		for (let i = 0; i < queued.length; i += CloudSync.BATCH_SIZE) {
+			const batch = queued.slice(i, i + CloudSync.BATCH_SIZE)
+			const uploads = await Promise.all(batch.map(change => this.getUpload(change, bookIds)))
+
+			const { applied = [], conflicts: refused = [], rejected = [] } = await this.request('/sync/push', {
+				method: 'POST',
+				body: JSON.stringify({ changes: uploads }),
+				keepalive
+			})
+
+			const getIndex = ({ store, id }) => batch.findIndex(change => change.store === store && change.id === id)
+
+			for (const { store, id, rev } of applied) {
+				const change = batch[getIndex({ store, id })]
+				if (change) await syncManager.onChangeUploaded(change, rev)
+			}
+
+			for (const theirs of refused) {
+				const index = getIndex(theirs)
+				if (index === -1) continue
+
+				// The same change was made on both devices, so there is nothing to choose
+				if (CloudSync.isSameChange(uploads[index], theirs)) {
+					await syncManager.onChangeUploaded(batch[index], theirs.rev)
+					continue
+				}
+
+				conflicts.push({ local: batch[index], mine: uploads[index], theirs })
+			}
+
+			denied.push(...rejected.filter(theirs => getIndex(theirs) !== -1))
+		}
+
+		// Undoing a song that was never uploaded would delete it and its audio, so it is moved to a book of the user's own
+		// instead (once every batch is in, since its markers are queued, and rejected, before it)
+		const newSongIds = denied.filter(theirs => theirs.store === 'songs' && !theirs.rev).map(theirs => theirs.id)
+		const moved = newSongIds.length ? await syncManager.moveSongsToNewBooks(newSongIds) : new Set()
+		const movedCount = newSongIds.filter(id => moved.has(`songs/${id}`)).length
+
+		if (movedCount) {
+			new Notification(`${movedCount} song${movedCount === 1 ? '' : 's'} you don't have permission to add to a shared book ${movedCount === 1 ? 'was' : 'were'} moved to a new book`, 'warning', true)
+		}
+
+		// Changes the user isn't allowed to make (e.g. as a viewer of a shared book) are undone
+		for (const theirs of denied) {
+			if (moved.has(`${theirs.store}/${theirs.id}`)) continue
+
+			await syncManager.applyRemoteChange(theirs)
+			undone.push(theirs)
+		}
+
+		if (undone.length) {
+			new Notification(`${undone.length} change${undone.length === 1 ? ' was' : 's were'} undone: you don't have permission to edit that book`, 'warning')
+			this.onRemoteChanges(undone)
+		}
+
+		return conflicts
+	}
+
+	/**
+	 * Downloads the changes made on other devices since the last sync
+	 * @returns {Promise<SyncConflict[]>} - The downloaded changes to records that were also changed here (they aren't saved)
+	*/
+	async pull() {
+		const { syncManager } = this.bandbook
+		const since = await syncManager.getSyncState('cursor') ?? 0
+		const { cursor, changes = [], books = [] } = await this.request(`/sync/pull?since=${encodeURIComponent(since)}`)
+
+		const queued = new Map((await syncManager.getQueuedChanges()).map(change => [change.key, change]))
+		const conflicts = []
+		const applied = []
+		const added = []
+
+		for (const theirs of changes) {
+			const local = queued.get(`${theirs.store}/${theirs.id}`)
+
+			// Changed here as well (since the revision the change is based on)
+			if (local) {
+				if (theirs.rev <= local.rev) continue
+
+				const mine = await this.getUpload(local)
+				if (CloudSync.isSameChange(mine, theirs)) {
+					await syncManager.onChangeUploaded(local, theirs.rev)
+				} else {
+					conflicts.push({ local, mine, theirs })
+				}
+				continue
+			}
+
+			// Already saved here (e.g. this device's own upload)
+			const current = await syncManager.getSyncedRecord(theirs.store, theirs.id)
+			if (current && current.rev >= theirs.rev) continue
+
+			await syncManager.applyRemoteChange(theirs)
+			applied.push(theirs)
+			if (!current) added.push(theirs)
+		}
+
+		await syncManager.setSyncState('cursor', cursor)
+		await this.bandbook.sharingManager?.setBooks(books)
+		this.bandbook.sharingManager?.notifyMentions(added)
+		this.onRemoteChanges(applied)
+
+		return conflicts
+	}
+
+	/**
+	 * Updates this tab and the others after changes from other devices are saved
+	 * @param {RemoteChange[]} changes - The saved changes
+	 * @returns {void}
+	*/
+	onRemoteChanges(changes) {
+		const { bandbook } = this
+
+		if (changes.some(change => change.store === 'settings')) {
+			bandbook.settingsManager.reload()
+			bandbook.tabSync.broadcast({ type: 'settings' })
+		}
+
+		// It isn't known which books the songs and markers are in, so every tab reloads its book
+		if (changes.some(change => change.store !== 'settings')) {
+			bandbook.tabSync.scheduleReload()
+			bandbook.tabSync.broadcast({ type: 'sync' })
+		}
+	}
+
+	/**
+	 * Returns whether two changes leave a record the same
+	 * @param {RemoteChange} a - A change
+	 * @param {RemoteChange} b - Another change to the same record
+	 * @returns {boolean}
+	*/
+	static isSameChange(a, b) {
+		if (a.deleted || b.deleted) return a.deleted === b.deleted
+		return JSON.stringify(a.record) === JSON.stringify(b.record)
+	}
+
+	/**
+	 * Returns a readable description of a changed record
+	 * @param {RemoteChange} change - A change
+	 * @returns {string}
+	*/
+	static getLabel({ store, id, record }) {
+		const data = typeof record?.data === 'string' ? JSON.parse(record.data) : null
+
+		switch (store) {
+			case 'books': return `Book: ${record?.name ?? id}`
+			case 'songs': return `Song: ${data?.title ?? id}`
+			case 'markers': return `Marker: ${data?.title ?? id}`
+			case 'tags': return `Tag: ${id}`
+			case 'settings': return 'Settings'
+			case 'setlists': return `Setlist: ${record?.name ?? id}`
+			case 'comments': return `Comment: ${data?.text ?? id}`
+			default: return `${store}: ${id}`
+		}
+	}
+
+	/**
+	 * Returns a short description of a change (e.g. "Deleted 3/4/2025, 10:00:00 AM" or "Changed title, notes ...")
+	 * @param {RemoteChange} change - A change
+	 * @param {RemoteChange} other - The other change to the same record
+	 * @returns {string}
+	*/
+	static describe(change, other) {
+		const time = new Date(change.updatedAt).toLocaleString()
+		if (change.deleted) return `deleted ${time}`
+		if (other.deleted) return `changed ${time}`
+
+		// Songs and markers keep their fields in a JSON string, settings in an object
+		const parse = (record) => typeof record.data === 'string' ? JSON.parse(record.data) : record.data ?? record
+		const fields = parse(change.record)
+		const otherFields = parse(other.record)
+		const changed = [...new Set([...Object.keys(fields), ...Object.keys(otherFields)])]
+			.filter(key => JSON.stringify(fields[key]) !== JSON.stringify(otherFields[key]))
+
+		return changed.length ? `changed ${time} (${changed.join(', ')})` : `changed ${time}`
+	}
+
+	/**
+	 * Asks the user which version of each conflicting record to keep, then saves the choices and syncs again
+	 * Closing the modal leaves the conflicts unresolved (they come back on the next sync)
+	 * @param {SyncConflict[]} conflicts - The conflicts
+	 * @returns {void}
+	*/
+	openConflictsModal(conflicts) {
+		if (this.resolving) return
+		this.resolving = true
+
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = 'Sync Conflicts'
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('merge-conflicts')
+
+		const copy = document.createElement('p')
+		copy.textContent = `${conflicts.length} ${conflicts.length === 1 ? 'item was' : 'items were'} changed on this device and on another device since the last sync. Choose which version to keep.`
+		modalContent.appendChild(copy)
+
+		const choices = [
+			['mine', 'Keep this device\'s'],
+			['theirs', 'Take the other device\'s']
+		]
+
+		const list = document.createElement('ul')
+		const selects = conflicts.map(({ mine, theirs }) => {
+			const item = document.createElement('li')
+			const label = document.createElement('label')
+			label.textContent = CloudSync.getLabel(mine.deleted ? theirs : mine)
+
+			const select = document.createElement('select')
+			choices.forEach(([value, text]) => {
+				const option = document.createElement('option')
+				option.value = value
+				option.textContent = text
+				select.appendChild(option)
+			})
+
+			const details = document.createElement('small')
+			details.textContent = `This device: ${CloudSync.describe(mine, theirs)}. Other device: ${CloudSync.describe(theirs, mine)}.`
+
+			label.appendChild(select)
+			item.appendChild(label)
+			item.appendChild(details)
+			list.appendChild(item)
+			return select
+		})
+		modalContent.appendChild(list)
+
+		// Set every conflict at once
+		const actions = document.createElement('div')
+		actions.classList.add('merge-actions')
+		choices.forEach(([value, text]) => {
+			const button = document.createElement('button')
+			button.textContent = `${text} (all)`
+			button.addEventListener('click', () => selects.forEach(select => select.value = value))
+			actions.appendChild(button)
+		})
+
+		const modal = new Modal(modalHeader, modalContent, { useForm: false }, () => {
+			this.resolving = false
+		})
+
+		const applyButton = document.createElement('button')
+		applyButton.textContent = 'Apply'
+		applyButton.addEventListener('click', async () => {
+			modal.remove()
+
+			try {
+				const taken = []
+				for (const [i, { local, theirs }] of conflicts.entries()) {
+					if (selects[i].value === 'theirs') {
+						await this.bandbook.syncManager.applyRemoteChange(theirs)
+						taken.push(theirs)
+					} else {
+						await this.bandbook.syncManager.rebaseChange(local, theirs.rev)
+					}
+				}
+
+				this.onRemoteChanges(taken)
+				await this.sync()
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Error resolving sync conflicts: ${error.message}`, 'error', true)
+			}
+		})
+		actions.appendChild(applyButton)
+		modalContent.appendChild(actions)
+	}
+}
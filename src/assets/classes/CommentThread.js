@@ -0,0 +1,335 @@
+import { Notification } from './Notification.js'
+
+/**
+ * @typedef {Object} CommentData
+ * @property {string} id - The comment ID
+ * @property {string} markerId - The ID of the marker the comment is on
+ * @property {string} text - The comment
+ * @property {number} createdAt - When the comment was written (milliseconds since the epoch)
+ * @property {boolean} resolved - Whether the comment has been dealt with
+ * @property {string|null} [resolvedBy] - The email of the member who resolved the comment
+ * @property {string[]} mentions - The emails of the members mentioned in the comment
+ * @property {string} [createdBy] - The email of the comment's author (missing if it was written while logged out)
+*/
+
+/**
+ * The comments on a marker (e.g. "bass came in early here"), which any member of a shared book can add to
+ *
+ * Members are mentioned with an @ and the start of their email address (e.g. @sam for sam@example.com), or the whole address.
+ * Comments can be resolved once they have been dealt with, and the marker list shows how many haven't been.
+*/
+export class CommentThread {
+	/**
+	 * Matches mentions: an @ and the start of an email address, or a whole address
+	 * @type {RegExp}
+	*/
+	static MENTION_PATTERN = /@([\w.+-]+(?:@[\w-]+(?:\.[\w-]+)+)?)/g
+
+	/**
+	 * The marker the comments are on
+	 * @type {import('./Marker.js').Marker}
+	*/
+	marker
+
+	/**
+	 * The comments, oldest first
+	 * @type {CommentData[]}
+	*/
+	comments = []
+
+	/**
+	 * The rendered thread (null until it is shown)
+	 * @type {HTMLElement|null}
+	*/
+	element = null
+
+	/**
+	 * @constructor
+	 * @param {import('./Marker.js').Marker} marker - The marker the comments are on
+	 * @param {CommentData[]} [comments=[]] - The saved comments
+	*/
+	constructor(marker, comments = []) {
+		this.marker = marker
+		this.comments = comments
+	}
+
+	/**
+	 * Returns how many comments haven't been resolved
+	 * @returns {number}
+	*/
+	getUnresolvedCount() {
+		return this.comments.filter(comment => !comment.resolved).length
+	}
+
+	/**
+	 * Returns the email of the user (null if they are logged out)
+	 * @returns {string|null}
+	*/
+	getUserEmail() {
+		return this.marker.song.bandbook.authManager?.user?.email ?? null
+	}
+
+	/**
+	 * Returns who wrote a comment ("You" for the user)
+	 * @param {CommentData} comment - A comment
+	 * @returns {string}
+	*/
+	getAuthorLabel(comment) {
+		return !comment.createdBy || comment.createdBy === this.getUserEmail() ? 'You' : comment.createdBy
+	}
+
+	/**
+	 * Returns whether the user can resolve and delete a comment (their own, or any if they can edit the book)
+	 * @param {CommentData} comment - A comment
+	 * @returns {boolean}
+	*/
+	canModerate(comment) {
+		return !comment.createdBy || comment.createdBy === this.getUserEmail() || this.marker.canEdit()
+	}
+
+	/**
+	 * Adds a comment
+	 * @param {string} text - The comment
+	 * @returns {Promise<void>}
+	*/
+	async add(text) {
+		const { sharingManager, syncManager } = this.marker.song.bandbook
+		const members = await sharingManager.getMembers()
+
+		/** @type {CommentData} */
+		const comment = {
+			id: crypto.randomUUID(),
+			markerId: this.marker.id,
+			text,
+			createdAt: Date.now(),
+			resolved: false,
+			mentions: CommentThread.getMentions(text, members)
+		}
+
+		await syncManager.createComment(this.marker, comment)
+		this.comments.push({ ...comment, ...(this.getUserEmail() && { createdBy: this.getUserEmail() }) })
+	}
+
+	/**
+	 * Resolves or reopens a comment (the comment only changes once it is saved)
+	 * @param {CommentData} comment - A comment
+	 * @param {boolean} resolved - Whether the comment is resolved
+	 * @returns {Promise<void>}
+	*/
+	async setResolved(comment, resolved) {
+		const changes = { resolved, resolvedBy: resolved ? this.getUserEmail() : null }
+		await this.marker.song.bandbook.syncManager.updateComment(this.marker, { ...comment, ...changes })
+		Object.assign(comment, changes)
+	}
+
+	/**
+	 * Deletes a comment
+	 * @param {CommentData} comment - A comment
+	 * @returns {Promise<void>}
+	*/
+	async delete(comment) {
+		await this.marker.song.bandbook.syncManager.deleteComment(this.marker, comment.id)
+		this.comments = this.comments.filter(c => c !== comment)
+	}
+
+	/**
+	 * Returns the thread, with a form to add a comment
+	 * @returns {HTMLElement}
+	*/
+	getElement() {
+		this.element = document.createElement('section')
+		this.element.classList.add('comment-thread')
+		this.render()
+		return this.element
+	}
+
+	/**
+	 * Renders the thread
+	 * @returns {void}
+	*/
+	render() {
+		if (!this.element) return
+
+		const heading = document.createElement('h3')
+		const unresolved = this.getUnresolvedCount()
+		heading.textContent = unresolved ? `Comments (${unresolved} unresolved)` : 'Comments'
+
+		const list = document.createElement('ul')
+		list.classList.add('comment-list')
+		this.comments.forEach(comment => list.appendChild(this.getCommentElement(comment)))
+
+		this.element.replaceChildren(heading, list, this.getNewCommentFields())
+	}
+
+	/**
+	 * Returns a comment as a list item
+	 * @param {CommentData} comment - A comment
+	 * @returns {HTMLLIElement}
+	*/
+	getCommentElement(comment) {
+		const { sharingManager } = this.marker.song.bandbook
+		const item = document.createElement('li')
+		item.classList.add('comment')
+		if (comment.resolved) item.classList.add('resolved')
+		if (comment.mentions?.includes(this.getUserEmail())) item.classList.add('mentions-you')
+
+		const meta = document.createElement('p')
+		meta.classList.add('comment-meta')
+		meta.textContent = `${this.getAuthorLabel(comment)}, ${new Date(comment.createdAt).toLocaleString()}`
+		if (comment.resolved) {
+			meta.textContent += comment.resolvedBy ? ` - resolved by ${sharingManager.getMemberLabel(comment.resolvedBy)}` : ' - resolved'
+		}
+		item.appendChild(meta)
+
+		const text = document.createElement('p')
+		text.classList.add('comment-text')
+		text.appendChild(this.getCommentText(comment))
+		item.appendChild(text)
+
+		if (this.canModerate(comment)) {
+			const actions = document.createElement('div')
+			actions.classList.add('comment-actions')
+
+			const resolveButton = document.createElement('button')
+			resolveButton.type = 'button'
+			resolveButton.textContent = comment.resolved ? 'Reopen' : 'Resolve'
+			resolveButton.addEventListener('click', async () => {
+				resolveButton.disabled = true
+
+				try {
+					await this.setResolved(comment, !comment.resolved)
+					this.render()
+				} catch (error) {
+					Sentry.captureException(error)
+					new Notification(`Error ${comment.resolved ? 'reopening' : 'resolving'} comment: ${error.message}`, 'error')
+					resolveButton.disabled = false
+				}
+			})
+
+			const deleteButton = document.createElement('button')
+			deleteButton.type = 'button'
+			deleteButton.textContent = 'Delete'
+			deleteButton.addEventListener('click', async () => {
+				if (!confirm('Are you sure you want to delete this comment?')) return
+				deleteButton.disabled = true
+
+				try {
+					await this.delete(comment)
+					this.render()
+				} catch (error) {
+					Sentry.captureException(error)
+					new Notification(`Error deleting comment: ${error.message}`, 'error')
+					deleteButton.disabled = false
+				}
+			})
+
+			actions.appendChild(resolveButton)
+			actions.appendChild(deleteButton)
+			item.appendChild(actions)
+		}
+
+		return item
+	}
+
+	/**
+	 * Returns a comment's text, with its mentions highlighted
+	 * @param {CommentData} comment - A comment
+	 * @returns {DocumentFragment}
+	*/
+	getCommentText(comment) {
+		const fragment = document.createDocumentFragment()
+		let index = 0
+
+		for (const match of comment.text.matchAll(CommentThread.MENTION_PATTERN)) {
+			const [email] = CommentThread.getMentions(match[0], (comment.mentions ?? []).map(email => ({ email })))
+			if (!email) continue
+
+			fragment.appendChild(document.createTextNode(comment.text.slice(index, match.index)))
+
+			const mention = document.createElement('mark')
+			mention.classList.add('mention')
+			mention.title = email
+			mention.textContent = match[0]
+			fragment.appendChild(mention)
+
+			index = match.index + match[0].length
+		}
+
+		fragment.appendChild(document.createTextNode(comment.text.slice(index)))
+		return fragment
+	}
+
+	/**
+	 * Returns the fields to add a comment
+	 * @returns {HTMLDivElement}
+	*/
+	getNewCommentFields() {
+		const { sharingManager } = this.marker.song.bandbook
+
+		const wrapper = document.createElement('div')
+		wrapper.classList.add('new-comment')
+
+		const input = document.createElement('textarea')
+		input.name = 'marker-comment'
+		input.rows = 2
+		input.ariaLabel = 'New comment'
+		input.placeholder = sharingManager.isShared() ? 'Add a comment (@ to mention a bandmate)' : 'Add a comment'
+
+		const commentButton = document.createElement('button')
+		commentButton.type = 'button'
+		commentButton.textContent = 'Comment'
+		commentButton.addEventListener('click', async () => {
+			const text = input.value.trim()
+			if (!text) return
+
+			commentButton.disabled = true
+
+			try {
+				await this.add(text)
+				this.render()
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Error adding comment: ${error.message}`, 'error')
+				commentButton.disabled = false
+			}
+		})
+
+		wrapper.appendChild(input)
+		wrapper.appendChild(commentButton)
+
+		// The members who can be mentioned (loaded from the server, so only when online)
+		sharingManager.getMembers().then(members => {
+			const others = members.filter(member => member.email !== this.getUserEmail())
+			if (!others.length) return
+
+			const hint = document.createElement('small')
+			hint.textContent = `Mention: ${others.map(member => `@${CommentThread.getHandle(member.email)}`).join(', ')}`
+			wrapper.appendChild(hint)
+		})
+
+		return wrapper
+	}
+
+	/**
+	 * Returns how a member is mentioned: the start of their email address (e.g. "sam" for sam@example.com)
+	 * @param {string} email - The member's email
+	 * @returns {string}
+	*/
+	static getHandle(email) {
+		return email.split('@')[0].toLowerCase()
+	}
+
+	/**
+	 * Returns the members mentioned in a comment
+	 * @param {string} text - The comment
+	 * @param {Array<{ email: string }>} members - The book's members
+	 * @returns {string[]} - The emails of the mentioned members
+	*/
+	static getMentions(text, members) {
+		const mentioned = [...text.matchAll(CommentThread.MENTION_PATTERN)].map(match => match[1].toLowerCase().replace(/\.$/, ''))
+
+		return members
+			.map(member => member.email)
+			.filter(email => mentioned.some(mention => mention === email.toLowerCase() || mention === CommentThread.getHandle(email)))
+	}
+}
@@ -0,0 +1,457 @@
+import { Marker } from './Marker.js'
+import { Encoder } from './Encoder.js'
+import { Notification } from './Notification.js'
+import { decodeAudio } from '../utils.js'
+
+/**
+ * @typedef {'cut'|'trim'|'fade-in'|'fade-out'|'gain'} AudioEditType
+*/
+
+/**
+ * A non-destructive edit, applied on top of the edits before it
+ * @typedef {Object} AudioEdit
+ * @property {AudioEditType} type - What the edit does
+ * @property {number} start - The start of the edited range in seconds (on the timeline left by the previous edits)
+ * @property {number} end - The end of the edited range in seconds
+ * @property {number} [gain] - The gain change in dB (gain edits only)
+ * @property {import('./Song.js').MarkerData[]} [removedMarkers] - Markers removed by a cut or trim (restored on undo)
+*/
+
+/**
+ * The stack of edits (cuts, trims, fades and gain changes) applied to a song's untouched original audio
+ *
+ * - Playback, the waveform, analysis and exports use the rendered result
+ * - Markers are moved (or removed) with each edit so they keep pointing at the same audio
+ * - Every edit can be undone and redone, and reverting undoes them all
+*/
+export class EditList {
+	/**
+	 * Labels for each edit type
+	 * @type {Object<AudioEditType, string>}
+	*/
+	static LABELS = {
+		cut: 'Cut',
+		trim: 'Trim',
+		'fade-in': 'Fade in',
+		'fade-out': 'Fade out',
+		gain: 'Gain'
+	}
+
+	/** @type {AudioEdit[]} */
+	edits = []
+
+	/**
+	 * Undone edits, most recently undone last (cleared by a new edit)
+	 * @type {AudioEdit[]}
+	*/
+	undone = []
+
+	/**
+	 * Whether an edit is being applied
+	 * @type {boolean}
+	*/
+	busy = false
+
+	/** @type {HTMLDivElement|null} */
+	controls = null
+
+	/**
+	 * @constructor
+	 * @param {import('./Song.js').Song} song - The Song instance the edits belong to
+	 * @param {AudioEdit[]} [edits=[]] - Previously saved edits
+	*/
+	constructor(song, edits = []) {
+		this.song = song
+		this.edits = Array.isArray(edits) ? edits.filter(edit => EditList.LABELS[edit?.type]) : []
+	}
+
+	/**
+	 * Returns the applied edits, as they are saved with the song (which is shared with the book's members)
+	 * Private markers removed by a cut or trim are left out, so they are only restored by an undo before the song is reloaded
+	 * @returns {AudioEdit[]}
+	*/
+	getEdits() {
+		return this.edits.map(({ removedMarkers, ...edit }) => removedMarkers
+			? { ...edit, removedMarkers: removedMarkers.filter(marker => !marker.private) }
+			: edit)
+	}
+
+	/**
+	 * @returns {boolean}
+	*/
+	hasEdits() {
+		return this.edits.length > 0
+	}
+
+	/**
+	 * @returns {boolean}
+	*/
+	canUndo() {
+		return !this.busy && this.edits.length > 0
+	}
+
+	/**
+	 * @returns {boolean}
+	*/
+	canRedo() {
+		return !this.busy && this.undone.length > 0
+	}
+
+	/**
+	 * Applies a new edit (clearing the redo stack)
+	 * @param {AudioEdit} edit - The edit to apply
+	 * @returns {Promise<void>}
+	 * @throws {Error} - If the edit is invalid
+	*/
+	async apply(edit) {
+		if (!EditList.LABELS[edit?.type]) throw new Error(`Unknown edit type: ${edit?.type}`)
+		if (!(edit.end > edit.start) || edit.start < 0) throw new Error('Invalid edit range')
+
+		await this.run(async () => {
+			const applied = { type: edit.type, start: edit.start, end: edit.end }
+			if (edit.type === 'gain') applied.gain = Number(edit.gain) || 0
+
+			applied.removedMarkers = this.updateMarkers(applied)
+			this.edits.push(applied)
+			this.undone = []
+		})
+	}
+
+	/**
+	 * Undoes the last edit
+	 * @returns {Promise<void>}
+	*/
+	async undo() {
+		if (!this.canUndo()) return
+
+		await this.run(async () => {
+			const edit = this.edits.pop()
+			await this.restoreMarkers(edit)
+			this.undone.push(edit)
+		})
+	}
+
+	/**
+	 * Redoes the last undone edit
+	 * @returns {Promise<void>}
+	*/
+	async redo() {
+		if (!this.canRedo()) return
+
+		await this.run(async () => {
+			const edit = this.undone.pop()
+			edit.removedMarkers = this.updateMarkers(edit)
+			this.edits.push(edit)
+		})
+	}
+
+	/**
+	 * Undoes every edit, going back to the original audio (the edits can still be redone)
+	 * @returns {Promise<void>}
+	*/
+	async revert() {
+		if (!this.canUndo()) return
+
+		await this.run(async () => {
+			while (this.edits.length) {
+				const edit = this.edits.pop()
+				await this.restoreMarkers(edit)
+				this.undone.push(edit)
+			}
+		})
+	}
+
+	/**
+	 * Runs a change to the edits, then saves them and re-renders the song's audio
+	 * @param {() => Promise<void>} change
+	 * @returns {Promise<void>}
+	*/
+	async run(change) {
+		const { bandbook } = this.song
+		if (!bandbook.sharingManager.requireEdit('edit the audio')) return
+
+		this.busy = true
+		this.updateControls()
+		bandbook.wrapper.classList.add('bandbook-loading')
+
+		try {
+			await change()
+			await bandbook.syncManager.updateSongEdits(this.song, this.getEdits())
+
+			// The saved render is only needed while there are edits (see renderSrc)
+			if (!this.hasEdits()) await bandbook.syncManager.updateRenderedSongSrc(this.song, null)
+			await this.song.onAudioEdited()
+		} finally {
+			this.busy = false
+			bandbook.wrapper.classList.remove('bandbook-loading')
+			this.updateControls()
+		}
+	}
+
+	/**
+	 * Moves the song's markers to match an edit, removing those in audio the edit removes
+	 * @param {AudioEdit} edit - The edit being applied
+	 * @returns {import('./Song.js').MarkerData[]} - The removed markers
+	*/
+	updateMarkers(edit) {
+		const { markerList, bandbook } = this.song
+		const removed = []
+
+		;[...markerList.markers].forEach(marker => {
+			const time = EditList.mapTime(edit, marker.time)
+
+			if (time === null) {
+				// Deleting the marker deletes its comments, so they are kept to be restored with it
+				removed.push({
+					...marker.getData(),
+					createdBy: marker.createdBy,
+					updatedBy: marker.updatedBy,
+					comments: marker.comments.comments
+				})
+				markerList.removeMarker(marker)
+				markerList.selectedMarkers.delete(marker)
+				bandbook.syncManager.deleteMarker(marker)
+			} else if (time !== marker.time) {
+				marker.time = time
+				bandbook.syncManager.updateMarkerTime(marker, time)
+			}
+		})
+
+		markerList.customSegmentBounds = null
+		return removed
+	}
+
+	/**
+	 * Moves the song's markers back to where they were before an edit and restores those it removed
+	 * @param {AudioEdit} edit - The edit being undone
+	 * @returns {Promise<void>}
+	*/
+	async restoreMarkers(edit) {
+		const { markerList, bandbook } = this.song
+
+		markerList.markers.forEach(marker => {
+			const time = EditList.unmapTime(edit, marker.time)
+			if (time !== marker.time) {
+				marker.time = time
+				bandbook.syncManager.updateMarkerTime(marker, time)
+			}
+		})
+
+		for (const data of edit.removedMarkers ?? []) {
+			const tags = await Promise.all((data.tags ?? []).map(name => bandbook.tagManager.getTag(name)))
+			const marker = new Marker(data.time, this.song, data.title, data.notes, tags, data.id, {
+				isPrivate: Boolean(data.private),
+				createdBy: data.createdBy,
+				updatedBy: data.updatedBy,
+				comments: data.comments
+			})
+			// Set the tags now (the constructor resolves tags asynchronously) so they are synced with the marker
+			marker.tags = tags
+			tags.forEach(tag => bandbook.tagManager.applyTag(tag, marker))
+			markerList.addMarker(marker)
+			await bandbook.syncManager.createMarker(marker)
+
+			// The comments keep their ids and authors
+			for (const comment of data.comments ?? []) {
+				await bandbook.syncManager.createComment(marker, comment)
+			}
+		}
+
+		edit.removedMarkers = []
+	}
+
+	/**
+	 * Maps a time from before an edit to after it
+	 * @param {AudioEdit} edit
+	 * @param {number} time - A time in seconds
+	 * @returns {number|null} - The new time, or null if the edit removes the audio at that time
+	*/
+	static mapTime(edit, time) {
+		switch (edit.type) {
+			case 'cut':
+				if (time < edit.start) return time
+				if (time <= edit.end) return null
+				return time - (edit.end - edit.start)
+			case 'trim':
+				if (time < edit.start || time > edit.end) return null
+				return time - edit.start
+			default:
+				return time
+		}
+	}
+
+	/**
+	 * Maps a time from after an edit back to before it
+	 * @param {AudioEdit} edit
+	 * @param {number} time - A time in seconds
+	 * @returns {number}
+	*/
+	static unmapTime(edit, time) {
+		switch (edit.type) {
+			case 'cut':
+				return time < edit.start ? time : time + (edit.end - edit.start)
+			case 'trim':
+				return time + edit.start
+			default:
+				return time
+		}
+	}
+
+	/**
+	 * Returns the duration of audio after edits
+	 * @param {AudioEdit[]} edits - The edits to apply, in order
+	 * @param {number} duration - The duration of the original audio in seconds
+	 * @returns {number}
+	*/
+	static getDuration(edits, duration) {
+		return edits.reduce((duration, edit) => {
+			const start = Math.min(duration, Math.max(0, edit.start))
+			const end = Math.min(duration, Math.max(start, edit.end))
+			if (edit.type === 'cut') return duration - (end - start)
+			if (edit.type === 'trim') return end - start
+			return duration
+		}, duration)
+	}
+
+	/**
+	 * Applies edits to decoded audio
+	 * @param {AudioBuffer} buffer - The original audio
+	 * @param {AudioEdit[]} edits - The edits to apply, in order
+	 * @returns {AudioBuffer} - A new buffer with the edits applied
+	*/
+	static render(buffer, edits) {
+		const { sampleRate } = buffer
+		let channels = Array.from({ length: buffer.numberOfChannels }, (_, i) => buffer.getChannelData(i).slice())
+
+		edits.forEach(edit => {
+			const length = channels[0].length
+			const start = Math.min(length, Math.max(0, Math.round(edit.start * sampleRate)))
+			const end = Math.min(length, Math.max(start, Math.round(edit.end * sampleRate)))
+			const span = end - start
+
+			switch (edit.type) {
+				case 'cut':
+					channels = channels.map(data => {
+						const cut = new Float32Array(length - span)
+						cut.set(data.subarray(0, start))
+						cut.set(data.subarray(end), start)
+						return cut
+					})
+					break
+				case 'trim':
+					channels = channels.map(data => data.slice(start, end))
+					break
+				case 'fade-in':
+				case 'fade-out':
+				case 'gain': {
+					const gain = 10 ** ((Number(edit.gain) || 0) / 20)
+					const getGain = {
+						'fade-in': (i) => i / span,
+						'fade-out': (i) => 1 - i / span,
+						gain: () => gain
+					}[edit.type]
+
+					channels.forEach(data => {
+						for (let i = 0; i < span; i++) data[start + i] *= getGain(i)
+					})
+					break
+				}
+			}
+		})
+
+		const rendered = new AudioBuffer({
+			numberOfChannels: channels.length,
+			length: Math.max(1, channels[0].length),
+			sampleRate
+		})
+		channels.forEach((data, i) => rendered.copyToChannel(data, i))
+		return rendered
+	}
+
+	/**
+	 * Returns what a render of edits depends on (markers removed by a cut don't change the audio)
+	 * @param {AudioEdit[]} edits - The edits
+	 * @returns {string}
+	*/
+	static getRenderKey(edits) {
+		return JSON.stringify(edits.map(({ type, start, end, gain }) => ({ type, start, end, gain })))
+	}
+
+	/**
+	 * Renders the edits over the song's original audio into a playable file
+	 * The render is saved until the edits (or the original audio) change, so opening the song doesn't render it again
+	 * @returns {Promise<{ src: Blob, srcType: string }>} - The original src when there are no edits
+	*/
+	async renderSrc() {
+		const { syncManager } = this.song.bandbook
+		const src = await this.song.getSrc()
+		if (!this.hasEdits()) return { src, srcType: this.song.srcType }
+
+		const key = EditList.getRenderKey(this.edits)
+		const saved = await syncManager.getRenderedSongSrc(this.song, key)
+		if (saved) return { src: saved, srcType: saved.type }
+
+		const rendered = EditList.render(await decodeAudio(src), this.edits)
+		const blob = await Encoder.encode(rendered, 'wav-16')
+
+		// The render can be made again, so not saving it (e.g. when storage is full) doesn't stop the song playing
+		await syncManager.updateRenderedSongSrc(this.song, key, blob).catch(error => {
+			console.error('Error saving rendered audio:', error)
+		})
+
+		return { src: blob, srcType: blob.type }
+	}
+
+	/**
+	 * Returns the undo, redo and revert buttons
+	 * @returns {HTMLDivElement}
+	*/
+	getControls() {
+		const controls = document.createElement('div')
+		controls.className = 'edit-history'
+
+		const addButton = (label, title, onClick) => {
+			const button = document.createElement('button')
+			button.textContent = label
+			button.title = title
+			button.addEventListener('click', async () => {
+				try {
+					await onClick()
+					this.song.bandbook.refresh()
+				} catch (error) {
+					Sentry.captureException(error)
+					new Notification(`Unable to update edits: ${error.message}`, 'error')
+				}
+			})
+			controls.appendChild(button)
+			return button
+		}
+
+		this.undoButton = addButton('Undo', 'Undo the last audio edit', () => this.undo())
+		this.redoButton = addButton('Redo', 'Redo the last undone audio edit', () => this.redo())
+		this.revertButton = addButton('Revert to original', 'Undo every audio edit', () => {
+			if (confirm(`Revert ${this.song.title} to the original audio?`)) return this.revert()
+		})
+
+		this.controls = controls
+		this.updateControls()
+		return controls
+	}
+
+	/**
+	 * Syncs the buttons with the edit history
+	 * @returns {void}
+	*/
+	updateControls() {
+		if (!this.controls) return
+
+		const last = this.edits.at(-1)
+		const next = this.undone.at(-1)
+		this.controls.classList.toggle('empty', !this.edits.length && !this.undone.length)
+		this.undoButton.disabled = !this.canUndo()
+		this.undoButton.textContent = last ? `Undo ${EditList.LABELS[last.type].toLowerCase()}` : 'Undo'
+		this.redoButton.disabled = !this.canRedo()
+		this.redoButton.textContent = next ? `Redo ${EditList.LABELS[next.type].toLowerCase()}` : 'Redo'
+		this.revertButton.disabled = !this.canUndo()
+	}
+}
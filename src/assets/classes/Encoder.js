@@ -0,0 +1,144 @@
+import { runAudioWorker } from '../utils.js'
+
+/**
+ * The URL of the encoder worker script
+ * @type {URL}
+ */
+const ENCODER_WORKER_URL = new URL('../workers/encoder-worker.js', import.meta.url)
+
+/**
+ * @typedef {'wav-16'|'wav-24'|'wav-float'|'flac'|'mp3'|'opus'} AudioFormatId
+*/
+
+/**
+ * @typedef {Object} AudioFormat
+ * @property {string} label - A name for the format
+ * @property {string} mimeType - The MIME type of encoded files
+ * @property {string} extension - The file extension of encoded files
+ * @property {number[]} [sampleRates] - The only sample rates the encoder accepts (others are resampled to the first)
+*/
+
+/**
+ * File extensions of MIME types that are not produced by the encoder (e.g. uploaded or recorded audio)
+ * @type {Object<string, string>}
+ */
+const EXTENSIONS = {
+	'audio/mpeg': 'mp3',
+	'audio/mp3': 'mp3',
+	'audio/mp4': 'm4a',
+	'audio/x-m4a': 'm4a',
+	'audio/aac': 'aac',
+	'audio/wav': 'wav',
+	'audio/wave': 'wav',
+	'audio/x-wav': 'wav',
+	'audio/flac': 'flac',
+	'audio/x-flac': 'flac',
+	'audio/ogg': 'ogg',
+	'audio/opus': 'opus',
+	'audio/webm': 'webm'
+}
+
+/**
+ * Encodes decoded audio into files (in a Web Worker)
+*/
+export class Encoder {
+	/**
+	 * Every format audio can be encoded to
+	 * @type {Object<AudioFormatId, AudioFormat>}
+	*/
+	static FORMATS = {
+		'wav-16': { label: 'WAV (16-bit)', mimeType: 'audio/wav', extension: 'wav' },
+		'wav-24': { label: 'WAV (24-bit)', mimeType: 'audio/wav', extension: 'wav' },
+		'wav-float': { label: 'WAV (32-bit float)', mimeType: 'audio/wav', extension: 'wav' },
+		flac: { label: 'FLAC (lossless)', mimeType: 'audio/flac', extension: 'flac' },
+		mp3: { label: 'MP3 (192 kbps)', mimeType: 'audio/mpeg', extension: 'mp3', sampleRates: [44100, 48000, 32000] },
+		opus: { label: 'Opus (128 kbps)', mimeType: 'audio/ogg; codecs=opus', extension: 'opus', sampleRates: [48000] }
+	}
+
+	/**
+	 * The format used when none (or an unsupported one) is chosen
+	 * @type {AudioFormatId}
+	*/
+	static DEFAULT_FORMAT = 'wav-16'
+
+	/**
+	 * Returns whether this browser can encode a format
+	 * @param {AudioFormatId} format - A format id
+	 * @returns {boolean}
+	*/
+	static isSupported(format) {
+		if (!Encoder.FORMATS[format]) return false
+		if (format === 'opus') return typeof AudioEncoder !== 'undefined'
+		return true
+	}
+
+	/**
+	 * Returns the ids of the formats this browser can encode
+	 * @returns {AudioFormatId[]}
+	*/
+	static getSupportedFormats() {
+		return Object.keys(Encoder.FORMATS).filter(format => Encoder.isSupported(format))
+	}
+
+	/**
+	 * Returns a format, falling back to the default format
+	 * @param {AudioFormatId} format - A format id
+	 * @returns {AudioFormat}
+	*/
+	static getFormat(format) {
+		return Encoder.FORMATS[Encoder.isSupported(format) ? format : Encoder.DEFAULT_FORMAT]
+	}
+
+	/**
+	 * Returns the file extension for a MIME type
+	 * @param {string} mimeType - A MIME type (e.g. a song's srcType)
+	 * @returns {string}
+	*/
+	static getExtension(mimeType = '') {
+		const format = Object.values(Encoder.FORMATS).find(format => format.mimeType === mimeType)
+		if (format) return format.extension
+
+		const [type] = mimeType.split(';')
+		return EXTENSIONS[type.trim()] ?? type.split('/')[1] ?? 'audio'
+	}
+
+	/**
+	 * Encodes decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @param {AudioFormatId} [format] - A format id (defaults to the default format)
+	 * @returns {Promise<Blob>} - The encoded file, typed with the format's MIME type
+	 * @throws {Error} - If the audio cannot be encoded
+	*/
+	static async encode(buffer, format = Encoder.DEFAULT_FORMAT) {
+		if (!Encoder.isSupported(format)) format = Encoder.DEFAULT_FORMAT
+		const { mimeType, sampleRates } = Encoder.FORMATS[format]
+
+		if (sampleRates && !sampleRates.includes(buffer.sampleRate)) {
+			buffer = await Encoder.resample(buffer, sampleRates[0])
+		}
+
+		const { data } = await runAudioWorker(ENCODER_WORKER_URL, buffer, { format })
+		return new Blob([data], { type: mimeType })
+	}
+
+	/**
+	 * Resamples decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @param {number} sampleRate - The new sample rate
+	 * @returns {Promise<AudioBuffer>}
+	*/
+	static resample(buffer, sampleRate) {
+		const context = new OfflineAudioContext({
+			numberOfChannels: buffer.numberOfChannels,
+			length: Math.ceil(buffer.duration * sampleRate),
+			sampleRate
+		})
+
+		const source = context.createBufferSource()
+		source.buffer = buffer
+		source.connect(context.destination)
+		source.start(0)
+
+		return context.startRendering()
+	}
+}
@@ -0,0 +1,50 @@
+import { runAudioWorker, formatKey } from '../utils.js'
+
+/**
+ * The URL of the key detection worker script
+ * @type {URL}
+ */
+const KEY_DETECTION_WORKER_URL = new URL('../workers/key-detection-worker.js', import.meta.url)
+
+/**
+ * @typedef {Object} KeySegment
+ * @property {number} start - The start of the segment in seconds
+ * @property {number} end - The end of the segment in seconds
+ * @property {string} key - The estimated key (e.g. "Eb", "F#m")
+ * @property {number} confidence - How clearly the segment matches the key (0 to 1)
+*/
+
+/**
+ * @typedef {Object} KeyEstimate
+ * @property {string} key - The most likely key of the whole song (e.g. "Eb", "F#m")
+ * @property {'major'|'minor'} mode - Whether the key is major or minor
+ * @property {number} confidence - How clearly the song matches the key (0 to 1)
+ * @property {KeySegment[]} segments - Per-segment keys (empty unless the key changes)
+*/
+
+/**
+ * Estimates the key of decoded audio (chroma against key profiles) in a Web Worker
+*/
+export class KeyDetector {
+	/**
+	 * Runs the analysis on decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @returns {Promise<KeyEstimate>}
+	 * @throws {Error} - If the analysis fails
+	*/
+	static async detect(buffer) {
+		const { estimate } = await runAudioWorker(KEY_DETECTION_WORKER_URL, buffer)
+
+		return {
+			key: formatKey(estimate.tonic, estimate.mode),
+			mode: estimate.mode,
+			confidence: estimate.confidence,
+			segments: estimate.segments.map(({ start, end, tonic, mode, confidence }) => ({
+				start,
+				end,
+				key: formatKey(tonic, mode),
+				confidence
+			}))
+		}
+	}
+}
@@ -5,6 +5,7 @@ import { Notification } from "./Notification.js"
 import { Tag } from "./Tag.js"
 import { formattedTimeToSeconds, secondsToFormattedTime } from "../utils.js"
 import { Icon } from "./Icon.js"
+import { CommentThread } from "./CommentThread.js"
 
 /**
  * Represents a specific point in time in a song
@@ -75,6 +76,33 @@ export class Marker {
 	*/
 	segmentIsActive = false
 
+	/**
+	 * Whether only the user sees the marker (it isn't shared with the other members of the book)
+	 * @type {boolean}
+	 * @default false
+	*/
+	isPrivate = false
+
+	/**
+	 * The email of the member who added the marker (null if it hasn't been synced)
+	 * @type {string|null}
+	 * @default null
+	*/
+	createdBy = null
+
+	/**
+	 * The email of the member who last edited the marker (null if it hasn't been synced)
+	 * @type {string|null}
+	 * @default null
+	*/
+	updatedBy = null
+
+	/**
+	 * The comments on the marker
+	 * @type {CommentThread}
+	*/
+	comments
+
 	/**
 	 * @constructor
 	 * @param {number} time - A time in seconds
@@ -83,11 +111,20 @@ export class Marker {
 	 * @param {string} [notes=""] - Notes for the marker
 	 * @param {Tag[] | string[]} [tags=[]] - Tags for the marker
 	 * @param {string} [id] - An optional id for the marker
+	 * @param {Object} [options={}] - Who can see the marker, who added and last edited it, and the comments on it
+	 * @param {boolean} [options.isPrivate=false] - Whether only the user sees the marker
+	 * @param {string|null} [options.createdBy=null] - The email of the member who added the marker
+	 * @param {string|null} [options.updatedBy=null] - The email of the member who last edited the marker
+	 * @param {import('./CommentThread.js').CommentData[]} [options.comments=[]] - The saved comments on the marker
 	 */
-	constructor(time, song, title = "New Marker", notes, tags = [], id) {
+	constructor(time, song, title = "New Marker", notes, tags = [], id, { isPrivate = false, createdBy = null, updatedBy = null, comments = [] } = {}) {
 		this.id = id ?? crypto.randomUUID()
 		this.time = time
 		this.song = song
+		this.isPrivate = isPrivate
+		this.createdBy = createdBy
+		this.updatedBy = updatedBy
+		this.comments = new CommentThread(this, comments)
 
 		// Get and set tags asynchronously
 		const newTags = tags.map((tag) =>
@@ -172,6 +209,24 @@ export class Marker {
 		return secondsToFormattedTime(this.time)
 	}
 
+	/**
+	 * Returns whether the user can change the marker (viewers of a shared book can only change their private markers)
+	 * @returns {boolean}
+	 */
+	canEdit() {
+		return this.isPrivate || this.song.bandbook.sharingManager.canEdit()
+	}
+
+	/**
+	 * Makes the marker private (only the user sees it) or shares it with the book's members again
+	 * @param {boolean} isPrivate - Whether the marker is private
+	 * @returns {Promise<Boolean>} - A promise that resolves when the marker is updated
+	 */
+	setPrivate(isPrivate) {
+		this.isPrivate = isPrivate
+		return this.song.bandbook.syncManager.updateMarkerPrivacy(this, isPrivate)
+	}
+
 	/**
 	 * Renders the marker as a list item
 	 * @param {MarkerList} markerList - The parent marker list
@@ -184,10 +239,18 @@ export class Marker {
 		item.appendChild(this.getButton())
 		item.appendChild(this.getInput())
 		item.appendChild(this.getEditMarkerButton(markerList))
-		item.appendChild(this.getDeleteButton(markerList))
+		if (this.canEdit()) item.appendChild(this.getDeleteButton(markerList))
 		item.appendChild(this.getTagElement(true))
 
 		if (this.segmentIsActive) item.classList.add("active")
+
+		if (this.isPrivate) {
+			item.classList.add("private")
+			item.title = "Private: only you can see this marker"
+		} else {
+			item.title = this.song.bandbook.sharingManager.describe(this)
+		}
+
 		return item
 	}
 
@@ -200,7 +263,7 @@ export class Marker {
 		const checkbox = document.createElement("input")
 		checkbox.type = "checkbox"
 		checkbox.classList.add("segment-checkbox")
-		checkbox.checked = false
+		checkbox.checked = markerList.selectedMarkers.has(this)
 		checkbox.dataset.time = this.time
 
 		checkbox.addEventListener("change", (e) => {
@@ -228,15 +291,36 @@ export class Marker {
 		button.ariaLabel = "Edit Marker"
 		button.title = "Edit Marker"
 		button.appendChild(new Icon("edit").getImg())
+
+		// How many comments still need dealing with
+		const unresolved = this.comments.getUnresolvedCount()
+		if (unresolved) {
+			const count = document.createElement("span")
+			count.classList.add("comment-count")
+			count.textContent = unresolved
+			button.appendChild(count)
+			button.title += ` (${unresolved} unresolved ${unresolved === 1 ? "comment" : "comments"})`
+			button.ariaLabel = button.title
+		}
+
 		button.addEventListener("click", () => {
 			const modalHeader = document.createElement("h2")
 			modalHeader.textContent = this.title
 
-			// Append buttons to modal header and get edit form content
-			modalHeader.appendChild(this.getEditTitleButton(modalHeader, markerList))
-			modalHeader.appendChild(this.getDeleteButton(markerList))
+			// Append buttons to modal header and get edit form content (viewers of a shared book can only read it)
+			if (this.canEdit()) {
+				modalHeader.appendChild(this.getEditTitleButton(modalHeader, markerList))
+				modalHeader.appendChild(this.getDeleteButton(markerList))
+			}
 			const modalContent = this.getEditMarkerForm()
 
+			if (!this.canEdit()) {
+				modalContent.querySelectorAll("input, textarea, button").forEach(element => element.disabled = true)
+			}
+
+			// Anyone who can see the marker can comment on it
+			modalContent.appendChild(this.comments.getElement())
+
 			// Open modal
 			this.activeModal = new Modal(
 				modalHeader,
@@ -439,6 +523,34 @@ export class Marker {
 
 		div.appendChild(notesLabel)
 
+		// Editors and owners of a shared book can keep a marker to themselves (a viewer's markers are always private)
+		const { sharingManager } = this.song.bandbook
+		if (sharingManager.isShared() && sharingManager.canEdit()) {
+			const privateLabel = document.createElement("label")
+			privateLabel.classList.add("marker-private")
+			const privateInput = document.createElement("input")
+			privateInput.type = "checkbox"
+			privateInput.checked = this.isPrivate
+			privateInput.addEventListener("change", () => {
+				this.setPrivate(privateInput.checked)
+			})
+			const privateSpan = document.createElement("span")
+			privateSpan.textContent = "Private (only you can see it)"
+			privateLabel.appendChild(privateInput)
+			privateLabel.appendChild(privateSpan)
+
+			div.appendChild(privateLabel)
+		}
+
+		// Who added and last edited the marker
+		const attribution = this.isPrivate ? "" : sharingManager.describe(this)
+		if (attribution) {
+			const attributionElement = document.createElement("p")
+			attributionElement.classList.add("attribution")
+			attributionElement.textContent = attribution
+			div.appendChild(attributionElement)
+		}
+
 		return div
 	}
 
@@ -485,13 +597,15 @@ export class Marker {
 				li.appendChild(span)
 			}
 
-			const deleteButton = document.createElement("button")
-			deleteButton.textContent = "X"
-			deleteButton.addEventListener("click", () => {
-				this.deleteTag(tag, useFilterButton)
-				this.updateTagDatalist()
-			})
-			li.appendChild(deleteButton)
+			if (this.canEdit()) {
+				const deleteButton = document.createElement("button")
+				deleteButton.textContent = "X"
+				deleteButton.addEventListener("click", () => {
+					this.deleteTag(tag, useFilterButton)
+					this.updateTagDatalist()
+				})
+				li.appendChild(deleteButton)
+			}
 
 			this.tagElement.appendChild(li)
 		})
@@ -579,6 +693,7 @@ export class Marker {
 		const input = document.createElement("input")
 		input.type = "text"
 		input.value = this.getTitle()
+		input.disabled = !this.canEdit()
 		input.addEventListener("input", () => {
 		this.setTitle(input.value)
 		})
@@ -595,7 +710,8 @@ export class Marker {
 			time: this.time,
 			notes: this.notes,
 			title: this.title,
-			tags: this.tags.map((tag) => tag.name)
+			tags: this.tags.map((tag) => tag.name),
+			...(this.isPrivate && { private: true })
 		}
 	}
 }
@@ -1,8 +1,10 @@
-import { secondsToFormattedTime, audioBufferToBlob } from '../utils.js'
+import { secondsToFormattedTime, decodeAudioRange } from '../utils.js'
+import { Encoder } from './Encoder.js'
 import { Marker } from './Marker.js'
 import { SegmentManager } from './SegmentManager.js'
 import { Song } from './Song.js'
 import { Notification } from './Notification.js'
+import { StorageQuotaError } from './StorageManager.js'
 import { Icon } from './Icon.js'
 
 export class MarkerList {
@@ -23,6 +25,11 @@ export class MarkerList {
 	segmentManager = new SegmentManager()
 	/** @type {Set<Marker>} */
 	selectedMarkers = new Set()
+	/**
+	 * A segment selected directly on the waveform (instead of with markers)
+	 * @type {Array<number>|null}
+	 */
+	customSegmentBounds = null
 
 	/**
 	 * @constructor
@@ -51,6 +58,9 @@ export class MarkerList {
 	 * @returns {Set<Marker>} - A set of selected markers
 	 */
 	handleSelectMarker(marker) {
+		// Selecting markers replaces any segment selected on the waveform
+		this.customSegmentBounds = null
+
 		// If the marker is not already selected, add it to the set
 		if (!this.selectedMarkers.has(marker)) {
 			// If no markers are selected, add the marker
@@ -100,11 +110,31 @@ export class MarkerList {
 
 		this.segmentManager.setBounds(...currentBounds)
 		this.segmentManager.updateLoopListener()
+		this.song.player?.waveformOverlay?.draw()
 
 		// Return the set of selected markers
 		return this.selectedMarkers
 	}
 
+	/**
+	 * Selects an arbitrary segment (e.g. one dragged out on the waveform)
+	 * @param {number} start - The start time in seconds
+	 * @param {number} end - The end time in seconds
+	 * @returns {void}
+	*/
+	setSegmentSelection(start, end) {
+		this.selectedMarkers.clear()
+		this.customSegmentBounds = [start, end]
+
+		// Segment operations need a song even when there are no markers yet
+		this.segmentManager.setSong(this.song)
+		this.segmentManager.setBounds(start, end)
+		this.segmentManager.updateLoopListener()
+
+		this.renderMarkersList()
+		this.updateSegmentBoundsDisplay(start, end)
+	}
+
 	/**
 	 * Updates the segment bounds display
 	 * @param {number} start - The start time in seconds
@@ -128,9 +158,9 @@ export class MarkerList {
 		let start, end
 		const selectedMarkersArray = Array.from(this.selectedMarkers)
 
-		// If no markers are selected, return the start and end times of the song
+		// If no markers are selected, fall back to a segment selected on the waveform (if any)
 		if (selectedMarkersArray.length === 0) {
-			return null
+			return this.customSegmentBounds
 		}
 			
 		// If one marker is selected, the start time is the time of the marker
@@ -181,7 +211,11 @@ export class MarkerList {
 			time -= markerTimeAdjustment
 		}
 
-		const newMarker = new Marker(time, this.song)
+		time = this.song.snapTime(time)
+
+		// Viewers of a shared book can still add markers, which only they see
+		const isPrivate = !this.song.bandbook.sharingManager.canEdit()
+		const newMarker = new Marker(time, this.song, undefined, undefined, undefined, undefined, { isPrivate })
 		this.addMarker(newMarker)
 		this.renderMarkersList()
 		this.song.bandbook.syncManager.createMarker(newMarker)
@@ -209,6 +243,12 @@ export class MarkerList {
 		const list = this.createMarkersList()
 		this.markersListWrapper.appendChild(this.addSegmentControls())
 		this.markersListWrapper.appendChild(list)
+
+		// Restore the selected segment and keep the waveform in sync
+		const bounds = this.getSegmentTimeBounds()
+		if (bounds) this.updateSegmentBoundsDisplay(...bounds)
+		this.song.player?.waveformOverlay?.draw()
+
 		return this.markersListWrapper
 	}
 
@@ -308,6 +348,38 @@ export class MarkerList {
 
 		segmentButtonsWrapper.appendChild(deleteSegmentButton)
 
+		// Trim, fade and gain buttons (undoable edits, like removing a segment)
+		const addEditButton = (label, title, getEdit) => {
+			const button = document.createElement('button')
+			button.textContent = label
+			button.title = title
+			button.addEventListener('click', async () => {
+				const bounds = this.getSegmentTimeBounds()
+				if (!bounds) {
+					new Notification(
+						'Error: No segment selected',
+						'error'
+					)
+					return
+				}
+
+				const edit = getEdit(...bounds)
+				if (!edit) return
+				await this.editSegment(edit)
+				this.song.bandbook.refresh()
+			})
+			segmentButtonsWrapper.appendChild(button)
+		}
+
+		addEditButton('Trim', 'Trim Song to Segment', (start, end) => ({ type: 'trim', start, end }))
+		addEditButton('Fade In', 'Fade In Over Segment', (start, end) => ({ type: 'fade-in', start, end }))
+		addEditButton('Fade Out', 'Fade Out Over Segment', (start, end) => ({ type: 'fade-out', start, end }))
+		addEditButton('Gain', 'Change Segment Volume', (start, end) => {
+			const gain = parseFloat(prompt('Change the segment volume by how many dB? (e.g. -6 or 3)', '-6'))
+			if (!Number.isFinite(gain) || gain === 0) return null
+			return { type: 'gain', start, end, gain: Math.max(-60, Math.min(24, gain)) }
+		})
+
 		// Loop checkbox and label
 		const loopLabel = document.createElement('label')
 		loopLabel.classList.add('btn')
@@ -323,10 +395,12 @@ export class MarkerList {
 		const toggleLoop = () => {
 			const active = this.segmentManager.toggleLoop()
 			loopCheckbox.checked = active
+			this.song.player?.waveformOverlay?.draw()
 		}
 
 		loopCheckbox.type = 'checkbox'
 		loopCheckbox.id = 'loop-checkbox'
+		loopCheckbox.checked = this.segmentManager.active
 		loopCheckbox.addEventListener('change', () => toggleLoop())
 		loopLabel.addEventListener('keydown', e => {
 			if (e.key === 'Enter' || e.key === ' ') {
@@ -349,50 +423,33 @@ export class MarkerList {
 	*/
 	downloadSegment(start, end) {
 		this.song.bandbook.wrapper.classList.add('bandbook-loading');
-		const audioContext = new AudioContext();
-		const clonedSource = this.song.src.slice(0);
+		const playbackRate = this.song.player?.audioElement.playbackRate || 1
 
-		audioContext.decodeAudioData(clonedSource).then((buffer) => {
-			const playbackRate = this.song.player.audioElement.playbackRate || 1
-			const segmentDuration = end - start;
-			const renderedDuration = segmentDuration / playbackRate;
+		// Decode only the segment
+		this.song.getPlaybackSrc().then(src => decodeAudioRange(src, start, end)).then((segmentBuffer) => {
+			const renderedDuration = segmentBuffer.duration / playbackRate;
 
-			const sampleRate = buffer.sampleRate;
+			const sampleRate = segmentBuffer.sampleRate;
 			const offlineCtx = new OfflineAudioContext({
-				numberOfChannels: buffer.numberOfChannels,
+				numberOfChannels: segmentBuffer.numberOfChannels,
 				length: Math.ceil(renderedDuration * sampleRate),
 				sampleRate: sampleRate
 			});
 
 			// Create source and set playbackRate
 			const source = offlineCtx.createBufferSource();
-			const segmentBuffer = offlineCtx.createBuffer(
-				buffer.numberOfChannels,
-				segmentDuration * sampleRate,
-				sampleRate
-			);
-
-			// Copy the selected segment into the segmentBuffer
-			for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-				const sourceData = buffer.getChannelData(channel);
-				const segmentData = segmentBuffer.getChannelData(channel);
-				const startIndex = Math.floor(start * sampleRate);
-				for (let i = 0; i < segmentData.length; i++) {
-					segmentData[i] = sourceData[startIndex + i];
-				}
-			}
-
 			source.buffer = segmentBuffer;
 			source.playbackRate.value = playbackRate;
 			source.connect(offlineCtx.destination);
 			source.start(0);
 
 			// Render and download
-			offlineCtx.startRendering().then(renderedBuffer => {
-				const blob = audioBufferToBlob(renderedBuffer, "audio/mp3");
+			offlineCtx.startRendering().then(async renderedBuffer => {
+				const format = this.song.bandbook.settingsManager.getExportFormat();
+				const blob = await Encoder.encode(renderedBuffer, format);
 				const link = document.createElement("a");
 				link.href = URL.createObjectURL(blob);
-				link.download = `${this.song.title}_clip_${start}-${Math.floor(end)}.mp3`;
+				link.download = `${this.song.title}_clip_${start}-${Math.floor(end)}.${Encoder.getFormat(format).extension}`;
 				link.click();
 
 				// Clean up
@@ -401,13 +458,13 @@ export class MarkerList {
 				this.song.bandbook.wrapper.classList.remove('bandbook-loading');
 			}).catch(err => {
 				console.error("Rendering failed:", err);
+				new Notification(`Error: Unable to download segment (${err.message})`, 'error');
 				this.song.bandbook.wrapper.classList.remove('bandbook-loading');
 			});
 		}).catch((err) => {
 			console.error("Decoding failed:", err);
+			new Notification(`Error: Unable to download segment (${err.message})`, 'error');
 			this.song.bandbook.wrapper.classList.remove('bandbook-loading');
-		}).finally(() => {
-			audioContext.close().catch(console.error);
 		});
 	}
 
@@ -419,44 +476,25 @@ export class MarkerList {
 	 * @returns {void}
 	*/
 	makeSegmentIntoNewSong(start, end) {
+		if (!this.song.bandbook.sharingManager.requireEdit('add songs')) return
+
 		this.song.bandbook.wrapper.classList.add('bandbook-loading')
-		const audioContext = new AudioContext()
 		const prettyStart = secondsToFormattedTime(start)
 		const prettyEnd = secondsToFormattedTime(end)
 
-		// Clone the source to avoid detaching the original ArrayBuffer
-		const clonedSource = this.song.src.slice(0)
-
-		audioContext.decodeAudioData(clonedSource).then(async (buffer) => {
-			const innerAudioContext = new AudioContext();
-			const newBuffer = innerAudioContext.createBuffer(
-				buffer.numberOfChannels,
-				(end - start) * buffer.sampleRate,
-				buffer.sampleRate
-			);
-	
-			for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-				const channelData = buffer.getChannelData(channel);
-				const newChannelData = newBuffer.getChannelData(channel);
-		
-				for (let i = 0; i < newChannelData.length; i++) {
-					newChannelData[i] = channelData[Math.floor(start * buffer.sampleRate + i)];
-				}
-			}
-	
-			// Convert the new buffer to a base64 string and make new Song
+		// Decode only the segment
+		this.song.getPlaybackSrc().then(src => decodeAudioRange(src, start, end)).then(async (newBuffer) => {
+			// Encode the new buffer and make new Song
 			try {
-				const clipSrcBlob = audioBufferToBlob(newBuffer, "audio/mp3")
-				innerAudioContext.close().catch((error) => {
-					console.error('Error closing audio buffer:', error)
-				})
-				const clipSrc = await clipSrcBlob.arrayBuffer()
+				const clipSrcBlob = await Encoder.encode(newBuffer, this.song.bandbook.settingsManager.getStorageFormat())
 				const clipSlug = `${this.song.slug}-clip=${prettyStart}-${prettyEnd}`
 				const clipTitle = `${this.song.title} Clip (${prettyStart}-${prettyEnd})`
+				await this.song.bandbook.storageManager.checkSpaceFor(clipSrcBlob.size, clipTitle)
+
 				const filteredMarkers = this.markers
 					// Filter markers to only include those within the segment
 					.filter(marker => marker.time >= start && marker.time <= end)
-					// Create new markers with adjusted times and new ids
+					// Create new markers with adjusted times and new ids (private markers stay private)
 					.map(marker => {
 						const newMarker = new Marker(
 							marker.time - start,
@@ -464,15 +502,17 @@ export class MarkerList {
 							marker.title,
 							marker.notes,
 							marker.tags,
-							crypto.randomUUID()
+							crypto.randomUUID(),
+							{ isPrivate: marker.isPrivate }
 						)
 
 						return newMarker.getData()
 					})
 
 				const newSong = new Song({
-					src: clipSrc,
-					srcType: this.song.srcType,
+					src: clipSrcBlob,
+					duration: newBuffer.duration,
+					srcType: clipSrcBlob.type,
 					title: clipTitle,
 					slug: clipSlug,
 					composer: this.song.composer,
@@ -485,11 +525,16 @@ export class MarkerList {
 
 				this.song.bandbook.addSong(newSong)
 				this.song.bandbook.renderSongNavigation()
-				this.song.bandbook.syncManager.createSong(newSong)
+				this.song.bandbook.syncManager.createSong(newSong).catch(error => this.song.bandbook.onStorageError(error))
 				newSong.markerList.markers.forEach(marker => {
 					this.song.bandbook.syncManager.createMarker(marker)
 				})
 			} catch (error) {
+				if (error instanceof StorageQuotaError) {
+					this.song.bandbook.onStorageError(error)
+					return
+				}
+
 				Sentry.captureException(error)
 				new Notification(
 					'Error: Unable to create new song from segment',
@@ -497,105 +542,51 @@ export class MarkerList {
 				)
 			} finally {
 				this.song.bandbook.wrapper.classList.remove('bandbook-loading')
-				// Close the audio context to free up resources
-				audioContext.close().catch((error) => {
-					console.error('Error closing audio context:', error)
-				})
 			}
+		}).catch((error) => {
+			console.error('Decoding failed:', error)
+			new Notification(`Error: Unable to create new song from segment (${error.message})`, 'error')
+			this.song.bandbook.wrapper.classList.remove('bandbook-loading')
 		});
 	}
 
 	/**
-	 * Delete the given time range (and all markers within it) and update the song src
+	 * Cuts the given time range (and all markers within it) out of the song, as an undoable edit
 	 * @param {number} start - The start time in seconds
 	 * @param {number} end - The end time in seconds
 	 * @returns {Promise<void>}
 	*/
 	async deleteSegment(start, end) {
-		return new Promise((resolve, reject) => {
-			this.song.bandbook.wrapper.classList.add('bandbook-loading')
-			const audioContext = new AudioContext()
-			const clonedSource = this.song.src.slice(0)
-
-			audioContext.decodeAudioData(clonedSource).then(async (buffer) => {
-				const sampleRate = buffer.sampleRate;
-				const startSample = Math.floor(start * sampleRate);
-				const endSample = Math.floor(end * sampleRate);
-				const newLength = buffer.length - (endSample - startSample);
-		
-				try {
-					const newBuffer = audioContext.createBuffer(
-						buffer.numberOfChannels,
-						newLength,
-						sampleRate
-					);
-			
-					for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
-						const oldData = buffer.getChannelData(channel);
-						const newData = newBuffer.getChannelData(channel);
-			
-						// Copy before the deleted segment
-						newData.set(oldData.subarray(0, startSample));
-			
-						// Copy after the deleted segment
-						newData.set(oldData.subarray(endSample), startSample);
-					}	
-
-					// Convert the new buffer to a base64 string and update the song src
-					const clipSrcBlob = audioBufferToBlob(newBuffer, "audio/mp3")
-					const clipSrc = await clipSrcBlob.arrayBuffer()
-					this.song.src = clipSrc
-	
-					// Filter markers to only include those outside the segment and update the song's markers after the deleted segment
-					let filteredMarkers = []
-					for (let i = 0; i < this.markers.length; i++) {
-						const marker = this.markers[i]
-	
-						// If the marker is inside the segment, delete it
-						if (marker.time >= start && marker.time <= end) {
-							await this.song.bandbook.syncManager.deleteMarker(marker)
-						} else {
-							// If the marker is after the segment, update its time and sync with db
-							if (marker.time > end) {
-								marker.time -= end - start
-								await this.song.bandbook.syncManager.updateMarkerTime(marker, marker.time)
-							}
-	
-							// Add the marker to the filtered markers to keep after segment deletion
-							filteredMarkers.push(marker)
-						}
-					}
-	
-					// Update the song markers
-					this.markers = filteredMarkers
-	
-					// Clear the song's waveform volumes and update in db
-					this.song.waveformVolumes = []
-					await this.song.bandbook.syncManager.updateSongWaveformVolumes(this.song, [])
-	
-					// Update the song source in the db
-					this.song.updateSrc(clipSrc)
-					await this.song.bandbook.syncManager.updateSongSrc(this.song, clipSrc)
-				} catch (error) {
-					Sentry.captureException(error)
-					new Notification(
-						'Error: Unable to delete time range',
-						'error'
-					)
-				} finally {
-					this.song.bandbook.wrapper.classList.remove('bandbook-loading')
-					resolve()
-				}
-			}).catch((err) => {
-				console.error("Decoding failed:", err);
-				this.song.bandbook.wrapper.classList.remove('bandbook-loading')
-				reject(err)
-			}).finally(() => {
-				audioContext.close().catch((error) => {
-					console.error('Error closing audio context:', error)
-				})
-			})
-		})
+		await this.editSegment({ type: 'cut', start, end })
+	}
+
+	/**
+	 * Applies an edit to the selected segment and clears the selection if the edit removed it
+	 * @param {import('./EditList.js').AudioEdit} edit - The edit to apply
+	 * @returns {Promise<void>}
+	*/
+	async editSegment(edit) {
+		if (!this.song.bandbook.sharingManager.requireEdit('edit the audio')) return
+
+		try {
+			// Cuts and trims remove markers, so keep a snapshot to restore them from
+			if (edit.type === 'cut' || edit.type === 'trim') {
+				if (!(await this.song.bandbook.snapshotManager.snapshotBefore(`Before editing ${this.song.title}`))) return
+			}
+
+			await this.song.editList.apply(edit)
+
+			if (edit.type === 'cut' || edit.type === 'trim') {
+				this.selectedMarkers.clear()
+				this.customSegmentBounds = null
+			}
+		} catch (error) {
+			Sentry.captureException(error)
+			new Notification(
+				`Error: Unable to edit audio (${error.message})`,
+				'error'
+			)
+		}
 	}
 
 	/**
@@ -0,0 +1,427 @@
+import { Notification } from './Notification.js'
+
+/**
+ * A metronome that clicks along with a Player, using the song's tempo and time signature
+ *
+ * While the song plays, beats are placed on the song's timeline
+ * (beatOffset + n * beatLength) and scheduled through the playback rate, so
+ * the click stays aligned when the speed changes. While paused, it runs as a
+ * standalone metronome at the same (rate-adjusted) tempo.
+*/
+export class Metronome {
+	/**
+	 * How often the scheduler runs (in milliseconds)
+	 * @type {number}
+	*/
+	static LOOKAHEAD_MS = 25
+
+	/**
+	 * How far ahead clicks are scheduled (in seconds of audio context time)
+	 * @type {number}
+	*/
+	static SCHEDULE_AHEAD = 0.1
+
+	/**
+	 * Whether the metronome is on
+	 * @type {boolean}
+	*/
+	enabled = false
+
+	/**
+	 * The click volume (0 to 1)
+	 * @type {number}
+	*/
+	volume = 0.8
+
+	/** @type {AudioContext|null} */
+	context = null
+
+	/** @type {number|null} */
+	timer = null
+
+	/**
+	 * What the scheduler is currently following
+	 * @type {'playback'|'standalone'|null}
+	*/
+	mode = null
+
+	/**
+	 * The index of the last beat scheduled on the song timeline
+	 * @type {number|null}
+	*/
+	lastBeatIndex = null
+
+	/**
+	 * The next standalone click time (audio context time) and beat count
+	 * @type {{ time: number, count: number }|null}
+	*/
+	standalone = null
+
+	/**
+	 * Clicks that have been scheduled but not yet played
+	 * @type {OscillatorNode[]}
+	*/
+	scheduled = []
+
+	/** @type {HTMLSpanElement|null} */
+	beatIndicator = null
+
+	/** @type {HTMLInputElement|null} */
+	offsetInput = null
+
+	/**
+	 * @constructor
+	 * @param {import('./Player.js').Player} player - The Player instance to click along with
+	*/
+	constructor(player) {
+		this.player = player
+		this.song = player.song
+
+		// Re-align with the song whenever playback jumps or changes speed
+		const audio = player.getAudioElement()
+		;['seeking', 'ratechange', 'play', 'pause'].forEach(type => {
+			player.addListener(audio, type, () => this.reset())
+		})
+	}
+
+	/**
+	 * Returns the song tempo in beats per minute
+	 * @returns {number}
+	*/
+	getTempo() {
+		const tempo = Number(this.song.tempo)
+		return tempo > 0 ? tempo : 120
+	}
+
+	/**
+	 * Returns the number of beats in a bar from the song's time signature
+	 * @returns {number}
+	*/
+	getBeatsPerBar() {
+		return Metronome.getBeatsPerBarOf(this.song.timeSignature)
+	}
+
+	/**
+	 * Returns the number of beats in a bar of a time signature (4 if it can't be read)
+	 * @param {string} timeSignature - A time signature (e.g. "3/4")
+	 * @returns {number}
+	*/
+	static getBeatsPerBarOf(timeSignature) {
+		const beats = parseInt(String(timeSignature ?? '').split('/')[0], 10)
+		return beats > 0 ? beats : 4
+	}
+
+	/**
+	 * Returns the length of one beat on the song timeline (in seconds)
+	 * @returns {number}
+	*/
+	getBeatLength() {
+		return 60 / this.getTempo()
+	}
+
+	/**
+	 * Returns the time of beat 1 of the first bar (in seconds)
+	 * @returns {number}
+	*/
+	getOffset() {
+		return Number(this.song.beatOffset) || 0
+	}
+
+	/**
+	 * Returns the beat grid within a time range
+	 * @param {number} start - The start of the range in seconds
+	 * @param {number} end - The end of the range in seconds
+	 * @returns {Array<{ time: number, isDownbeat: boolean }>}
+	*/
+	getBeatsInRange(start, end) {
+		const beatLength = this.getBeatLength()
+		const beatsPerBar = this.getBeatsPerBar()
+		const offset = this.getOffset()
+		const beats = []
+
+		for (let index = Math.ceil((start - offset) / beatLength); offset + index * beatLength <= end; index++) {
+			beats.push({
+				time: offset + index * beatLength,
+				isDownbeat: ((index % beatsPerBar) + beatsPerBar) % beatsPerBar === 0
+			})
+		}
+
+		return beats
+	}
+
+	/**
+	 * Turns the metronome on or off
+	 * @returns {Promise<boolean>} - Whether the metronome is now on
+	*/
+	async toggle() {
+		if (this.enabled) this.stop()
+		else await this.start()
+		return this.enabled
+	}
+
+	/**
+	 * Starts the metronome
+	 * @returns {Promise<void>}
+	*/
+	async start() {
+		try {
+			if (!this.context) this.context = new AudioContext()
+			if (this.context.state === 'suspended') await this.context.resume()
+		} catch (error) {
+			Sentry.captureException(error)
+			new Notification('The metronome is not supported in this browser', 'error')
+			return
+		}
+
+		this.enabled = true
+		this.reset()
+		this.timer = setInterval(() => this.schedule(), Metronome.LOOKAHEAD_MS)
+		this.schedule()
+		this.player.waveform?.draw()
+	}
+
+	/**
+	 * Stops the metronome
+	 * @returns {void}
+	*/
+	stop() {
+		this.enabled = false
+		clearInterval(this.timer)
+		this.timer = null
+		this.reset()
+		this.player.waveform?.draw()
+	}
+
+	/**
+	 * Cancels pending clicks so the scheduler starts over from the current position
+	 * @returns {void}
+	*/
+	reset() {
+		const now = this.context?.currentTime ?? 0
+		this.scheduled.forEach(oscillator => {
+			try {
+				oscillator.stop(now)
+			} catch {
+				// Already stopped
+			}
+		})
+		this.scheduled = []
+		this.mode = null
+		this.lastBeatIndex = null
+		this.standalone = null
+	}
+
+	/**
+	 * Schedules every click that falls within the lookahead window
+	 * @returns {void}
+	*/
+	schedule() {
+		if (!this.enabled || !this.context) return
+
+		const audio = this.player.getAudioElement()
+		const rate = audio.playbackRate || 1
+		const contextNow = this.context.currentTime
+		const beatLength = this.getBeatLength()
+		const beatsPerBar = this.getBeatsPerBar()
+
+		if (!audio.paused) {
+			if (this.mode !== 'playback') this.reset()
+			this.mode = 'playback'
+
+			const offset = this.getOffset()
+			const songNow = audio.currentTime
+			const horizon = songNow + Metronome.SCHEDULE_AHEAD * rate
+
+			let index = Math.ceil((songNow - offset) / beatLength)
+			if (this.lastBeatIndex !== null) index = Math.max(index, this.lastBeatIndex + 1)
+
+			for (; offset + index * beatLength < horizon; index++) {
+				const songTime = offset + index * beatLength
+				const beatInBar = ((index % beatsPerBar) + beatsPerBar) % beatsPerBar
+				this.lastBeatIndex = index
+				if (songTime < 0) continue
+
+				this.click(contextNow + (songTime - songNow) / rate, beatInBar)
+			}
+		} else {
+			if (this.mode !== 'standalone') {
+				this.reset()
+				this.standalone = { time: contextNow + 0.05, count: 0 }
+			}
+			this.mode = 'standalone'
+
+			while (this.standalone.time < contextNow + Metronome.SCHEDULE_AHEAD) {
+				this.click(this.standalone.time, this.standalone.count % beatsPerBar)
+				this.standalone.time += beatLength / rate
+				this.standalone.count++
+			}
+		}
+	}
+
+	/**
+	 * Schedules a single click (beat 1 of each bar is accented)
+	 * @param {number} when - The audio context time to click at
+	 * @param {number} beatInBar - The zero-based beat within the bar
+	 * @returns {void}
+	*/
+	click(when, beatInBar) {
+		const context = this.context
+		const isAccent = beatInBar === 0
+		const start = Math.max(when, context.currentTime)
+
+		const oscillator = context.createOscillator()
+		oscillator.frequency.value = isAccent ? 1500 : 1000
+
+		const gain = context.createGain()
+		const peak = this.volume * (isAccent ? 1 : 0.6)
+		gain.gain.setValueAtTime(0.0001, start)
+		gain.gain.exponentialRampToValueAtTime(Math.max(0.0001, peak), start + 0.002)
+		gain.gain.exponentialRampToValueAtTime(0.0001, start + 0.05)
+
+		oscillator.connect(gain)
+		gain.connect(context.destination)
+		oscillator.start(start)
+		oscillator.stop(start + 0.06)
+
+		this.scheduled.push(oscillator)
+		oscillator.addEventListener('ended', () => {
+			this.scheduled = this.scheduled.filter(o => o !== oscillator)
+			gain.disconnect()
+		})
+
+		// Flash the beat indicator when the click is heard
+		setTimeout(() => this.showBeat(beatInBar), Math.max(0, (start - context.currentTime) * 1000))
+	}
+
+	/**
+	 * Updates the visual beat indicator
+	 * @param {number} beatInBar - The zero-based beat within the bar
+	 * @returns {void}
+	*/
+	showBeat(beatInBar) {
+		if (!this.beatIndicator || !this.enabled) return
+		this.beatIndicator.textContent = `${beatInBar + 1}/${this.getBeatsPerBar()}`
+		this.beatIndicator.classList.toggle('downbeat', beatInBar === 0)
+		this.beatIndicator.classList.remove('flash')
+		// Force a reflow so the animation restarts
+		void this.beatIndicator.offsetWidth
+		this.beatIndicator.classList.add('flash')
+	}
+
+	/**
+	 * Returns the metronome control element
+	 * @returns {HTMLDivElement} - A div element
+	*/
+	getControl() {
+		const control = document.createElement('div')
+		control.className = 'metronome-control'
+
+		const toggleButton = document.createElement('button')
+		toggleButton.textContent = 'Click'
+		toggleButton.title = 'Toggle metronome'
+		toggleButton.ariaPressed = String(this.enabled)
+		toggleButton.addEventListener('click', async () => {
+			const enabled = await this.toggle()
+			toggleButton.ariaPressed = String(enabled)
+			toggleButton.classList.toggle('active', enabled)
+			if (!enabled) this.beatIndicator.textContent = ''
+		})
+
+		this.beatIndicator = document.createElement('span')
+		this.beatIndicator.className = 'metronome-beat'
+		this.beatIndicator.setAttribute('aria-hidden', 'true')
+
+		const offsetLabel = document.createElement('label')
+		offsetLabel.htmlFor = 'metronome-offset'
+		offsetLabel.className = 'sr-only'
+		offsetLabel.textContent = 'Beat 1 offset (seconds):'
+
+		const offsetInput = document.createElement('input')
+		offsetInput.id = 'metronome-offset'
+		offsetInput.type = 'number'
+		offsetInput.min = 0
+		offsetInput.step = 0.01
+		offsetInput.value = this.getOffset()
+		offsetInput.title = 'Where beat 1 falls (seconds)'
+		offsetInput.addEventListener('change', () => {
+			this.setOffset(Math.max(0, Number(offsetInput.value) || 0))
+		})
+		this.offsetInput = offsetInput
+
+		// Set beat 1 to the current playback position (wrapped to the first bar)
+		const tapButton = document.createElement('button')
+		tapButton.textContent = 'Set 1'
+		tapButton.title = 'Beat 1 is now'
+		tapButton.addEventListener('click', () => {
+			const barLength = this.getBeatLength() * this.getBeatsPerBar()
+			this.setOffset(Number((this.player.getCurrentTime() % barLength).toFixed(3)))
+		})
+
+		// Beat 1 is saved with the song, which viewers of a shared book can't change
+		offsetInput.disabled = !this.song.bandbook.sharingManager.canEdit()
+		tapButton.disabled = offsetInput.disabled
+
+		const volumeLabel = document.createElement('label')
+		volumeLabel.htmlFor = 'metronome-volume'
+		volumeLabel.className = 'sr-only'
+		volumeLabel.textContent = 'Metronome volume'
+
+		const volumeInput = document.createElement('input')
+		volumeInput.id = 'metronome-volume'
+		volumeInput.type = 'range'
+		volumeInput.min = 0
+		volumeInput.max = 1
+		volumeInput.step = 0.05
+		volumeInput.value = this.volume
+		volumeInput.title = 'Metronome volume'
+		volumeInput.addEventListener('input', () => {
+			this.volume = Number(volumeInput.value)
+		})
+
+		control.appendChild(toggleButton)
+		control.appendChild(this.beatIndicator)
+		control.appendChild(offsetLabel)
+		control.appendChild(offsetInput)
+		control.appendChild(tapButton)
+		control.appendChild(volumeLabel)
+		control.appendChild(volumeInput)
+
+		return control
+	}
+
+	/**
+	 * Sets where beat 1 falls and re-aligns the click
+	 * @param {number} offset - A time in seconds
+	 * @returns {void}
+	*/
+	setOffset(offset) {
+		this.song.setBeatOffset(offset)
+	}
+
+	/**
+	 * Syncs the control and the click with the song's beat offset
+	 * @returns {void}
+	*/
+	updateControl() {
+		if (this.offsetInput) this.offsetInput.value = this.getOffset()
+		this.reset()
+		this.player.waveform?.draw()
+	}
+
+	/**
+	 * Stops the metronome and closes its audio context
+	 * @returns {void}
+	*/
+	destroy() {
+		this.stop()
+		this.beatIndicator = null
+		this.offsetInput = null
+
+		if (this.context) {
+			this.context.close().catch(error => {
+				console.error('Error closing audio context:', error)
+			})
+			this.context = null
+		}
+	}
+}
@@ -0,0 +1,211 @@
+/**
+ * IndexedDB schema migrations
+ *
+ * Each migration upgrades the database from the previous version to its own version. Pending migrations run in order inside
+ * the upgrade transaction, so if one fails the whole upgrade is rolled back and the database is left as it was.
+ *
+ * To change the schema, append a migration with the next version number (never edit one that has shipped).
+*/
+
+/**
+ * @typedef {Object} Migration
+ * @property {number} version - The schema version the migration upgrades to
+ * @property {string} description - What the migration does (shown if it fails)
+ * @property {(db: IDBDatabase, transaction: IDBTransaction) => Promise<void>|void} upgrade - Creates or changes stores and indexes and transforms existing records
+*/
+
+/**
+ * The stores whose records are synced to the cloud (song audio and waveforms are not)
+ * @type {string[]}
+ */
+export const SYNCED_STORES = ['books', 'songs', 'markers', 'tags', 'settings', 'setlists', 'comments']
+
+/**
+ * Every migration, in order
+ * @type {Migration[]}
+ */
+export const MIGRATIONS = [
+	{
+		version: 1,
+		description: 'Create the books, songs, song sources, markers, tags and settings stores',
+		upgrade(db) {
+			const books = db.createObjectStore('books', { keyPath: 'id' })
+			books.createIndex('id', 'id', { unique: true })
+
+			const songs = db.createObjectStore('songs', { keyPath: 'id' })
+			songs.createIndex('id', 'id', { unique: true })
+
+			const songSrcs = db.createObjectStore('songSrcs', { keyPath: 'id' })
+			songSrcs.createIndex('id', 'id', { unique: true })
+
+			const markers = db.createObjectStore('markers', { keyPath: 'id' })
+			markers.createIndex('id', 'id', { unique: true })
+
+			const tags = db.createObjectStore('tags', { keyPath: 'name' })
+			tags.createIndex('name', 'name', { unique: true })
+
+			const settings = db.createObjectStore('settings', { keyPath: 'id' })
+			settings.createIndex('id', 'id', { unique: true })
+		}
+	},
+	{
+		version: 2,
+		description: 'Create the setlists store',
+		upgrade(db) {
+			const setlists = db.createObjectStore('setlists', { keyPath: 'id' })
+			setlists.createIndex('id', 'id', { unique: true })
+		}
+	},
+	{
+		version: 3,
+		description: 'Store song audio as Blobs',
+		async upgrade(db, transaction) {
+			// Blobs need a type, which is in the song metadata
+			const srcTypes = new Map()
+			await updateRecords(transaction, 'songs', (record) => {
+				try {
+					srcTypes.set(record.id, JSON.parse(record.data).srcType)
+				} catch {
+					// Left for loadBandBook to report
+				}
+			})
+
+			await updateRecords(transaction, 'songSrcs', (record) => {
+				if (!(record.src instanceof ArrayBuffer)) return undefined
+				return { ...record, src: new Blob([record.src], { type: srcTypes.get(record.id) ?? '' }) }
+			})
+		}
+	},
+	{
+		version: 4,
+		description: 'Create the snapshots and snapshot audio stores',
+		upgrade(db) {
+			const snapshots = db.createObjectStore('snapshots', { keyPath: 'id' })
+			snapshots.createIndex('bookId', 'bookId', { unique: false })
+
+			// Audio is stored once per distinct file (by content hash), however many snapshots include it
+			db.createObjectStore('snapshotAudio', { keyPath: 'hash' })
+		}
+	},
+	{
+		version: 5,
+		description: 'Add revisions to synced records and create the sync queue and sync state stores',
+		async upgrade(db, transaction) {
+			const syncQueue = db.createObjectStore('syncQueue', { keyPath: 'key' })
+			db.createObjectStore('syncState', { keyPath: 'id' })
+
+			// Nothing has been synced yet, so every record is queued to be uploaded (stores created by later migrations are empty)
+			const updatedAt = Date.now()
+			for (const storeName of SYNCED_STORES.filter(name => db.objectStoreNames.contains(name))) {
+				const { keyPath } = transaction.objectStore(storeName)
+				await updateRecords(transaction, storeName, (record) => {
+					const id = record[keyPath]
+					if (id === undefined) return undefined
+
+					syncQueue.put({ key: `${storeName}/${id}`, store: storeName, id, rev: 0, deleted: false, changeId: crypto.randomUUID() })
+					return { ...record, rev: 0, updatedAt }
+				})
+			}
+		}
+	},
+	{
+		version: 6,
+		description: 'Index private markers by song',
+		upgrade(db, transaction) {
+			// Private markers aren't listed in their song (which is shared with the book's members), so they are found by song id
+			transaction.objectStore('markers').createIndex('songId', 'songId', { unique: false })
+		}
+	},
+	{
+		version: 7,
+		description: 'Create the comments store',
+		upgrade(db) {
+			// Comments are stored apart from their marker, so members of a shared book can comment on a marker at the same time
+			const comments = db.createObjectStore('comments', { keyPath: 'id' })
+			comments.createIndex('markerId', 'markerId', { unique: false })
+		}
+	},
+	{
+		version: 8,
+		description: 'Index song audio by content hash',
+		async upgrade(db, transaction) {
+			// Snapshots use the songs' own audio while it is saved, so it is found by the hash saved with it
+			transaction.objectStore('songSrcs').createIndex('hash', 'hash', { unique: false })
+
+			// Copies made for snapshots of audio that is still saved aren't needed any more
+			const hashes = new Set()
+			await updateRecords(transaction, 'songSrcs', (record) => {
+				if (record.hash) hashes.add(record.hash)
+			})
+			await updateRecords(transaction, 'snapshotAudio', (record) => hashes.has(record.hash) ? null : undefined)
+		}
+	}
+]
+
+/**
+ * The current schema version (the version of the last migration)
+ * @type {number}
+ */
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version
+
+/**
+ * An error thrown when a migration fails (the database is left at its previous version)
+*/
+export class MigrationError extends Error {
+	/**
+	 * @constructor
+	 * @param {Migration} migration - The migration that failed
+	 * @param {number} fromVersion - The version of the database before the upgrade
+	 * @param {unknown} cause - The underlying error
+	*/
+	constructor(migration, fromVersion, cause) {
+		super(`Unable to update saved data from version ${fromVersion} (${migration.description}): ${cause?.message ?? cause}`, { cause })
+		this.name = 'MigrationError'
+		this.migration = migration
+		this.fromVersion = fromVersion
+	}
+}
+
+/**
+ * Returns the migrations needed to upgrade from a version
+ * @param {number} oldVersion - The current version of the database (0 if it is new)
+ * @returns {Migration[]}
+ */
+export const getPendingMigrations = (oldVersion) => MIGRATIONS.filter(migration => migration.version > oldVersion)
+
+/**
+ * Transforms every record in a store (for use in a migration's upgrade)
+ * @param {IDBTransaction} transaction - The upgrade transaction
+ * @param {string} storeName - The store to update
+ * @param {(record: any) => any} transform - Returns the new record, undefined to leave it unchanged or null to delete it
+ * @returns {Promise<number>} - The number of records changed or deleted
+ */
+export const updateRecords = (transaction, storeName, transform) => {
+	return new Promise((resolve, reject) => {
+		const request = transaction.objectStore(storeName).openCursor()
+		let count = 0
+
+		request.onerror = () => reject(request.error)
+		request.onsuccess = () => {
+			const cursor = request.result
+			if (!cursor) {
+				resolve(count)
+				return
+			}
+
+			try {
+				const record = transform(cursor.value)
+				if (record === null) {
+					cursor.delete()
+					count++
+				} else if (record !== undefined) {
+					cursor.update(record)
+					count++
+				}
+				cursor.continue()
+			} catch (error) {
+				reject(error)
+			}
+		}
+	})
+}
@@ -1,5 +1,11 @@
 import { secondsToFormattedTime as format, isIOS } from '../utils.js'
 import { Icon } from './Icon.js'
+import { AudioProcessor } from './AudioProcessor.js'
+import { Notification } from './Notification.js'
+import { Waveform } from './Waveform.js'
+import { Metronome } from './Metronome.js'
+import { ChordLane } from './ChordLane.js'
+import { Encoder } from './Encoder.js'
 
 export class Player {
 	/** @type {Array<{ element: EventTarget, type: string, handler: Function }>} */
@@ -8,9 +14,42 @@ export class Player {
 	/** @type {string|null} */
 	objectUrl = null
 
+	/**
+	 * The Web Audio processing chain (pitch shifting) for the audio element
+	 * @type {AudioProcessor|null}
+	 */
+	processor = null
+
+	/** @type {HTMLSpanElement|null} */
+	transposedKeyElement = null
+
+	/**
+	 * The waveform display (null until loaded, or if unavailable)
+	 * @type {Waveform|null}
+	 */
+	waveform = null
+
+	/**
+	 * The click track for this song
+	 * @type {Metronome|null}
+	 */
+	metronome = null
+
+	/**
+	 * Offers the detected tempo once beat detection has finished
+	 * @type {HTMLDivElement|null}
+	 */
+	beatGridSuggestion = null
+
+	/**
+	 * The detected chords, shown under the waveform
+	 * @type {ChordLane|null}
+	 */
+	chordLane = null
+
 	/**
 	 * @constructor
-	 * @param {ArrayBuffer} src - The URL to the audio file
+	 * @param {Blob} src - The audio file
 	 * @param {string} srcType - The type of the audio file
 	 * @param {import('./Song.js').Song} song - The Song instance associated with this player
 	 * @returns {Player} - A new Player
@@ -48,20 +87,92 @@ export class Player {
 
 	/**
 	 * Creates an audio element
-	 * @param {ArrayBuffer} src - The URL to the audio file
+	 * @param {Blob} src - The audio file (streamed by the audio element, not read into memory)
 	 * @returns {void}
 	*/
 	createAudioElement(src) {
 		const audio = document.createElement('audio')
 
-		const songBlob = new Blob([src], { type: this.srcType })
-		this.objectUrl = URL.createObjectURL(songBlob)
+		this.objectUrl = URL.createObjectURL(src)
 
 		audio.src = this.objectUrl
 		audio.controls = true
 		audio.preload = 'metadata'
 
+		// Change tempo without changing pitch (pitch is handled by the AudioProcessor)
+		audio.preservesPitch = true
+		audio.mozPreservesPitch = true
+		audio.webkitPreservesPitch = true
+
 		this.audioElement = audio
+		this.processor = new AudioProcessor(audio)
+
+		// Route audio through the processing chain when the song is transposed
+		this.addListener(audio, 'play', () => {
+			if (this.isTransposed() || this.processor.isConnected()) {
+				this.applyPitch()
+			}
+		})
+
+		// Remember the duration, so it is known without loading the audio
+		this.addListener(audio, 'loadedmetadata', () => {
+			this.song?.setDuration(audio.duration)
+		})
+
+		// Move on to the next song when playing a setlist
+		this.addListener(audio, 'ended', () => {
+			this.song?.bandbook?.setlistManager?.onSongEnded(this.song)
+		})
+
+		this.metronome = new Metronome(this)
+	}
+
+	/**
+	 * Returns whether the song is currently transposed
+	 * @returns {boolean}
+	*/
+	isTransposed() {
+		const { semitones, cents } = this.song?.transposition ?? {}
+		return Boolean(semitones || cents)
+	}
+
+	/**
+	 * Connects the processing chain (if needed) and applies the song's transposition
+	 * @returns {Promise<void>}
+	*/
+	async applyPitch() {
+		const { semitones = 0, cents = 0 } = this.song?.transposition ?? {}
+		this.processor.setPitch(semitones, cents)
+
+		try {
+			await this.processor.connect()
+			await this.processor.resume()
+		} catch (error) {
+			Sentry.captureException(error)
+			console.error('Error connecting audio processor:', error)
+			new Notification('Transposition is not supported in this browser', 'error')
+		}
+	}
+
+	/**
+	 * Sets the pitch shift of the player
+	 * @param {number} semitones - Whole semitones to shift by
+	 * @param {number} [cents=0] - Additional cents to shift by
+	 * @returns {void}
+	*/
+	setPitch(semitones, cents = 0) {
+		if (semitones || cents || this.processor.isConnected()) {
+			this.applyPitch()
+		}
+		this.updateTransposedKeyDisplay()
+	}
+
+	/**
+	 * Returns the interactive marker/segment layer drawn over the waveform
+	 * @returns {import('./WaveformOverlay.js').WaveformOverlay|null}
+	*/
+	get waveformOverlay() {
+		return this.waveform?.overlay ?? null
 	}
 
 	/**
@@ -87,27 +198,50 @@ export class Player {
 			topRow.className = 'top-row'
 			topRow.appendChild(this.getPlayPauseButton())
 
+			/* Chord lane (drawn under the waveform so their time axes line up) */
+			this.chordLane = new ChordLane(this)
+
+			const seekingColumn = document.createElement('div')
+			seekingColumn.className = 'seeking-column'
+			seekingColumn.appendChild(this.getSeekingElement(waveform))
+			seekingColumn.appendChild(this.chordLane.getElement())
+
 			const { currentTimeElement, durationElement } = this.getTimeElements()
 			const seekingWrapper = document.createElement('div')
 			seekingWrapper.className = 'seeking-wrapper'
 			seekingWrapper.appendChild(currentTimeElement)
-			seekingWrapper.appendChild(this.getSeekingElement(waveform))
+			seekingWrapper.appendChild(seekingColumn)
 			seekingWrapper.appendChild(durationElement)
 
 			topRow.appendChild(seekingWrapper)
 			
 			topRow.appendChild(this.getVolumeControl())
 
+			/* Waveform zoom/scroll controls */
+			const waveformControls = this.waveform?.getControls()
+
 			/* Bottom Row */
 			const bottomRow = document.createElement('div')
 			bottomRow.className = 'bottom-row'
 			bottomRow.appendChild(this.getSkipButtons())
 			bottomRow.appendChild(this.getSpeedControl())
+			bottomRow.appendChild(this.getPitchControl())
+			bottomRow.appendChild(this.metronome.getControl())
 			bottomRow.appendChild(this.getDownloadButton())
 
 			/* Append everything to the player element */
 			playerElement.appendChild(topRow)
+			if (waveformControls) playerElement.appendChild(waveformControls)
+			playerElement.appendChild(this.chordLane.getControls())
+			playerElement.appendChild(this.song.editList.getControls())
+			playerElement.appendChild(this.getBeatGridSuggestion())
 			playerElement.appendChild(bottomRow)
+
+			// Draw once the waveform has been laid out
+			requestAnimationFrame(() => {
+				this.waveform?.draw()
+				this.chordLane?.draw()
+			})
 		}).catch(error => {
 			console.error('Error creating waveform:', error)
 		}).finally(() => {
@@ -395,6 +529,92 @@ export class Player {
 		return speedControl
 	}
 
+	/**
+	 * Returns the pitch (transposition) control element
+	 * @returns {HTMLDivElement} - A div element
+	*/
+	getPitchControl() {
+		const pitchControl = document.createElement('div')
+		pitchControl.className = 'pitch-control'
+
+		const { semitones, cents } = this.song.transposition
+
+		const semitonesLabel = document.createElement('label')
+		semitonesLabel.htmlFor = 'pitch-semitones'
+		semitonesLabel.className = 'sr-only'
+		semitonesLabel.textContent = 'Transpose (semitones):'
+
+		const semitonesInput = document.createElement('input')
+		semitonesInput.id = 'pitch-semitones'
+		semitonesInput.type = 'number'
+		semitonesInput.min = -12
+		semitonesInput.max = 12
+		semitonesInput.step = 1
+		semitonesInput.value = semitones
+		semitonesInput.title = 'Transpose (semitones)'
+
+		const centsLabel = document.createElement('label')
+		centsLabel.htmlFor = 'pitch-cents'
+		centsLabel.className = 'sr-only'
+		centsLabel.textContent = 'Fine tune (cents):'
+
+		const centsInput = document.createElement('input')
+		centsInput.id = 'pitch-cents'
+		centsInput.type = 'number'
+		centsInput.min = -100
+		centsInput.max = 100
+		centsInput.step = 1
+		centsInput.value = cents
+		centsInput.title = 'Fine tune (cents)'
+
+		const onChange = () => {
+			const clamp = (value, min, max) => Math.min(max, Math.max(min, parseInt(value, 10) || 0))
+			semitonesInput.value = clamp(semitonesInput.value, -12, 12)
+			centsInput.value = clamp(centsInput.value, -100, 100)
+			this.song.setTransposition(Number(semitonesInput.value), Number(centsInput.value))
+		}
+
+		semitonesInput.addEventListener('change', onChange)
+		centsInput.addEventListener('change', onChange)
+
+		const resetButton = document.createElement('button')
+		resetButton.textContent = 'Reset'
+		resetButton.title = 'Reset transposition'
+		resetButton.addEventListener('click', () => {
+			semitonesInput.value = 0
+			centsInput.value = 0
+			onChange()
+		})
+
+		this.transposedKeyElement = document.createElement('span')
+		this.transposedKeyElement.className = 'transposed-key'
+		this.updateTransposedKeyDisplay()
+
+		// The transposition is saved with the song, which viewers of a shared book can't change
+		const canEdit = this.song.bandbook.sharingManager.canEdit()
+		semitonesInput.disabled = !canEdit
+		centsInput.disabled = !canEdit
+		resetButton.disabled = !canEdit
+
+		pitchControl.appendChild(semitonesLabel)
+		pitchControl.appendChild(semitonesInput)
+		pitchControl.appendChild(centsLabel)
+		pitchControl.appendChild(centsInput)
+		pitchControl.appendChild(resetButton)
+		pitchControl.appendChild(this.transposedKeyElement)
+
+		return pitchControl
+	}
+
+	/**
+	 * Updates the displayed (transposed) key in the pitch control
+	 * @returns {void}
+	*/
+	updateTransposedKeyDisplay() {
+		if (!this.transposedKeyElement) return
+		this.transposedKeyElement.textContent = `Key: ${this.song.getDisplayKey()}`
+	}
+
 	/**
 	 * Returns the download button
 	 * @returns {HTMLAnchorElement} - An anchor element
@@ -406,29 +626,59 @@ export class Player {
 		button.title = 'Download'
 		button.appendChild(new Icon('download', 30, 30).getImg())
 
-		// Create a blob from the source and set the href attribute
-		const srcBlob = new Blob([this.src], { type: this.srcType })
-		const srcUrl = URL.createObjectURL(srcBlob)
-		button.href = srcUrl
+		// Link to the audio element's source (no copy is made)
+		button.href = this.objectUrl
 
 		// Set the download attribute based on the file type
-		let type = this.srcType.split('/')[1]
-		switch (type) {
-			case 'x-m4a':
-				type = 'm4a'
-				break
-			case 'mpeg':
-				type = 'mp3'
-				break
-			default:
-				break
-		}
-
-		button.download = `${this.song.title}.${type}`
+		button.download = `${this.song.title}.${Encoder.getExtension(this.srcType)}`
 
 		return button
 	}
 
+	/**
+	 * Returns the beat detection suggestion element
+	 * @returns {HTMLDivElement} - A div element (hidden unless there is a suggestion)
+	*/
+	getBeatGridSuggestion() {
+		const element = document.createElement('div')
+		element.className = 'beat-grid-suggestion'
+		element.setAttribute('role', 'status')
+		this.beatGridSuggestion = element
+		this.updateBeatGridSuggestion()
+		return element
+	}
+
+	/**
+	 * Shows or hides the detected tempo suggestion
+	 * @returns {void}
+	*/
+	updateBeatGridSuggestion() {
+		const element = this.beatGridSuggestion
+		if (!element) return
+
+		element.innerHTML = ''
+		const grid = this.song.beatGrid
+		// Viewers of a shared book can't change the tempo
+		element.hidden = grid?.status !== 'suggested' || !this.song.bandbook.sharingManager.canEdit()
+		if (element.hidden) return
+
+		const text = document.createElement('span')
+		text.textContent = `Detected tempo: ${Math.round(grid.tempo)} BPM, beat 1 at ${grid.offset.toFixed(2)}s (${Math.round(grid.confidence * 100)}% confidence)`
+
+		const useButton = document.createElement('button')
+		useButton.textContent = 'Use'
+		useButton.title = 'Set the song tempo and metronome offset'
+		useButton.addEventListener('click', () => this.song.applyBeatGrid())
+
+		const dismissButton = document.createElement('button')
+		dismissButton.textContent = 'Dismiss'
+		dismissButton.addEventListener('click', () => this.song.dismissBeatGrid())
+
+		element.appendChild(text)
+		element.appendChild(useButton)
+		element.appendChild(dismissButton)
+	}
+
 	/**
 	 * Returns the current time of the audio element
 	 * @returns {number} - The current time of the audio element
@@ -438,155 +688,29 @@ export class Player {
 	}
 
 	/**
-	 * Make waveform display canvas element
+	 * Make the zoomable waveform display
 	 * Falls back to null if unavailable or if performance mode is enabled
-	 * @returns {HTMLDivElement} - A div element wrapping the waveform
-	 * @returns {null} - If the audio decoding times out, returns null to use backup seeking element
+	 * @returns {Promise<HTMLDivElement|null>} - A div element wrapping the waveform, or null to use the backup seeking element
 	*/
 	getWaveform() {
-	return new Promise(async (resolve, reject) => {
-		if (this.song.bandbook.settingsManager.isPerformanceMode()) return resolve(null);
+		return new Promise(async (resolve, reject) => {
+			if (this.song.bandbook.settingsManager.isPerformanceMode()) return resolve(null)
 
-		try {
-			const wrapper = document.createElement('div');
-			const canvas = document.createElement('canvas');
-			canvas.className = 'waveform';
-			// Let layout decide visual size; we’ll set backing store after measuring
-			canvas.style.width = '100%';
-			canvas.style.height = '100px';
-			wrapper.appendChild(canvas); // append first so clientWidth is accurate
-
-		try {
-			if (isIOS() && this.song.src.byteLength > 10000000) {
-				console.warn('iOS does not support waveform display for large files at this time');
-				throw new Error('iOS does not support waveform display for large files at this time');
-			}
-
-			const averages = await this.getAverageVolumesArray();
-			const ctx = canvas.getContext('2d');
-			if (!ctx) throw new Error('Canvas 2D context unavailable');
-
-			// Measure CSS pixels and set a crisp backing store
-			const cssWidth = Math.max(300, Math.floor(canvas.clientWidth || averages.length));
-			const cssHeight = 100;
-			const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1));
-			canvas.width = cssWidth * dpr;
-			canvas.height = cssHeight * dpr;
-
-			// Work in CSS units but render on a HiDPI backing store
-			ctx.setTransform(dpr, 0, 0, dpr, 0, 0);
-
-			// Colors
-			const color =
-			getComputedStyle(document.documentElement)
-				.getPropertyValue('--text-neutral')
-				.trim() || '#000';
-			ctx.fillStyle = color;
-			ctx.strokeStyle = color;
-
-			// Turn off image smoothing (mostly for images, but harmless)
-			ctx.imageSmoothingEnabled = false;
-
-			// Layout math
-			const n = averages.length;
-			const step = cssWidth / n;
-
-			// Draw
-			ctx.clearRect(0, 0, cssWidth, cssHeight);
-			for (let i = 0; i < n; i++) {
-				const valuePct = Math.max(0, Math.min(100, averages[i]));
-				const barHeight = (valuePct / 100) * cssHeight;
-
-				// Desired bar width in CSS px
-				const desired = step * 0.6;
-
-				// Convert to device pixels, snap to integer, then back to CSS px
-				const barWidthDev = Math.max(1, Math.round(desired * dpr));
-				const barWidth = barWidthDev / dpr;
-
-				// Center bars vertically (to match your flex centering)
-				const y = (cssHeight - barHeight) / 2;
-
-				// Compute x and snap to device pixel grid to avoid anti-alias fuzz
-				let x = i * step + (step - barWidth) / 2;
-				x = Math.round(x * dpr) / dpr;
-
-				if (barWidthDev <= 1) {
-					// Sub-1px (CSS) bars: draw a crisp 1 device-pixel vertical line
-					// Align to half-pixel in CSS units so the 1px stroke lands on device pixels
-					const xCenter = Math.round((i * step + step / 2) * dpr) / dpr + (1 / (2 * dpr));
-					ctx.beginPath();
-					ctx.moveTo(xCenter, y);
-					ctx.lineTo(xCenter, y + barHeight);
-					ctx.lineWidth = 1; // 1 device pixel thanks to HiDPI transform
-					ctx.stroke();
-				} else {
-					// Wider bars: draw a filled rect snapped to device pixels
-					ctx.fillRect(x, y, barWidth, barHeight);
+			try {
+				if (isIOS() && this.src.size > 10000000) {
+					console.warn('iOS does not support waveform display for large files at this time')
+					return resolve(null)
 				}
-			}
 
-			resolve(wrapper);
-		} catch {
-			resolve(null);
-		}
-		} catch (error) {
-			Sentry.captureException(error);
-			reject(error);
-		}
-	});
-	}
-
-	/**
-	 * Get an array of average volumes for each 1/100th of the audio
-	 * @returns {Promise<number[]>} - An array of average volumes values from 3-100 (normalized)
-	*/
-	async getAverageVolumesArray() {
-		if (this.song.waveformVolumes.length > 0) return this.song.waveformVolumes
-
-		const clonedSrc = this.src.slice(0)
-		return new Promise((resolve, reject) => {
-			try {
-				const audioContext = new AudioContext()
-				audioContext.decodeAudioData(clonedSrc).then(async buffer => {
-					// Get the average volume for 1/100th of the audio
-					const bufferLength = buffer.length
-					const samples = buffer.getChannelData(0)
-					const sampleSize = bufferLength / 100
-		
-					// Create an array of averages for each segment of the audio
-					const averages = []
-		
-					for (let i = 0; i < bufferLength; i += sampleSize) {
-						const segment = samples.slice(i, i + sampleSize)
-						const sum = segment.reduce((a, b) => a + Math.abs(b), 0)
-						averages.push((sum / sampleSize) * 100)
-					}
-
-					// Normalize the averages to a 3-100% range
-					const min = Math.min(...averages)
-					const max = Math.max(...averages)
-					const range = max - min
-
-					const normalizedAverages = averages.map(average => {
-						return ((average - min) / range) * 97 + 3
-					})
-					
-					await this.song.setWaveformVolumes(normalizedAverages)
-					resolve(normalizedAverages)
-				})
-
-				audioContext.close().catch(error => {
-					console.error('Error closing audio context:', error)
-				})
+				const waveform = new Waveform(this)
+				const element = await waveform.load()
+				this.waveform = waveform
+				resolve(element)
 			} catch (error) {
 				Sentry.captureException(error)
-				reject(error)
-			} finally {() => {
-				audioContext.close().catch(error => {
-					console.error('Error closing audio context:', error)
-				})
-			}}
+				console.error('Error loading waveform:', error)
+				resolve(null)
+			}
 		})
 	}
 
@@ -603,6 +727,18 @@ export class Player {
 		})
 		this.listeners = []
 
+		this.waveform = null
+		this.beatGridSuggestion = null
+		this.chordLane = null
+
+		// Close the processing chain
+		this.processor?.destroy()
+		this.processor = null
+
+		// Stop the click track
+		this.metronome?.destroy()
+		this.metronome = null
+
 		// Stop audio
 		if (this.audioElement) {
 			this.audioElement.pause()
@@ -0,0 +1,515 @@
+import { Modal } from './Modal.js'
+import { Notification } from './Notification.js'
+import { secondsToFormattedTime as format } from '../utils.js'
+
+/**
+ * @typedef {Object} PrintPacketEntry
+ * @property {import('./Song.js').Song} song - The song
+ * @property {string} [notes] - Notes for this spot in the set (from a setlist)
+*/
+
+/**
+ * @typedef {Object} PrintOptions
+ * @property {boolean} [cover=true] - Whether to start with a cover page listing the songs and durations
+ * @property {boolean} [compact=false] - Whether to print only a one-page, large-type setlist
+ * @property {boolean} [comments=false] - Whether to include the comments on each marker
+*/
+
+/**
+ * Styles for the print window
+ * @type {string}
+ */
+const PRINT_STYLES = `
+	@page {
+		margin: 15mm;
+	}
+
+	body {
+		font-family: Arial, sans-serif;
+		color: #000;
+	}
+
+	table {
+		width: 100%;
+		border-collapse: collapse;
+	}
+
+	th, td {
+		padding: 4px 6px;
+		border-bottom: 1px solid #ccc;
+		text-align: left;
+		vertical-align: top;
+	}
+
+	.cover h1 {
+		font-size: 28pt;
+	}
+
+	.song {
+		break-before: page;
+	}
+
+	.cover + .song, .song:first-child {
+		break-before: auto;
+	}
+
+	.song-meta {
+		display: flex;
+		flex-wrap: wrap;
+		gap: 4px 24px;
+		margin: 0;
+		padding: 0;
+		list-style: none;
+	}
+
+	.song-notes, .marker-notes {
+		white-space: pre-wrap;
+	}
+
+	.set-notes {
+		font-style: italic;
+	}
+
+	.marker-comments {
+		margin: 2px 0 0;
+		padding-left: 1.2em;
+		font-size: 0.9em;
+	}
+
+	.marker-comments .resolved {
+		color: #666;
+	}
+
+	.compact {
+		height: 100vh;
+		display: grid;
+		align-content: start;
+	}
+
+	.compact h1 {
+		margin: 0 0 0.25em;
+		font-size: 0.6em;
+	}
+
+	.compact ol {
+		margin: 0;
+		padding-left: 1.6em;
+		font-weight: bold;
+		line-height: 1.2;
+	}
+
+	.compact small {
+		font-size: 0.5em;
+		font-weight: normal;
+	}
+`
+
+/**
+ * Prints songs (a setlist or the whole BandBook) as a rehearsal packet or a large-type setlist
+*/
+export class PrintPacket {
+	/**
+	 * The printable height of a page in points (A4 and Letter, less the margins)
+	 * @type {number}
+	*/
+	static PAGE_HEIGHT = 680
+
+	/**
+	 * The largest font size of the large-type setlist in points
+	 * @type {number}
+	*/
+	static MAX_COMPACT_FONT_SIZE = 54
+
+	/**
+	 * @constructor
+	 * @param {string} title - The packet title (e.g. the setlist name)
+	 * @param {PrintPacketEntry[]} entries - The songs to print, in order
+	*/
+	constructor(title, entries) {
+		this.title = title
+		this.entries = entries
+	}
+
+	/**
+	 * Creates a packet for a setlist
+	 * @param {import('./Setlist.js').Setlist} setlist - A Setlist instance
+	 * @returns {PrintPacket}
+	*/
+	static fromSetlist(setlist) {
+		return new PrintPacket(setlist.name, setlist.getItems().map(({ song, entry }) => ({ song, notes: entry.notes })))
+	}
+
+	/**
+	 * Creates a packet for every song in a BandBook
+	 * @param {import('./BandBook.js').BandBook} bandbook - A BandBook instance
+	 * @returns {PrintPacket}
+	*/
+	static fromBandBook(bandbook) {
+		return new PrintPacket('BandBook', bandbook.songs.map(song => ({ song })))
+	}
+
+	/**
+	 * Opens the print options modal
+	 * @param {import('./BandBook.js').BandBook} bandbook - A BandBook instance
+	 * @param {import('./Setlist.js').Setlist} [setlist] - A setlist to select by default
+	 * @returns {void}
+	*/
+	static openPrintModal(bandbook, setlist) {
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = 'Print'
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('print-options')
+
+		const sourceLabel = document.createElement('label')
+		sourceLabel.textContent = 'Songs'
+		const sourceSelect = document.createElement('select')
+		const allOption = document.createElement('option')
+		allOption.value = ''
+		allOption.textContent = `Whole BandBook (${bandbook.songs.length} songs)`
+		sourceSelect.appendChild(allOption)
+		bandbook.setlistManager?.setlists.forEach(s => {
+			const option = document.createElement('option')
+			option.value = s.id
+			option.textContent = `Setlist: ${s.name}`
+			option.selected = s === setlist
+			sourceSelect.appendChild(option)
+		})
+		sourceLabel.appendChild(sourceSelect)
+
+		const getPacket = () => {
+			const selected = bandbook.setlistManager?.setlists.find(s => s.id === sourceSelect.value)
+			return selected ? PrintPacket.fromSetlist(selected) : PrintPacket.fromBandBook(bandbook)
+		}
+
+		const commentsLabel = PrintPacket.getCommentsCheckbox()
+
+		const actions = document.createElement('div')
+		actions.classList.add('print-actions')
+
+		const packetButton = document.createElement('button')
+		packetButton.textContent = 'Print Rehearsal Packet'
+		packetButton.title = 'A cover page, then a page per song with its details, notes and markers'
+		packetButton.addEventListener('click', () => getPacket().print({ comments: commentsLabel.querySelector('input').checked }))
+
+		const compactButton = document.createElement('button')
+		compactButton.textContent = 'Print Large-Type Setlist'
+		compactButton.title = 'One page with just the song titles, big enough to read from the floor'
+		compactButton.addEventListener('click', () => getPacket().print({ compact: true }))
+
+		actions.appendChild(packetButton)
+		actions.appendChild(compactButton)
+		modalContent.appendChild(sourceLabel)
+		modalContent.appendChild(commentsLabel)
+		modalContent.appendChild(actions)
+
+		new Modal(modalHeader, modalContent, { useForm: false })
+	}
+
+	/**
+	 * Opens the print options modal for one song's summary
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {void}
+	*/
+	static openSongSummaryModal(song) {
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = 'Print Song Summary'
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('print-options')
+
+		const commentsLabel = PrintPacket.getCommentsCheckbox()
+
+		const printButton = document.createElement('button')
+		printButton.textContent = 'Print'
+		printButton.addEventListener('click', () => {
+			modal.remove()
+			new PrintPacket(`${song.title} - Summary`, [{ song }]).print({ cover: false, comments: commentsLabel.querySelector('input').checked })
+		})
+
+		modalContent.appendChild(commentsLabel)
+		modalContent.appendChild(printButton)
+
+		const modal = new Modal(modalHeader, modalContent, { useForm: false })
+	}
+
+	/**
+	 * Returns a checkbox to include the comments on markers
+	 * @returns {HTMLLabelElement}
+	*/
+	static getCommentsCheckbox() {
+		const label = document.createElement('label')
+		label.classList.add('print-comments')
+
+		const checkbox = document.createElement('input')
+		checkbox.type = 'checkbox'
+
+		const text = document.createElement('span')
+		text.textContent = 'Include comments on markers'
+
+		label.appendChild(checkbox)
+		label.appendChild(text)
+		return label
+	}
+
+	/**
+	 * Returns the total running time in seconds
+	 * @returns {number}
+	*/
+	getDuration() {
+		return this.entries.reduce((total, { song }) => total + song.getDuration(), 0)
+	}
+
+	/**
+	 * Opens a new window with the packet and prints it
+	 * @param {PrintOptions} [options={}]
+	 * @returns {void}
+	*/
+	print({ cover = true, compact = false, comments = false } = {}) {
+		if (!this.entries.length) {
+			new Notification('There are no songs to print', 'error')
+			return
+		}
+
+		// Open a new window for the packet
+		const win = window.open('', '_blank')
+
+		if (!win) {
+			alert('Unable to open print window. Please allow pop-ups for this site.')
+			return
+		}
+
+		const doc = win.document
+		doc.title = this.title
+
+		// Add styles
+		const style = doc.createElement('style')
+		style.textContent = PRINT_STYLES
+		doc.head.appendChild(style)
+
+		if (compact) {
+			doc.body.appendChild(this.getCompactSetlist(doc))
+		} else {
+			if (cover) doc.body.appendChild(this.getCoverPage(doc))
+			this.entries.forEach(entry => doc.body.appendChild(this.getSongPage(doc, entry, comments)))
+		}
+
+		// Wait for render, then print
+		setTimeout(() => {
+			win.focus()
+			win.print()
+			win.close()
+		}, 250)
+	}
+
+	/**
+	 * Returns the cover page, listing the songs and their durations
+	 * @param {Document} doc - The print window's document
+	 * @returns {HTMLElement}
+	*/
+	getCoverPage(doc) {
+		const cover = doc.createElement('section')
+		cover.className = 'cover'
+
+		const title = doc.createElement('h1')
+		title.textContent = this.title
+		cover.appendChild(title)
+
+		const summary = doc.createElement('p')
+		summary.textContent = `${this.entries.length} ${this.entries.length === 1 ? 'song' : 'songs'}, ${format(this.getDuration())} total`
+		cover.appendChild(summary)
+
+		const table = doc.createElement('table')
+		table.appendChild(this.getTableHead(doc, ['#', 'Song', 'Key', 'Duration', 'Notes']))
+
+		const body = doc.createElement('tbody')
+		this.entries.forEach(({ song, notes }, i) => {
+			body.appendChild(this.getTableRow(doc, [
+				String(i + 1),
+				song.title,
+				song.getDisplayKey(),
+				format(song.getDuration()),
+				notes ?? ''
+			]))
+		})
+		table.appendChild(body)
+		cover.appendChild(table)
+
+		return cover
+	}
+
+	/**
+	 * Returns a song's page: its details, notes and markers
+	 * @param {Document} doc - The print window's document
+	 * @param {PrintPacketEntry} entry - The song (and its setlist notes)
+	 * @param {boolean} [comments=false] - Whether to include the comments on each marker
+	 * @returns {HTMLElement}
+	*/
+	getSongPage(doc, { song, notes }, comments = false) {
+		const page = doc.createElement('section')
+		page.className = 'song'
+
+		const title = doc.createElement('h1')
+		title.textContent = song.title
+		page.appendChild(title)
+
+		if (notes) {
+			const setNotes = doc.createElement('p')
+			setNotes.className = 'set-notes'
+			setNotes.textContent = notes
+			page.appendChild(setNotes)
+		}
+
+		// Details
+		const key = song.transposition.semitones
+			? `${song.getDisplayKey()} (written in ${song.key})`
+			: song.key
+		const details = [
+			['Key', key],
+			['Tempo', song.tempo ? `${song.tempo} BPM` : ''],
+			['Time signature', song.timeSignature],
+			['Composer', song.composer],
+			['Duration', format(song.getDuration())]
+		]
+
+		const meta = doc.createElement('ul')
+		meta.className = 'song-meta'
+		details.filter(([, value]) => value).forEach(([label, value]) => {
+			const item = doc.createElement('li')
+			const strong = doc.createElement('strong')
+			strong.textContent = `${label}: `
+			item.appendChild(strong)
+			item.appendChild(doc.createTextNode(value))
+			meta.appendChild(item)
+		})
+		page.appendChild(meta)
+
+		// Notes
+		if (song.notes) {
+			const songNotes = doc.createElement('p')
+			songNotes.className = 'song-notes'
+			songNotes.textContent = song.notes
+			page.appendChild(songNotes)
+		}
+
+		// Markers
+		const markers = [...song.markerList.markers].sort((a, b) => a.time - b.time)
+		if (markers.length) {
+			const heading = doc.createElement('h2')
+			heading.textContent = 'Markers'
+			page.appendChild(heading)
+
+			const table = doc.createElement('table')
+			table.appendChild(this.getTableHead(doc, ['Time', 'Marker', 'Tags', 'Notes']))
+
+			const body = doc.createElement('tbody')
+			markers.forEach(marker => {
+				const row = this.getTableRow(doc, [
+					format(marker.time),
+					marker.title,
+					(marker.tags ?? []).map(tag => tag.name).join(', '),
+					marker.notes ?? ''
+				])
+				row.lastChild.className = 'marker-notes'
+				if (comments) row.lastChild.appendChild(this.getMarkerComments(doc, marker))
+				body.appendChild(row)
+			})
+			table.appendChild(body)
+			page.appendChild(table)
+		}
+
+		return page
+	}
+
+	/**
+	 * Returns the comments on a marker, oldest first (empty if there are none)
+	 * @param {Document} doc - The print window's document
+	 * @param {import('./Marker.js').Marker} marker - A Marker instance
+	 * @returns {HTMLUListElement|DocumentFragment}
+	*/
+	getMarkerComments(doc, marker) {
+		const { comments } = marker.comments
+		if (!comments.length) return doc.createDocumentFragment()
+
+		const list = doc.createElement('ul')
+		list.className = 'marker-comments'
+
+		comments.forEach(comment => {
+			const item = doc.createElement('li')
+			if (comment.resolved) item.className = 'resolved'
+
+			const author = doc.createElement('strong')
+			author.textContent = `${marker.comments.getAuthorLabel(comment)} (${new Date(comment.createdAt).toLocaleDateString()}${comment.resolved ? ', resolved' : ''}): `
+			item.appendChild(author)
+			item.appendChild(doc.createTextNode(comment.text))
+			list.appendChild(item)
+		})
+
+		return list
+	}
+
+	/**
+	 * Returns a one-page setlist in type as large as fits
+	 * @param {Document} doc - The print window's document
+	 * @returns {HTMLElement}
+	*/
+	getCompactSetlist(doc) {
+		const page = doc.createElement('section')
+		page.className = 'compact'
+
+		// The title takes about one line, each song another
+		const fontSize = Math.min(PrintPacket.MAX_COMPACT_FONT_SIZE, PrintPacket.PAGE_HEIGHT / ((this.entries.length + 1) * 1.25))
+		page.style.fontSize = `${fontSize.toFixed(1)}pt`
+
+		const title = doc.createElement('h1')
+		title.textContent = this.title
+		page.appendChild(title)
+
+		const list = doc.createElement('ol')
+		this.entries.forEach(({ song, notes }) => {
+			const item = doc.createElement('li')
+			item.textContent = `${song.title} `
+			const details = doc.createElement('small')
+			details.textContent = [song.getDisplayKey(), notes].filter(Boolean).join(' - ')
+			item.appendChild(details)
+			list.appendChild(item)
+		})
+		page.appendChild(list)
+
+		return page
+	}
+
+	/**
+	 * Returns a table head
+	 * @param {Document} doc - The print window's document
+	 * @param {string[]} labels - The column labels
+	 * @returns {HTMLTableSectionElement}
+	*/
+	getTableHead(doc, labels) {
+		const head = doc.createElement('thead')
+		const row = doc.createElement('tr')
+		labels.forEach(label => {
+			const cell = doc.createElement('th')
+			cell.textContent = label
+			row.appendChild(cell)
+		})
+		head.appendChild(row)
+		return head
+	}
+
+	/**
+	 * Returns a table row
+	 * @param {Document} doc - The print window's document
+	 * @param {string[]} values - The cell values
+	 * @returns {HTMLTableRowElement}
+	*/
+	getTableRow(doc, values) {
+		const row = doc.createElement('tr')
+		values.forEach(value => {
+			const cell = doc.createElement('td')
+			cell.textContent = value
+			row.appendChild(cell)
+		})
+		return row
+	}
+}
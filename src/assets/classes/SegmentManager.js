@@ -33,7 +33,7 @@ export class SegmentManager {
 	 * @returns {void}
 	 */
 	updateLoopListener() {
-		if (!this.song) return
+		if (!this.song?.player) return
 
 		const audio = this.song.player.getAudioElement()
 
@@ -88,7 +88,7 @@ export class SegmentManager {
 	 * @returns {void}
 	 */
 	destroy() {
-		if (!this.song || !this.eventCallback) return
+		if (!this.song?.player || !this.eventCallback) return
 
 		const audio = this.song.player.getAudioElement()
 		audio.removeEventListener('timeupdate', this.eventCallback)
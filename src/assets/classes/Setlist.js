@@ -0,0 +1,161 @@
+/**
+ * @typedef {Object} SetlistEntry
+ * @property {string} songId - The id of the song
+ * @property {string} notes - Notes for this spot in the set (e.g. "segue", "capo 2")
+*/
+
+/**
+ * @typedef {Object} SetlistData
+ * @property {string} id - The setlist id
+ * @property {string} name - The setlist name
+ * @property {SetlistEntry[]} entries - The songs in the setlist, in order
+*/
+
+/**
+ * @typedef {Object} SetlistItem
+ * @property {SetlistEntry} entry - The setlist entry
+ * @property {import('./Song.js').Song} song - The song the entry refers to
+ * @property {number} index - The position of the entry in the setlist
+*/
+
+/**
+ * A named, ordered list of songs in the BandBook (songs are referenced, never copied)
+*/
+export class Setlist {
+	/** @type {string} */
+	id
+
+	/** @type {string} */
+	name
+
+	/** @type {SetlistEntry[]} */
+	entries = []
+
+	/**
+	 * @constructor
+	 * @param {SetlistData} data - The setlist data
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor({ id, name, entries = [] }, bandbook) {
+		this.id = id ?? crypto.randomUUID()
+		this.name = name || 'New Setlist'
+		this.entries = Array.isArray(entries)
+			? entries.filter(entry => entry?.songId).map(({ songId, notes }) => ({ songId, notes: notes ?? '' }))
+			: []
+		this.bandbook = bandbook
+	}
+
+	/**
+	 * Returns the entries whose songs are in the BandBook, with their songs
+	 * @returns {SetlistItem[]}
+	*/
+	getItems() {
+		return this.entries
+			.map((entry, index) => ({ entry, index, song: this.bandbook.songs.find(song => song.id === entry.songId) }))
+			.filter(item => item.song)
+	}
+
+	/**
+	 * Returns the songs in the setlist, in order
+	 * @returns {import('./Song.js').Song[]}
+	*/
+	getSongs() {
+		return this.getItems().map(item => item.song)
+	}
+
+	/**
+	 * Returns the total running time of the setlist in seconds
+	 * @returns {number}
+	*/
+	getDuration() {
+		return this.getSongs().reduce((total, song) => total + song.getDuration(), 0)
+	}
+
+	/**
+	 * Sets the name of the setlist
+	 * @param {string} name - A new name
+	 * @returns {Promise<Boolean>}
+	*/
+	setName(name) {
+		this.name = name.trim() || this.name
+		return this.save()
+	}
+
+	/**
+	 * Adds a song to the end of the setlist (a song can be played more than once in a set)
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {Promise<Boolean>}
+	*/
+	addSong(song) {
+		this.entries.push({ songId: song.id, notes: '' })
+		return this.save()
+	}
+
+	/**
+	 * Removes an entry
+	 * @param {number} index - The position of the entry
+	 * @returns {Promise<Boolean>}
+	*/
+	removeEntry(index) {
+		this.entries.splice(index, 1)
+		return this.save()
+	}
+
+	/**
+	 * Moves an entry to a new position
+	 * @param {number} from - The current position of the entry
+	 * @param {number} to - The new position of the entry
+	 * @returns {Promise<Boolean>}
+	*/
+	moveEntry(from, to) {
+		to = Math.max(0, Math.min(this.entries.length - 1, to))
+		const [entry] = this.entries.splice(from, 1)
+		this.entries.splice(to, 0, entry)
+		return this.save()
+	}
+
+	/**
+	 * Sets the notes of an entry
+	 * @param {number} index - The position of the entry
+	 * @param {string} notes - New notes
+	 * @returns {Promise<Boolean>}
+	*/
+	setEntryNotes(index, notes) {
+		this.entries[index].notes = notes
+		return this.save()
+	}
+
+	/**
+	 * Removes every entry for a song (e.g. when the song is deleted)
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {boolean} - Whether any entries were removed
+	*/
+	removeSong(song) {
+		const count = this.entries.length
+		this.entries = this.entries.filter(entry => entry.songId !== song.id)
+		if (this.entries.length === count) return false
+
+		this.save()
+		return true
+	}
+
+	/**
+	 * Saves the setlist
+	 * @returns {Promise<Boolean>}
+	*/
+	save() {
+		return this.bandbook.syncManager.putSetlist(this)
+	}
+
+	/**
+	 * Get setlist data for serialization
+	 * @returns {SetlistData}
+	*/
+	getData() {
+		return {
+			id: this.id,
+			name: this.name,
+			entries: this.entries.map(entry => ({ ...entry }))
+		}
+	}
+}
@@ -0,0 +1,379 @@
+import { Setlist } from './Setlist.js'
+import { Modal } from './Modal.js'
+import { PrintPacket } from './PrintPacket.js'
+import { Notification } from './Notification.js'
+import { secondsToFormattedTime as format } from '../utils.js'
+
+/**
+ * Manages the BandBook's setlists and plays them through, one song after another
+*/
+export class SetlistManager {
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * Every setlist, sorted by name
+	 * @type {Setlist[]}
+	 * @default []
+	*/
+	setlists = []
+
+	/**
+	 * The setlist being played and the position of the current song (among the setlist's songs)
+	 * @type {{ setlist: Setlist, index: number }|null}
+	 * @default null
+	*/
+	playback = null
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	 * @param {import('./Setlist.js').SetlistData[]|null} [setlistData=null] - Setlists to use instead of the saved ones (e.g. when importing)
+	*/
+	constructor(bandbook, setlistData = null) {
+		this.bandbook = bandbook
+
+		if (setlistData) {
+			this.setSetlists(setlistData)
+			return
+		}
+
+		bandbook.syncManager.getSetlists().then(records => {
+			this.setSetlists(records ?? [])
+			bandbook.renderSongNavigation()
+		}).catch(err => {
+			console.error("Error getting setlists from db", err)
+		})
+	}
+
+	/**
+	 * Replaces the setlists (without saving them)
+	 * @param {import('./Setlist.js').SetlistData[]} setlistData - Setlist data
+	 * @returns {void}
+	*/
+	setSetlists(setlistData) {
+		this.setlists = setlistData.map(data => new Setlist(data, this.bandbook))
+		this.sort()
+	}
+
+	/**
+	 * Sorts the setlists by name
+	 * @returns {void}
+	*/
+	sort() {
+		this.setlists.sort((a, b) => a.name.localeCompare(b.name))
+	}
+
+	/**
+	 * Creates and saves a new setlist
+	 * @param {string} name - The setlist name
+	 * @returns {Setlist}
+	*/
+	createSetlist(name) {
+		const setlist = new Setlist({ name }, this.bandbook)
+		this.setlists.push(setlist)
+		this.sort()
+		setlist.save().catch(err => console.error("Error saving setlist", err))
+		return setlist
+	}
+
+	/**
+	 * Deletes a setlist
+	 * @param {Setlist} setlist - A Setlist instance
+	 * @returns {void}
+	*/
+	deleteSetlist(setlist) {
+		if (this.playback?.setlist === setlist) this.playback = null
+		this.setlists = this.setlists.filter(s => s !== setlist)
+		this.bandbook.syncManager.deleteSetlist(setlist).catch(err => console.error("Error deleting setlist", err))
+	}
+
+	/**
+	 * Removes a song from every setlist (e.g. when the song is deleted)
+	 * @param {import('./Song.js').Song} song - A Song instance
+	 * @returns {void}
+	*/
+	removeSong(song) {
+		this.setlists.forEach(setlist => setlist.removeSong(song))
+	}
+
+	/**
+	 * Get setlist data for serialization
+	 * @returns {import('./Setlist.js').SetlistData[]}
+	*/
+	getData() {
+		return this.setlists.map(setlist => setlist.getData())
+	}
+
+	/**
+	 * Plays a setlist from one of its songs, moving on to the next song when each one ends
+	 * @param {Setlist} setlist - A Setlist instance
+	 * @param {number} [index=0] - The position of the song to start with (among the setlist's songs)
+	 * @returns {Promise<void>}
+	*/
+	async play(setlist, index = 0) {
+		const song = setlist.getSongs()[index]
+		if (!song) {
+			this.stop()
+			return
+		}
+
+		this.playback = { setlist, index }
+		this.bandbook.activeSong?.player?.getAudioElement().pause()
+		this.bandbook.setActiveSong(song)
+
+		try {
+			// Songs with audio edits are rendered before they can play
+			await song.getPlaybackSrc()
+			await song.player.getAudioElement().play()
+		} catch (error) {
+			Sentry.captureException(error)
+			new Notification(`Unable to play ${song.title}: ${error.message}`, 'error')
+		}
+	}
+
+	/**
+	 * Stops playing the setlist (the current song keeps playing)
+	 * @returns {void}
+	*/
+	stop() {
+		this.playback = null
+		this.bandbook.renderSongNavigation()
+	}
+
+	/**
+	 * Moves on to the next song when the current song of the playing setlist ends
+	 * @param {import('./Song.js').Song} song - The song that ended
+	 * @returns {void}
+	*/
+	onSongEnded(song) {
+		if (!this.playback) return
+
+		const { setlist, index } = this.playback
+		const songs = setlist.getSongs()
+		if (songs[index] !== song) return
+
+		if (index + 1 >= songs.length) {
+			this.stop()
+			new Notification(`Finished ${setlist.name}`, 'success')
+			return
+		}
+
+		this.play(setlist, index + 1)
+	}
+
+	/**
+	 * Returns the setlists section of the navigation
+	 * @returns {HTMLElement}
+	*/
+	getSetlistNav() {
+		const section = document.createElement('section')
+		section.classList.add('setlist-nav')
+
+		const heading = document.createElement('h3')
+		heading.textContent = 'Setlists'
+		section.appendChild(heading)
+
+		if (this.playback) {
+			const { setlist, index } = this.playback
+			const nowPlaying = document.createElement('p')
+			nowPlaying.classList.add('setlist-now-playing')
+			nowPlaying.textContent = `Playing ${setlist.name} (${index + 1}/${setlist.getSongs().length})`
+
+			const stopButton = document.createElement('button')
+			stopButton.textContent = 'Stop'
+			stopButton.title = 'Stop advancing through the setlist'
+			stopButton.addEventListener('click', () => this.stop())
+			nowPlaying.appendChild(stopButton)
+			section.appendChild(nowPlaying)
+		}
+
+		const list = document.createElement('ul')
+		list.classList.add('setlist-nav-list')
+		this.setlists.forEach(setlist => {
+			const item = document.createElement('li')
+			const button = document.createElement('button')
+			button.textContent = `${setlist.name} (${format(setlist.getDuration())})`
+			if (this.playback?.setlist === setlist) button.classList.add('active')
+			button.addEventListener('click', () => this.openSetlistModal(setlist))
+			item.appendChild(button)
+			list.appendChild(item)
+		})
+		section.appendChild(list)
+
+		// Viewers of a shared book can play and print its setlists, but not change them
+		if (!this.bandbook.sharingManager.canEdit()) return section
+
+		const newButton = document.createElement('button')
+		newButton.textContent = 'New Setlist'
+		newButton.addEventListener('click', () => {
+			const name = prompt('Setlist name', 'New Setlist')
+			if (!name?.trim()) return
+
+			const setlist = this.createSetlist(name.trim())
+			this.bandbook.renderSongNavigation()
+			this.openSetlistModal(setlist)
+		})
+		section.appendChild(newButton)
+
+		return section
+	}
+
+	/**
+	 * Opens the modal to edit and play a setlist
+	 * @param {Setlist} setlist - A Setlist instance
+	 * @returns {void}
+	*/
+	openSetlistModal(setlist) {
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = setlist.name
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('setlist-editor')
+
+		const modal = new Modal(modalHeader, modalContent, { useForm: false }, () => this.bandbook.renderSongNavigation())
+		this.renderSetlistContent(setlist, modalContent, modalHeader, modal)
+	}
+
+	/**
+	 * Renders (or re-renders) the setlist modal content
+	 * @param {Setlist} setlist - A Setlist instance
+	 * @param {HTMLDivElement} modalContent - The modal content element
+	 * @param {HTMLHeadingElement} modalHeader - The modal header element
+	 * @param {Modal} modal - The open modal
+	 * @returns {void}
+	*/
+	renderSetlistContent(setlist, modalContent, modalHeader, modal) {
+		const rerender = () => this.renderSetlistContent(setlist, modalContent, modalHeader, modal)
+		const items = setlist.getItems()
+		const canEdit = this.bandbook.sharingManager.canEdit()
+		modalHeader.textContent = setlist.name
+
+		// Name
+		const nameLabel = document.createElement('label')
+		nameLabel.textContent = 'Name'
+		const nameInput = document.createElement('input')
+		nameInput.type = 'text'
+		nameInput.value = setlist.name
+		nameInput.disabled = !canEdit
+		nameInput.addEventListener('change', () => {
+			setlist.setName(nameInput.value)
+			this.sort()
+			modalHeader.textContent = setlist.name
+		})
+		nameLabel.appendChild(nameInput)
+
+		// Running time
+		const summary = document.createElement('p')
+		summary.classList.add('setlist-summary')
+		summary.textContent = `${items.length} ${items.length === 1 ? 'song' : 'songs'}, ${format(setlist.getDuration())} total`
+
+		// Songs
+		const list = document.createElement('ol')
+		list.classList.add('setlist-entries')
+		items.forEach(({ entry, song, index }, position) => {
+			const item = document.createElement('li')
+			if (this.playback?.setlist === setlist && this.playback.index === position) item.classList.add('active')
+
+			const title = document.createElement('span')
+			title.classList.add('setlist-entry-title')
+			title.textContent = `${song.title} (${format(song.getDuration())})`
+
+			const notesInput = document.createElement('input')
+			notesInput.type = 'text'
+			notesInput.placeholder = 'Notes (e.g. segue, capo 2)'
+			notesInput.ariaLabel = `Notes for ${song.title}`
+			notesInput.value = entry.notes
+			notesInput.disabled = !canEdit
+			notesInput.addEventListener('change', () => setlist.setEntryNotes(index, notesInput.value))
+
+			const addButton = (label, title, onClick, disabled = false) => {
+				const button = document.createElement('button')
+				button.textContent = label
+				button.title = title
+				button.disabled = disabled
+				button.addEventListener('click', onClick)
+				item.appendChild(button)
+			}
+
+			item.appendChild(title)
+			item.appendChild(notesInput)
+			addButton('↑', 'Move up', async () => {
+				await setlist.moveEntry(index, items[position - 1].index)
+				rerender()
+			}, !canEdit || position === 0)
+			addButton('↓', 'Move down', async () => {
+				await setlist.moveEntry(index, items[position + 1].index)
+				rerender()
+			}, !canEdit || position === items.length - 1)
+			addButton('Play from here', `Play the setlist from ${song.title}`, () => {
+				modal.remove()
+				this.play(setlist, position)
+			})
+			addButton('Remove', `Remove ${song.title} from the setlist`, async () => {
+				await setlist.removeEntry(index)
+				if (this.playback?.setlist === setlist) this.stop()
+				rerender()
+			}, !canEdit)
+
+			list.appendChild(item)
+		})
+
+		// Add a song
+		const addSong = document.createElement('div')
+		addSong.classList.add('setlist-add-song')
+		const songSelect = document.createElement('select')
+		songSelect.ariaLabel = 'Song to add'
+		this.bandbook.songs.forEach(song => {
+			const option = document.createElement('option')
+			option.value = song.id
+			option.textContent = song.title
+			songSelect.appendChild(option)
+		})
+		const addSongButton = document.createElement('button')
+		addSongButton.textContent = 'Add Song'
+		addSongButton.disabled = !this.bandbook.songs.length
+		addSongButton.addEventListener('click', async () => {
+			const song = this.bandbook.songs.find(song => song.id === songSelect.value)
+			if (!song) return
+			await setlist.addSong(song)
+			rerender()
+		})
+		addSong.appendChild(songSelect)
+		addSong.appendChild(addSongButton)
+
+		// Actions
+		const actions = document.createElement('div')
+		actions.classList.add('setlist-actions')
+
+		const playButton = document.createElement('button')
+		playButton.textContent = 'Play Setlist'
+		playButton.disabled = !items.length
+		playButton.addEventListener('click', () => {
+			modal.remove()
+			this.play(setlist)
+		})
+
+		const printButton = document.createElement('button')
+		printButton.textContent = 'Print'
+		printButton.disabled = !items.length
+		printButton.addEventListener('click', () => PrintPacket.openPrintModal(this.bandbook, setlist))
+
+		const deleteButton = document.createElement('button')
+		deleteButton.textContent = 'Delete Setlist'
+		deleteButton.addEventListener('click', () => {
+			if (!confirm(`Are you sure you want to delete ${setlist.name}? The songs will not be deleted.`)) return
+			this.deleteSetlist(setlist)
+			modal.remove()
+		})
+
+		actions.appendChild(playButton)
+		actions.appendChild(printButton)
+		if (canEdit) actions.appendChild(deleteButton)
+
+		modalContent.replaceChildren(nameLabel, summary, list, ...(canEdit ? [addSong] : []), actions)
+	}
+}
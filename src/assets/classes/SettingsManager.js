@@ -1,4 +1,8 @@
 import { Modal } from './Modal.js'
+import { Encoder } from './Encoder.js'
+import { Notification } from './Notification.js'
+import { StorageManager } from './StorageManager.js'
+import { formatBytes } from '../utils.js'
 
 /**
  * @typedef {"dark" | "light"} ThemeName
@@ -11,6 +15,8 @@ import { Modal } from './Modal.js'
  * @property {number} markerTimeAdjustment - The time adjustment for markers (in seconds)
  * @property {boolean} performanceMode - Whether performance mode is enabled
  * @property {boolean} experimentalFeatures - Whether experimental features are enabled
+ * @property {import('./Encoder.js').AudioFormatId} exportFormat - The format of downloaded segments
+ * @property {import('./Encoder.js').AudioFormatId} storageFormat - The format of edited audio saved in the book (new songs from segments, deleted time ranges)
 */
 
 export class SettingsManager {
@@ -23,7 +29,9 @@ export class SettingsManager {
 		skipTimes: [-10, -2, 2, 10],
 		markerTimeAdjustment: 0,
 		performanceMode: false,
-		experimentalFeatures: false
+		experimentalFeatures: false,
+		exportFormat: 'wav-16',
+		storageFormat: 'wav-16'
 	}
 
 	/**
@@ -65,6 +73,21 @@ export class SettingsManager {
 		this.bandbook.syncManager.saveSettings(this.settings)
 	}
 
+	/**
+	 * Loads and applies the saved settings again (e.g. after they were changed in another tab)
+	 * @returns {Promise<void>}
+	*/
+	async reload() {
+		try {
+			const settings = await this.bandbook.syncManager.loadSettings()
+			this.settings = { ...this.DEFAULT_SETTINGS, ...settings }
+			this.applyTheme()
+			this.bandbook.activeSong?.player?.updateSkipButtons()
+		} catch (error) {
+			console.error('Error reloading settings:', error)
+		}
+	}
+
 	/**
 	 * Returns the settings navigation item (button)
 	 * @returns {HTMLButtonElement} - A button element for opening the settings modal
@@ -105,6 +128,8 @@ export class SettingsManager {
 		settingsContent.appendChild(this.getThemeSection())
 		settingsContent.appendChild(this.getSkipTimesSection())
 		settingsContent.appendChild(this.getMarkerTimeAdjustmentSection())
+		settingsContent.appendChild(this.getAudioFormatsSection())
+		settingsContent.appendChild(this.getStorageSection())
 		settingsContent.appendChild(this.getPerformanceModeSection())
 		settingsContent.appendChild(this.getExperimentalFeaturesSection())
 		settingsContent.appendChild(this.getTagManagerSection())
@@ -307,7 +332,7 @@ export class SettingsManager {
 				}
 
 				// Update the button text in the player controls
-				this.bandbook.activeSong.player.updateSkipButtons()
+				this.bandbook.activeSong?.player?.updateSkipButtons()
 			})
 			skipTimesSection.appendChild(input)
 		}
@@ -371,6 +396,255 @@ export class SettingsManager {
 		return section
 	}
 
+	/**
+	 * Returns the format of downloaded segments
+	 * @returns {import('./Encoder.js').AudioFormatId} - A format id this browser can encode
+	*/
+	getExportFormat() {
+		const format = this.settings.exportFormat || this.DEFAULT_SETTINGS.exportFormat
+		return Encoder.isSupported(format) ? format : this.DEFAULT_SETTINGS.exportFormat
+	}
+
+	/**
+	 * Returns the format of edited audio saved in the book
+	 * @returns {import('./Encoder.js').AudioFormatId} - A format id this browser can encode
+	*/
+	getStorageFormat() {
+		const format = this.settings.storageFormat || this.DEFAULT_SETTINGS.storageFormat
+		return Encoder.isSupported(format) ? format : this.DEFAULT_SETTINGS.storageFormat
+	}
+
+	/**
+	 * Returns the audio formats section
+	 * @returns {HTMLDivElement} - A div element containing a format selection for downloads and for saved edits
+	 */
+	getAudioFormatsSection() {
+		const section = document.createElement('div')
+		section.classList.add('audio-formats')
+
+		const header = document.createElement('h3')
+		header.textContent = 'Audio Formats'
+		section.appendChild(header)
+
+		const desc = document.createElement('p')
+		const small = document.createElement('small')
+		small.textContent = 'WAV and FLAC keep the full quality. MP3 and Opus are much smaller, but lose a little quality every time audio is edited and saved again.'
+		desc.appendChild(small)
+		section.appendChild(desc)
+
+		const addSelect = (setting, labelText, value) => {
+			const label = document.createElement('label')
+			label.textContent = labelText
+			label.setAttribute('for', `${setting}-select`)
+			section.appendChild(label)
+
+			const select = document.createElement('select')
+			select.id = `${setting}-select`
+			Encoder.getSupportedFormats().forEach(format => {
+				const option = document.createElement('option')
+				option.value = format
+				option.textContent = Encoder.FORMATS[format].label
+				option.selected = format === value
+				select.appendChild(option)
+			})
+			select.addEventListener('change', (e) => {
+				e.preventDefault()
+				e.stopPropagation()
+				this.settings[setting] = e.target.value
+				this.saveSettings()
+			})
+			section.appendChild(select)
+		}
+
+		addSelect('exportFormat', 'Downloaded segments', this.getExportFormat())
+		addSelect('storageFormat', 'Edited audio saved in the book', this.getStorageFormat())
+
+		return section
+	}
+
+	/**
+	 * Opens the storage panel on its own (e.g. when a song didn't fit)
+	 * @param {import('./StorageManager.js').StorageQuotaError} [error] - The error to explain at the top
+	 * @returns {void}
+	*/
+	openStorageModal(error) {
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = 'Storage'
+
+		new Modal(modalHeader, this.getStorageSection(error), { useForm: false })
+	}
+
+	/**
+	 * Returns the storage section (filled in once the storage has been measured)
+	 * @param {import('./StorageManager.js').StorageQuotaError} [error] - An error to explain at the top
+	 * @returns {HTMLDivElement} - A div element containing the usage, persistence status, cleanup suggestions and size of each song
+	*/
+	getStorageSection(error) {
+		const section = document.createElement('div')
+		section.classList.add('storage')
+
+		const header = document.createElement('h3')
+		header.textContent = 'Storage'
+
+		const status = document.createElement('p')
+		status.textContent = 'Measuring storage...'
+		section.append(header, status)
+
+		const { storageManager } = this.bandbook
+
+		const addButton = (parent, label, onClick) => {
+			const button = document.createElement('button')
+			button.type = 'button'
+			button.textContent = label
+			button.addEventListener('click', async (e) => {
+				e.preventDefault()
+				e.stopPropagation()
+				button.disabled = true
+
+				try {
+					await onClick()
+				} catch (err) {
+					Sentry.captureException(err)
+					new Notification(`Error freeing up space: ${err.message}`, 'error')
+				}
+
+				render()
+			})
+			parent.appendChild(button)
+		}
+
+		const render = async () => {
+			let report
+			try {
+				report = await storageManager.getReport()
+			} catch (err) {
+				status.textContent = `Unable to measure storage: ${err.message}`
+				return
+			}
+
+			const { estimate, persisted, songs, waveforms, snapshots, backup } = report
+			const children = [header]
+
+			if (error) {
+				const message = document.createElement('p')
+				message.classList.add('inline-notification', 'error')
+				message.textContent = `${error.message}. Free up some space below, then try again.`
+				children.push(message)
+			}
+
+			// Usage
+			const usage = document.createElement('p')
+			usage.classList.add('storage-usage')
+			if (estimate) {
+				const meter = document.createElement('meter')
+				meter.min = 0
+				meter.max = estimate.quota
+				meter.high = estimate.quota * StorageManager.WARNING_RATIO
+				meter.value = estimate.usage
+				usage.append(meter, `${formatBytes(estimate.usage)} of ${formatBytes(estimate.quota)} used`)
+			} else {
+				usage.textContent = 'This browser can\'t report how much storage is available.'
+			}
+			children.push(usage)
+
+			// Persistence
+			const persistence = document.createElement('p')
+			persistence.classList.add('storage-persistence')
+			if (persisted) {
+				persistence.textContent = 'Your library is stored persistently, so the browser won\'t delete it to free up space.'
+			} else {
+				persistence.textContent = persisted === null
+					? 'This browser can\'t keep your library from being deleted when space runs low. Export it regularly.'
+					: 'The browser may delete your library when space runs low. '
+				if (persisted === false) {
+					addButton(persistence, 'Keep My Library', async () => {
+						const granted = await storageManager.requestPersistence()
+						new Notification(
+							granted ? 'Your library will be kept' : 'The browser didn\'t allow persistent storage. Export your library regularly.',
+							granted ? 'success' : 'warning'
+						)
+					})
+				}
+			}
+			children.push(persistence)
+
+			// Cleanup suggestions
+			const suggestionsHeader = document.createElement('h4')
+			suggestionsHeader.textContent = 'Free Up Space'
+			const suggestions = document.createElement('ul')
+			suggestions.classList.add('storage-suggestions')
+
+			const addSuggestion = (text, buttonLabel, onClick) => {
+				const item = document.createElement('li')
+				const span = document.createElement('span')
+				span.textContent = text
+				item.appendChild(span)
+				addButton(item, buttonLabel, onClick)
+				suggestions.appendChild(item)
+			}
+
+			if (waveforms) {
+				addSuggestion(`Cached waveforms (${formatBytes(waveforms)}), recreated when each song is opened`, 'Delete', () => storageManager.clearWaveforms())
+			}
+
+			if (snapshots.count) {
+				addSuggestion(`Snapshots (${snapshots.count}, ${formatBytes(snapshots.size)})`, 'Manage', () => this.bandbook.snapshotManager.openSnapshotsModal())
+			}
+
+			if (backup) {
+				addSuggestion(`Backup from before the update on ${new Date(backup.createdAt).toLocaleDateString()} (${formatBytes(backup.size)})`, 'Delete', () => storageManager.deleteBackup())
+			}
+
+			songs.filter(({ isClip }) => isClip).forEach(({ song, audio }) => {
+				addSuggestion(`Clip: ${song.title} (${formatBytes(audio)})`, 'Delete', async () => {
+					if (!this.bandbook.sharingManager.requireEdit('delete songs')) return
+					if (!confirm(`Are you sure you want to delete ${song.title}? This cannot be undone.`)) return
+
+					// No snapshot, which would keep the audio
+					await this.bandbook.removeSong(song, { snapshot: false })
+					this.bandbook.refresh()
+				})
+			})
+
+			if (!suggestions.children.length) {
+				const item = document.createElement('li')
+				item.textContent = 'Nothing to clean up. Export songs you no longer need, then delete them.'
+				suggestions.appendChild(item)
+			}
+			children.push(suggestionsHeader, suggestions)
+
+			// Songs
+			if (songs.length) {
+				const songsHeader = document.createElement('h4')
+				songsHeader.textContent = 'Songs'
+
+				const table = document.createElement('table')
+				table.classList.add('storage-songs')
+				const head = table.createTHead().insertRow()
+				;['Song', 'Audio', 'Waveform'].forEach(label => {
+					const cell = document.createElement('th')
+					cell.textContent = label
+					head.appendChild(cell)
+				})
+
+				const body = table.createTBody()
+				songs.forEach(({ song, audio, waveform }) => {
+					const row = body.insertRow()
+					;[song.title, formatBytes(audio), waveform ? formatBytes(waveform) : '-'].forEach(value => {
+						row.insertCell().textContent = value
+					})
+				})
+
+				children.push(songsHeader, table)
+			}
+
+			section.replaceChildren(...children)
+		}
+
+		render()
+		return section
+	}
+
 	/**
 	 * Returns the performance mode section
 	 * @returns {HTMLDivElement} - A div element containing the performance mode section
@@ -0,0 +1,398 @@
+import { AuthManager } from './AuthManager.js'
+import { Modal } from './Modal.js'
+import { Notification } from './Notification.js'
+
+/**
+ * @typedef {'viewer'|'editor'|'owner'} Role
+*/
+
+/**
+ * @typedef {Object} Membership
+ * @property {string} id - The book id
+ * @property {Role} role - The user's role in the book
+ * @property {number} members - How many members the book has
+*/
+
+/**
+ * Shares books with bandmates, who each have a role in the book:
+ * - viewers can see everything in it, and add private markers (which only they see)
+ * - editors can change it as well
+ * - owners can also delete it and choose who it is shared with
+ *
+ * A shared book's records are synced to every member. The server refuses changes a member isn't allowed to make (they
+ * are undone on the next sync, see CloudSync.push), so the app checks the role first and doesn't offer them.
+ * A book that isn't shared belongs to the user, who is its owner.
+ *
+ * The API (mock-api/server.mjs is a local mock of it):
+ * - `GET /books/<id>/members` responds with `{ members: Array<{ email, role }> }`
+ * - `POST /books/<id>/members` with `{ email, role }` shares the book with an account, or changes a member's role (owners only)
+ * - `POST /books/<id>/members/remove` with `{ email }` removes a member (owners only, except to leave the book)
+ * The user's role in each shared book comes with the synced changes (see CloudSync.pull)
+*/
+export class SharingManager {
+	/**
+	 * The name of each role
+	 * @type {Record<Role, string>}
+	*/
+	static ROLES = { viewer: 'Viewer', editor: 'Editor', owner: 'Owner' }
+
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * The books shared with the user, by book id
+	 * @type {Map<string, Membership>}
+	*/
+	memberships = new Map()
+
+	/**
+	 * Each shared book's members, by book id (loaded when first needed, e.g. to mention them in a comment)
+	 * @type {Map<string, Promise<Array<{ email: string, role: Role }>>>}
+	*/
+	members = new Map()
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor(bandbook) {
+		this.bandbook = bandbook
+	}
+
+	/**
+	 * Loads the user's role in each shared book (saved by the last sync)
+	 * @returns {Promise<void>}
+	*/
+	async load() {
+		const memberships = await this.bandbook.syncManager.getSyncState('books') ?? []
+		this.memberships = new Map(memberships.map(membership => [membership.id, membership]))
+	}
+
+	/**
+	 * Saves the user's role in each shared book, and reloads the tabs if any changed (so they offer what the user can now do)
+	 * @param {Membership[]} memberships - The books shared with the user
+	 * @returns {Promise<void>}
+	*/
+	async setBooks(memberships) {
+		const changed = JSON.stringify([...this.memberships.values()]) !== JSON.stringify(memberships)
+		if (!changed) return
+
+		await this.bandbook.syncManager.setSyncState('books', memberships)
+		this.memberships = new Map(memberships.map(membership => [membership.id, membership]))
+		this.members.clear()
+
+		this.bandbook.tabSync.scheduleReload()
+		this.bandbook.tabSync.broadcast({ type: 'sync' })
+	}
+
+	/**
+	 * Returns the user's role in a book
+	 * @param {string} [bookId] - A book id (the open book by default)
+	 * @returns {Role}
+	*/
+	getRole(bookId = this.bandbook.id) {
+		return this.memberships.get(bookId)?.role ?? 'owner'
+	}
+
+	/**
+	 * Returns whether a book is shared with anyone else
+	 * @param {string} [bookId] - A book id (the open book by default)
+	 * @returns {boolean}
+	*/
+	isShared(bookId = this.bandbook.id) {
+		return (this.memberships.get(bookId)?.members ?? 1) > 1
+	}
+
+	/**
+	 * Returns whether the user can change a book
+	 * @param {string} [bookId] - A book id (the open book by default)
+	 * @returns {boolean}
+	*/
+	canEdit(bookId = this.bandbook.id) {
+		return this.getRole(bookId) !== 'viewer'
+	}
+
+	/**
+	 * Returns whether the user owns a book
+	 * @param {string} [bookId] - A book id (the open book by default)
+	 * @returns {boolean}
+	*/
+	isOwner(bookId = this.bandbook.id) {
+		return this.getRole(bookId) === 'owner'
+	}
+
+	/**
+	 * Returns whether the user can change the open book, telling them why not if they can't
+	 * @param {string} action - What the user tried to do (e.g. "delete songs")
+	 * @returns {boolean}
+	*/
+	requireEdit(action) {
+		if (this.canEdit()) return true
+
+		new Notification(`You can only view ${this.bandbook.name}, so you can't ${action}. Ask an owner to make you an editor.`, 'warning')
+		return false
+	}
+
+	/**
+	 * Returns a shared book's members
+	 * @param {string} [bookId] - A book id (the open book by default)
+	 * @returns {Promise<Array<{ email: string, role: Role }>>} - No one if the book isn't shared, or they can't be loaded now
+	*/
+	getMembers(bookId = this.bandbook.id) {
+		const { authManager, cloudSync } = this.bandbook
+		if (!this.isShared(bookId) || !authManager?.isLoggedIn || !navigator.onLine) return Promise.resolve([])
+
+		if (!this.members.has(bookId)) {
+			const members = cloudSync.request(`/books/${encodeURIComponent(bookId)}/members`)
+				.then(({ members }) => members)
+				.catch(() => {
+					this.members.delete(bookId)
+					return []
+				})
+
+			this.members.set(bookId, members)
+		}
+
+		return this.members.get(bookId)
+	}
+
+	/**
+	 * Tells the user about new comments that mention them (downloaded from the cloud)
+	 * @param {import('./CloudSync.js').RemoteChange[]} changes - Newly downloaded records
+	 * @returns {void}
+	*/
+	notifyMentions(changes) {
+		const email = this.bandbook.authManager?.user?.email
+		if (!email) return
+
+		const mentions = changes.filter(({ store, deleted, record }) => {
+			if (store !== 'comments' || deleted || record.createdBy === email) return false
+			return JSON.parse(record.data).mentions?.includes(email)
+		})
+
+		if (mentions.length === 1) {
+			new Notification(`${mentions[0].record.createdBy} mentioned you in a comment`, 'info', true, 10000)
+		} else if (mentions.length) {
+			new Notification(`You were mentioned in ${mentions.length} new comments`, 'info', true, 10000)
+		}
+	}
+
+	/**
+	 * Returns how to refer to a member ("you" for the user)
+	 * @param {string} email - The member's email
+	 * @returns {string}
+	*/
+	getMemberLabel(email) {
+		return email === this.bandbook.authManager?.user?.email ? 'you' : email
+	}
+
+	/**
+	 * Returns who added and last edited something in a shared book (e.g. "Added by you, last edited by sam@example.com")
+	 * @param {{ createdBy?: string|null, updatedBy?: string|null }} record - Who created and last changed it
+	 * @returns {string} - An empty string if the book isn't shared or it isn't known
+	*/
+	describe({ createdBy, updatedBy }) {
+		if (!this.isShared()) return ''
+
+		const parts = []
+		if (createdBy) parts.push(`Added by ${this.getMemberLabel(createdBy)}`)
+		if (updatedBy && updatedBy !== createdBy) parts.push(`${createdBy ? 'last' : 'Last'} edited by ${this.getMemberLabel(updatedBy)}`)
+		return parts.join(', ')
+	}
+
+	/**
+	 * Returns a readable error message for a sharing request (see AuthManager.getErrorMessage for other errors)
+	 * @param {Error} error - The error
+	 * @returns {string}
+	*/
+	static getErrorMessage(error) {
+		switch (error.status) {
+			case 400: return 'A book needs an owner: make someone else an owner first.'
+			case 403: return 'Only owners can change who a book is shared with.'
+			case 404: return 'That account or book was not found. Bandmates need to sign up before a book can be shared with them.'
+			default: return AuthManager.getErrorMessage(error)
+		}
+	}
+
+	/**
+	 * Opens a modal listing a book's members, where owners share it and change roles, and other members can leave it
+	 * @param {string} bookId - A book id
+	 * @param {string} name - The book name
+	 * @returns {Promise<void>}
+	*/
+	async openMembersModal(bookId, name) {
+		const { authManager, cloudSync } = this.bandbook
+
+		if (!authManager.isLoggedIn) {
+			new Notification('Log in to share your books', 'info')
+			authManager.login()
+			return
+		}
+
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = `Share ${name}`
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('book-members')
+		modalContent.textContent = 'Loading members...'
+
+		const path = `/books/${encodeURIComponent(bookId)}/members`
+
+		const updateMembers = async (request) => {
+			try {
+				const { members } = await request()
+				this.members.set(bookId, Promise.resolve(members))
+				render(members)
+
+				// The changes to the book's members come with the next sync
+				cloudSync.sync()
+			} catch (error) {
+				new Notification(SharingManager.getErrorMessage(error), 'error')
+			}
+		}
+
+		const render = (members) => {
+			const list = document.createElement('ul')
+			list.classList.add('member-list')
+
+			// The members are more up to date than the roles saved by the last sync
+			const isOwner = members.some(member => member.email === authManager.user?.email && member.role === 'owner')
+
+			members.forEach(member => {
+				const item = document.createElement('li')
+				const isUser = member.email === authManager.user?.email
+
+				const email = document.createElement('p')
+				email.textContent = isUser ? `${member.email} (you)` : member.email
+				item.appendChild(email)
+
+				if (isOwner) {
+					const roleSelect = SharingManager.getRoleSelect(member.role)
+					roleSelect.ariaLabel = `Role of ${member.email}`
+					roleSelect.addEventListener('change', () => updateMembers(() => cloudSync.request(path, {
+						method: 'POST',
+						body: JSON.stringify({ email: member.email, role: roleSelect.value })
+					})))
+					item.appendChild(roleSelect)
+				} else {
+					const role = document.createElement('span')
+					role.textContent = SharingManager.ROLES[member.role]
+					item.appendChild(role)
+				}
+
+				if (isOwner && !isUser) {
+					const removeButton = document.createElement('button')
+					removeButton.type = 'button'
+					removeButton.textContent = 'Remove'
+					removeButton.addEventListener('click', () => {
+						if (!confirm(`Stop sharing ${name} with ${member.email}? It will be removed from their devices.`)) return
+						updateMembers(() => cloudSync.request(`${path}/remove`, {
+							method: 'POST',
+							body: JSON.stringify({ email: member.email })
+						}))
+					})
+					item.appendChild(removeButton)
+				}
+
+				list.appendChild(item)
+			})
+
+			modalContent.replaceChildren(list)
+
+			if (isOwner) modalContent.appendChild(getInviteFields())
+
+			// The last owner can't leave (they delete the book instead)
+			const otherOwners = members.filter(member => member.role === 'owner' && member.email !== authManager.user?.email)
+			if (members.length > 1 && (!isOwner || otherOwners.length)) modalContent.appendChild(getLeaveButton())
+		}
+
+		const getInviteFields = () => {
+			const fieldset = document.createElement('fieldset')
+			fieldset.classList.add('member-invite')
+
+			const legend = document.createElement('legend')
+			legend.textContent = 'Share with a bandmate'
+			fieldset.appendChild(legend)
+
+			const emailInput = document.createElement('input')
+			emailInput.type = 'email'
+			emailInput.name = 'member-email'
+			emailInput.placeholder = 'Their account email'
+			emailInput.ariaLabel = 'Email'
+
+			const roleSelect = SharingManager.getRoleSelect('editor')
+			roleSelect.ariaLabel = 'Role'
+
+			const inviteButton = document.createElement('button')
+			inviteButton.type = 'submit'
+			inviteButton.textContent = 'Share'
+
+			fieldset.append(emailInput, roleSelect, inviteButton)
+			return fieldset
+		}
+
+		const getLeaveButton = () => {
+			const leaveButton = document.createElement('button')
+			leaveButton.type = 'button'
+			leaveButton.textContent = 'Leave book'
+			leaveButton.addEventListener('click', async () => {
+				if (!confirm(`Leave ${name}? It will be removed from your devices until an owner shares it with you again.`)) return
+
+				try {
+					await cloudSync.request(`${path}/remove`, {
+						method: 'POST',
+						body: JSON.stringify({ email: authManager.user.email })
+					})
+					modal.remove()
+					new Notification(`You left ${name}`, 'success')
+					await cloudSync.sync()
+				} catch (error) {
+					new Notification(SharingManager.getErrorMessage(error), 'error')
+				}
+			})
+			return leaveButton
+		}
+
+		const onFormSubmit = (e) => {
+			const email = e.target.querySelector('[name="member-email"]')?.value.trim()
+			if (!email) return
+
+			const role = e.target.querySelector('.member-invite select').value
+			updateMembers(() => cloudSync.request(path, { method: 'POST', body: JSON.stringify({ email, role }) }))
+		}
+
+		const modal = new Modal(modalHeader, modalContent, { useForm: true, onFormSubmit })
+
+		try {
+			// The book is shared once it is uploaded
+			await cloudSync.sync()
+			render((await cloudSync.request(path)).members)
+		} catch (error) {
+			modalContent.textContent = error.status === 404
+				? `${name} hasn't been uploaded yet. Try again once it has synced.`
+				: SharingManager.getErrorMessage(error)
+		}
+	}
+
+	/**
+	 * Returns a select of the roles
+	 * @param {Role} role - The selected role
+	 * @returns {HTMLSelectElement}
+	*/
+	static getRoleSelect(role) {
+		const select = document.createElement('select')
+
+		Object.entries(SharingManager.ROLES).forEach(([value, text]) => {
+			const option = document.createElement('option')
+			option.value = value
+			option.textContent = text
+			option.selected = value === role
+			select.appendChild(option)
+		})
+
+		return select
+	}
+}
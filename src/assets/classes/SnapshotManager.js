@@ -0,0 +1,335 @@
+import { Modal } from './Modal.js'
+import { Notification } from './Notification.js'
+
+/**
+ * @typedef {Object} Snapshot
+ * @property {string} id - The snapshot id
+ * @property {string} bookId - The id of the book it is a snapshot of
+ * @property {string} name - The book name
+ * @property {string} createdAt - When the snapshot was taken (ISO 8601)
+ * @property {string} reason - Why the snapshot was taken (e.g. "Before import")
+ * @property {boolean} scheduled - Whether the snapshot was taken on a schedule
+ * @property {Array<import('./Song.js').SongData & { audioHash: string|null }>} songs - The songs in book order, with their markers and the content hash of their audio (instead of the audio, which is kept for the snapshot once the song no longer has it, unless it was only in the cloud)
+ * @property {import('./Setlist.js').SetlistData[]} setlists - The book's setlists
+*/
+
+/**
+ * Takes snapshots of the current book before destructive operations and on a schedule, and restores them
+*/
+export class SnapshotManager {
+	/**
+	 * The number of snapshots kept per book (the oldest are deleted first)
+	 * @type {number}
+	*/
+	static MAX_SNAPSHOTS = 30
+
+	/**
+	 * How long after the latest snapshot a scheduled snapshot is taken (in milliseconds)
+	 * @type {number}
+	*/
+	static SCHEDULE_INTERVAL = 24 * 60 * 60 * 1000
+
+	/**
+	 * How often to check whether a scheduled snapshot is due (in milliseconds)
+	 * @type {number}
+	*/
+	static CHECK_INTERVAL = 60 * 60 * 1000
+
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * Settles when the snapshot being taken is done (snapshots are taken one at a time)
+	 * @type {Promise<void>}
+	*/
+	queue = Promise.resolve()
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor(bandbook) {
+		this.bandbook = bandbook
+
+		// The first check waits a minute, so it doesn't slow down loading the book
+		setTimeout(() => this.takeScheduledSnapshot(), 60 * 1000)
+		setInterval(() => this.takeScheduledSnapshot(), SnapshotManager.CHECK_INTERVAL)
+	}
+
+	/**
+	 * Returns whether two snapshots hold the same book, songs, markers and setlists
+	 * @param {Snapshot} a - A snapshot
+	 * @param {Snapshot} b - Another snapshot
+	 * @returns {boolean}
+	*/
+	static isSameContent(a, b) {
+		const content = ({ bookId, name, songs, setlists }) => JSON.stringify({ bookId, name, songs, setlists })
+		return content(a) === content(b)
+	}
+
+	/**
+	 * Returns a readable label for a snapshot
+	 * @param {Snapshot} snapshot - A snapshot
+	 * @returns {string}
+	*/
+	static getLabel(snapshot) {
+		return `${new Date(snapshot.createdAt).toLocaleString()} (${snapshot.reason})`
+	}
+
+	/**
+	 * Takes a snapshot of a book, then deletes its oldest snapshots past the limit
+	 * @param {string} reason - Why the snapshot is being taken
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.scheduled=false] - Whether the snapshot is taken on a schedule
+	 * @param {string[]} [options.keep=[]] - Ids of snapshots not to delete, however old (e.g. one about to be restored)
+	 * @param {boolean} [options.skipUnchanged=false] - Whether to discard the snapshot if the book hasn't changed since the latest one
+	 * @param {string} [options.bookId] - The id of the book (the current one by default)
+	 * @returns {Promise<Snapshot|null>} - The snapshot (null if it was discarded)
+	*/
+	takeSnapshot(reason, { scheduled = false, keep = [], skipUnchanged = false, bookId = this.bandbook.id } = {}) {
+		const { syncManager } = this.bandbook
+
+		const snapshot = this.queue.then(async () => {
+			const [latest] = skipUnchanged ? await syncManager.getSnapshots(bookId) : []
+			const snapshot = await syncManager.createSnapshot(reason, scheduled, bookId)
+
+			// Checked before making room, so an unchanged snapshot never pushes out an old one.
+			// Audio is shared, so it only cost reading the metadata
+			if (latest && SnapshotManager.isSameContent(snapshot, latest)) {
+				await syncManager.deleteSnapshots([snapshot.id])
+				return null
+			}
+
+			const snapshots = await syncManager.getSnapshots(bookId)
+			if (snapshots.length > SnapshotManager.MAX_SNAPSHOTS) {
+				await syncManager.deleteSnapshots(snapshots.slice(SnapshotManager.MAX_SNAPSHOTS).map(({ id }) => id).filter(id => !keep.includes(id)))
+			}
+
+			return snapshot
+		})
+
+		this.queue = snapshot.then(() => {}, () => {})
+		return snapshot
+	}
+
+	/**
+	 * Takes a snapshot before a destructive operation, asking whether to go ahead without one if it fails
+	 * @param {string} reason - What is about to happen (e.g. "Before import")
+	 * @param {string[]} [keep=[]] - Ids of snapshots not to delete to make room (see takeSnapshot)
+	 * @param {string} [bookId] - The id of the book (the current one by default)
+	 * @returns {Promise<boolean>} - Whether to go ahead with the operation
+	*/
+	async snapshotBefore(reason, keep = [], bookId = this.bandbook.id) {
+		// There is nothing to lose in an empty book
+		const songCount = bookId === this.bandbook.id
+			? this.bandbook.songs.length
+			: (await this.bandbook.syncManager.getBooks()).find(book => book.id === bookId)?.songCount
+		if (!songCount) return true
+
+		try {
+			await this.takeSnapshot(reason, { keep, bookId })
+			return true
+		} catch (error) {
+			Sentry.captureException(error)
+			return confirm(`Unable to save a snapshot first (${error.message}). Continue anyway? This cannot be undone.`)
+		}
+	}
+
+	/**
+	 * Takes a scheduled snapshot if the latest snapshot is old enough and the book has changed since
+	 * @returns {Promise<void>}
+	*/
+	async takeScheduledSnapshot() {
+		if (!this.bandbook.id || !this.bandbook.songs.length) return
+
+		const { syncManager } = this.bandbook
+
+		try {
+			const [latest] = await syncManager.getSnapshots()
+			if (latest && Date.now() - new Date(latest.createdAt).getTime() < SnapshotManager.SCHEDULE_INTERVAL) return
+
+			await this.takeSnapshot('Scheduled', { scheduled: true, skipUnchanged: true })
+		} catch (error) {
+			console.error('Error taking scheduled snapshot:', error)
+		}
+	}
+
+	/**
+	 * Replaces the current book with a snapshot (after taking a snapshot of it, so this can be undone)
+	 * @param {Snapshot} snapshot - A snapshot of the current book
+	 * @returns {Promise<boolean>} - Whether the book was restored
+	*/
+	async restoreBook(snapshot) {
+		if (!this.bandbook.sharingManager.requireEdit('restore snapshots')) return false
+		if (!(await this.snapshotBefore('Before restoring a snapshot', [snapshot.id]))) return false
+
+		this.bandbook.activeSong?.player?.getAudioElement().pause()
+		await this.bandbook.syncManager.restoreSnapshot(snapshot)
+		return true
+	}
+
+	/**
+	 * Replaces (or brings back) one song with its version in a snapshot (after taking a snapshot, so this can be undone)
+	 * @param {Snapshot} snapshot - A snapshot of the current book
+	 * @param {string} songId - The id of the song to restore
+	 * @returns {Promise<boolean>} - Whether the song was restored
+	*/
+	async restoreSong(snapshot, songId) {
+		if (!this.bandbook.sharingManager.requireEdit('restore snapshots')) return false
+
+		const title = snapshot.songs.find(song => song.id === songId)?.title
+		if (!(await this.snapshotBefore(`Before restoring ${title}`, [snapshot.id]))) return false
+
+		this.bandbook.activeSong?.player?.getAudioElement().pause()
+		await this.bandbook.syncManager.restoreSnapshotSong(snapshot, songId)
+		return true
+	}
+
+	/**
+	 * Returns the snapshots navigation item (button)
+	 * @returns {HTMLButtonElement} - A button element for opening the snapshots modal
+	*/
+	getSnapshotsNavItem() {
+		const button = document.createElement('button')
+		button.textContent = 'Snapshots'
+		button.title = 'Restore the book, or a song, from an earlier snapshot'
+		button.addEventListener('click', () => this.openSnapshotsModal())
+		return button
+	}
+
+	/**
+	 * Opens the modal listing the current book's snapshots
+	 * @returns {void}
+	*/
+	openSnapshotsModal() {
+		const modalHeader = document.createElement('h2')
+		modalHeader.textContent = 'Snapshots'
+
+		const modalContent = document.createElement('div')
+		modalContent.classList.add('snapshots')
+
+		const modal = new Modal(modalHeader, modalContent, { useForm: false })
+		this.renderSnapshotsContent(modalContent, modal)
+	}
+
+	/**
+	 * Renders (or re-renders) the snapshots modal content
+	 * @param {HTMLDivElement} modalContent - The modal content element
+	 * @param {Modal} modal - The open modal
+	 * @returns {Promise<void>}
+	*/
+	async renderSnapshotsContent(modalContent, modal) {
+		const rerender = () => this.renderSnapshotsContent(modalContent, modal)
+		const { bandbook } = this
+
+		const status = document.createElement('p')
+		status.textContent = 'Loading snapshots...'
+		modalContent.replaceChildren(status)
+
+		let snapshots
+		try {
+			snapshots = await bandbook.syncManager.getSnapshots()
+		} catch (error) {
+			status.textContent = `Unable to load snapshots: ${error.message}`
+			return
+		}
+
+		// Runs a restore or delete with the book locked, then closes or re-renders the modal
+		const run = async (action, onSuccess) => {
+			bandbook.wrapper.classList.add('bandbook-loading')
+			try {
+				if (await action()) {
+					onSuccess()
+				}
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Error: ${error.message}`, 'error', true)
+			} finally {
+				bandbook.wrapper.classList.remove('bandbook-loading')
+			}
+		}
+
+		const description = document.createElement('p')
+		const small = document.createElement('small')
+		small.textContent = `Snapshots are taken automatically before imports, restores, deleting songs or books and cutting audio, and once a day. The latest ${SnapshotManager.MAX_SNAPSHOTS} are kept.`
+		description.appendChild(small)
+
+		const takeButton = document.createElement('button')
+		takeButton.textContent = 'Take Snapshot Now'
+		takeButton.disabled = !bandbook.songs.length
+		takeButton.addEventListener('click', () => run(async () => {
+			await this.takeSnapshot('Taken manually')
+			return true
+		}, rerender))
+
+		const list = document.createElement('ul')
+		list.classList.add('snapshot-list')
+
+		snapshots.forEach(snapshot => {
+			const item = document.createElement('li')
+
+			const label = document.createElement('span')
+			label.classList.add('snapshot-label')
+			label.textContent = `${SnapshotManager.getLabel(snapshot)}, ${snapshot.songs.length} ${snapshot.songs.length === 1 ? 'song' : 'songs'}`
+
+			const restoreBookButton = document.createElement('button')
+			restoreBookButton.textContent = 'Restore Book'
+			restoreBookButton.disabled = !bandbook.sharingManager.canEdit()
+			restoreBookButton.addEventListener('click', () => {
+				if (!confirm(`Replace everything in ${bandbook.name} with the snapshot from ${SnapshotManager.getLabel(snapshot)}? A snapshot of the book as it is now is taken first.`)) return
+
+				run(() => this.restoreBook(snapshot), () => {
+					modal.remove()
+					new Notification(`Restored ${snapshot.name}`, 'success')
+				})
+			})
+
+			const songSelect = document.createElement('select')
+			songSelect.ariaLabel = 'Song to restore'
+			snapshot.songs.forEach(song => {
+				const option = document.createElement('option')
+				option.value = song.id
+				option.textContent = bandbook.songs.some(({ id }) => id === song.id) ? song.title : `${song.title} (deleted)`
+				songSelect.appendChild(option)
+			})
+
+			const restoreSongButton = document.createElement('button')
+			restoreSongButton.textContent = 'Restore Song'
+			restoreSongButton.disabled = !snapshot.songs.length || !bandbook.sharingManager.canEdit()
+			restoreSongButton.addEventListener('click', () => {
+				const title = songSelect.selectedOptions[0]?.textContent
+				if (!confirm(`Restore ${title} from the snapshot from ${SnapshotManager.getLabel(snapshot)}? A snapshot of the book as it is now is taken first.`)) return
+
+				run(() => this.restoreSong(snapshot, songSelect.value), () => {
+					modal.remove()
+					new Notification(`Restored ${title}`, 'success')
+				})
+			})
+
+			const deleteButton = document.createElement('button')
+			deleteButton.textContent = 'Delete'
+			deleteButton.addEventListener('click', () => {
+				if (!confirm(`Delete the snapshot from ${SnapshotManager.getLabel(snapshot)}?`)) return
+				run(() => bandbook.syncManager.deleteSnapshots([snapshot.id]), rerender)
+			})
+
+			item.appendChild(label)
+			item.appendChild(restoreBookButton)
+			item.appendChild(songSelect)
+			item.appendChild(restoreSongButton)
+			item.appendChild(deleteButton)
+			list.appendChild(item)
+		})
+
+		if (!snapshots.length) {
+			const empty = document.createElement('li')
+			empty.textContent = 'No snapshots yet'
+			list.appendChild(empty)
+		}
+
+		modalContent.replaceChildren(description, takeButton, list)
+	}
+}
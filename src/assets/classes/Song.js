@@ -6,6 +6,12 @@ import { Modal } from './Modal.js'
 import { Notification } from './Notification.js'
 import { Icon } from './Icon.js'
 import { SongUtilities } from './SongUtilities.js'
+import { BeatDetector } from './BeatDetector.js'
+import { KeyDetector } from './KeyDetector.js'
+import { ChordDetector } from './ChordDetector.js'
+import { EditList } from './EditList.js'
+import { Metronome } from './Metronome.js'
+import { transposeKey, keyUsesFlats, decodeAudio, secondsToFormattedTime as format } from '../utils.js'
 
 /**
  * @typedef {Object} MarkerData
@@ -13,6 +19,16 @@ import { SongUtilities } from './SongUtilities.js'
  * @property {string} title - The title for the marker
  * @property {string} notes - Additional notes for the marker
  * @property {string} id - The marker ID
+ * @property {boolean} [private] - Whether only the user sees the marker (it isn't shared with the book's other members)
+ * @property {string} [createdBy] - The email of the member who added the marker (set when loaded from indexedDB)
+ * @property {string} [updatedBy] - The email of the member who last edited the marker (set when loaded from indexedDB)
+ * @property {import('./CommentThread.js').CommentData[]} [comments] - The comments on the marker (set when loaded from indexedDB)
+*/
+
+/**
+ * @typedef {Object} Transposition
+ * @property {number} semitones - Whole semitones to shift playback by (-12 to 12)
+ * @property {number} cents - Additional cents to shift playback by (-100 to 100)
 */
 
 /**
@@ -23,16 +39,23 @@ import { SongUtilities } from './SongUtilities.js'
  * @property {number} tempo - The tempo of the song in beats per minute (BPM).
  * @property {string} key - The musical key of the song.
  * @property {string} timeSignature - The time signature of the song (e.g., "4/4").
+ * @property {number} duration - The duration of the playback audio in seconds (0 until known).
+ * @property {Transposition} transposition - The playback transposition of the song.
+ * @property {number} beatOffset - Where beat 1 of the first bar falls, in seconds.
+ * @property {import('./BeatDetector.js').BeatGrid|null} beatGrid - The detected beats of the song.
+ * @property {import('./KeyDetector.js').KeyEstimate|null} keyEstimate - The detected key of the song.
+ * @property {import('./ChordDetector.js').DetectedChord[]|null} chords - The detected chords of the song.
+ * @property {import('./EditList.js').AudioEdit[]} edits - The non-destructive edits applied to the original audio.
  * @property {string} notes - Additional notes or lyrics related to the song.
- * @property {Array<string>} markers - An array of marker IDs associated with the song.
+ * @property {string} [notesUpdatedBy] - The email of the member who last edited the notes.
+ * @property {Array<string>} markers - An array of marker IDs associated with the song (except private markers).
 */
 
 /**
  * @typedef {SongMeta & {
  *   id: string,
- *   src: ArrayBuffer|string,
- *   srcType: string,
- *   waveformVolumes?: number[]
+ *   src?: Blob|ArrayBuffer|string,
+ *   srcType: string
  * }} SongData
 */
 
@@ -51,19 +74,26 @@ export class Song {
 	 * @param {Object} params - The parameters for the song.
 	 * @param {string} params.id - The unique identifier for the song.
 	 * @param {string} params.slug - The unique slug identifier for the song.
-	 * @param {ArrayBuffer | string} params.src - The URL or binary data for the song audio file.
+	 * @param {Blob | ArrayBuffer | string} [params.src] - The audio file (or a base64 data URL); omitted for saved songs, whose audio is loaded when opened.
 	 * @param {string} params.srcType - The MIME type of the audio file.
+	 * @param {number} [params.duration=0] - The duration of the playback audio in seconds.
 	 * @param {string} params.title - The title of the song.
 	 * @param {string} params.composer - The name of the composer for the song.
 	 * @param {number} params.tempo - The tempo of the song in BPM.
 	 * @param {string} params.key - The musical key of the song.
 	 * @param {string} params.timeSignature - The time signature of the song.
+	 * @param {Transposition} [params.transposition] - The playback transposition of the song.
+	 * @param {number} [params.beatOffset=0] - Where beat 1 of the first bar falls, in seconds.
+	 * @param {import('./BeatDetector.js').BeatGrid|null} [params.beatGrid=null] - The detected beats of the song.
+	 * @param {import('./KeyDetector.js').KeyEstimate|null} [params.keyEstimate=null] - The detected key of the song.
+	 * @param {import('./ChordDetector.js').DetectedChord[]|null} [params.chords=null] - The detected chords of the song.
+	 * @param {import('./EditList.js').AudioEdit[]} [params.edits=[]] - The non-destructive edits applied to the original audio.
 	 * @param {string} params.notes - Additional notes or lyrics related to the song.
+	 * @param {string|null} [params.notesUpdatedBy=null] - The email of the member who last edited the notes.
 	 * @param {Array<MarkerData>} [params.markers=[]] - An optional array of markers for the song.
-	 * @param {Array<number>} [params.waveformVolumes=[]] - An optional array of average volumes for the song waveform display.
 	 * @param {BandBook} bandbook - An instance of the BandBook class.
 	*/
-	constructor({id, slug, src, srcType, title, composer, tempo, key, timeSignature, notes, markers = [], waveformVolumes = []}, bandbook) {
+	constructor({id, slug, src, srcType, duration = 0, title, composer, tempo, key, timeSignature, transposition, beatOffset = 0, beatGrid = null, keyEstimate = null, chords = null, edits = [], notes, notesUpdatedBy = null, markers = []}, bandbook) {
 		// Assign properties
 		this.slug = slug
 		
@@ -72,17 +102,13 @@ export class Song {
 			try {
 				if (!src.includes(',')) throw new Error('Invalid base64 src format')
 				const binary = atob(src.split(',')[1])
-				const array = []
-
-				if (binary.length <= 112800000) {
-					for (let i = 0; i < binary.length; i++) {
-						array.push(binary.charCodeAt(i))
-					}
-					src = new Uint8Array(array).buffer
-				} else {
-					throw new Error(`Song source for ${title} is too large`)
-					// TODO: fix large src conversion
+
+				// Fill the bytes directly (a plain array of numbers runs out of memory for long recordings)
+				const bytes = new Uint8Array(binary.length)
+				for (let i = 0; i < binary.length; i++) {
+					bytes[i] = binary.charCodeAt(i)
 				}
+				src = bytes.buffer
 			} catch (error) {
 				Sentry.captureException(error)
 				new Notification(error, "error")
@@ -91,9 +117,30 @@ export class Song {
 		}
 
 		this.id = id ?? crypto.randomUUID()
-		this.src = src
+
+		// The original audio, kept in memory only while the song is open (see getSrc and release)
+		this.src = src ? (src instanceof Blob ? src : new Blob([src], { type: srcType })) : null
 		this.srcType = srcType
-		this.player = new Player(src, srcType, this)
+		this.srcStored = !src
+		this.duration = Number(duration) || 0
+		this.transposition = {
+			semitones: Number(transposition?.semitones) || 0,
+			cents: Number(transposition?.cents) || 0
+		}
+		this.beatOffset = Number(beatOffset) || 0
+		this.beatGrid = beatGrid
+		this.snapToBeats = true
+		this.detectingBeatGrid = null
+		this.keyEstimate = keyEstimate
+		this.detectingKey = null
+		this.chords = chords
+		this.detectingChords = null
+		this.editList = new EditList(this, edits)
+
+		// The audio that is played, shown and analyzed (loaded, and rendered from the edits, when the song is opened)
+		this.playbackSrc = null
+		this.playbackSrcType = srcType
+		this.preparingPlayback = null
 		this.utilities = new SongUtilities(this)
 		this.title = title
 		this.composer = composer
@@ -101,8 +148,9 @@ export class Song {
 		this.key = key
 		this.timeSignature = timeSignature
 		this.notes = notes
+		this.notesUpdatedBy = notesUpdatedBy
 		this.markerData = markers
-		this.waveformVolumes = waveformVolumes
+		this.waveformPeaks = null
 		this.bandbook = bandbook
 
 		// Initialize the Song instance
@@ -120,7 +168,12 @@ export class Song {
 				console.warn('Invalid marker data:', marker)
 				return
 			}
-			this.markerList?.addMarker(new Marker(marker.time, this, marker.title, marker.notes, marker.tags, marker.id))
+			this.markerList?.addMarker(new Marker(marker.time, this, marker.title, marker.notes, marker.tags, marker.id, {
+				isPrivate: Boolean(marker.private),
+				createdBy: marker.createdBy,
+				updatedBy: marker.updatedBy,
+				comments: marker.comments
+			}))
 		})
 	}
 
@@ -130,7 +183,305 @@ export class Song {
 	 * @returns {number}
 	 */
 	getDuration() {
-		return this.player?.getAudioElement()?.duration || 0
+		return this.player?.getAudioElement()?.duration || this.duration || 0
+	}
+
+	/**
+	 * Sets (and saves) the duration of the playback audio
+	 * @param {number} duration - The duration in seconds
+	 * @returns {void}
+	*/
+	setDuration(duration) {
+		if (!Number.isFinite(duration) || duration <= 0 || Math.abs(duration - this.duration) < 0.01) return
+
+		this.duration = duration
+		this.bandbook.syncManager.updateSongDuration(this, duration).catch(error => {
+			console.error('Error saving song duration:', error)
+		})
+	}
+
+	/**
+	 * Reads the duration from the saved audio's metadata without decoding it (for songs saved before durations were)
+	 * @returns {Promise<void>}
+	*/
+	async loadDuration() {
+		const url = URL.createObjectURL(await this.getSrc())
+
+		try {
+			const duration = await new Promise((resolve, reject) => {
+				const audio = document.createElement('audio')
+				audio.preload = 'metadata'
+				audio.addEventListener('loadedmetadata', () => resolve(audio.duration))
+				audio.addEventListener('error', () => reject(new Error(`Unable to read the duration of ${this.title}`)))
+				audio.src = url
+			})
+
+			this.setDuration(EditList.getDuration(this.editList.getEdits(), duration))
+		} finally {
+			URL.revokeObjectURL(url)
+		}
+	}
+
+	/**
+	 * Returns the key the song sounds in after transposition
+	 * @returns {string} - The transposed key (or the original key if not transposed)
+	*/
+	getDisplayKey() {
+		return transposeKey(this.key, this.transposition.semitones)
+	}
+
+	/**
+	 * Sets the playback transposition of the song
+	 * @param {number} semitones - Whole semitones to shift by
+	 * @param {number} [cents=0] - Additional cents to shift by
+	 * @returns {void}
+	*/
+	setTransposition(semitones, cents = 0) {
+		if (!this.bandbook.sharingManager.requireEdit('transpose its songs')) return
+
+		this.transposition = {
+			semitones: Number(semitones) || 0,
+			cents: Number(cents) || 0
+		}
+		this.player?.setPitch(this.transposition.semitones, this.transposition.cents)
+		this.bandbook.syncManager.updateSongTransposition(this, this.transposition)
+	}
+
+	/**
+	 * Sets where beat 1 of the first bar falls (used by the metronome)
+	 * @param {number} beatOffset - A time in seconds
+	 * @returns {void}
+	*/
+	setBeatOffset(beatOffset) {
+		if (!this.bandbook.sharingManager.requireEdit('move the metronome')) return
+
+		this.beatOffset = Math.max(0, Number(beatOffset) || 0)
+		this.bandbook.syncManager.updateSongBeatOffset(this, this.beatOffset)
+		this.player?.metronome?.updateControl()
+	}
+
+	/**
+	 * Detects the tempo and beats of the song in a worker (one analysis at a time)
+	 * @param {AudioBuffer} [buffer] - Already decoded audio (the src is decoded if omitted)
+	 * @returns {Promise<import('./BeatDetector.js').BeatGrid>}
+	*/
+	detectBeatGrid(buffer) {
+		if (this.detectingBeatGrid) return this.detectingBeatGrid
+
+		this.detectingBeatGrid = (async () => {
+			const decoded = buffer ?? await decodeAudio(await this.getPlaybackSrc())
+			// The song may not be open (and so have no player), e.g. when it is analyzed in the background
+			const beatsPerBar = this.player?.metronome?.getBeatsPerBar() ?? Metronome.getBeatsPerBarOf(this.timeSignature)
+			const grid = await BeatDetector.detect(decoded, beatsPerBar)
+			this.setBeatGrid(grid)
+			return grid
+		})().finally(() => {
+			this.detectingBeatGrid = null
+		})
+
+		return this.detectingBeatGrid
+	}
+
+	/**
+	 * Detects the key of the song in a worker (one analysis at a time)
+	 * @param {AudioBuffer} [buffer] - Already decoded audio (the src is decoded if omitted)
+	 * @returns {Promise<import('./KeyDetector.js').KeyEstimate>}
+	*/
+	detectKey(buffer) {
+		if (this.detectingKey) return this.detectingKey
+
+		this.detectingKey = (async () => {
+			const decoded = buffer ?? await decodeAudio(await this.getPlaybackSrc())
+			const estimate = await KeyDetector.detect(decoded)
+			this.setKeyEstimate(estimate)
+			return estimate
+		})().finally(() => {
+			this.detectingKey = null
+		})
+
+		return this.detectingKey
+	}
+
+	/**
+	 * Detects the chords of the song in a worker, aligned to the detected beats if there are any
+	 * @param {AudioBuffer} [buffer] - Already decoded audio (the src is decoded if omitted)
+	 * @returns {Promise<import('./ChordDetector.js').DetectedChord[]>}
+	*/
+	detectChords(buffer) {
+		if (this.detectingChords) return this.detectingChords
+
+		this.detectingChords = (async () => {
+			const decoded = buffer ?? await decodeAudio(await this.getPlaybackSrc())
+			const chords = await ChordDetector.detect(decoded, this.beatGrid?.beats)
+			this.setChords(chords)
+			return chords
+		})().finally(() => {
+			this.detectingChords = null
+		})
+
+		return this.detectingChords
+	}
+
+	/**
+	 * Sets the detected chords and persists them
+	 * @param {import('./ChordDetector.js').DetectedChord[]|null} chords - Detected chords, or null to clear them
+	 * @returns {Promise<Boolean>}
+	*/
+	setChords(chords) {
+		this.chords = chords
+		this.player?.chordLane?.updateControls()
+		this.player?.chordLane?.draw()
+		return this.bandbook.syncManager.updateSongChords(this, chords)
+	}
+
+	/**
+	 * Returns the name of a detected chord, spelled to suit the song's key
+	 * @param {import('./ChordDetector.js').DetectedChord} chord - A detected chord
+	 * @returns {string}
+	*/
+	getChordName(chord) {
+		return ChordDetector.getName(chord, keyUsesFlats(this.key))
+	}
+
+	/**
+	 * Adds a marker tagged "chord" at each detected chord (skipping chords that already have one)
+	 * @returns {Promise<number>} - The number of markers added
+	*/
+	async addChordMarkers() {
+		const tag = await this.bandbook.tagManager.getTag('chord')
+		const existing = new Set(this.markerList.markers.map(marker => `${marker.time.toFixed(2)}|${marker.title}`))
+		let count = 0
+
+		this.chords?.forEach(chord => {
+			const title = this.getChordName(chord)
+			if (existing.has(`${chord.start.toFixed(2)}|${title}`)) return
+
+			const marker = new Marker(chord.start, this, title, '', [tag])
+			// Set the tag now (the constructor resolves tags asynchronously) so it is synced with the marker
+			marker.tags = [tag]
+			this.bandbook.tagManager.applyTag(tag, marker)
+			this.markerList.addMarker(marker)
+			this.bandbook.syncManager.createMarker(marker)
+			count++
+		})
+
+		this.markerList.renderMarkersList()
+		return count
+	}
+
+	/**
+	 * Runs every analysis the song is still missing on already decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @returns {Promise<void>}
+	*/
+	async analyzeAudio(buffer) {
+		const analyses = []
+		if (!this.beatGrid) analyses.push(this.detectBeatGrid(buffer))
+		if (!this.keyEstimate) analyses.push(this.detectKey(buffer))
+
+		const results = await Promise.allSettled(analyses)
+		results.forEach(({ status, reason }) => {
+			if (status === 'rejected') console.warn('Unable to analyze audio:', reason)
+		})
+	}
+
+	/**
+	 * Sets the detected key and persists it
+	 * @param {import('./KeyDetector.js').KeyEstimate|null} keyEstimate - A key estimate, or null to clear it
+	 * @returns {Promise<Boolean>}
+	*/
+	setKeyEstimate(keyEstimate) {
+		this.keyEstimate = keyEstimate
+		return this.bandbook.syncManager.updateSongKeyEstimate(this, keyEstimate)
+	}
+
+	/**
+	 * Sets the key of the song and persists it
+	 * @param {string} key - A key name (e.g. "Eb", "F#m")
+	 * @returns {void}
+	*/
+	setKey(key) {
+		this.key = key
+		this.bandbook.syncManager.updateSongKey(this, key)
+		this.player?.updateTransposedKeyDisplay()
+	}
+
+	/**
+	 * Adds a marker at the start of each detected key change
+	 * @returns {void}
+	*/
+	addKeyChangeMarkers() {
+		const segments = this.keyEstimate?.segments ?? []
+		segments.forEach(({ start, key }) => {
+			const marker = new Marker(start, this, `Key: ${key}`)
+			this.markerList.addMarker(marker)
+			this.bandbook.syncManager.createMarker(marker)
+		})
+		this.markerList.renderMarkersList()
+	}
+
+	/**
+	 * Sets the detected beat grid and persists it
+	 * @param {import('./BeatDetector.js').BeatGrid|null} beatGrid - A beat grid, or null to clear it
+	 * @returns {Promise<Boolean>}
+	*/
+	setBeatGrid(beatGrid) {
+		this.beatGrid = beatGrid
+		this.player?.updateBeatGridSuggestion()
+		this.player?.waveform?.draw()
+		return this.bandbook.syncManager.updateSongBeatGrid(this, beatGrid)
+	}
+
+	/**
+	 * Accepts the detected tempo and first downbeat
+	 * @returns {void}
+	*/
+	applyBeatGrid() {
+		if (!this.beatGrid || !this.bandbook.sharingManager.requireEdit('change the tempo')) return
+
+		this.tempo = Math.round(this.beatGrid.tempo)
+		this.bandbook.syncManager.updateSongTempo(this, this.tempo)
+		this.setBeatOffset(this.beatGrid.offset)
+		this.setBeatGrid({ ...this.beatGrid, status: 'applied' })
+	}
+
+	/**
+	 * Declines the detected tempo (the beats are kept for snapping)
+	 * @returns {void}
+	*/
+	dismissBeatGrid() {
+		if (!this.beatGrid || !this.bandbook.sharingManager.requireEdit('dismiss the detected tempo')) return
+		this.setBeatGrid({ ...this.beatGrid, status: 'dismissed' })
+	}
+
+	/**
+	 * Snaps a time to the closest detected beat (if snapping is on)
+	 * @param {number} time - A time in seconds
+	 * @returns {number} - The snapped time in seconds
+	*/
+	snapTime(time) {
+		if (!this.snapToBeats || !this.beatGrid) return time
+
+		const snapped = BeatDetector.getNearestBeat(this.beatGrid, time)
+		const duration = this.getDuration()
+		return duration ? Math.min(duration, snapped) : snapped
+	}
+
+	/**
+	 * Returns the detected beats within a time range (if snapping is on)
+	 * @param {number} start - The start of the range in seconds
+	 * @param {number} end - The end of the range in seconds
+	 * @returns {Array<{ time: number, isDownbeat: boolean }>}
+	*/
+	getBeatsInRange(start, end) {
+		if (!this.snapToBeats || !this.beatGrid?.beats) return []
+
+		const { beats, offset, beatsPerBar } = this.beatGrid
+		const downbeat = Math.max(0, beats.indexOf(offset))
+
+		return beats
+			.map((time, i) => ({ time, isDownbeat: ((i - downbeat) % beatsPerBar + beatsPerBar) % beatsPerBar === 0 }))
+			.filter(({ time }) => time >= start && time <= end)
 	}
 
 	/**
@@ -156,11 +507,18 @@ export class Song {
 			const modalHeader = document.createElement('h2')
 			modalHeader.textContent = this.title
 
-			// Append buttons to modal header and get edit form content
-			modalHeader.appendChild(this.getEditTitleButton(modalHeader))
-			modalHeader.appendChild(this.getDeleteSongButton())
+			// Append buttons to modal header and get edit form content (viewers of a shared book can only read it)
+			const canEdit = this.bandbook.sharingManager.canEdit()
+			if (canEdit) {
+				modalHeader.appendChild(this.getEditTitleButton(modalHeader))
+				modalHeader.appendChild(this.getDeleteSongButton())
+			}
 			const modalContent = this.getEditForm()
 
+			if (!canEdit) {
+				modalContent.querySelectorAll('input, select, textarea, button').forEach(element => element.disabled = true)
+			}
+
 			// Open modal
 			new Modal(modalHeader, modalContent, { useForm: true })
 		})
@@ -237,10 +595,52 @@ export class Song {
 		tempoInput.addEventListener('change', () => {
 			this.tempo = tempoInput.value
 			this.bandbook.syncManager.updateSongTempo(this, tempoInput.value)
+			updateTempoSuggestion()
 		})
+		const tempoSuggestion = document.createElement('small')
+		tempoSuggestion.classList.add('tempo-suggestion')
+		const updateTempoSuggestion = () => {
+			tempoSuggestion.innerHTML = ''
+			const grid = this.beatGrid
+			if (!grid || Math.round(grid.tempo) === Number(this.tempo)) return
+
+			const text = document.createElement('span')
+			text.textContent = `Detected: ${Math.round(grid.tempo)} BPM (${Math.round(grid.confidence * 100)}% confidence)`
+			const useButton = document.createElement('button')
+			useButton.type = 'button'
+			useButton.textContent = 'Use'
+			useButton.addEventListener('click', () => {
+				this.applyBeatGrid()
+				tempoInput.value = this.tempo
+				updateTempoSuggestion()
+			})
+			tempoSuggestion.appendChild(text)
+			tempoSuggestion.appendChild(useButton)
+		}
+		const detectButton = document.createElement('button')
+		detectButton.type = 'button'
+		detectButton.textContent = 'Detect'
+		detectButton.title = 'Detect tempo and beats'
+		detectButton.addEventListener('click', async () => {
+			detectButton.disabled = true
+			detectButton.textContent = 'Detecting...'
+			try {
+				await this.detectBeatGrid()
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Unable to detect tempo: ${error.message}`, 'error')
+			} finally {
+				detectButton.disabled = false
+				detectButton.textContent = 'Detect'
+				updateTempoSuggestion()
+			}
+		})
+		updateTempoSuggestion()
 		tempoLabel.appendChild(tempoSpan)
 		tempoLabel.appendChild(tempoInput)
+		tempoLabel.appendChild(detectButton)
 		div.appendChild(tempoLabel)
+		div.appendChild(tempoSuggestion)
 
 		// key
 		const keyLabel = document.createElement('label')
@@ -249,13 +649,90 @@ export class Song {
 		const keyInput = document.createElement('input')
 		keyInput.type = 'text'
 		keyInput.value = this.key
+		const soundingKey = document.createElement('small')
+		soundingKey.classList.add('sounding-key')
+		const updateSoundingKey = () => {
+			const { semitones, cents } = this.transposition
+			soundingKey.textContent = semitones || cents
+				? `Sounding key: ${this.getDisplayKey()} (transposed ${semitones > 0 ? '+' : ''}${semitones} semitones${cents ? `, ${cents > 0 ? '+' : ''}${cents} cents` : ''})`
+				: ''
+		}
 		keyInput.addEventListener('change', () => {
-			this.key = keyInput.value
-			this.bandbook.syncManager.updateSongKey(this, keyInput.value)
+			this.setKey(keyInput.value)
+			updateSoundingKey()
+			updateKeySuggestion()
+		})
+		const keySuggestion = document.createElement('div')
+		keySuggestion.classList.add('key-suggestion')
+		const updateKeySuggestion = () => {
+			keySuggestion.innerHTML = ''
+			const estimate = this.keyEstimate
+			if (!estimate) return
+
+			if (estimate.key !== this.key) {
+				const suggestion = document.createElement('small')
+				const text = document.createElement('span')
+				text.textContent = `Detected: ${estimate.key} (${estimate.mode}, ${Math.round(estimate.confidence * 100)}% confidence)`
+				const useButton = document.createElement('button')
+				useButton.type = 'button'
+				useButton.textContent = 'Use'
+				useButton.addEventListener('click', () => {
+					this.setKey(estimate.key)
+					keyInput.value = this.key
+					updateSoundingKey()
+					updateKeySuggestion()
+				})
+				suggestion.appendChild(text)
+				suggestion.appendChild(useButton)
+				keySuggestion.appendChild(suggestion)
+			}
+
+			// The key changes over the song
+			if (estimate.segments.length > 1) {
+				const segments = document.createElement('small')
+				segments.classList.add('key-segments')
+				segments.textContent = 'Key changes: ' + estimate.segments
+					.map(({ start, end, key }) => `${format(start)}-${format(end)} ${key}`)
+					.join(', ')
+				const markersButton = document.createElement('button')
+				markersButton.type = 'button'
+				markersButton.textContent = 'Add markers'
+				markersButton.title = 'Add a marker at each key change'
+				markersButton.addEventListener('click', () => {
+					this.addKeyChangeMarkers()
+					markersButton.disabled = true
+					new Notification('Key change markers added', 'success')
+				})
+				segments.appendChild(markersButton)
+				keySuggestion.appendChild(segments)
+			}
+		}
+		const detectKeyButton = document.createElement('button')
+		detectKeyButton.type = 'button'
+		detectKeyButton.textContent = 'Detect'
+		detectKeyButton.title = 'Detect key'
+		detectKeyButton.addEventListener('click', async () => {
+			detectKeyButton.disabled = true
+			detectKeyButton.textContent = 'Detecting...'
+			try {
+				await this.detectKey()
+			} catch (error) {
+				Sentry.captureException(error)
+				new Notification(`Unable to detect key: ${error.message}`, 'error')
+			} finally {
+				detectKeyButton.disabled = false
+				detectKeyButton.textContent = 'Detect'
+				updateKeySuggestion()
+			}
 		})
+		updateSoundingKey()
+		updateKeySuggestion()
 		keyLabel.appendChild(keySpan)
 		keyLabel.appendChild(keyInput)
+		keyLabel.appendChild(detectKeyButton)
 		div.appendChild(keyLabel)
+		div.appendChild(soundingKey)
+		div.appendChild(keySuggestion)
 
 		// time signature
 		const timeSignatureLabel = document.createElement('label')
@@ -284,12 +761,22 @@ export class Song {
 		notesInput.rows = 4
 		notesInput.addEventListener('change', () => {
 			this.notes = notesInput.value
+			this.notesUpdatedBy = this.bandbook.authManager?.user?.email ?? this.notesUpdatedBy
 			this.bandbook.syncManager.updateSongNotes(this, notesInput.value)
 		})
 		notesLabel.appendChild(notesSpan)
 		notesLabel.appendChild(notesInput)
 		div.appendChild(notesLabel)
 
+		// Who last edited the notes (in shared books)
+		const { sharingManager } = this.bandbook
+		if (this.notesUpdatedBy && sharingManager.isShared()) {
+			const notesAttribution = document.createElement('p')
+			notesAttribution.classList.add('attribution')
+			notesAttribution.textContent = `Last edited by ${sharingManager.getMemberLabel(this.notesUpdatedBy)}`
+			div.appendChild(notesAttribution)
+		}
+
 		return div
 	}
 
@@ -313,10 +800,11 @@ export class Song {
 		button.ariaLabel = 'Delete song'
 		button.title = 'Delete song'
 		button.appendChild(new Icon('delete').getImg())
-		button.addEventListener('click', (e) => {
+		button.addEventListener('click', async (e) => {
 			e.preventDefault()
+			if (!this.bandbook.sharingManager.requireEdit('delete songs')) return
 			if (confirm(`Are you sure you want to delete ${this.title}?`)) {
-				this.bandbook.removeSong(this)
+				if (!(await this.bandbook.removeSong(this))) return
 				this.bandbook.refresh()
 				if (modal) document.dispatchEvent(new KeyboardEvent('keydown', { key: 'Escape' }))
 			} else {
@@ -335,12 +823,13 @@ export class Song {
 		header.classList.add('song-header')
 		header.appendChild(this.getTitleElement())
 		header.appendChild(this.utilities.getPrintSongSummaryButton())
+		header.appendChild(this.utilities.getAutoSplitButton())
 		return header
 	}
 
 	/**
 	 * Get song data for serialization
-	 * @param {boolean} [includeSrc=true] - Whether to include the song src in the data (as a base64 string)
+	 * @param {boolean} [includeSrc=true] - Whether to include the song src in the data (as a base64 string, which can't hold long recordings; prefer a BandBookArchive)
 	 * @returns {Promise<SongData>} - A promise that resolves with the song data
 	 * @throws {Error} - An error if the song data cannot be retrieved
 	 * @async
@@ -348,7 +837,8 @@ export class Song {
 	async getData(includeSrc = true) {
 		try {
 			const data = {
-				...this.getMetadata(includeSrc),
+				id: this.id,
+				...this.getMetadata(),
 				markers: this.getMarkerData()
 			}
 
@@ -368,10 +858,11 @@ export class Song {
 	 * @throws {Error} - An error if the song src cannot be stringified
 	 * @async
 	*/
-	getStringifiedSrc() {
+	async getStringifiedSrc() {
+		const blob = await this.getSrc()
+
 		return new Promise((resolve, reject) => {
-			// Convert ArrayBuffer to audio file and then to base64 string
-			const blob = new Blob([this.src], { type: this.srcType })
+			// Convert the audio file to a base64 string
 			const reader = new FileReader()
 			reader.readAsDataURL(blob)
 			reader.onloadend = () => {
@@ -386,21 +877,28 @@ export class Song {
 
 	/**
 	 * Get song metadata for serialization
-	 * @param {boolean} [includeWaveformVolumes=true] - Whether to include the waveform volumes in the metadata
 	 * @returns {SongMeta} - A song metadata object
 	*/
-	getMetadata(includeWaveformVolumes = true) {
+	getMetadata() {
 		return {
 			slug: this.slug,
 			title: this.title,
 			srcType: this.srcType,
+			duration: this.duration,
 			composer: this.composer,
 			tempo: this.tempo,
 			key: this.key,
 			timeSignature: this.timeSignature,
+			transposition: this.transposition,
+			beatOffset: this.beatOffset,
+			beatGrid: this.beatGrid,
+			keyEstimate: this.keyEstimate,
+			chords: this.chords,
+			edits: this.editList.getEdits(),
 			notes: this.notes,
-			markers: this.getMarkerData().map(marker => marker.id),
-			waveformVolumes: includeWaveformVolumes ? this.waveformVolumes : undefined
+			...(this.notesUpdatedBy && { notesUpdatedBy: this.notesUpdatedBy }),
+			// Private markers aren't listed in their song (see SyncManager.createMarker)
+			markers: this.getMarkerData().filter(marker => !marker.private).map(marker => marker.id)
 		}
 	}
 
@@ -415,26 +913,165 @@ export class Song {
 	}
 
 	/**
-	 * Set the array of average volumes for the song (used for the waveform display)
-	 * @param {Array} waveformVolumes 
+	 * Set the multi-resolution peak data for the song (used for the waveform display)
+	 * @param {import('./Waveform.js').WaveformPeaks|null} waveformPeaks
+	 * @returns {Promise<Boolean>} - A promise that resolves when the peaks are cached
 	 */
-	setWaveformVolumes(waveformVolumes) {
-		this.waveformVolumes = waveformVolumes
-		this.bandbook.syncManager.updateSongWaveformVolumes(this, waveformVolumes)
+	setWaveformPeaks(waveformPeaks) {
+		this.waveformPeaks = waveformPeaks
+		return this.bandbook.syncManager.updateSongWaveformPeaks(this, waveformPeaks)
+	}
+
+	/**
+	 * Returns the original audio, loading it from indexedDB if it isn't in memory
+	 * Only the active song keeps it in memory afterwards
+	 * @returns {Promise<Blob>}
+	 * @throws {Error} - If the audio is missing
+	*/
+	async getSrc() {
+		if (this.src) return this.src
+
+		// Songs synced from another device download their audio when they are first opened
+		const src = await this.bandbook.syncManager.getSongSrc(this) ?? await this.bandbook.audioSync.download(this)
+		if (!src) throw new Error(`The audio for ${this.title} is missing`)
+
+		if (this.bandbook.activeSong === this) this.src = src
+		return src
+	}
+
+	/**
+	 * Returns whether the song's player is ready (songs load their audio, and render their edits, when opened)
+	 * @returns {boolean}
+	*/
+	isPlaybackReady() {
+		return this.player !== null && this.playbackSrc !== null
+	}
+
+	/**
+	 * Loads the original audio, renders the edit list over it and, for the active song, creates a player for the result (one render at a time)
+	 * @returns {Promise<Blob>} - The audio to play
+	*/
+	preparePlayback() {
+		if (this.preparingPlayback) return this.preparingPlayback
+
+		this.preparingPlayback = (async () => {
+			const { src, srcType } = await this.editList.renderSrc()
+
+			// Only the active song holds on to its audio (see release)
+			if (this.bandbook.activeSong === this) {
+				this.playbackSrc = src
+				this.playbackSrcType = srcType
+				this.resetPlayer()
+			}
+
+			return src
+		})().finally(() => {
+			this.preparingPlayback = null
+		})
+
+		return this.preparingPlayback
+	}
+
+	/**
+	 * Returns the audio that is played (with the edits applied), loading and rendering it first if needed
+	 * @returns {Promise<Blob>}
+	*/
+	async getPlaybackSrc() {
+		return this.playbackSrc ?? this.preparePlayback()
+	}
+
+	/**
+	 * Releases the audio and the player (e.g. when another song is opened), which are loaded again when the song is next opened
+	 * Audio that hasn't been saved yet is kept
+	 * @returns {void}
+	*/
+	release() {
+		this.markerList?.segmentManager.destroy()
+		this.player?.destroy()
+		this.player = null
+		this.playbackSrc = null
+		if (this.srcStored) this.src = null
+	}
+
+	/**
+	 * Marks the original audio as saved, releasing it if the song isn't open
+	 * @returns {void}
+	*/
+	onSrcStored() {
+		this.srcStored = true
+		if (this.bandbook.activeSong !== this) this.release()
 	}
 
 	/**
-	 * Update the src
-	 * @param {string | ArrayBuffer} src - The new src for the song
+	 * Re-renders the audio after the edit list changed
+	 * @returns {Promise<void>}
+	*/
+	async onAudioEdited() {
+		// Wait for a render of the previous edits to finish so it can't overwrite this one
+		await this.preparingPlayback?.catch(() => {})
+		this.clearAudioAnalysis()
+		this.setWaveformPeaks(null)
+		this.playbackSrc = null
+		await this.preparePlayback()
+	}
+
+	/**
+	 * Clears everything derived from the audio
 	 * @returns {void}
 	*/
-	updateSrc(src) {
-		this.src = src
+	clearAudioAnalysis() {
+		this.waveformPeaks = null
+
+		// Detected beats, key changes and chords no longer line up with the new audio
+		if (this.beatGrid) this.setBeatGrid(null)
+		if (this.keyEstimate) this.setKeyEstimate(null)
+		if (this.chords) this.setChords(null)
+
+		// So is any auto-split analysis
+		if (this.utilities) this.utilities.autoSplitter = null
+	}
 
+	/**
+	 * Replaces the player with one for the current playback audio
+	 * @returns {void}
+	*/
+	resetPlayer() {
 		if (this.player?.destroy) {
 			this.player.destroy()
 		}
 
-		this.player = new Player(src, this.srcType, this)
+		this.player = new Player(this.playbackSrc ?? this.src, this.playbackSrcType, this)
+	}
+
+	/**
+	 * Replaces the original audio (dropping any edits, which no longer apply to it)
+	 * @param {Blob | ArrayBuffer} src - The new src for the song
+	 * @param {string} [srcType] - The MIME type of the new src (if it changed)
+	 * @returns {void}
+	*/
+	updateSrc(src, srcType = this.srcType) {
+		this.src = src instanceof Blob ? src : new Blob([src], { type: srcType })
+		this.srcStored = false
+		this.bandbook.syncManager.updateSongSrc(this, this.src).then(() => this.onSrcStored()).catch(error => {
+			Sentry.captureException(error)
+			console.error('Error saving song src:', error)
+		})
+
+		if (srcType !== this.srcType) {
+			this.srcType = srcType
+			this.bandbook.syncManager.updateSongSrcType(this, srcType)
+		}
+
+		if (this.editList.hasEdits()) {
+			this.editList = new EditList(this)
+			this.bandbook.syncManager.updateSongEdits(this, [])
+		}
+
+		// Peaks are cached alongside the src, so they are stale now
+		this.clearAudioAnalysis()
+
+		this.playbackSrc = this.src
+		this.playbackSrcType = this.srcType
+		this.resetPlayer()
 	}
 }
\ No newline at end of file
@@ -1,4 +1,6 @@
 import { Song } from './Song.js'
+import { AutoSplitter } from './AutoSplitter.js'
+import { PrintPacket } from './PrintPacket.js'
 
 /**
  * Represents a song's utilities
@@ -10,6 +12,12 @@ export class SongUtilities {
     */
     song = null
 
+    /**
+     * @param {AutoSplitter} autoSplitter - Splits the song's recording into songs (created when first used)
+     * @default null
+    */
+    autoSplitter = null
+
     /**
      * @constructor
      * @param {Song} song - An instance of the Song class.
@@ -31,73 +39,33 @@ export class SongUtilities {
     }
 
     /**
-     * Opens a new window and prints a summary of the song, including its title, key, composer, description, and markers.
+     * Creates a button that, when clicked, opens the auto-split tool for long recordings.
+     * @returns {HTMLButtonElement} - The button element.
     */
-    printSongSummary() {
-        // Open a new window for the summary
-        const win = window.open('', '_blank')
-
-        if (!win) {
-            alert('Unable to open summary window. Please allow pop-ups for this site.');
-            return;
-        }
-
-        const doc = win.document
-        doc.title = `${this.song.title} - Summary`
-
-        // Add styles
-        const style = doc.createElement('style')
-        style.textContent = `
-            body {
-                font-family: Arial, sans-serif;
-            }
-
-            ul {
-                list-style-type: none;
-                padding: 0;
-            }
-        `
-        doc.head.appendChild(style)
-
-        // Header
-        const header = doc.createElement('header')
-        const title = doc.createElement('h1')
-        title.textContent = `${this.song.title} (${this.song.key})`
-        const artist = doc.createElement('p')
-        artist.textContent = `Artist: ${this.song.composer}`
-        const description = doc.createElement('p')
-        description.textContent = this.song.description
-
-        header.appendChild(title)
-        header.appendChild(artist)
-        header.appendChild(description)
-        doc.body.appendChild(header)
-
-        // Markers
-        if (this.song.markerList.markers.length > 0) {
-            const markerList = doc.createElement('ul')
-
-            for (const marker of this.song.markerList.markers) {
-                const markerItem = doc.createElement('li')
-                const markerTitle = doc.createElement('h2')
-                markerTitle.textContent = marker.title
-                const markerDescription = doc.createElement('p')
-                markerDescription.textContent = marker.notes
-
-                markerItem.appendChild(markerTitle)
-                markerItem.appendChild(markerDescription)
-                markerList.appendChild(markerItem)
-            }
+    getAutoSplitButton() {
+        const button = document.createElement('button')
+        button.textContent = 'Auto-split'
+        button.title = 'Split a long recording into songs at silences and applause'
+        button.addEventListener('click', () => {
+            if (!this.song.bandbook.sharingManager.requireEdit('split it into songs')) return
+
+            this.autoSplitter ??= new AutoSplitter(this.song)
+            this.autoSplitter.openModal()
+        })
+        return button
+    }
 
-            doc.body.appendChild(markerList)
+    /**
+     * Opens a new window and prints a summary of the song, including its details, notes, and markers.
+     * If any marker has comments, the user chooses whether to include them first.
+    */
+    printSongSummary() {
+        if (this.song.markerList.markers.some(marker => marker.comments.comments.length)) {
+            PrintPacket.openSongSummaryModal(this.song)
+            return
         }
 
-        // Wait for render, then print
-        setTimeout(() => {
-            win.focus()
-            win.print()
-            win.close()
-        }, 250)
+        new PrintPacket(`${this.song.title} - Summary`, [{ song: this.song }]).print({ cover: false })
     }
 
 }
\ No newline at end of file
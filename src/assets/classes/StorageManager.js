@@ -0,0 +1,185 @@
+import { Notification } from './Notification.js'
+import { formatBytes } from '../utils.js'
+
+/**
+ * @typedef {Object} StorageEstimate
+ * @property {number} usage - The bytes the app is using (the database and any caches)
+ * @property {number} quota - The bytes the browser lets the app use
+*/
+
+/**
+ * @typedef {Object} SongStorage
+ * @property {import('./Song.js').Song} song - The song
+ * @property {number} audio - The size of the song's audio in bytes
+ * @property {number} waveform - The size of the song's cached waveform in bytes
+ * @property {boolean} isClip - Whether the song was made from a segment of another song
+*/
+
+/**
+ * @typedef {Object} StorageReport
+ * @property {StorageEstimate|null} estimate - The browser's estimate (null if the browser can't estimate)
+ * @property {boolean|null} persisted - Whether storage is persistent (null if the browser can't tell)
+ * @property {SongStorage[]} songs - Every song, largest first
+ * @property {number} waveforms - The size of all cached waveforms in bytes
+ * @property {{ count: number, size: number }} snapshots - The number of snapshots (of every book) and their size in bytes
+ * @property {{ version: number, createdAt: string, size: number }|null} backup - The backup made before the last update
+*/
+
+/**
+ * An error thrown when saving would go over the browser's storage quota (nothing is saved)
+*/
+export class StorageQuotaError extends Error {
+	/**
+	 * @constructor
+	 * @param {string} label - What was being saved (e.g. a song title)
+	 * @param {number} bytes - The bytes needed
+	 * @param {StorageEstimate} estimate - The browser's estimate
+	*/
+	constructor(label, bytes, estimate) {
+		const available = Math.max(0, estimate.quota - estimate.usage)
+		super(`There isn't enough storage to save ${label} (it needs ${formatBytes(bytes)}, ${formatBytes(available)} is free)`)
+		this.name = 'StorageQuotaError'
+		this.bytes = bytes
+		this.estimate = estimate
+	}
+}
+
+/**
+ * Reports how much storage the BandBook uses, keeps the browser from evicting it and stops saves that wouldn't fit
+*/
+export class StorageManager {
+	/**
+	 * The share of the quota past which the user is warned that storage is running out
+	 * @type {number}
+	*/
+	static WARNING_RATIO = 0.9
+
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * Whether the user has been warned that storage is running out (once per visit)
+	 * @type {boolean}
+	 * @default false
+	*/
+	warned = false
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor(bandbook) {
+		this.bandbook = bandbook
+	}
+
+	/**
+	 * Returns the browser's estimate of the storage used and available
+	 * @returns {Promise<StorageEstimate|null>} - null if the browser can't estimate
+	*/
+	async getEstimate() {
+		if (!navigator.storage?.estimate) return null
+
+		try {
+			const { usage = 0, quota = 0 } = await navigator.storage.estimate()
+			return quota ? { usage, quota } : null
+		} catch (error) {
+			console.error('Error estimating storage:', error)
+			return null
+		}
+	}
+
+	/**
+	 * Returns whether the browser will keep the BandBook's storage when space runs low
+	 * @returns {Promise<boolean|null>} - null if the browser can't tell
+	*/
+	async isPersisted() {
+		if (!navigator.storage?.persisted) return null
+		return navigator.storage.persisted().catch(() => null)
+	}
+
+	/**
+	 * Asks the browser to keep the BandBook's storage when space runs low (some browsers ask the user)
+	 * @returns {Promise<boolean>} - Whether storage is now persistent
+	*/
+	async requestPersistence() {
+		if (!navigator.storage?.persist) return false
+		if (await this.isPersisted()) return true
+		return navigator.storage.persist().catch(() => false)
+	}
+
+	/**
+	 * Checks that there is room to save some data, warning the user if it leaves storage nearly full
+	 * @param {number} bytes - The bytes about to be saved
+	 * @param {string} [label='this'] - What is being saved (for the messages)
+	 * @returns {Promise<void>}
+	 * @throws {StorageQuotaError} - If saving would go over the quota
+	*/
+	async checkSpaceFor(bytes, label = 'this') {
+		const estimate = await this.getEstimate()
+		if (!estimate) return
+
+		const usage = estimate.usage + bytes
+		if (usage > estimate.quota) throw new StorageQuotaError(label, bytes, estimate)
+
+		if (usage / estimate.quota >= StorageManager.WARNING_RATIO && !this.warned) {
+			this.warned = true
+			new Notification(`Storage is ${Math.round(usage / estimate.quota * 100)}% full. Free up space in Settings > Storage.`, 'warning', true, 10000)
+		}
+	}
+
+	/**
+	 * Returns everything the storage panel shows
+	 * @returns {Promise<StorageReport>}
+	*/
+	async getReport() {
+		const { syncManager } = this.bandbook
+
+		const [estimate, persisted, sizes, snapshots, backup] = await Promise.all([
+			this.getEstimate(),
+			this.isPersisted(),
+			syncManager.getSongStorageSizes(),
+			syncManager.getSnapshotStorageSize(),
+			syncManager.getBackupInfo().catch(() => null)
+		])
+
+		const songs = this.bandbook.songs.map(song => ({
+			song,
+			audio: sizes.get(song.id)?.audio ?? 0,
+			waveform: sizes.get(song.id)?.waveform ?? 0,
+			isClip: song.slug.includes('-clip=')
+		})).sort((a, b) => b.audio - a.audio)
+
+		return {
+			estimate,
+			persisted,
+			songs,
+			waveforms: songs.reduce((total, { waveform }) => total + waveform, 0),
+			snapshots,
+			backup
+		}
+	}
+
+	/**
+	 * Deletes every cached waveform (each is recreated when its song is next opened)
+	 * @returns {Promise<void>}
+	*/
+	async clearWaveforms() {
+		await this.bandbook.syncManager.clearWaveformPeaks()
+
+		// The open song keeps its waveform until it is closed
+		this.bandbook.songs.forEach(song => {
+			if (song !== this.bandbook.activeSong) song.waveformPeaks = null
+		})
+	}
+
+	/**
+	 * Deletes the backup made before the last update
+	 * @returns {Promise<void>}
+	*/
+	async deleteBackup() {
+		await this.bandbook.syncManager.deleteBackup()
+	}
+}
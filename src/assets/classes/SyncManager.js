@@ -1,14 +1,62 @@
 import { BandBook } from './BandBook.js'
 import { Song } from './Song.js'
 import { Marker } from './Marker.js'
+import { Setlist } from './Setlist.js'
 import { SettingsManager } from './SettingsManager.js'
-
+import { Notification } from './Notification.js'
+import { SCHEMA_VERSION, SYNCED_STORES, MigrationError, getPendingMigrations } from './Migrations.js'
+import { hashBlob } from '../utils.js'
+
+/**
+ * The name of a book that hasn't been named
+ * @type {string}
+ */
+const DEFAULT_BOOK_NAME = 'My BandBook'
+
+/**
+ * The name of the database
+ * @type {string}
+ */
+const DB_NAME = 'bandbook'
+
+/**
+ * The name of the database that holds a copy of the data from before the last migration
+ * @type {string}
+ */
+const BACKUP_DB_NAME = 'bandbook-backup'
+
+/**
+ * Returns the approximate number of bytes a stored value takes up
+ * @param {unknown} value - A record or one of its fields
+ * @returns {number}
+ */
+const getByteSize = (value) => {
+	if (value === null || value === undefined) return 0
+	if (value instanceof Blob) return value.size
+	if (value instanceof ArrayBuffer || ArrayBuffer.isView(value)) return value.byteLength
+	if (typeof value === 'string') return value.length * 2
+	if (typeof value !== 'object') return 8
+
+	return Object.values(value).reduce((total, item) => total + getByteSize(item), 0)
+}
 
 export class SyncManager {
 	/**
 	 * @typedef {import('./Song.js').SongData} SongData
 	 * @typedef {import('./Song.js').MarkerData} MarkerData
 	 * @typedef {import('./SettingsManager.js').Settings} Settings
+	 * @typedef {import('./CloudSync.js').RemoteChange} RemoteChange
+	*/
+
+	/**
+	 * A change to a synced record that hasn't been uploaded yet (a later change to the same record replaces it)
+	 * @typedef {Object} QueuedChange
+	 * @property {string} key - The store and record key (e.g. "songs/<id>")
+	 * @property {string} store - The name of the record's store (see SYNCED_STORES)
+	 * @property {string} id - The record key
+	 * @property {number} rev - The server revision the change is based on (0 if the record has never been uploaded)
+	 * @property {boolean} deleted - Whether the record was deleted
+	 * @property {string} changeId - Identifies the change, so a change made while it was being uploaded isn't lost
 	*/
 
 	/**
@@ -79,14 +127,57 @@ export class SyncManager {
 		// Already opening
 		if (this.dbPromise) return this.dbPromise;
 
-		this.dbPromise = new Promise((resolve, reject) => {
-			const request = indexedDB.open("bandbook", 1);
+		this.dbPromise = this.openDB();
+		return this.dbPromise;
+	}
+
+	/**
+	 * Opens the database, backing it up and migrating it to the current schema version first if needed
+	 *
+	 * @returns {Promise<IDBDatabase>}
+	 * @throws {MigrationError} If a migration fails (the database is left at its previous version)
+	 */
+	async openDB() {
+		const storedVersion = await this.getStoredVersion();
+
+		if (storedVersion && storedVersion < SCHEMA_VERSION) {
+			try {
+				await this.backupDatabase(storedVersion);
+			} catch (e) {
+				// Migrations are rolled back if they fail, so carry on without a backup
+				Sentry.captureException(e);
+				console.error('Error backing up the database before migrating', e);
+			}
+		}
+
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(DB_NAME, SCHEMA_VERSION);
+
+			/** @type {MigrationError|null} */
+			let migrationError = null;
 
-			request.onupgradeneeded = (e) => this.onUpgradeNeeded(e);
+			request.onupgradeneeded = (e) => {
+				this.onUpgradeNeeded(e).catch((error) => {
+					migrationError = error;
+					request.transaction?.abort();
+				});
+			};
+
+			request.onblocked = () => {
+				new Notification('Close other BandBook tabs to finish updating your saved data', 'error', true);
+			};
 
-			request.onerror = () => {
+			request.onerror = (e) => {
+				e.preventDefault();
 				this.dbPromise = null;
-				reject(request.error);
+
+				if (request.error?.name === 'VersionError') {
+					reject(new Error('Your saved data was updated by a newer version of BandBook. Refresh the page to update.'));
+					return;
+				}
+
+				if (migrationError) Sentry.captureException(migrationError);
+				reject(migrationError ?? request.error);
 			};
 
 			request.onsuccess = () => {
@@ -116,18 +207,159 @@ export class SyncManager {
 				resolve(db);
 			};
 		});
+	}
 
-		return this.dbPromise;
+	/**
+	 * Gets the version of the database without creating or upgrading it
+	 *
+	 * @returns {Promise<number>} The version, or 0 if there is no database yet
+	 */
+	getStoredVersion() {
+		return new Promise((resolve) => {
+			const request = indexedDB.open(DB_NAME);
+
+			// The database doesn't exist yet, so don't create it (it is created at the current version)
+			request.onupgradeneeded = () => request.transaction.abort();
+
+			request.onsuccess = () => {
+				const { version } = request.result;
+				request.result.close();
+				resolve(version);
+			};
+
+			request.onerror = (e) => {
+				e.preventDefault();
+				resolve(0);
+			};
+		});
+	}
+
+	/**
+	 * Copies every store of the database to the backup database (replacing any earlier backup)
+	 * Records are copied one at a time, so large song sources don't have to fit in memory together
+	 *
+	 * @param {number} version - The current version of the database
+	 * @returns {Promise<void>}
+	 */
+	async backupDatabase(version) {
+		const openDatabase = (name, version, onUpgradeNeeded) => new Promise((resolve, reject) => {
+			const request = indexedDB.open(name, version);
+			if (onUpgradeNeeded) request.onupgradeneeded = () => onUpgradeNeeded(request.result);
+			request.onsuccess = () => resolve(request.result);
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => reject(new Error(`${name} is open in another tab`));
+		});
+
+		await new Promise((resolve, reject) => {
+			const request = indexedDB.deleteDatabase(BACKUP_DB_NAME);
+			request.onsuccess = () => resolve();
+			request.onerror = () => reject(request.error);
+		});
+
+		const source = await openDatabase(DB_NAME, version);
+		const storeNames = [...source.objectStoreNames];
+		const keyPaths = Object.fromEntries(storeNames.map(name => [
+			name,
+			source.transaction(name, 'readonly').objectStore(name).keyPath
+		]));
+
+		const backup = await openDatabase(BACKUP_DB_NAME, 1, (db) => {
+			storeNames.forEach(name => db.createObjectStore(name, { keyPath: keyPaths[name] }));
+			db.createObjectStore('backupInfo', { keyPath: 'id' });
+		});
+
+		try {
+			for (const name of storeNames) {
+				const keys = await this.request(source.transaction(name, 'readonly').objectStore(name).getAllKeys());
+
+				for (const key of keys) {
+					const record = await this.request(source.transaction(name, 'readonly').objectStore(name).get(key));
+					if (record !== undefined) {
+						await this.request(backup.transaction(name, 'readwrite').objectStore(name).put(record));
+					}
+				}
+			}
+
+			await this.request(backup.transaction('backupInfo', 'readwrite').objectStore('backupInfo').put({
+				id: 'backup',
+				version,
+				createdAt: new Date().toISOString()
+			}));
+		} finally {
+			source.close();
+			backup.close();
+		}
+	}
+
+	/**
+	 * Gets details of the backup made before the last migration, without creating the backup database
+	 *
+	 * @returns {Promise<{ version: number, createdAt: string, size: number }|null>} The backup, or null if there isn't one
+	 */
+	getBackupInfo() {
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.open(BACKUP_DB_NAME);
+
+			request.onupgradeneeded = () => request.transaction.abort();
+
+			request.onerror = (e) => {
+				e.preventDefault();
+				resolve(null);
+			};
+
+			request.onsuccess = async () => {
+				const backup = request.result;
+
+				try {
+					if (!backup.objectStoreNames.contains('backupInfo')) {
+						resolve(null);
+						return;
+					}
+
+					const info = await this.request(backup.transaction('backupInfo', 'readonly').objectStore('backupInfo').get('backup'));
+					let size = 0;
+
+					// Read one record at a time, as in backupDatabase
+					for (const name of backup.objectStoreNames) {
+						const keys = await this.request(backup.transaction(name, 'readonly').objectStore(name).getAllKeys());
+
+						for (const key of keys) {
+							size += getByteSize(await this.request(backup.transaction(name, 'readonly').objectStore(name).get(key)));
+						}
+					}
+
+					resolve(info ? { version: info.version, createdAt: info.createdAt, size } : null);
+				} catch (error) {
+					reject(error);
+				} finally {
+					backup.close();
+				}
+			};
+		});
+	}
+
+	/**
+	 * Deletes the backup made before the last migration
+	 *
+	 * @returns {Promise<void>}
+	 */
+	deleteBackup() {
+		return new Promise((resolve, reject) => {
+			const request = indexedDB.deleteDatabase(BACKUP_DB_NAME);
+			request.onsuccess = () => resolve();
+			request.onerror = () => reject(request.error);
+			request.onblocked = () => reject(new Error('The backup is open in another tab'));
+		});
 	}
 
 	/**
-	 * Opens a transaction on a single object store and passes the store to a callback.
+	 * Opens a transaction on an object store (or several) and passes the store to a callback.
 	 *
 	 * If the cached database connection is in the process of closing, the connection
 	 * is discarded, reopened, and the transaction is retried once automatically.
 	 *
 	 * @template T
-	 * @param {string} storeName - The name of the object store.
+	 * @param {string|string[]} storeName - The name of the object store (or the names of several; the callback gets the first).
 	 * @param {"readonly"|"readwrite"} mode - The transaction mode.
 	 * @param {(store: IDBObjectStore, transaction: IDBTransaction) => T | Promise<T>} callback
 	 *        Function that performs work against the object store.
@@ -139,8 +371,9 @@ export class SyncManager {
 			const db = await this.getDB();
 
 			try {
-				const transaction = db.transaction([storeName], mode);
-				const store = transaction.objectStore(storeName);
+				const storeNames = [].concat(storeName);
+				const transaction = db.transaction(storeNames, mode);
+				const store = transaction.objectStore(storeNames[0]);
 
 				return await callback(store, transaction);
 			} catch (e) {
@@ -180,77 +413,297 @@ export class SyncManager {
 	}
 
 	/**
-	 * Create all records when a BandBook is imported
-	 * @param {string} bandBookJSON - A stringified BandBook JSON object
+	 * Tells other tabs that saved data changed, so they can update (see TabSync)
+	 *
+	 * @param {import('./TabSync.js').Change} change - What changed (the book defaults to the current book)
 	 * @returns {void}
+	 */
+	notifyChange(change) {
+		this.bandbook.tabSync?.broadcast({ bookId: this.bandbook.id, ...change });
+		this.bandbook.cloudSync?.schedule();
+	}
+
+	/**
+	 * Saves a synced record (see SYNCED_STORES), stamping it with when and by whom it changed and queueing it to be uploaded (see CloudSync)
+	 * The record keeps the revision of the copy it replaces, so the server can tell if it was changed on another device since
+	 *
+	 * @param {IDBTransaction} transaction - A readwrite transaction that includes the record's store and the syncQueue store
+	 * @param {string} storeName - The name of the record's store
+	 * @param {Object} record - The record
+	 * @returns {Promise<Boolean>} - Whether the record changed (saving it as it is does nothing)
+	 */
+	async putSynced(transaction, storeName, record) {
+		const store = transaction.objectStore(storeName);
+		const id = record[store.keyPath];
+		const current = await this.request(store.get(id));
+
+		// Otherwise re-saving a record would make whoever did it its last editor in a shared book
+		if (current && SyncManager.isSameRecord(current, record)) return false;
+
+		const queued = await this.request(transaction.objectStore("syncQueue").get(`${storeName}/${id}`));
+
+		// A record that is deleted and saved again (e.g. a restored song) keeps the deleted record's revision
+		const rev = current?.rev ?? queued?.rev ?? 0;
+
+		// Shown in shared books (the server stamps uploaded records the same way)
+		const email = this.bandbook.authManager?.user?.email;
+		const createdBy = current ? current.createdBy : record.createdBy ?? email;
+		const updatedBy = email ?? record.updatedBy ?? current?.updatedBy;
+
+		await this.request(store.put({
+			...record,
+			...(createdBy && { createdBy }),
+			...(updatedBy && { updatedBy }),
+			rev,
+			updatedAt: Date.now()
+		}));
+		await this.queueChange(transaction, storeName, id, rev, false);
+		return true;
+	}
+
+	/**
+	 * Returns whether two versions of a synced record have the same content (whenever and by whoever they were saved)
+	 *
+	 * @param {Object} a - A record
+	 * @param {Object} b - Another version of the record
+	 * @returns {boolean}
+	 */
+	static isSameRecord(a, b) {
+		const getContent = ({ rev, updatedAt, createdBy, updatedBy, ...content }) => content;
+		const [contentA, contentB] = [getContent(a), getContent(b)];
+		const keys = new Set([...Object.keys(contentA), ...Object.keys(contentB)]);
+
+		return [...keys].every(key => JSON.stringify(contentA[key]) === JSON.stringify(contentB[key]));
+	}
+
+	/**
+	 * Deletes a synced record (see SYNCED_STORES) and queues the deletion to be uploaded (see CloudSync)
+	 *
+	 * @param {IDBTransaction} transaction - A readwrite transaction that includes the record's store and the syncQueue store
+	 * @param {string} storeName - The name of the record's store
+	 * @param {string} id - The record key
+	 * @returns {Promise<void>}
+	 */
+	async deleteSynced(transaction, storeName, id) {
+		const store = transaction.objectStore(storeName);
+		const current = await this.request(store.get(id));
+
+		if (!current) return;
+
+		await this.request(store.delete(id));
+		await this.queueChange(transaction, storeName, id, current.rev ?? 0, true);
+	}
+
+	/**
+	 * Queues a change to a synced record to be uploaded
+	 *
+	 * @param {IDBTransaction} transaction - A readwrite transaction that includes the syncQueue store
+	 * @param {string} storeName - The name of the record's store
+	 * @param {string} id - The record key
+	 * @param {number} rev - The server revision the change is based on
+	 * @param {boolean} deleted - Whether the record was deleted
+	 * @returns {Promise<IDBValidKey>}
+	 */
+	queueChange(transaction, storeName, id, rev, deleted) {
+		/** @type {QueuedChange} */
+		const change = { key: `${storeName}/${id}`, store: storeName, id, rev, deleted, changeId: crypto.randomUUID() };
+		return this.request(transaction.objectStore("syncQueue").put(change));
+	}
+
+	/**
+	 * Create all records when a BandBook is imported
+	 * @param {Object|string} bandBook - BandBook data (e.g. read by BandBookArchive.read) or a stringified BandBook JSON object
+	 * @param {Object} [options={}]
+	 * @param {boolean} [options.asNewBook=false] - Whether to import into a new book (instead of replacing the current one)
+	 * @returns {Promise<void>}
 	 * @throws {SyntaxError} - If the JSON is invalid
 	 * @throws {Error} - If there is an error creating the BandBook record
 	*/
-	importBandBook(bandBookJSON) {
+	async importBandBook(bandBook, { asNewBook = false } = {}) {
 		let bandBookObj
 		try {
-			bandBookObj = JSON.parse(bandBookJSON)
+			bandBookObj = typeof bandBook === 'string' ? JSON.parse(bandBook) : bandBook
 		} catch (e) {
-			Sentry.captureException(error)
+			Sentry.captureException(e)
 			console.error('Error parsing JSON', e)
 			return
 		}
 
 		try {
-			// Remove the existing BandBook record
-			this.deleteBandBookRecord()
-
-			// Create a new BandBook record
-			this.bandbook.id = bandBookObj.id
-			this.createNewBandBookRecord()
-
-			// Create song records
-			bandBookObj.songs.forEach(song => {
-				const newSong = new Song(song, this.bandbook)
-				this.createSong(newSong)
-
-				// Create marker records
-				song.markers.forEach(marker => {
-					const newMarker = new Marker(marker.time, newSong, marker.title, marker.notes, marker.tags, marker.id)
-					this.createMarker(newMarker)
-				})
+			if (asNewBook) {
+				// Create a new book (with a new id, so importing the same file twice doesn't clash)
+				this.bandbook.id = crypto.randomUUID()
+				this.bandbook.name = bandBookObj.name || 'Imported BandBook'
+			} else {
+				if (!(await this.bandbook.snapshotManager.snapshotBefore('Before import'))) return
+
+				// Remove the current book and everything in it, then recreate it empty
+				await this.deleteBook(this.bandbook.id)
+			}
+
+			await this.createNewBandBookRecord(this.bandbook.name)
+			this.setActiveBookId(this.bandbook.id)
+			this.bandbook.activeSong = null
 
+			// Create song records (with new ids, so importing the same file twice doesn't clash)
+			const songIds = new Map()
+			const songData = []
+			for (const { id, ...song } of bandBookObj.songs) {
+				const newSong = await this.importSong(song)
+				if (id) songIds.set(id, newSong.id)
 				this.bandbook.addSong(newSong)
-			})
 
-			this.bandbook.id = bandBookObj.id
-			this.bandbook.init(bandBookObj.songs)
+				// The audio is saved, so it is loaded again when the song is opened
+				const { src, ...metadata } = song
+				songData.push({ ...metadata, id: newSong.id, markers: newSong.markerList.markers.map(marker => marker.getData()) })
+			}
+
+			// Create setlist records (also with new ids), pointing at the new song ids
+			const setlists = (bandBookObj.setlists ?? []).map(setlist => ({
+				id: crypto.randomUUID(),
+				name: setlist.name,
+				entries: (setlist.entries ?? [])
+					.filter(entry => songIds.has(entry.songId))
+					.map(entry => ({ ...entry, songId: songIds.get(entry.songId) }))
+			}))
+			this.replaceSetlists(setlists)
+
+			this.bandbook.init(songData, setlists)
 		} catch (e) {
-			Sentry.captureException(error)
+			Sentry.captureException(e)
 			console.error('Error creating BandBook record', e)
 		}
 	}
 
+	/**
+	 * Creates the records of an imported song and its markers
+	 * Markers always get new ids and tags are matched to existing tags by name, so nothing collides with the current book
+	 * @param {SongData} songData - Imported song data (without an id, unless it replaces a song)
+	 * @returns {Promise<Song>} - The new Song instance
+	 */
+	async importSong(songData) {
+		const song = new Song({ ...songData, markers: [] }, this.bandbook)
+		await this.createSong(song);
+
+		for (const marker of songData.markers ?? []) {
+			// Tag names are normalized by the TagManager, so "Chorus" and "chorus " are one tag
+			const names = [...new Set((marker.tags ?? []).map(tag => (tag?.name ?? tag).trim().toLowerCase()).filter(Boolean))];
+			const tags = await Promise.all(names.map(name => this.bandbook.tagManager.getTag(name)));
+			const newMarker = new Marker(marker.time, song, marker.title, marker.notes, tags, undefined, { isPrivate: marker.private });
+
+			// Set the tags now (the constructor sets them asynchronously), so the record includes them
+			newMarker.tags = tags;
+			song.markerList.markers.push(newMarker);
+			await this.createMarker(newMarker);
+
+			// Comments (in snapshots) get new ids as well, but keep their authors
+			for (const comment of marker.comments ?? []) {
+				await this.createComment(newMarker, { ...comment, id: crypto.randomUUID() });
+			}
+		}
+
+		return song;
+	}
+
+	/**
+	 * Returns the imported songs that are already in the current book (matched by id, then by slug)
+	 * @param {Object} bandBookObj - BandBook data read from an export
+	 * @returns {{ incoming: SongData, existing: Song }[]}
+	 */
+	getImportConflicts(bandBookObj) {
+		return (bandBookObj.songs ?? []).map(incoming => {
+			const existing = this.bandbook.songs.find(song => incoming.id && song.id === incoming.id)
+				?? this.bandbook.songs.find(song => incoming.slug && song.slug === incoming.slug);
+			return existing ? { incoming, existing } : null;
+		}).filter(Boolean);
+	}
+
+	/**
+	 * Merges imported songs and setlists into the current book, then reloads it
+	 * @param {Object} bandBookObj - BandBook data read from an export
+	 * @param {Map<SongData, 'mine'|'theirs'|'both'>} [resolutions=new Map()] - The choice for each conflicting song (see getImportConflicts): keep the current song, replace it with the imported one, or keep both
+	 * @returns {Promise<boolean>} - Whether the import was merged (false if the user cancelled because no snapshot could be taken)
+	 * @throws {Error} - If there is an error creating the records
+	 */
+	async mergeBandBook(bandBookObj, resolutions = new Map()) {
+		if (!(await this.bandbook.snapshotManager.snapshotBefore('Before merging an import'))) return false;
+
+		const conflicts = new Map(this.getImportConflicts(bandBookObj).map(({ incoming, existing }) => [incoming, existing]));
+		const songIds = new Map();
+		const replaced = new Set();
+
+		for (const incoming of bandBookObj.songs ?? []) {
+			const { id, ...song } = incoming;
+			const existing = conflicts.get(incoming);
+			let resolution = existing ? resolutions.get(incoming) ?? 'mine' : 'both';
+
+			// A song can only be replaced once (if several imported songs match it, the rest are kept alongside)
+			if (resolution === 'theirs' && replaced.has(existing)) resolution = 'both';
+
+			if (resolution === 'mine') {
+				if (id) songIds.set(id, existing.id);
+				continue;
+			}
+
+			if (resolution === 'theirs') {
+				// Keep the current song's id and slug, so setlists that include it now play the imported version
+				await this.deleteSong(existing);
+				replaced.add(existing);
+				const newSong = await this.importSong({ ...song, id: existing.id, slug: existing.slug });
+				if (id) songIds.set(id, newSong.id);
+				continue;
+			}
+
+			const newSong = await this.importSong(existing
+				? { ...song, title: `${song.title} (imported)`, slug: `${song.slug}-${Date.now()}` }
+				: song
+			);
+			if (id) songIds.set(id, newSong.id);
+		}
+
+		// Add the imported setlists (with new ids), pointing at the merged songs
+		for (const setlist of bandBookObj.setlists ?? []) {
+			await this.putSetlist(new Setlist({
+				name: setlist.name,
+				entries: (setlist.entries ?? [])
+					.filter(entry => songIds.has(entry.songId))
+					.map(entry => ({ ...entry, songId: songIds.get(entry.songId) }))
+			}, this.bandbook));
+		}
+
+		await this.bandbook.reload();
+		return true;
+	}
+
 
 	/**
-	 * Load the data and reinitialize the BandBook instance
+	 * Load the active book's data and reinitialize the BandBook instance
+	 * The active book is the BandBook's current id, then the last opened book, then the first book (one is created if there are none)
 	 * @returns {Promise<SongData>} A promise that resolves with the song data (or an empty array)
 	 * @throws {Error} If there is an error loading the BandBook record
 	 */
 	loadBandBook() {
 		return this.withStore("books", "readwrite", async (store) => {
 			try {
-				const records = await this.request(store.getAll());
-				const record = records[0];
+				const records = (await this.request(store.getAll())).filter(record => record.id);
+				const activeId = this.bandbook.id || localStorage.getItem('bandbookActiveBook');
+				let record = records.find(record => record.id === activeId) ?? records[0];
 
 				if (!record) {
-					await this.createNewBandBookRecord();
-					return [];
-				}
-
-				const { id, songs } = record;
+					record = {
+						id: crypto.randomUUID(),
+						name: DEFAULT_BOOK_NAME,
+						songs: null
+					};
 
-				if (!id) {
-					await this.createNewBandBookRecord();
-					return [];
+					await this.request(store.add(record));
 				}
 
+				const { id, name, songs } = record;
+
 				this.bandbook.id = id;
+				this.bandbook.name = name || DEFAULT_BOOK_NAME;
+				this.setActiveBookId(id);
 
 				if (!songs) {
 					return [];
@@ -262,6 +715,7 @@ export class SyncManager {
 
 				return songData.filter(Boolean);
 			} catch {
+				this.bandbook.id ??= crypto.randomUUID();
 				await this.createNewBandBookRecord();
 				return [];
 			}
@@ -269,62 +723,161 @@ export class SyncManager {
 	}
 
 	/**
-	 * Runs on upgradeneeded event
-	 * @param {Event} e - The event object
+	 * Remembers which book to open next time
+	 * @param {string} id - A book id
 	 * @returns {void}
+	 */
+	setActiveBookId(id) {
+		localStorage.setItem('bandbookActiveBook', id)
+	}
+
+	/**
+	 * Runs on upgradeneeded event: runs each pending migration (see Migrations.js) in order
+	 * @param {IDBVersionChangeEvent} e - The event object
+	 * @returns {Promise<void>}
+	 * @throws {MigrationError} If a migration fails
 	*/
-	onUpgradeNeeded(e) {
+	async onUpgradeNeeded(e) {
 		const db = e.target.result
+		const transaction = e.target.transaction
 
-		const books = db.createObjectStore('books', { keyPath: 'id' })
-		books.createIndex('id', 'id', { unique: true })
-
-		const songs = db.createObjectStore('songs', { keyPath: 'id' })
-		songs.createIndex('id', 'id', { unique: true })
-
-		const songSrcs = db.createObjectStore('songSrcs', { keyPath: 'id' })
-		songSrcs.createIndex('id', 'id', { unique: true })
+		for (const migration of getPendingMigrations(e.oldVersion)) {
+			try {
+				await migration.upgrade(db, transaction)
+			} catch (error) {
+				throw new MigrationError(migration, e.oldVersion, error)
+			}
+		}
+	}
 
-		const markers = db.createObjectStore('markers', { keyPath: 'id' })
-		markers.createIndex('id', 'id', { unique: true })
+	/**
+	 * Create a new BandBook record (for the current book) in indexedDB
+	 * @param {string} [name] - The book name
+	 * @returns {Promise<Boolean>} - A promise that resolves when the record is created
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	createNewBandBookRecord(name = this.bandbook.name) {
+		return this.createBook(this.bandbook.id, name);
+	}
 
-		const tags = db.createObjectStore('tags', { keyPath: 'name' })
-		tags.createIndex('name', 'name', { unique: true })
+	/**
+	 * Create a new, empty book record in indexedDB
+	 * @param {string} id - The book id
+	 * @param {string} [name] - The book name
+	 * @returns {Promise<Boolean>} - A promise that resolves when the record is created
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	createBook(id, name = DEFAULT_BOOK_NAME) {
+		return this.withStore(["books", "syncQueue"], "readwrite", async (store, transaction) => {
+			await this.putSynced(transaction, "books", {
+				id,
+				name,
+				songs: null
+			});
+
+			this.notifyChange({ type: 'book', bookId: id });
+			return true;
+		});
+	}
 
-		const settings = db.createObjectStore('settings', { keyPath: 'id' })
-		settings.createIndex('id', 'id', { unique: true })
+	/**
+	 * Get a summary of every book in indexedDB
+	 * @returns {Promise<Array<{ id: string, name: string, songCount: number }>>} - A promise that resolves with the books, sorted by name
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	getBooks() {
+		return this.withStore("books", "readonly", async (store) => {
+			const records = await this.request(store.getAll());
+
+			return records
+				.filter(record => record.id)
+				.map(record => ({
+					id: record.id,
+					name: record.name || DEFAULT_BOOK_NAME,
+					songCount: record.songs ? JSON.parse(record.songs).length : 0
+				}))
+				.sort((a, b) => a.name.localeCompare(b.name));
+		});
 	}
 
 	/**
-	 * Create a new BandBook record in indexedDB
-	 * @returns {Promise<Boolean>} - A promise that resolves when the record is created
+	 * Rename a book in indexedDB
+	 * @param {string} id - The book id
+	 * @param {string} name - The new name
+	 * @returns {Promise<Boolean>} - A promise that resolves when the book is renamed
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
-	createNewBandBookRecord() {
-		return this.withStore("books", "readwrite", async (store) => {
-			await this.request(
-				store.add({
-					id: this.bandbook.id,
-					songs: null
-				})
-			);
+	renameBook(id, name) {
+		return this.withStore(["books", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(id));
+
+			if (!record) return false;
+
+			record.name = name;
 
+			await this.putSynced(transaction, "books", record);
+
+			this.notifyChange({ type: 'book', bookId: id });
 			return true;
 		});
 	}
 
 	/**
-	 * Delete the BandBook record from indexedDB
-	 * @returns {Promise<Boolean>} - A promise that resolves when the record is created
+	 * Delete a book and all of its songs, sources, markers and setlists from indexedDB
+	 * @param {string} id - The book id
+	 * @returns {Promise<Boolean>} - A promise that resolves when the book is deleted
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
-	deleteBandBookRecord() {
-		return this.withStore("books", "readwrite", async (store) => {
-			await this.request(
-				store.delete(this.bandbook.id)
-			);
+	deleteBook(id) {
+		return new Promise((resolve, reject) => {
+			this.getDB()
+				.then(async (db) => {
+					const transaction = db.transaction(
+						["books", "songs", "songSrcs", "snapshots", "snapshotAudio", "markers", "comments", "setlists", "syncQueue"],
+						"readwrite"
+					);
 
-			return true;
+					const booksStore = transaction.objectStore("books");
+					const songStore = transaction.objectStore("songs");
+					const srcStore = transaction.objectStore("songSrcs");
+					const markerStore = transaction.objectStore("markers");
+					const setlistStore = transaction.objectStore("setlists");
+
+					transaction.oncomplete = () => {
+						this.notifyChange({ type: 'book', bookId: id });
+						resolve(true);
+					};
+					transaction.onerror = () => reject(transaction.error);
+					transaction.onabort = () => reject(transaction.error);
+
+					const record = await this.request(booksStore.get(id));
+					const songIds = record?.songs ? JSON.parse(record.songs) : [];
+
+					for (const songId of songIds) {
+						const song = await this.request(songStore.get(songId));
+						const markerIds = [
+							...(song ? JSON.parse(song.data).markers ?? [] : []),
+							...await this.request(markerStore.index("songId").getAllKeys(songId))
+						];
+
+						for (const markerId of markerIds) {
+							await this.deleteSynced(transaction, "markers", markerId);
+							await this.deleteMarkerComments(transaction, markerId);
+						}
+
+						await this.deleteSynced(transaction, "songs", songId);
+						await this.keepSnapshotAudio(transaction, songId);
+						await this.request(srcStore.delete(songId));
+					}
+
+					const setlists = await this.request(setlistStore.getAll());
+					for (const setlist of setlists.filter(setlist => setlist.bookId === id)) {
+						await this.deleteSynced(transaction, "setlists", setlist.id);
+					}
+
+					await this.deleteSynced(transaction, "books", id);
+				})
+				.catch(reject);
 		});
 	}
 
@@ -335,7 +888,7 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	reorderSongs(songIds) {
-		return this.withStore("books", "readwrite", async (store) => {
+		return this.withStore(["books", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(
 				store.get(this.bandbook.id)
 			);
@@ -344,50 +897,78 @@ export class SyncManager {
 
 			record.songs = JSON.stringify(songIds);
 
-			await this.request(
-				store.put(record)
-			);
+			await this.putSynced(transaction, "books", record);
 
+			this.notifyChange({ type: 'book' });
 			return true;
 		});
 	}
 
+	/**
+	 * Get a book's saved data (as BandBook.getData returns it, without audio)
+	 * It is read from the saved records, so it includes changes made in other tabs
+	 * @param {string} [id=this.bandbook.id] - A book ID
+	 * @returns {Promise<{ id: string, name: string, songs: SongData[], setlists: import('./Setlist.js').SetlistData[] }>} - A promise that resolves with the book data
+	 */
+	async getBookData(id = this.bandbook.id) {
+		const book = await this.withStore("books", "readonly", (store) => this.request(store.get(id)));
+		const songIds = book?.songs ? JSON.parse(book.songs) : [];
+
+		const songs = [];
+		for (const songId of songIds) {
+			const songData = await this.getSongData(songId);
+			if (songData) songs.push(songData);
+		}
+
+		return {
+			id,
+			name: book?.name || DEFAULT_BOOK_NAME,
+			songs,
+			setlists: (await this.getSetlists(id)).map(({ bookId, ...setlist }) => setlist)
+		};
+	}
+
 	/**
 	 * Create a new song in indexedDB
 	 * @param {Song} song - A Song instance
 	 * @returns {Promise<Boolean>} - A promise that resolves when the record is created
-	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 * @returns {Promise<Error>} - A promise that rejects with an error (a StorageQuotaError if there isn't room for the audio)
 	 */
 	createSong(song) {
 		return new Promise((resolve, reject) => {
-			this.getDB()
+			this.bandbook.storageManager.checkSpaceFor(song.src?.size ?? 0, song.title)
+				.then(() => this.getDB())
 				.then(async (db) => {
 					const transaction = db.transaction(
-						["songs", "songSrcs", "books"],
+						["songs", "songSrcs", "books", "syncQueue"],
 						"readwrite"
 					);
 
-					const songStore = transaction.objectStore("songs");
 					const srcStore = transaction.objectStore("songSrcs");
 					const booksStore = transaction.objectStore("books");
 
-					transaction.oncomplete = () => resolve(true);
+					transaction.oncomplete = () => {
+						song.onSrcStored();
+						this.notifyChange({ type: 'book' });
+						resolve(true);
+					};
 					transaction.onerror = () => reject(transaction.error);
 					transaction.onabort = () => reject(transaction.error);
 
-					await this.request(
-						songStore.add({
-							id: song.id,
-							data: JSON.stringify(song.getMetadata())
-						})
-					);
+					await this.putSynced(transaction, "songs", {
+						id: song.id,
+						data: JSON.stringify(song.getMetadata())
+					});
 
-					await this.request(
-						srcStore.add({
-							id: song.id,
-							src: song.src
-						})
-					);
+					// Songs restored from a snapshot without their audio download it from the cloud when they are opened
+					if (song.src) {
+						await this.request(
+							srcStore.add({
+								id: song.id,
+								src: song.src
+							})
+						);
+					}
 
 					const record = await this.request(
 						booksStore.get(this.bandbook.id)
@@ -401,9 +982,7 @@ export class SyncManager {
 						songs.push(song.id);
 						record.songs = JSON.stringify(songs);
 
-						await this.request(
-							booksStore.put(record)
-						);
+						await this.putSynced(transaction, "books", record);
 					}
 				})
 				.catch(reject);
@@ -421,31 +1000,30 @@ export class SyncManager {
 			this.getDB()
 				.then(async (db) => {
 					const transaction = db.transaction(
-						["songs", "songSrcs", "markers", "books"],
+						["songs", "songSrcs", "snapshots", "snapshotAudio", "markers", "comments", "books", "syncQueue"],
 						"readwrite"
 					);
 
-					const songStore = transaction.objectStore("songs");
 					const srcStore = transaction.objectStore("songSrcs");
-					const markerStore = transaction.objectStore("markers");
 					const booksStore = transaction.objectStore("books");
 
-					transaction.oncomplete = () => resolve(true);
+					transaction.oncomplete = () => {
+						this.notifyChange({ type: 'book' });
+						resolve(true);
+					};
 					transaction.onerror = () => reject(transaction.error);
 					transaction.onabort = () => reject(transaction.error);
 
-					await this.request(
-						songStore.delete(song.id)
-					);
+					await this.deleteSynced(transaction, "songs", song.id);
 
+					await this.keepSnapshotAudio(transaction, song.id);
 					await this.request(
 						srcStore.delete(song.id)
 					);
 
 					for (const marker of song.markerList.markers) {
-						await this.request(
-							markerStore.delete(marker.id)
-						);
+						await this.deleteSynced(transaction, "markers", marker.id);
+						await this.deleteMarkerComments(transaction, marker.id);
 					}
 
 					const record = await this.request(
@@ -459,9 +1037,7 @@ export class SyncManager {
 							songs.filter((s) => s !== song.id)
 						);
 
-						await this.request(
-							booksStore.put(record)
-						);
+						await this.putSynced(transaction, "books", record);
 					}
 				})
 				.catch(reject);
@@ -512,40 +1088,38 @@ export class SyncManager {
 			const songData = JSON.parse(record.data);
 			songData.id = songId;
 
-			// Load source data
-			const srcStore = db
-				.transaction(["songSrcs"], "readonly")
-				.objectStore("songSrcs");
+			// The audio is loaded when the song is opened (see getSongSrc)
 
-			const srcRecord = await this.request(
-				srcStore.get(songId)
-			);
-
-			if (srcRecord) {
-				songData.src = srcRecord.src;
-			}
+			// Load marker data (with who created and last edited each marker, the user's private markers and each marker's comments)
+			const transaction = db.transaction(["markers", "comments"], "readonly");
+			const markerStore = transaction.objectStore("markers");
+			const commentStore = transaction.objectStore("comments");
 
-			// Load marker data
-			if (songData.markers?.length) {
-				const markerStore = db
-					.transaction(["markers"], "readonly")
-					.objectStore("markers");
+			const privateMarkerIds = await this.request(markerStore.index("songId").getAllKeys(songId));
+			const markerIds = [...(songData.markers ?? []), ...privateMarkerIds];
 
+			if (markerIds.length) {
 				const markers = await Promise.all(
-					songData.markers.map(async (markerId) => {
+					markerIds.map(async (markerId) => {
 						const markerRecord = await this.request(
 							markerStore.get(markerId)
 						);
 
-						return markerRecord
-							? JSON.parse(markerRecord.data)
-							: undefined;
+						if (!markerRecord) return undefined;
+
+						const commentRecords = await this.request(commentStore.index("markerId").getAll(markerId));
+						const comments = commentRecords
+							.map(comment => ({ ...JSON.parse(comment.data), createdBy: comment.createdBy }))
+							.sort((a, b) => a.createdAt - b.createdAt);
+
+						return { ...JSON.parse(markerRecord.data), createdBy: markerRecord.createdBy, updatedBy: markerRecord.updatedBy, comments };
 					})
 				);
 
+				// A listed marker can be missing (e.g. another member of a shared book just made it private)
 				songData.markers = markers.filter(
 					(marker, index, self) =>
-						self.findIndex((m) => m?.id === marker?.id) === index
+						marker && self.findIndex((m) => m?.id === marker.id) === index
 				);
 			}
 
@@ -564,7 +1138,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the title is updated
 	 */
 	updateSongTitle(song, title) {
-		return this.withStore("songs", "readwrite", async (store) => {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(song.id));
 
 			if (!record) return false;
@@ -572,13 +1146,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.title = title;
 
-			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: song.id });
 			return true;
 		});
 	}
@@ -590,7 +1163,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the composer is updated
 	 */
 	updateSongComposer(song, composer) {
-		return this.withStore("songs", "readwrite", async (store) => {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(song.id));
 
 			if (!record) return false;
@@ -598,13 +1171,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.composer = composer;
 
-			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: song.id });
 			return true;
 		});
 	}
@@ -616,7 +1188,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the tempo is updated
 	 */
 	updateSongTempo(song, tempo) {
-		return this.withStore("songs", "readwrite", async (store) => {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(song.id));
 
 			if (!record) return false;
@@ -624,13 +1196,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.tempo = tempo;
 
-			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: song.id });
 			return true;
 		});
 	}
@@ -642,7 +1213,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the key is updated
 	 */
 	updateSongKey(song, key) {
-		return this.withStore("songs", "readwrite", async (store) => {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(song.id));
 
 			if (!record) return false;
@@ -650,13 +1221,162 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.key = key;
 
-			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update a song transposition in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {import('./Song.js').Transposition} transposition - A new transposition
+	 * @returns {Promise<Boolean>} - A promise that resolves when the transposition is updated
+	 */
+	updateSongTransposition(song, transposition) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.transposition = transposition;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update where beat 1 falls for a song in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {number} beatOffset - A new beat offset in seconds
+	 * @returns {Promise<Boolean>} - A promise that resolves when the beat offset is updated
+	 */
+	updateSongBeatOffset(song, beatOffset) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.beatOffset = beatOffset;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update the detected beat grid of a song in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {import('./BeatDetector.js').BeatGrid|null} beatGrid - A new beat grid
+	 * @returns {Promise<Boolean>} - A promise that resolves when the beat grid is updated
+	 */
+	updateSongBeatGrid(song, beatGrid) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
 
+			const data = JSON.parse(record.data);
+			data.beatGrid = beatGrid;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update the detected key of a song in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {import('./KeyDetector.js').KeyEstimate|null} keyEstimate - A new key estimate
+	 * @returns {Promise<Boolean>} - A promise that resolves when the key estimate is updated
+	 */
+	updateSongKeyEstimate(song, keyEstimate) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.keyEstimate = keyEstimate;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update the detected chords of a song in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {import('./ChordDetector.js').DetectedChord[]|null} chords - New detected chords
+	 * @returns {Promise<Boolean>} - A promise that resolves when the chords are updated
+	 */
+	updateSongChords(song, chords) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.chords = chords;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update the audio edit list of a song in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {import('./EditList.js').AudioEdit[]} edits - The new edit list
+	 * @returns {Promise<Boolean>} - A promise that resolves when the edits are updated
+	 */
+	updateSongEdits(song, edits) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.edits = edits;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
 			return true;
 		});
 	}
@@ -668,7 +1388,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the time signature is updated
 	 */
 	updateSongTimeSignature(song, timeSignature) {
-		return this.withStore("songs", "readwrite", async (store) => {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(song.id));
 
 			if (!record) return false;
@@ -676,13 +1396,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.timeSignature = timeSignature;
 
-			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: song.id });
 			return true;
 		});
 	}
@@ -694,7 +1413,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the notes are updated
 	 */
 	updateSongNotes(song, notes) {
-		return this.withStore("songs", "readwrite", async (store) => {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(song.id));
 
 			if (!record) return false;
@@ -702,11 +1421,48 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.notes = notes;
 
+			// Shown with the notes in shared books
+			data.notesUpdatedBy = this.bandbook.authManager?.user?.email ?? data.notesUpdatedBy;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Get a song's cached waveform peaks from indexedDB
+	 * Peaks are stored on the src record so that replacing the src invalidates them
+	 * @param {Song} song - A Song instance
+	 * @returns {Promise<import('./Waveform.js').WaveformPeaks|null>} - A promise that resolves with the peaks (or null if not cached)
+	 */
+	getSongWaveformPeaks(song) {
+		return this.withStore("songSrcs", "readonly", async (store) => {
+			const record = await this.request(store.get(song.id));
+			return record?.peaks ?? null;
+		});
+	}
+
+	/**
+	 * Update a song's cached waveform peaks in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {import('./Waveform.js').WaveformPeaks|null} peaks - The waveform peak data
+	 * @returns {Promise<Boolean>} - A promise that resolves when the peaks are updated
+	 */
+	updateSongWaveformPeaks(song, peaks) {
+		return this.withStore("songSrcs", "readwrite", async (store) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			record.peaks = peaks;
+
 			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
+				store.put(record)
 			);
 
 			return true;
@@ -714,47 +1470,224 @@ export class SyncManager {
 	}
 
 	/**
-	 * Update a song waveform volumes in indexedDB
+	 * Get a song's audio rendered with its edits from indexedDB
+	 * The render is stored on the src record (like the waveform peaks), so replacing the src invalidates it
 	 * @param {Song} song - A Song instance
-	 * @param {Array<number>} waveformVolumes - The waveform volume data
-	 * @returns {Promise<Boolean>} - A promise that resolves when the waveform volumes are updated
+	 * @param {string} key - The edits the render has to be of (see EditList.getRenderKey)
+	 * @returns {Promise<Blob|null>} - A promise that resolves with the render (or null if there is none of those edits)
 	 */
-	updateSongWaveformVolumes(song, waveformVolumes) {
-		return this.withStore("songs", "readwrite", async (store) => {
+	getRenderedSongSrc(song, key) {
+		return this.withStore("songSrcs", "readonly", async (store) => {
 			const record = await this.request(store.get(song.id));
+			return record?.rendered?.key === key ? record.rendered.src : null;
+		});
+	}
 
-			if (!record) return false;
+	/**
+	 * Update a song's audio rendered with its edits in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {string|null} key - The edits it is a render of (see EditList.getRenderKey), or null to delete the render
+	 * @param {Blob} [src] - The rendered audio
+	 * @returns {Promise<Boolean>} - A promise that resolves when the render is updated
+	 */
+	updateRenderedSongSrc(song, key, src) {
+		return this.withStore("songSrcs", "readwrite", async (store) => {
+			const record = await this.request(store.get(song.id));
 
-			const data = JSON.parse(record.data);
-			data.waveformVolumes = waveformVolumes;
+			if (!record || (!key && !record.rendered)) return false;
+
+			if (key) {
+				record.rendered = { key, src };
+			} else {
+				delete record.rendered;
+			}
 
 			await this.request(
-				store.put({
-					id: song.id,
-					data: JSON.stringify(data)
-				})
+				store.put(record)
 			);
 
 			return true;
 		});
 	}
 
+	/**
+	 * Get the storage used by each song's audio (with its render, if it is edited) and cached waveform peaks
+	 * Records are read one at a time, so the audio never has to fit in memory together
+	 * @returns {Promise<Map<string, { audio: number, waveform: number }>>} - A promise that resolves with the sizes in bytes, by song ID
+	 */
+	async getSongStorageSizes() {
+		const keys = await this.withStore("songSrcs", "readonly", (store) => this.request(store.getAllKeys()));
+		const sizes = new Map();
+
+		for (const key of keys) {
+			const record = await this.withStore("songSrcs", "readonly", (store) => this.request(store.get(key)));
+			if (!record) continue;
+
+			sizes.set(record.id, {
+				audio: getByteSize(record.src) + getByteSize(record.rendered?.src),
+				waveform: getByteSize(record.peaks)
+			});
+		}
+
+		return sizes;
+	}
+
+	/**
+	 * Delete every song's cached waveform peaks from indexedDB (they are recreated when each song is next opened)
+	 * @returns {Promise<number>} - A promise that resolves with the number of songs whose peaks were deleted
+	 */
+	async clearWaveformPeaks() {
+		const keys = await this.withStore("songSrcs", "readonly", (store) => this.request(store.getAllKeys()));
+		let count = 0;
+
+		for (const key of keys) {
+			const cleared = await this.withStore("songSrcs", "readwrite", async (store) => {
+				const record = await this.request(store.get(key));
+				if (!record?.peaks) return false;
+
+				delete record.peaks;
+				await this.request(store.put(record));
+				return true;
+			});
+
+			if (cleared) count++;
+		}
+
+		return count;
+	}
+
+	/**
+	 * Get a song's original audio from indexedDB
+	 * @param {Song} song - A Song instance
+	 * @returns {Promise<Blob|null>} - A promise that resolves with the audio (or null if it is missing)
+	 */
+	getSongSrc(song) {
+		return this.withStore("songSrcs", "readonly", async (store) => {
+			const record = await this.request(store.get(song.id));
+			if (!record?.src) return null;
+
+			return record.src instanceof Blob
+				? record.src
+				: new Blob([record.src], { type: song.srcType });
+		});
+	}
+
+	/**
+	 * Update a song's duration in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {number} duration - The duration in seconds
+	 * @returns {Promise<Boolean>} - A promise that resolves when the duration is updated
+	 */
+	updateSongDuration(song, duration) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.duration = duration;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
 	/**
 	 * Update a song src in indexedDB
 	 * @param {Song} song - A Song instance
-	 * @param {string} src - A new src
+	 * @param {Blob} src - A new src
+	 * @param {string} [hash] - The src's content hash, if it is known (e.g. for downloaded audio)
 	 * @returns {Promise<Boolean>} - A promise that resolves when the src is updated
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
-	updateSongSrc(song, src) {
-		return this.withStore("songSrcs", "readwrite", async (store) => {
+	updateSongSrc(song, src, hash) {
+		return this.withStore(["songSrcs", "snapshots", "snapshotAudio"], "readwrite", async (store, transaction) => {
+			await this.keepSnapshotAudio(transaction, song.id);
 			await this.request(
 				store.put({
 					id: song.id,
-					src
+					src,
+					...(hash && { hash })
 				})
 			);
 
+			this.notifyChange({ type: 'song', songId: song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Get the IDs of every song (in every book) whose audio is saved on this device
+	 * @returns {Promise<string[]>} - A promise that resolves with the song IDs
+	 */
+	getSongSrcIds() {
+		return this.withStore("songSrcs", "readonly", (store) => this.request(store.getAllKeys()));
+	}
+
+	/**
+	 * Get a song's metadata from indexedDB (without its markers, unlike getSongData)
+	 * @param {string} songId - A song ID
+	 * @returns {Promise<Object|undefined>} - A promise that resolves with the metadata (or undefined if no song is found)
+	 */
+	getSongMetadata(songId) {
+		return this.withStore("songs", "readonly", async (store) => {
+			const record = await this.request(store.get(songId));
+			return record ? JSON.parse(record.data) : undefined;
+		});
+	}
+
+	/**
+	 * Update the content hash of a song's audio uploaded to the cloud, so other devices can download it (see AudioSync)
+	 * @param {string} songId - A song ID
+	 * @param {string} audioHash - The content hash of the uploaded audio
+	 * @returns {Promise<Boolean>} - A promise that resolves when the hash is updated
+	 */
+	updateSongAudioHash(songId, audioHash) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(songId));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.audioHash = audioHash;
+
+			await this.putSynced(transaction, "songs", {
+				id: songId,
+				data: JSON.stringify(data)
+			});
+
+			// Nothing that is shown changes, so other tabs don't need to reload
+			this.bandbook.cloudSync?.schedule();
+			return true;
+		});
+	}
+
+	/**
+	 * Update a song's src MIME type in indexedDB
+	 * @param {Song} song - A Song instance
+	 * @param {string} srcType - A new MIME type
+	 * @returns {Promise<Boolean>} - A promise that resolves when the src type is updated
+	 */
+	updateSongSrcType(song, srcType) {
+		return this.withStore(["songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(song.id));
+
+			if (!record) return false;
+
+			const data = JSON.parse(record.data);
+			data.srcType = srcType;
+
+			await this.putSynced(transaction, "songs", {
+				id: song.id,
+				data: JSON.stringify(data)
+			});
+
+			this.notifyChange({ type: 'song', songId: song.id });
 			return true;
 		});
 	}
@@ -769,22 +1702,26 @@ export class SyncManager {
 		return new Promise((resolve, reject) => {
 			this.getDB()
 				.then(async (db) => {
-					const transaction = db.transaction(["markers", "songs"], "readwrite");
-					const markerStore = transaction.objectStore("markers");
+					const transaction = db.transaction(["markers", "songs", "syncQueue"], "readwrite");
 					const songStore = transaction.objectStore("songs");
 
-					transaction.oncomplete = () => resolve(true);
+					transaction.oncomplete = () => {
+						this.notifyChange({ type: 'song', songId: marker.song.id });
+						resolve(true);
+					};
 					transaction.onerror = () => reject(transaction.error);
 					transaction.onabort = () => reject(transaction.error);
 
-					await this.request(
-						markerStore.add({
-							id: marker.id,
-							data: JSON.stringify(marker.getData())
-						})
-					);
+					// Private markers aren't listed in their song (which is shared with the book's members), so they are found by song id
+					// A marker brought back (e.g. by undoing a cut) keeps the member who added it
+					await this.putSynced(transaction, "markers", {
+						id: marker.id,
+						data: JSON.stringify(marker.getData()),
+						...(marker.isPrivate && { songId: marker.song.id }),
+						...(marker.createdBy && { createdBy: marker.createdBy })
+					});
 
-					const record = await this.request(
+					const record = marker.isPrivate ? null : await this.request(
 						songStore.get(marker.song.id)
 					);
 
@@ -792,12 +1729,10 @@ export class SyncManager {
 						const data = JSON.parse(record.data);
 						data.markers.push(marker.id);
 
-						await this.request(
-							songStore.put({
-								id: marker.song.id,
-								data: JSON.stringify(data)
-							})
-						);
+						await this.putSynced(transaction, "songs", {
+							id: marker.song.id,
+							data: JSON.stringify(data)
+						});
 					}
 				})
 				.catch(reject);
@@ -827,17 +1762,18 @@ export class SyncManager {
 		return new Promise((resolve, reject) => {
 			this.getDB()
 				.then(async (db) => {
-					const transaction = db.transaction(["markers", "songs"], "readwrite");
-					const markerStore = transaction.objectStore("markers");
+					const transaction = db.transaction(["markers", "comments", "songs", "syncQueue"], "readwrite");
 					const songStore = transaction.objectStore("songs");
 
-					transaction.oncomplete = () => resolve(true);
+					transaction.oncomplete = () => {
+						this.notifyChange({ type: 'song', songId: marker.song.id });
+						resolve(true);
+					};
 					transaction.onerror = () => reject(transaction.error);
 					transaction.onabort = () => reject(transaction.error);
 
-					await this.request(
-						markerStore.delete(marker.id)
-					);
+					await this.deleteSynced(transaction, "markers", marker.id);
+					await this.deleteMarkerComments(transaction, marker.id);
 
 					const record = await this.request(
 						songStore.get(marker.song.id)
@@ -847,12 +1783,10 @@ export class SyncManager {
 						const data = JSON.parse(record.data);
 						data.markers = data.markers.filter((m) => m !== marker.id);
 
-						await this.request(
-							songStore.put({
-								id: marker.song.id,
-								data: JSON.stringify(data)
-							})
-						);
+						await this.putSynced(transaction, "songs", {
+							id: marker.song.id,
+							data: JSON.stringify(data)
+						});
 					}
 				})
 				.catch(reject);
@@ -866,7 +1800,7 @@ export class SyncManager {
 	 * @returns {Promise<Boolean>} - A promise that resolves when the title is updated
 	 */
 	updateMarkerTitle(marker, title) {
-		return this.withStore("markers", "readwrite", async (store) => {
+		return this.withStore(["markers", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(marker.id));
 
 			if (!record) return false;
@@ -874,13 +1808,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.title = title;
 
-			await this.request(
-				store.put({
-					id: marker.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "markers", {
+				...record,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: marker.song.id });
 			return true;
 		});
 	}
@@ -893,7 +1826,7 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	updateMarkerNotes(marker, notes) {
-		return this.withStore("markers", "readwrite", async (store) => {
+		return this.withStore(["markers", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(marker.id));
 
 			if (!record) return false;
@@ -901,13 +1834,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.notes = notes;
 
-			await this.request(
-				store.put({
-					id: marker.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "markers", {
+				...record,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: marker.song.id });
 			return true;
 		});
 	}
@@ -920,7 +1852,7 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	updateMarkerTime(marker, time) {
-		return this.withStore("markers", "readwrite", async (store) => {
+		return this.withStore(["markers", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(marker.id));
 
 			if (!record) return false;
@@ -928,13 +1860,12 @@ export class SyncManager {
 			const data = JSON.parse(record.data);
 			data.time = time;
 
-			await this.request(
-				store.put({
-					id: marker.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "markers", {
+				...record,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: marker.song.id });
 			return true;
 		});
 	}
@@ -947,7 +1878,7 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	updateMarkerTags(marker, tags) {
-		return this.withStore("markers", "readwrite", async (store) => {
+		return this.withStore(["markers", "syncQueue"], "readwrite", async (store, transaction) => {
 			const record = await this.request(store.get(marker.id));
 
 			if (!record) return false;
@@ -960,17 +1891,128 @@ export class SyncManager {
 
 			data.tags = tags;
 
-			await this.request(
-				store.put({
-					id: marker.id,
-					data: JSON.stringify(data)
-				})
-			);
+			await this.putSynced(transaction, "markers", {
+				...record,
+				data: JSON.stringify(data)
+			});
 
+			this.notifyChange({ type: 'song', songId: marker.song.id });
 			return true;
 		});
 	}
 
+	/**
+	 * Make a marker private (only the user sees it) or share it with the book's members again
+	 * @param {Marker} marker - A Marker instance
+	 * @param {boolean} isPrivate - Whether the marker is private
+	 * @returns {Promise<Boolean>} - A promise that resolves when the marker is updated
+	 */
+	updateMarkerPrivacy(marker, isPrivate) {
+		return this.withStore(["markers", "songs", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(marker.id));
+
+			if (!record) return false;
+
+			const { songId, ...shared } = record;
+			const { private: wasPrivate, ...data } = JSON.parse(record.data);
+
+			// Private markers are found by song id instead of being listed in their song (see createMarker)
+			await this.putSynced(transaction, "markers", {
+				...shared,
+				...(isPrivate && { songId: marker.song.id }),
+				data: JSON.stringify({ ...data, ...(isPrivate && { private: true }) })
+			});
+
+			const songRecord = await this.request(transaction.objectStore("songs").get(marker.song.id));
+
+			if (songRecord) {
+				const songData = JSON.parse(songRecord.data);
+				songData.markers = songData.markers.filter((m) => m !== marker.id);
+				if (!isPrivate) songData.markers.push(marker.id);
+
+				await this.putSynced(transaction, "songs", {
+					id: marker.song.id,
+					data: JSON.stringify(songData)
+				});
+			}
+
+			this.notifyChange({ type: 'song', songId: marker.song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Create a comment on a marker in indexedDB
+	 * @param {Marker} marker - A Marker instance
+	 * @param {import('./CommentThread.js').CommentData} comment - The comment (its author is kept if it has one, e.g. from a snapshot)
+	 * @returns {Promise<Boolean>} - A promise that resolves when the comment is created
+	 */
+	createComment(marker, { createdBy, ...comment }) {
+		return this.withStore(["comments", "syncQueue"], "readwrite", async (store, transaction) => {
+			// Comments are found by marker id (see getSongData)
+			await this.putSynced(transaction, "comments", {
+				id: comment.id,
+				markerId: marker.id,
+				data: JSON.stringify({ ...comment, markerId: marker.id }),
+				...(createdBy && { createdBy })
+			});
+
+			this.notifyChange({ type: 'song', songId: marker.song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Update a comment in indexedDB (e.g. when it is resolved)
+	 * @param {Marker} marker - The Marker instance the comment is on
+	 * @param {import('./CommentThread.js').CommentData} comment - The updated comment
+	 * @returns {Promise<Boolean>} - A promise that resolves when the comment is updated
+	 */
+	updateComment(marker, { createdBy, ...comment }) {
+		return this.withStore(["comments", "syncQueue"], "readwrite", async (store, transaction) => {
+			const record = await this.request(store.get(comment.id));
+
+			if (!record) return false;
+
+			await this.putSynced(transaction, "comments", {
+				...record,
+				data: JSON.stringify(comment)
+			});
+
+			this.notifyChange({ type: 'song', songId: marker.song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Delete a comment from indexedDB
+	 * @param {Marker} marker - The Marker instance the comment is on
+	 * @param {string} commentId - A comment ID
+	 * @returns {Promise<Boolean>} - A promise that resolves when the comment is deleted
+	 */
+	deleteComment(marker, commentId) {
+		return this.withStore(["comments", "syncQueue"], "readwrite", async (store, transaction) => {
+			await this.deleteSynced(transaction, "comments", commentId);
+
+			this.notifyChange({ type: 'song', songId: marker.song.id });
+			return true;
+		});
+	}
+
+	/**
+	 * Delete every comment on a marker (when the marker is deleted)
+	 * @param {IDBTransaction} transaction - A readwrite transaction on the comments and syncQueue stores
+	 * @param {string} markerId - A marker ID
+	 * @returns {Promise<void>}
+	 */
+	async deleteMarkerComments(transaction, markerId) {
+		const commentIds = await this.request(transaction.objectStore("comments").index("markerId").getAllKeys(markerId));
+
+		for (const commentId of commentIds) {
+			await this.deleteSynced(transaction, "comments", commentId);
+		}
+	}
+
 	/**
 	 * Get all tags from indexedDB
 	 * @returns {Promise<string[]>} - A promise that resolves with an array of tags
@@ -989,18 +2031,17 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	addTag(tag) {
-		return this.withStore("tags", "readwrite", async (store) => {
+		return this.withStore(["tags", "syncQueue"], "readwrite", async (store, transaction) => {
 			// Check if the tag already exists
 			const existing = await this.request(store.get(tag));
 
 			if (!existing) {
-				await this.request(
-					store.add({
-						name: tag
-					})
-				);
+				await this.putSynced(transaction, "tags", {
+					name: tag
+				});
 			}
 
+			this.notifyChange({ type: 'tags' });
 			return true;
 		});
 	}
@@ -1012,8 +2053,9 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	removeTag(tag) {
-		return this.withStore("tags", "readwrite", async (store) => {
-			await this.request(store.delete(tag));
+		return this.withStore(["tags", "syncQueue"], "readwrite", async (store, transaction) => {
+			await this.deleteSynced(transaction, "tags", tag);
+			this.notifyChange({ type: 'tags' });
 			return true;
 		});
 	}
@@ -1037,13 +2079,614 @@ export class SyncManager {
 	 * @returns {Promise<Error>} - A promise that rejects with an error
 	 */
 	saveSettings(settings) {
-		return this.withStore("settings", "readwrite", async (store) => {
-			await this.request(
-				store.put({
-					id: "settings",
-					data: settings
-				})
-			);
+		return this.withStore(["settings", "syncQueue"], "readwrite", async (store, transaction) => {
+			await this.putSynced(transaction, "settings", {
+				id: "settings",
+				data: settings
+			});
+
+			this.notifyChange({ type: 'settings' });
+			return true;
+		});
+	}
+
+	/**
+	 * Get a book's setlists from indexedDB
+	 * @param {string} [bookId=this.bandbook.id] - A book ID
+	 * @returns {Promise<import('./Setlist.js').SetlistData[]>} - A promise that resolves with the setlist data
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	getSetlists(bookId = this.bandbook.id) {
+		return this.withStore("setlists", "readonly", async (store) => {
+			const setlists = await this.request(store.getAll());
+			return setlists
+				.filter(setlist => setlist.bookId === bookId)
+				.map(({ rev, updatedAt, ...setlist }) => setlist);
+		});
+	}
+
+	/**
+	 * Create or update a setlist (in the current book) in indexedDB
+	 * @param {import('./Setlist.js').Setlist} setlist - A Setlist instance
+	 * @returns {Promise<Boolean>} - A promise that resolves when the setlist is saved
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	putSetlist(setlist) {
+		return this.withStore(["setlists", "syncQueue"], "readwrite", async (store, transaction) => {
+			await this.putSynced(transaction, "setlists", { ...setlist.getData(), bookId: this.bandbook.id });
+
+			this.notifyChange({ type: 'book' });
+			return true;
+		});
+	}
+
+	/**
+	 * Delete a setlist from indexedDB
+	 * @param {import('./Setlist.js').Setlist} setlist - A Setlist instance
+	 * @returns {Promise<Boolean>} - A promise that resolves when the setlist is deleted
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	deleteSetlist(setlist) {
+		return this.withStore(["setlists", "syncQueue"], "readwrite", async (store, transaction) => {
+			await this.deleteSynced(transaction, "setlists", setlist.id);
+
+			this.notifyChange({ type: 'book' });
+			return true;
+		});
+	}
+
+	/**
+	 * Replace the current book's setlists in indexedDB (e.g. when a BandBook is imported)
+	 * @param {import('./Setlist.js').SetlistData[]} setlists - The new setlist data
+	 * @returns {Promise<Boolean>} - A promise that resolves when the setlists are replaced
+	 * @returns {Promise<Error>} - A promise that rejects with an error
+	 */
+	replaceSetlists(setlists) {
+		return this.withStore(["setlists", "syncQueue"], "readwrite", async (store, transaction) => {
+			const existing = await this.request(store.getAll());
+
+			for (const setlist of existing.filter(setlist => setlist.bookId === this.bandbook.id)) {
+				await this.deleteSynced(transaction, "setlists", setlist.id);
+			}
+
+			for (const setlist of setlists) {
+				await this.putSynced(transaction, "setlists", { ...setlist, bookId: this.bandbook.id });
+			}
+
+			this.notifyChange({ type: 'book' });
+			return true;
+		});
+	}
+
+	/**
+	 * Get a song's audio from indexedDB with its content hash
+	 * The hash is kept on the src record, so each file is only read and hashed once (until the audio changes)
+	 * @param {string} songId - A song ID
+	 * @returns {Promise<{ src: Blob, hash: string }|null>} - A promise that resolves with the audio and its hash (or null if the song has no audio)
+	 */
+	async getHashedSongSrc(songId) {
+		const record = await this.withStore("songSrcs", "readonly", (store) => this.request(store.get(songId)));
+		if (!record?.src) return null;
+
+		const src = record.src instanceof Blob ? record.src : new Blob([record.src]);
+		let { hash } = record;
+
+		if (!hash) {
+			hash = await hashBlob(src);
+			await this.setSongSrcHash(songId, hash);
+		}
+
+		return { src, hash };
+	}
+
+	/**
+	 * Save the content hash of a song's audio on its src record (it is dropped when the audio is replaced)
+	 * @param {string} songId - A song ID
+	 * @param {string} hash - The audio's content hash
+	 * @returns {Promise<Boolean>} - A promise that resolves with whether the song has audio to save it on
+	 */
+	setSongSrcHash(songId, hash) {
+		return this.withStore("songSrcs", "readwrite", async (store) => {
+			const current = await this.request(store.get(songId));
+			if (!current) return false;
+
+			await this.request(store.put({ ...current, hash }));
+			return true;
+		});
+	}
+
+	/**
+	 * Copy a song's audio into the snapshot audio store before it is deleted or replaced, if a snapshot uses it
+	 * Snapshots use the songs' own audio (found by content hash) for as long as it is saved, so it is only copied when it goes
+	 * @param {IDBTransaction} transaction - A readwrite transaction on the songSrcs, snapshots and snapshotAudio stores
+	 * @param {string} songId - A song ID
+	 * @returns {Promise<Boolean>} - A promise that resolves with whether the audio was copied
+	 */
+	async keepSnapshotAudio(transaction, songId) {
+		const srcStore = transaction.objectStore("songSrcs");
+		const record = await this.request(srcStore.get(songId));
+
+		// Audio is hashed when a snapshot is taken, so audio without a hash isn't in any snapshot
+		if (!record?.src || !record.hash) return false;
+
+		// Another song (e.g. a copy of this one) still has the same audio
+		const songIds = await this.request(srcStore.index("hash").getAllKeys(record.hash));
+		if (songIds.some(id => id !== songId)) return false;
+
+		const audioStore = transaction.objectStore("snapshotAudio");
+		if (await this.request(audioStore.getKey(record.hash)) !== undefined) return false;
+
+		const snapshots = await this.request(transaction.objectStore("snapshots").getAll());
+		if (!snapshots.some(snapshot => snapshot.songs.some(song => song.audioHash === record.hash))) return false;
+
+		await this.request(audioStore.put({ hash: record.hash, src: record.src }));
+		return true;
+	}
+
+	/**
+	 * Get a snapshot's audio from indexedDB (from a song that still has it, or else the copy kept for snapshots)
+	 * @param {string} hash - The audio's content hash
+	 * @returns {Promise<Blob|null>} - A promise that resolves with the audio (or null if it is missing)
+	 */
+	getSnapshotAudio(hash) {
+		return this.withStore(["songSrcs", "snapshotAudio"], "readonly", async (store, transaction) => {
+			const record = await this.request(store.index("hash").get(hash))
+				?? await this.request(transaction.objectStore("snapshotAudio").get(hash));
+			return record?.src ?? null;
+		});
+	}
+
+	/**
+	 * Create a snapshot of a book (its name, songs, markers and setlists) in indexedDB
+	 * The snapshot is made from the saved records, one song at a time
+	 * @param {string} reason - Why the snapshot was taken (e.g. "Before import")
+	 * @param {boolean} [scheduled=false] - Whether the snapshot was taken on a schedule
+	 * @param {string} [bookId=this.bandbook.id] - The ID of the book (the current one by default)
+	 * @returns {Promise<import('./SnapshotManager.js').Snapshot>} - A promise that resolves with the snapshot
+	 */
+	async createSnapshot(reason, scheduled = false, bookId = this.bandbook.id) {
+		const { name, songs, setlists } = await this.getBookData(bookId);
+
+		// The snapshot uses each song's own audio, by content hash (see keepSnapshotAudio). Songs synced from another device
+		// have no audio here until they are opened, so their snapshot keeps the content hash of the audio in the cloud (hashed
+		// the same way), which is downloaded when the restored song is opened
+		for (const song of songs) {
+			song.audioHash = (await this.getHashedSongSrc(song.id))?.hash ?? song.audioHash ?? null;
+		}
+
+		/** @type {import('./SnapshotManager.js').Snapshot} */
+		const snapshot = {
+			id: crypto.randomUUID(),
+			bookId,
+			name,
+			createdAt: new Date().toISOString(),
+			reason,
+			scheduled,
+			songs,
+			setlists
+		};
+
+		await this.withStore("snapshots", "readwrite", (store) => this.request(store.add(snapshot)));
+
+		return snapshot;
+	}
+
+	/**
+	 * Get a book's snapshots from indexedDB, newest first
+	 * @param {string} [bookId=this.bandbook.id] - A book ID
+	 * @returns {Promise<import('./SnapshotManager.js').Snapshot[]>} - A promise that resolves with the snapshots
+	 */
+	getSnapshots(bookId = this.bandbook.id) {
+		return this.withStore("snapshots", "readonly", async (store) => {
+			const snapshots = await this.request(store.index("bookId").getAll(bookId));
+			return snapshots.sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+		});
+	}
+
+	/**
+	 * Get the latest snapshot of each deleted book (one with snapshots but no book record) from indexedDB
+	 * @returns {Promise<import('./SnapshotManager.js').Snapshot[]>} - A promise that resolves with the snapshots, newest first
+	 */
+	getDeletedBookSnapshots() {
+		return this.withStore(["snapshots", "books"], "readonly", async (store, transaction) => {
+			const bookIds = new Set(await this.request(transaction.objectStore("books").getAllKeys()));
+			const latest = new Map();
+
+			for (const snapshot of await this.request(store.getAll())) {
+				if (bookIds.has(snapshot.bookId)) continue;
+				if (snapshot.createdAt > (latest.get(snapshot.bookId)?.createdAt ?? "")) latest.set(snapshot.bookId, snapshot);
+			}
+
+			return [...latest.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+		});
+	}
+
+	/**
+	 * Delete snapshots from indexedDB, then any audio no snapshot uses any more
+	 * @param {string[]} snapshotIds - The snapshot IDs
+	 * @returns {Promise<Boolean>} - A promise that resolves when the snapshots are deleted
+	 */
+	async deleteSnapshots(snapshotIds) {
+		await this.withStore("snapshots", "readwrite", async (store) => {
+			for (const id of snapshotIds) {
+				await this.request(store.delete(id));
+			}
+		});
+
+		await this.deleteUnusedSnapshotAudio();
+		return true;
+	}
+
+	/**
+	 * Delete audio kept for snapshots from indexedDB if no snapshot uses it, or a song has it again (e.g. after a restore)
+	 * @returns {Promise<number>} - A promise that resolves with the number of audio files deleted
+	 */
+	async deleteUnusedSnapshotAudio() {
+		const snapshots = await this.withStore("snapshots", "readonly", (store) => this.request(store.getAll()));
+		const used = new Set(snapshots.flatMap(snapshot => snapshot.songs.map(song => song.audioHash)));
+
+		return this.withStore(["snapshotAudio", "songSrcs"], "readwrite", async (store, transaction) => {
+			const srcIndex = transaction.objectStore("songSrcs").index("hash");
+			const unused = [];
+
+			for (const hash of await this.request(store.getAllKeys())) {
+				if (!used.has(hash) || await this.request(srcIndex.count(hash)) > 0) unused.push(hash);
+			}
+
+			for (const hash of unused) {
+				await this.request(store.delete(hash));
+			}
+
+			return unused.length;
+		});
+	}
+
+	/**
+	 * Get the storage used by snapshots
+	 * @returns {Promise<{ count: number, size: number }>} - A promise that resolves with the number of snapshots and their size in bytes (with the audio kept only for them)
+	 */
+	async getSnapshotStorageSize() {
+		const snapshots = await this.withStore("snapshots", "readonly", (store) => this.request(store.getAll()));
+		const hashes = await this.withStore("snapshotAudio", "readonly", (store) => this.request(store.getAllKeys()));
+		let size = getByteSize(snapshots);
+
+		for (const hash of hashes) {
+			const record = await this.withStore("snapshotAudio", "readonly", (store) => this.request(store.get(hash)));
+			size += getByteSize(record?.src);
+		}
+
+		return { count: snapshots.length, size };
+	}
+
+	/**
+	 * Replace the current book with a snapshot of it, then reload it
+	 * Songs keep their ids, so the snapshot's setlists still point at them
+	 * @param {import('./SnapshotManager.js').Snapshot} snapshot - A snapshot of the current book
+	 * @returns {Promise<void>}
+	 * @throws {Error} - If any of the snapshot's audio is missing (nothing is changed)
+	 */
+	async restoreSnapshot(snapshot) {
+		// Check for every file before deleting anything
+		for (const { title, audioHash } of snapshot.songs) {
+			if (!audioHash) throw new Error(`The audio for ${title} is missing from the snapshot`);
+		}
+
+		// The audio is read after the book is deleted, since deleting it is what copies its audio for the snapshot
+		await this.deleteBook(this.bandbook.id);
+		this.bandbook.name = snapshot.name;
+		await this.createNewBandBookRecord(snapshot.name);
+
+		for (const song of snapshot.songs) {
+			await this.importSnapshotSong(song, await this.getSnapshotAudio(song.audioHash));
+		}
+
+		await this.replaceSetlists(snapshot.setlists);
+		await this.deleteUnusedSnapshotAudio();
+		await this.bandbook.reload();
+	}
+
+	/**
+	 * Bring back a deleted book from a snapshot of it as a new book, then open it
+	 * Everything gets a new ID, since the server still has the deleted records. The deleted book's snapshots move to the
+	 * new book (with the same new IDs), so its songs can still be restored from older snapshots
+	 * @param {import('./SnapshotManager.js').Snapshot} snapshot - A snapshot of a deleted book
+	 * @returns {Promise<void>}
+	 * @throws {Error} - If any of the snapshot's audio is missing (nothing is changed)
+	 */
+	async restoreDeletedBook(snapshot) {
+		const bookId = crypto.randomUUID();
+		const ids = new Map();
+		const getNewId = (id) => {
+			if (!ids.has(id)) ids.set(id, crypto.randomUUID());
+			return ids.get(id);
+		};
+
+		const withNewIds = (snapshot) => ({
+			...snapshot,
+			bookId,
+			songs: snapshot.songs.map(song => ({ ...song, id: getNewId(song.id) })),
+			setlists: snapshot.setlists.map(setlist => ({
+				...setlist,
+				id: getNewId(setlist.id),
+				entries: setlist.entries.map(entry => ({ ...entry, songId: getNewId(entry.songId) }))
+			}))
+		});
+
+		const restored = withNewIds(snapshot);
+		for (const { title, audioHash } of restored.songs) {
+			if (!audioHash) throw new Error(`The audio for ${title} is missing from the snapshot`);
+		}
+
+		const snapshots = await this.getSnapshots(snapshot.bookId);
+		await this.withStore("snapshots", "readwrite", async (store) => {
+			for (const old of snapshots) {
+				await this.request(store.put(withNewIds(old)));
+			}
+		});
+
+		this.bandbook.id = bookId;
+		this.setActiveBookId(bookId);
+		await this.restoreSnapshot(restored);
+	}
+
+	/**
+	 * Replace one song (or bring it back, if it was deleted) with its version in a snapshot, then reload the book
+	 * @param {import('./SnapshotManager.js').Snapshot} snapshot - A snapshot of the current book
+	 * @param {string} songId - The ID of the song to restore
+	 * @returns {Promise<void>}
+	 * @throws {Error} - If the song or its audio is missing from the snapshot (nothing is changed)
+	 */
+	async restoreSnapshotSong(snapshot, songId) {
+		const songData = snapshot.songs.find(song => song.id === songId);
+		if (!songData) throw new Error("The song isn't in the snapshot");
+
+		if (!songData.audioHash) throw new Error(`The audio for ${songData.title} is missing from the snapshot`);
+
+		const order = this.bandbook.songs.map(song => song.id);
+		const existing = this.bandbook.songs.find(song => song.id === songId);
+
+		// The audio is read after the song is deleted, since deleting it is what copies its audio for the snapshot
+		if (existing) await this.deleteSong(existing);
+		await this.importSnapshotSong(songData, await this.getSnapshotAudio(songData.audioHash));
+
+		// A replaced song keeps its place in the book
+		if (existing) await this.reorderSongs(order);
+
+		await this.deleteUnusedSnapshotAudio();
+		await this.bandbook.reload();
+	}
+
+	/**
+	 * Create a song from a snapshot
+	 * A song whose audio isn't in the snapshot (it was only in the cloud) keeps the content hash of the audio in the cloud,
+	 * so it is downloaded when the song is opened (see AudioSync.download)
+	 * @param {SongData & { audioHash: string }} songData - A song in a snapshot
+	 * @param {Blob|null} src - The song's audio from the snapshot (null if it wasn't saved there)
+	 * @returns {Promise<Song>} - A promise that resolves with the song
+	 */
+	async importSnapshotSong({ audioHash, ...songData }, src) {
+		const song = await this.importSong({ ...songData, src });
+
+		// Restored audio keeps its hash, so snapshots use it instead of their copy
+		if (src) await this.setSongSrcHash(song.id, audioHash);
+		else await this.updateSongAudioHash(song.id, audioHash);
+		return song;
+	}
+
+	/**
+	 * Get every change that hasn't been uploaded yet
+	 * @returns {Promise<QueuedChange[]>} - A promise that resolves with the queued changes
+	 */
+	getQueuedChanges() {
+		return this.withStore("syncQueue", "readonly", (store) => this.request(store.getAll()));
+	}
+
+	/**
+	 * Get a synced record as it is stored
+	 * @param {string} storeName - The name of the record's store (see SYNCED_STORES)
+	 * @param {string} id - The record key
+	 * @returns {Promise<Object|undefined>} - A promise that resolves with the record (or undefined if there is none)
+	 */
+	getSyncedRecord(storeName, id) {
+		return this.withStore(storeName, "readonly", (store) => this.request(store.get(id)));
+	}
+
+	/**
+	 * Give a record the revision the server gave its uploaded change and take the change off the queue
+	 * If the record changed again while it was being uploaded, the newer change stays queued (based on the new revision)
+	 * @param {QueuedChange} change - The uploaded change
+	 * @param {number} rev - The record's revision on the server
+	 * @returns {Promise<void>}
+	 */
+	onChangeUploaded(change, rev) {
+		return this.withStore([change.store, "syncQueue"], "readwrite", async (store, transaction) => {
+			const queueStore = transaction.objectStore("syncQueue");
+			const queued = await this.request(queueStore.get(change.key));
+			const record = await this.request(store.get(change.id));
+
+			if (record) await this.request(store.put({ ...record, rev }));
+
+			if (queued?.changeId === change.changeId) {
+				await this.request(queueStore.delete(change.key));
+			} else if (queued) {
+				await this.request(queueStore.put({ ...queued, rev }));
+			}
+		});
+	}
+
+	/**
+	 * Base a queued change on a newer server revision, so it replaces the other device's change when it is uploaded
+	 * @param {QueuedChange} change - A queued change that conflicts with the server
+	 * @param {number} rev - The record's revision on the server
+	 * @returns {Promise<void>}
+	 */
+	rebaseChange(change, rev) {
+		return this.withStore([change.store, "syncQueue"], "readwrite", async (store, transaction) => {
+			const queueStore = transaction.objectStore("syncQueue");
+			const queued = await this.request(queueStore.get(change.key));
+			const record = await this.request(store.get(change.id));
+
+			if (record) await this.request(store.put({ ...record, rev }));
+			if (queued) await this.request(queueStore.put({ ...queued, rev }));
+		});
+	}
+
+	/**
+	 * Move songs that were never uploaded into new books of the user's own, one for each book they were in (e.g. songs added
+	 * offline to a book the user has since been made a viewer of, which the server rejects). Their markers and comments go
+	 * with them and stay queued, so they are uploaded to the new book on the next sync
+	 * @param {Array<string>} songIds - The song ids
+	 * @returns {Promise<Set<string>>} - A promise that resolves with the moved records, by store and key (e.g. "songs/<id>")
+	 */
+	moveSongsToNewBooks(songIds) {
+		return this.withStore(["books", "songs", "comments", "syncQueue"], "readwrite", async (store, transaction) => {
+			const books = (await this.request(store.getAll())).filter(book => book.id);
+			const moved = new Set();
+
+			for (const book of books) {
+				const bookSongIds = (book.songs ? JSON.parse(book.songs) : []).filter(songId => songIds.includes(songId));
+				if (!bookSongIds.length) continue;
+
+				await this.putSynced(transaction, "books", {
+					id: crypto.randomUUID(),
+					name: `${book.name || DEFAULT_BOOK_NAME} (my copy)`,
+					songs: JSON.stringify(bookSongIds)
+				});
+
+				for (const songId of bookSongIds) {
+					const song = await this.request(transaction.objectStore("songs").get(songId));
+					moved.add(`songs/${songId}`);
+
+					for (const markerId of song ? JSON.parse(song.data).markers ?? [] : []) {
+						moved.add(`markers/${markerId}`);
+
+						const commentIds = await this.request(transaction.objectStore("comments").index("markerId").getAllKeys(markerId));
+						commentIds.forEach(commentId => moved.add(`comments/${commentId}`));
+					}
+				}
+			}
+
+			if (moved.size) this.notifyChange({ type: 'book' });
+			return moved;
+		});
+	}
+
+	/**
+	 * Save a change downloaded from the server (replacing any queued change to the record)
+	 * @param {RemoteChange} change - A change made on another device
+	 * @returns {Promise<void>}
+	 * @throws {Error} - If the change isn't to a synced record
+	 */
+	applyRemoteChange(change) {
+		if (!SYNCED_STORES.includes(change.store)) {
+			return Promise.reject(new Error(`Unable to sync ${change.store} records`));
+		}
+
+		return this.withStore([change.store, "songSrcs", "snapshots", "snapshotAudio", "syncQueue"], "readwrite", async (store, transaction) => {
+			if (change.deleted) {
+				await this.request(store.delete(change.id));
+
+				// Audio isn't synced, so a deleted song's audio is deleted here
+				if (change.store === "songs") {
+					await this.keepSnapshotAudio(transaction, change.id);
+					await this.request(transaction.objectStore("songSrcs").delete(change.id));
+				}
+			} else {
+				await this.request(store.put({ ...change.record, rev: change.rev, updatedAt: change.updatedAt }));
+			}
+
+			await this.request(transaction.objectStore("syncQueue").delete(`${change.store}/${change.id}`));
+		});
+	}
+
+	/**
+	 * Get a value saved by the cloud sync (e.g. the position in the server's change feed)
+	 * @param {string} id - The name of the value
+	 * @returns {Promise<any>} - A promise that resolves with the value (or undefined if it isn't set)
+	 */
+	getSyncState(id) {
+		return this.withStore("syncState", "readonly", async (store) => {
+			const record = await this.request(store.get(id));
+			return record?.value;
+		});
+	}
+
+	/**
+	 * Save a value for the cloud sync
+	 * @param {string} id - The name of the value
+	 * @param {any} value - The value
+	 * @returns {Promise<Boolean>} - A promise that resolves when the value is saved
+	 */
+	setSyncState(id, value) {
+		return this.withStore("syncState", "readwrite", async (store) => {
+			await this.request(store.put({ id, value }));
+			return true;
+		});
+	}
+
+	/**
+	 * Get the book that each book, song, shared marker, setlist and comment record belongs to (they are uploaded to their book,
+	 * which is shared with its members, and everything else to the user's account)
+	 * @returns {Promise<Map<string, string>>} - A promise that resolves with book ids, by store and key (e.g. "songs/<id>")
+	 */
+	getRecordBookIds() {
+		return this.withStore(["books", "songs", "setlists", "comments"], "readonly", async (store, transaction) => {
+			const books = await this.request(store.getAll());
+			const songs = await this.request(transaction.objectStore("songs").getAll());
+			const setlists = await this.request(transaction.objectStore("setlists").getAll());
+			const comments = await this.request(transaction.objectStore("comments").getAll());
+
+			const markerIds = new Map(songs.map(song => [song.id, JSON.parse(song.data).markers ?? []]));
+			const bookIds = new Map();
+
+			for (const book of books.filter(book => book.id)) {
+				bookIds.set(`books/${book.id}`, book.id);
+
+				for (const songId of book.songs ? JSON.parse(book.songs) : []) {
+					bookIds.set(`songs/${songId}`, book.id);
+					(markerIds.get(songId) ?? []).forEach(markerId => bookIds.set(`markers/${markerId}`, book.id));
+				}
+			}
+
+			setlists.forEach(setlist => bookIds.set(`setlists/${setlist.id}`, setlist.bookId));
+
+			// Comments go with their marker (those on private markers are the user's own)
+			comments.forEach(comment => {
+				const bookId = bookIds.get(`markers/${comment.markerId}`);
+				if (bookId) bookIds.set(`comments/${comment.id}`, bookId);
+			});
+
+			return bookIds;
+		});
+	}
+
+	/**
+	 * Forget what has been synced (e.g. when the account is deleted), so every record and all audio are uploaded again
+	 * to the next account the user logs in to
+	 * @returns {Promise<Boolean>} - A promise that resolves when every record is queued
+	 */
+	forgetCloudState() {
+		return this.withStore(["syncState", "syncQueue", ...SYNCED_STORES], "readwrite", async (store, transaction) => {
+			await this.request(store.clear());
+			await this.request(transaction.objectStore("syncQueue").clear());
+
+			for (const storeName of SYNCED_STORES) {
+				const syncedStore = transaction.objectStore(storeName);
+
+				for (const record of await this.request(syncedStore.getAll())) {
+					const id = record[syncedStore.keyPath];
+					if (id === undefined) continue;
+
+					// The uploaded audio was deleted with the account
+					if (storeName === "songs") {
+						const { audioHash, ...data } = JSON.parse(record.data);
+						record.data = JSON.stringify(data);
+					}
+
+					await this.request(syncedStore.put({ ...record, rev: 0 }));
+					await this.queueChange(transaction, storeName, id, 0, false);
+				}
+			}
 
 			return true;
 		});
@@ -0,0 +1,194 @@
+import { Notification } from './Notification.js'
+
+/**
+ * @typedef {Object} Change
+ * @property {'book'|'song'|'tags'|'settings'|'sync'} type - What kind of data changed ('sync' for changes downloaded from the cloud, which could be in any book)
+ * @property {string} [bookId] - The book that changed (or that the changed song is in)
+ * @property {string} [songId] - The song that changed
+*/
+
+/**
+ * Keeps tabs consistent: tells other tabs about saved changes (which they reload) and elects one tab, the leader, to save to the cloud
+*/
+export class TabSync {
+	/**
+	 * The name of the channel tabs talk on
+	 * @type {string}
+	*/
+	static CHANNEL_NAME = 'bandbook'
+
+	/**
+	 * The name of the lock held by the leader
+	 * @type {string}
+	*/
+	static LEADER_LOCK = 'bandbook-leader'
+
+	/**
+	 * How long to wait for changes to stop arriving before reloading (in milliseconds)
+	 * @type {number}
+	*/
+	static RELOAD_DELAY = 500
+
+	/**
+	 * The BandBook instance
+	 * @type {import('./BandBook.js').BandBook}
+	*/
+	bandbook
+
+	/**
+	 * The channel to other tabs (null if the browser doesn't support BroadcastChannel)
+	 * @type {BroadcastChannel|null}
+	*/
+	channel = null
+
+	/**
+	 * Whether this tab is the leader (the one that saves to the cloud)
+	 * @type {boolean}
+	 * @default false
+	*/
+	isLeader = false
+
+	/**
+	 * The timer of a pending reload
+	 * @type {number|null}
+	*/
+	reloadTimer = null
+
+	/**
+	 * Whether a reload is waiting for playback to stop (and the user has been told)
+	 * @type {boolean}
+	 * @default false
+	*/
+	reloadDeferred = false
+
+	/**
+	 * Settles when the reload in progress is done (reloads run one at a time)
+	 * @type {Promise<void>}
+	*/
+	reloadQueue = Promise.resolve()
+
+	/**
+	 * @constructor
+	 * @param {import('./BandBook.js').BandBook} bandbook - The BandBook instance
+	*/
+	constructor(bandbook) {
+		this.bandbook = bandbook
+
+		if ('BroadcastChannel' in window) {
+			this.channel = new BroadcastChannel(TabSync.CHANNEL_NAME)
+			this.channel.addEventListener('message', (e) => this.onMessage(e.data))
+		}
+
+		this.requestLeadership()
+	}
+
+	/**
+	 * Waits to become the leader (the lock is held until the tab closes, then the next tab in line gets it)
+	 * Without the Web Locks API, every tab is its own leader, as before
+	 * @returns {void}
+	*/
+	requestLeadership() {
+		if (!navigator.locks) {
+			this.isLeader = true
+			return
+		}
+
+		navigator.locks.request(TabSync.LEADER_LOCK, () => new Promise(() => {
+			this.isLeader = true
+		})).catch(error => {
+			console.error('Error requesting the leader lock:', error)
+			this.isLeader = true
+		})
+	}
+
+	/**
+	 * Tells other tabs about a saved change
+	 * @param {Change} change - What changed
+	 * @returns {void}
+	*/
+	broadcast(change) {
+		this.channel?.postMessage({ type: 'change', change })
+	}
+
+	/**
+	 * Tells other tabs that the user logged in or out (or the session was refreshed), since they share the session
+	 * @param {import('./AuthManager.js').Session|null} session - The session (null when logged out)
+	 * @returns {void}
+	*/
+	broadcastSession(session) {
+		this.channel?.postMessage({ type: 'session', session })
+	}
+
+	/**
+	 * Asks the leader to sync with the cloud (e.g. when this tab is hidden)
+	 * @returns {void}
+	*/
+	requestCloudSave() {
+		this.channel?.postMessage({ type: 'save' })
+	}
+
+	/**
+	 * Handles a message from another tab
+	 * @param {{ type: 'change', change: Change } | { type: 'save' } | { type: 'session', session: import('./AuthManager.js').Session|null }} message - The message
+	 * @returns {void}
+	*/
+	onMessage(message) {
+		if (message?.type === 'save') {
+			if (this.isLeader) this.bandbook.saveToCloud()
+			return
+		}
+
+		if (message?.type === 'session') {
+			this.bandbook.authManager.setSession(message.session, false)
+			return
+		}
+
+		if (message?.type !== 'change') return
+
+		const { change } = message
+
+		// The change was queued by the other tab, but only the leader uploads
+		if (this.isLeader && change.type !== 'sync') this.bandbook.cloudSync?.schedule()
+
+		switch (change.type) {
+			case 'settings':
+				this.bandbook.settingsManager.reload()
+				break
+			case 'tags':
+			case 'sync':
+				this.scheduleReload()
+				break
+			default:
+				// Changes to other books show up when they are opened
+				if (change.bookId === this.bandbook.id) this.scheduleReload()
+				break
+		}
+	}
+
+	/**
+	 * Reloads the book once changes stop arriving, waiting for playback to stop so it isn't interrupted
+	 * @returns {void}
+	*/
+	scheduleReload() {
+		clearTimeout(this.reloadTimer)
+		this.reloadTimer = setTimeout(() => {
+			this.reloadTimer = null
+
+			const audio = this.bandbook.activeSong?.player?.getAudioElement()
+			if (audio && !audio.paused) {
+				if (!this.reloadDeferred) {
+					this.reloadDeferred = true
+					new Notification('This book was changed in another tab. It will update when playback stops.', 'info')
+				}
+
+				audio.addEventListener('pause', () => this.scheduleReload(), { once: true })
+				return
+			}
+
+			this.reloadDeferred = false
+			this.reloadQueue = this.reloadQueue
+				.then(() => this.bandbook.reload())
+				.catch(error => console.error('Error reloading after a change in another tab:', error))
+		}, TabSync.RELOAD_DELAY)
+	}
+}
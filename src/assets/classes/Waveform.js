@@ -0,0 +1,563 @@
+import { WaveformOverlay } from './WaveformOverlay.js'
+
+/**
+ * @typedef {Object} PeakLevel
+ * @property {number} samplesPerPeak - The number of audio samples summarized by each peak
+ * @property {Int8Array} min - The minimum sample value of each block (-127 to 127)
+ * @property {Int8Array} max - The maximum sample value of each block (-127 to 127)
+*/
+
+/**
+ * @typedef {Object} WaveformPeaks
+ * @property {number} version - The peak format version (bumped when the format changes)
+ * @property {number} sampleRate - The sample rate of the decoded audio
+ * @property {number} length - The length of the decoded audio in samples
+ * @property {PeakLevel[]} levels - Peak levels from finest to coarsest
+*/
+
+/**
+ * A zoomable, scrollable waveform display backed by multi-resolution peak data
+*/
+export class Waveform {
+	/**
+	 * The number of samples summarized by each peak at the finest level
+	 * @type {number}
+	*/
+	static BASE_SAMPLES_PER_PEAK = 128
+
+	/**
+	 * How many peaks of one level are combined into one peak of the next
+	 * @type {number}
+	*/
+	static LEVEL_FACTOR = 4
+
+	/**
+	 * The current peak format version
+	 * @type {number}
+	*/
+	static PEAKS_VERSION = 1
+
+	/**
+	 * The height of the waveform in CSS pixels
+	 * @type {number}
+	*/
+	static HEIGHT = 100
+
+	/**
+	 * The factor applied by the zoom buttons
+	 * @type {number}
+	*/
+	static ZOOM_STEP = 2
+
+	/** @type {WaveformPeaks|null} */
+	peaks = null
+
+	/**
+	 * The start of the visible range in seconds
+	 * @type {number}
+	*/
+	viewStart = 0
+
+	/**
+	 * The end of the visible range in seconds (0 until loaded)
+	 * @type {number}
+	*/
+	viewEnd = 0
+
+	/**
+	 * Whether the view should page along with the playhead
+	 * @type {boolean}
+	*/
+	followPlayhead = true
+
+	/** @type {HTMLDivElement|null} */
+	element = null
+
+	/** @type {HTMLCanvasElement|null} */
+	canvas = null
+
+	/** @type {HTMLDivElement|null} */
+	controls = null
+
+	/** @type {HTMLInputElement|null} */
+	scrollInput = null
+
+	/** @type {HTMLInputElement|null} */
+	snapCheckbox = null
+
+	/**
+	 * @constructor
+	 * @param {import('./Player.js').Player} player - The Player instance this waveform belongs to
+	*/
+	constructor(player) {
+		this.player = player
+		this.song = player.song
+	}
+
+	/**
+	 * Loads (or computes) the peak data and builds the waveform elements
+	 * @returns {Promise<HTMLDivElement>} - The waveform element
+	*/
+	async load() {
+		this.peaks = await this.getPeaks()
+		this.viewEnd = this.getDuration()
+
+		const wrapper = document.createElement('div')
+		const canvas = document.createElement('canvas')
+		canvas.className = 'waveform'
+		canvas.style.width = '100%'
+		canvas.style.height = `${Waveform.HEIGHT}px`
+		wrapper.appendChild(canvas)
+
+		this.element = wrapper
+		this.canvas = canvas
+
+		// Markers and the selected segment are drawn on top of the waveform
+		this.overlay = new WaveformOverlay(this.player, this)
+		wrapper.appendChild(this.overlay.getElement())
+
+		wrapper.addEventListener('wheel', (e) => this.onWheel(e), { passive: false })
+
+		const audio = this.player.getAudioElement()
+		this.player.addListener(audio, 'timeupdate', () => this.onTimeUpdate())
+		this.player.addListener(audio, 'seeked', () => this.onTimeUpdate())
+		this.player.addListener(audio, 'loadedmetadata', () => {
+			if (this.isZoomed()) this.setView(this.viewStart, this.viewEnd)
+			else this.zoomToFit()
+		})
+		this.player.addListener(window, 'resize', () => this.draw())
+
+		return wrapper
+	}
+
+	/**
+	 * Returns the peak data for the song from memory, IndexedDB, or by decoding the audio
+	 * @returns {Promise<WaveformPeaks>}
+	*/
+	async getPeaks() {
+		const isCurrent = (peaks) => peaks?.version === Waveform.PEAKS_VERSION
+
+		if (isCurrent(this.song.waveformPeaks)) return this.song.waveformPeaks
+
+		const cached = await this.song.bandbook.syncManager.getSongWaveformPeaks(this.song).catch(() => null)
+		if (isCurrent(cached)) {
+			this.song.waveformPeaks = cached
+			return cached
+		}
+
+		const audioContext = new AudioContext()
+		try {
+			const buffer = await audioContext.decodeAudioData(await this.player.src.arrayBuffer())
+			const peaks = Waveform.computePeaks(buffer)
+
+			// Reuse the decoded audio for tempo and key detection on new songs
+			this.song.analyzeAudio(buffer)
+
+			await this.song.setWaveformPeaks(peaks).catch(error => {
+				console.error('Error caching waveform peaks:', error)
+			})
+			return peaks
+		} finally {
+			audioContext.close().catch(error => {
+				console.error('Error closing audio context:', error)
+			})
+		}
+	}
+
+	/**
+	 * Computes multi-resolution peak data from decoded audio
+	 * @param {AudioBuffer} buffer - The decoded audio
+	 * @returns {WaveformPeaks}
+	*/
+	static computePeaks(buffer) {
+		const { BASE_SAMPLES_PER_PEAK, LEVEL_FACTOR } = Waveform
+		const count = Math.ceil(buffer.length / BASE_SAMPLES_PER_PEAK)
+		const min = new Float32Array(count)
+		const max = new Float32Array(count)
+
+		// Finest level: min/max of each block across all channels
+		for (let channel = 0; channel < buffer.numberOfChannels; channel++) {
+			const data = buffer.getChannelData(channel)
+			for (let peak = 0; peak < count; peak++) {
+				const end = Math.min(data.length, (peak + 1) * BASE_SAMPLES_PER_PEAK)
+				let blockMin = channel === 0 ? Infinity : min[peak]
+				let blockMax = channel === 0 ? -Infinity : max[peak]
+				for (let i = peak * BASE_SAMPLES_PER_PEAK; i < end; i++) {
+					const sample = data[i]
+					if (sample < blockMin) blockMin = sample
+					if (sample > blockMax) blockMax = sample
+				}
+				min[peak] = blockMin
+				max[peak] = blockMax
+			}
+		}
+
+		// Normalize so quiet recordings still fill the display
+		let loudest = 0
+		for (let i = 0; i < count; i++) {
+			loudest = Math.max(loudest, Math.abs(min[i]), Math.abs(max[i]))
+		}
+		const scale = loudest > 0 ? 127 / loudest : 0
+		const quantize = (values) => Int8Array.from(values, value => Math.round(value * scale))
+
+		const levels = [{ samplesPerPeak: BASE_SAMPLES_PER_PEAK, min: quantize(min), max: quantize(max) }]
+
+		// Coarser levels are built from the previous level until they are small enough
+		while (levels[levels.length - 1].min.length > 512) {
+			const previous = levels[levels.length - 1]
+			const length = Math.ceil(previous.min.length / LEVEL_FACTOR)
+			const level = {
+				samplesPerPeak: previous.samplesPerPeak * LEVEL_FACTOR,
+				min: new Int8Array(length),
+				max: new Int8Array(length)
+			}
+
+			for (let peak = 0; peak < length; peak++) {
+				const start = peak * LEVEL_FACTOR
+				const end = Math.min(previous.min.length, start + LEVEL_FACTOR)
+				let blockMin = 127
+				let blockMax = -127
+				for (let i = start; i < end; i++) {
+					blockMin = Math.min(blockMin, previous.min[i])
+					blockMax = Math.max(blockMax, previous.max[i])
+				}
+				level.min[peak] = blockMin
+				level.max[peak] = blockMax
+			}
+
+			levels.push(level)
+		}
+
+		return {
+			version: Waveform.PEAKS_VERSION,
+			sampleRate: buffer.sampleRate,
+			length: buffer.length,
+			levels
+		}
+	}
+
+	/**
+	 * Returns the waveform element (canvas and overlay)
+	 * @returns {HTMLDivElement|null}
+	*/
+	getElement() {
+		return this.element
+	}
+
+	/**
+	 * Returns the song duration, falling back to the decoded length
+	 * @returns {number}
+	*/
+	getDuration() {
+		const duration = this.song.getDuration()
+		if (Number.isFinite(duration) && duration > 0) return duration
+		return this.peaks ? this.peaks.length / this.peaks.sampleRate : 0
+	}
+
+	/**
+	 * Returns the visible time range
+	 * @returns {[number, number]} - The start and end of the visible range in seconds
+	*/
+	getVisibleRange() {
+		return [this.viewStart, this.viewEnd || this.getDuration()]
+	}
+
+	/**
+	 * Returns the shortest range that can be shown (one finest-level peak per pixel)
+	 * @returns {number} - A duration in seconds
+	*/
+	getMinimumVisibleDuration() {
+		const width = this.canvas?.clientWidth || 300
+		const peakDuration = Waveform.BASE_SAMPLES_PER_PEAK / (this.peaks?.sampleRate || 44100)
+		return Math.min(this.getDuration(), Math.max(0.5, width * peakDuration))
+	}
+
+	/**
+	 * Returns whether the waveform is zoomed in
+	 * @returns {boolean}
+	*/
+	isZoomed() {
+		const [start, end] = this.getVisibleRange()
+		return end - start < this.getDuration() * 0.995
+	}
+
+	/**
+	 * Sets the visible range (clamped to the song and zoom limits) and redraws
+	 * @param {number} start - The start of the range in seconds
+	 * @param {number} end - The end of the range in seconds
+	 * @returns {void}
+	*/
+	setView(start, end) {
+		const duration = this.getDuration()
+		if (!duration) return
+
+		const visible = Math.min(duration, Math.max(this.getMinimumVisibleDuration(), end - start))
+		const clampedStart = Math.min(duration - visible, Math.max(0, start))
+
+		this.viewStart = clampedStart
+		this.viewEnd = clampedStart + visible
+		this.draw()
+	}
+
+	/**
+	 * Zooms by a factor around an anchor time, keeping the anchor at the same position
+	 * @param {number} factor - Values above 1 zoom in, below 1 zoom out
+	 * @param {number} [anchor] - The time to zoom around (defaults to the center of the view)
+	 * @returns {void}
+	*/
+	zoom(factor, anchor) {
+		const [start, end] = this.getVisibleRange()
+		const visible = end - start
+		const anchorTime = anchor ?? start + visible / 2
+		const anchorRatio = visible ? (anchorTime - start) / visible : 0.5
+		const newVisible = visible / factor
+
+		this.setView(anchorTime - newVisible * anchorRatio, anchorTime + newVisible * (1 - anchorRatio))
+	}
+
+	/**
+	 * Scrolls the view by a number of seconds
+	 * @param {number} seconds - Positive values scroll later in the song
+	 * @returns {void}
+	*/
+	scrollBy(seconds) {
+		this.setView(this.viewStart + seconds, this.viewEnd + seconds)
+	}
+
+	/**
+	 * Shows the whole song
+	 * @returns {void}
+	*/
+	zoomToFit() {
+		this.setView(0, this.getDuration())
+	}
+
+	/**
+	 * Zooms with ctrl/pinch-wheel and scrolls with horizontal (or shift) wheel
+	 * @param {WheelEvent} e
+	 * @returns {void}
+	*/
+	onWheel(e) {
+		const [start, end] = this.getVisibleRange()
+		const width = this.canvas.clientWidth || 1
+		const secondsPerPixel = (end - start) / width
+
+		if (e.ctrlKey || e.metaKey) {
+			e.preventDefault()
+			const x = e.clientX - this.canvas.getBoundingClientRect().left
+			this.zoom(Math.exp(-e.deltaY * 0.01), start + x * secondsPerPixel)
+			return
+		}
+
+		const horizontal = e.shiftKey ? e.deltaY : e.deltaX
+		if (horizontal && this.isZoomed()) {
+			e.preventDefault()
+			this.scrollBy(horizontal * secondsPerPixel)
+		}
+	}
+
+	/**
+	 * Updates the playhead position and pages the view to follow it
+	 * @returns {void}
+	*/
+	onTimeUpdate() {
+		const current = this.player.getCurrentTime()
+		const [start, end] = this.getVisibleRange()
+		const visible = end - start
+
+		if (this.followPlayhead && this.isZoomed() && (current < start || current > end)) {
+			// Page so the playhead sits near the left edge of the view
+			this.setView(current - visible * 0.1, current + visible * 0.9)
+			return
+		}
+
+		this.updatePlayhead()
+	}
+
+	/**
+	 * Sets the playhead position (relative to the visible range) for the progress highlight
+	 * @returns {void}
+	*/
+	updatePlayhead() {
+		if (!this.element) return
+		const [start, end] = this.getVisibleRange()
+		const ratio = end > start ? (this.player.getCurrentTime() - start) / (end - start) : 0
+		this.element.style.setProperty('--waveform-progress', Math.min(1.01, Math.max(-0.01, ratio)).toFixed(4))
+	}
+
+	/**
+	 * Returns the zoom and scroll controls
+	 * @returns {HTMLDivElement}
+	*/
+	getControls() {
+		if (this.controls) return this.controls
+
+		const controls = document.createElement('div')
+		controls.className = 'waveform-controls'
+
+		const zoomOutButton = document.createElement('button')
+		zoomOutButton.textContent = '-'
+		zoomOutButton.ariaLabel = 'Zoom out'
+		zoomOutButton.title = 'Zoom out'
+		zoomOutButton.addEventListener('click', () => this.zoom(1 / Waveform.ZOOM_STEP))
+
+		const zoomInButton = document.createElement('button')
+		zoomInButton.textContent = '+'
+		zoomInButton.ariaLabel = 'Zoom in'
+		zoomInButton.title = 'Zoom in'
+		zoomInButton.addEventListener('click', () => {
+			// Zoom around the playhead when it is visible
+			const current = this.player.getCurrentTime()
+			const [start, end] = this.getVisibleRange()
+			this.zoom(Waveform.ZOOM_STEP, current >= start && current <= end ? current : undefined)
+		})
+
+		const fitButton = document.createElement('button')
+		fitButton.textContent = 'Fit'
+		fitButton.ariaLabel = 'Show whole song'
+		fitButton.title = 'Show whole song'
+		fitButton.addEventListener('click', () => this.zoomToFit())
+
+		const scrollLabel = document.createElement('label')
+		scrollLabel.className = 'sr-only'
+		scrollLabel.htmlFor = 'waveform-scroll'
+		scrollLabel.textContent = 'Scroll waveform'
+
+		const scrollInput = document.createElement('input')
+		scrollInput.id = 'waveform-scroll'
+		scrollInput.type = 'range'
+		scrollInput.min = 0
+		scrollInput.step = 'any'
+		scrollInput.addEventListener('input', () => {
+			const [start, end] = this.getVisibleRange()
+			const newStart = Number(scrollInput.value)
+			this.setView(newStart, newStart + (end - start))
+		})
+		this.scrollInput = scrollInput
+
+		const followLabel = document.createElement('label')
+		followLabel.className = 'follow-playhead'
+		const followCheckbox = document.createElement('input')
+		followCheckbox.type = 'checkbox'
+		followCheckbox.checked = this.followPlayhead
+		followCheckbox.addEventListener('change', () => {
+			this.followPlayhead = followCheckbox.checked
+		})
+		const followSpan = document.createElement('span')
+		followSpan.textContent = 'Follow'
+		followLabel.appendChild(followCheckbox)
+		followLabel.appendChild(followSpan)
+
+		const snapLabel = document.createElement('label')
+		snapLabel.className = 'snap-to-beats'
+		snapLabel.title = 'Snap markers and loops to detected beats (hold Alt to bypass)'
+		const snapCheckbox = document.createElement('input')
+		snapCheckbox.type = 'checkbox'
+		snapCheckbox.checked = this.song.snapToBeats
+		snapCheckbox.addEventListener('change', () => {
+			this.song.snapToBeats = snapCheckbox.checked
+			this.draw()
+		})
+		const snapSpan = document.createElement('span')
+		snapSpan.textContent = 'Snap'
+		snapLabel.appendChild(snapCheckbox)
+		snapLabel.appendChild(snapSpan)
+		this.snapCheckbox = snapCheckbox
+
+		controls.appendChild(zoomOutButton)
+		controls.appendChild(zoomInButton)
+		controls.appendChild(fitButton)
+		controls.appendChild(scrollLabel)
+		controls.appendChild(scrollInput)
+		controls.appendChild(followLabel)
+		controls.appendChild(snapLabel)
+
+		this.controls = controls
+		this.updateControls()
+		return controls
+	}
+
+	/**
+	 * Syncs the scroll input with the visible range
+	 * @returns {void}
+	*/
+	updateControls() {
+		if (!this.scrollInput) return
+		const [start, end] = this.getVisibleRange()
+		this.scrollInput.max = Math.max(0, this.getDuration() - (end - start))
+		this.scrollInput.value = start
+		this.scrollInput.disabled = !this.isZoomed()
+		if (this.snapCheckbox) this.snapCheckbox.disabled = !this.song.beatGrid
+		this.controls?.classList.toggle('zoomed', this.isZoomed())
+	}
+
+	/**
+	 * Returns the coarsest peak level that still has at least one peak per pixel
+	 * @param {number} samplesPerPixel
+	 * @returns {PeakLevel}
+	*/
+	getLevel(samplesPerPixel) {
+		const { levels } = this.peaks
+		let level = levels[0]
+		for (const candidate of levels) {
+			if (candidate.samplesPerPeak <= samplesPerPixel) level = candidate
+		}
+		return level
+	}
+
+	/**
+	 * Draws the visible range of the waveform, then the overlay
+	 * @returns {void}
+	*/
+	draw() {
+		const canvas = this.canvas
+		const ctx = canvas?.getContext('2d')
+		if (!ctx || !this.peaks) return
+
+		const cssWidth = Math.max(300, Math.floor(canvas.clientWidth || 300))
+		const cssHeight = Waveform.HEIGHT
+		const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1))
+		if (canvas.width !== cssWidth * dpr) canvas.width = cssWidth * dpr
+		if (canvas.height !== cssHeight * dpr) canvas.height = cssHeight * dpr
+
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+		ctx.clearRect(0, 0, cssWidth, cssHeight)
+		ctx.imageSmoothingEnabled = false
+
+		const color = getComputedStyle(document.documentElement)
+			.getPropertyValue('--text-neutral')
+			.trim() || '#000'
+		ctx.fillStyle = color
+
+		const [start, end] = this.getVisibleRange()
+		const { sampleRate } = this.peaks
+		const samplesPerPixel = ((end - start) * sampleRate) / cssWidth
+		const level = this.getLevel(samplesPerPixel)
+		const peaksPerPixel = samplesPerPixel / level.samplesPerPeak
+		const firstPeak = (start * sampleRate) / level.samplesPerPeak
+		const middle = cssHeight / 2
+
+		for (let x = 0; x < cssWidth; x++) {
+			const from = Math.floor(firstPeak + x * peaksPerPixel)
+			const to = Math.max(from + 1, Math.floor(firstPeak + (x + 1) * peaksPerPixel))
+			if (from >= level.min.length) break
+
+			let columnMin = 127
+			let columnMax = -127
+			for (let i = from; i < Math.min(to, level.min.length); i++) {
+				if (level.min[i] < columnMin) columnMin = level.min[i]
+				if (level.max[i] > columnMax) columnMax = level.max[i]
+			}
+
+			// Always draw at least 1px so silence is still visible
+			const top = middle - (columnMax / 127) * middle
+			const bottom = middle - (columnMin / 127) * middle
+			ctx.fillRect(x, top, 1, Math.max(1, bottom - top))
+		}
+
+		this.updatePlayhead()
+		this.updateControls()
+		this.overlay?.draw()
+		this.player.chordLane?.draw()
+	}
+}
@@ -0,0 +1,429 @@
+import { Notification } from './Notification.js'
+
+/**
+ * An interactive layer drawn on top of the waveform
+ *
+ * - Draws every marker as a line, and shades the selected segment
+ * - Draws the metronome's beat grid while it is on, otherwise the detected beats
+ * - Marker drags and selections snap to detected beats (hold Alt to bypass)
+ * - Dragging a marker line moves the marker
+ * - Clicking seeks
+ * - Dragging across the waveform selects a segment
+ * - Pinching (two pointers) zooms and pans the waveform
+*/
+export class WaveformOverlay {
+	/**
+	 * How close (in CSS pixels) a pointer must be to a marker line to grab it
+	 * @type {number}
+	*/
+	static GRAB_DISTANCE = 6
+
+	/**
+	 * How far (in CSS pixels) a pointer must move before a press becomes a drag
+	 * @type {number}
+	*/
+	static DRAG_THRESHOLD = 4
+
+	/** @type {HTMLCanvasElement|null} */
+	canvas = null
+
+	/**
+	 * The active pointer interaction, if any
+	 * @type {{ type: 'marker'|'select'|'press', startX: number, startTime: number, time: number, marker?: import('./Marker.js').Marker }|null}
+	*/
+	interaction = null
+
+	/**
+	 * The x positions of all active pointers, keyed by pointer id
+	 * @type {Map<number, number>}
+	*/
+	pointers = new Map()
+
+	/**
+	 * The active pinch gesture, if any
+	 * @type {{ distance: number, anchorTime: number, visible: number }|null}
+	*/
+	pinch = null
+
+	/**
+	 * @constructor
+	 * @param {import('./Player.js').Player} player - The Player instance to draw for
+	 * @param {import('./Waveform.js').Waveform} waveform - The waveform this overlay is drawn on
+	*/
+	constructor(player, waveform) {
+		this.player = player
+		this.waveform = waveform
+		this.song = player.song
+		this.init()
+	}
+
+	/**
+	 * Initializes the overlay canvas and its listeners
+	 * @returns {void}
+	*/
+	init() {
+		const canvas = document.createElement('canvas')
+		canvas.className = 'waveform-overlay'
+		canvas.setAttribute('aria-hidden', 'true')
+		this.canvas = canvas
+
+		canvas.addEventListener('pointerdown', (e) => this.onPointerDown(e))
+		canvas.addEventListener('pointermove', (e) => this.onPointerMove(e))
+		canvas.addEventListener('pointerup', (e) => this.onPointerUp(e))
+		canvas.addEventListener('pointercancel', (e) => {
+			this.pointers.delete(e.pointerId)
+			this.pinch = null
+			this.cancelInteraction()
+		})
+	}
+
+	/**
+	 * Returns the overlay canvas
+	 * @returns {HTMLCanvasElement}
+	*/
+	getElement() {
+		return this.canvas
+	}
+
+	/**
+	 * Returns the visible time range of the waveform
+	 * @returns {[number, number]} - The start and end of the visible range in seconds
+	*/
+	getVisibleRange() {
+		return this.waveform.getVisibleRange()
+	}
+
+	/**
+	 * Converts a time to an x position in CSS pixels
+	 * @param {number} time - A time in seconds
+	 * @returns {number}
+	*/
+	timeToX(time) {
+		const [start, end] = this.getVisibleRange()
+		if (end <= start) return 0
+		return ((time - start) / (end - start)) * this.canvas.clientWidth
+	}
+
+	/**
+	 * Converts an x position in CSS pixels to a time (clamped to the song)
+	 * @param {number} x - An x position relative to the canvas
+	 * @returns {number}
+	*/
+	xToTime(x) {
+		const [start, end] = this.getVisibleRange()
+		const width = this.canvas.clientWidth || 1
+		const time = start + (x / width) * (end - start)
+		return Math.min(this.song.getDuration(), Math.max(0, time))
+	}
+
+	/**
+	 * Returns the x position of a pointer event relative to the canvas
+	 * @param {PointerEvent} e
+	 * @returns {number}
+	*/
+	getEventX(e) {
+		return e.clientX - this.canvas.getBoundingClientRect().left
+	}
+
+	/**
+	 * Returns the marker whose line is closest to an x position (within grab distance)
+	 * Only markers the user can edit can be grabbed (viewers of a shared book can only move their private markers)
+	 * @param {number} x - An x position in CSS pixels
+	 * @returns {import('./Marker.js').Marker|null}
+	*/
+	getMarkerAt(x) {
+		let closest = null
+		let closestDistance = WaveformOverlay.GRAB_DISTANCE
+
+		this.song.markerList.markers.filter(marker => marker.canEdit()).forEach(marker => {
+			const distance = Math.abs(this.timeToX(marker.time) - x)
+			if (distance <= closestDistance) {
+				closest = marker
+				closestDistance = distance
+			}
+		})
+
+		return closest
+	}
+
+	/**
+	 * Starts a marker drag, a selection, or a click
+	 * @param {PointerEvent} e
+	 * @returns {void}
+	*/
+	onPointerDown(e) {
+		if (e.button !== 0) return
+
+		const x = this.getEventX(e)
+		this.pointers.set(e.pointerId, x)
+		this.canvas.setPointerCapture(e.pointerId)
+
+		// A second pointer turns whatever was happening into a pinch
+		if (this.pointers.size === 2) {
+			this.interaction = null
+			this.startPinch()
+			return
+		}
+		if (this.pointers.size > 2) return
+
+		const time = this.xToTime(x)
+		const marker = this.getMarkerAt(x)
+
+		this.interaction = {
+			type: marker ? 'marker' : 'press',
+			startX: x,
+			startTime: time,
+			time,
+			marker
+		}
+	}
+
+	/**
+	 * Updates the active drag, or the cursor when hovering over a marker
+	 * @param {PointerEvent} e
+	 * @returns {void}
+	*/
+	onPointerMove(e) {
+		const x = this.getEventX(e)
+
+		if (this.pointers.has(e.pointerId)) this.pointers.set(e.pointerId, x)
+		if (this.pinch) {
+			this.updatePinch()
+			return
+		}
+
+		if (!this.interaction) {
+			this.canvas.style.cursor = this.getMarkerAt(x) ? 'ew-resize' : ''
+			return
+		}
+
+		const moved = Math.abs(x - this.interaction.startX) > WaveformOverlay.DRAG_THRESHOLD
+		if (this.interaction.type === 'press' && moved) {
+			this.interaction.type = 'select'
+			this.interaction.startTime = this.snapTime(this.interaction.startTime, e)
+		}
+
+		this.interaction.time = this.snapTime(this.xToTime(x), e)
+		this.draw()
+	}
+
+	/**
+	 * Completes the active interaction
+	 * @param {PointerEvent} e
+	 * @returns {void}
+	*/
+	onPointerUp(e) {
+		this.pointers.delete(e.pointerId)
+		if (this.canvas.hasPointerCapture(e.pointerId)) {
+			this.canvas.releasePointerCapture(e.pointerId)
+		}
+
+		// Lifting a finger ends the pinch without seeking or selecting
+		if (this.pinch) {
+			if (this.pointers.size < 2) this.pinch = null
+			return
+		}
+
+		const interaction = this.interaction
+		if (!interaction) return
+
+		this.interaction = null
+
+		const moved = Math.abs(this.getEventX(e) - interaction.startX) > WaveformOverlay.DRAG_THRESHOLD
+
+		switch (interaction.type) {
+			case 'marker':
+				if (moved) this.moveMarker(interaction.marker, interaction.time)
+				else this.seek(interaction.marker.time)
+				break
+			case 'select':
+				this.song.markerList.setSegmentSelection(
+					Math.min(interaction.startTime, interaction.time),
+					Math.max(interaction.startTime, interaction.time)
+				)
+				break
+			default:
+				this.seek(interaction.startTime)
+				break
+		}
+
+		this.draw()
+	}
+
+	/**
+	 * Snaps a time to the song's beat grid unless Alt is held
+	 * @param {number} time - A time in seconds
+	 * @param {PointerEvent} e
+	 * @returns {number}
+	*/
+	snapTime(time, e) {
+		return e.altKey ? time : this.song.snapTime(time)
+	}
+
+	/**
+	 * Returns the distance and midpoint between the first two active pointers
+	 * @returns {{ distance: number, center: number }}
+	*/
+	getPinchGeometry() {
+		const [a, b] = [...this.pointers.values()]
+		return { distance: Math.max(1, Math.abs(a - b)), center: (a + b) / 2 }
+	}
+
+	/**
+	 * Starts a pinch gesture, anchored at the time between the two pointers
+	 * @returns {void}
+	*/
+	startPinch() {
+		const { distance, center } = this.getPinchGeometry()
+		const [start, end] = this.getVisibleRange()
+		this.pinch = {
+			distance,
+			anchorTime: start + (center / (this.canvas.clientWidth || 1)) * (end - start),
+			visible: end - start
+		}
+	}
+
+	/**
+	 * Zooms and pans so the anchor time stays between the two pointers
+	 * @returns {void}
+	*/
+	updatePinch() {
+		const { distance, center } = this.getPinchGeometry()
+		const visible = this.pinch.visible * (this.pinch.distance / distance)
+		const start = this.pinch.anchorTime - (center / (this.canvas.clientWidth || 1)) * visible
+		this.waveform.setView(start, start + visible)
+	}
+
+	/**
+	 * Cancels the active interaction without applying it
+	 * @returns {void}
+	*/
+	cancelInteraction() {
+		this.interaction = null
+		this.draw()
+	}
+
+	/**
+	 * Seeks the player to a time
+	 * @param {number} time - A time in seconds
+	 * @returns {void}
+	*/
+	seek(time) {
+		this.player.getAudioElement().currentTime = time
+	}
+
+	/**
+	 * Moves a marker to a new time and persists it
+	 * @param {import('./Marker.js').Marker} marker - The marker to move
+	 * @param {number} time - The new time in seconds
+	 * @returns {void}
+	*/
+	moveMarker(marker, time) {
+		try {
+			marker.setTime(time)
+			this.song.markerList.renderMarkersList()
+		} catch (error) {
+			new Notification(`Unable to move ${marker.title}: ${error.message}`, 'error')
+		}
+	}
+
+	/**
+	 * Draws the markers and selected segment
+	 * @returns {void}
+	*/
+	draw() {
+		const canvas = this.canvas
+		const ctx = canvas?.getContext('2d')
+		if (!ctx) return
+
+		const cssWidth = canvas.clientWidth
+		const cssHeight = canvas.clientHeight
+		const dpr = Math.max(1, Math.floor(window.devicePixelRatio || 1))
+		if (canvas.width !== cssWidth * dpr) canvas.width = cssWidth * dpr
+		if (canvas.height !== cssHeight * dpr) canvas.height = cssHeight * dpr
+
+		ctx.setTransform(dpr, 0, 0, dpr, 0, 0)
+		ctx.clearRect(0, 0, cssWidth, cssHeight)
+
+		if (!this.song.getDuration()) return
+
+		const styles = getComputedStyle(document.documentElement)
+		const markerColor = styles.getPropertyValue('--primary').trim() || '#007bff'
+		const regionColor = styles.getPropertyValue('--accent').trim() || '#dc3545'
+		const gridColor = styles.getPropertyValue('--text-neutral').trim() || '#000'
+
+		// Beat grid (bar lines stronger than beats, beats hidden when too dense)
+		const [start, end] = this.getVisibleRange()
+		const metronome = this.player.metronome
+		const beats = metronome?.enabled
+			? metronome.getBeatsInRange(start, end)
+			: this.song.getBeatsInRange(start, end)
+
+		if (beats.length) {
+			const beatLength = metronome?.enabled ? metronome.getBeatLength() : 60 / this.song.beatGrid.tempo
+			const beatWidth = this.timeToX(start + beatLength) - this.timeToX(start)
+			ctx.strokeStyle = gridColor
+			ctx.lineWidth = 1
+
+			beats.forEach(({ time, isDownbeat }) => {
+				if (!isDownbeat && beatWidth < 4) return
+				const x = Math.round(this.timeToX(time)) + 0.5
+				ctx.globalAlpha = isDownbeat ? 0.35 : 0.12
+				ctx.beginPath()
+				ctx.moveTo(x, 0)
+				ctx.lineTo(x, cssHeight)
+				ctx.stroke()
+			})
+			ctx.globalAlpha = 1
+		}
+
+		// Selected segment (or the one being dragged out)
+		const bounds = this.interaction?.type === 'select'
+			? [
+				Math.min(this.interaction.startTime, this.interaction.time),
+				Math.max(this.interaction.startTime, this.interaction.time)
+			]
+			: this.song.markerList.getSegmentTimeBounds()
+
+		if (bounds) {
+			const x1 = this.timeToX(bounds[0])
+			const x2 = this.timeToX(bounds[1])
+			ctx.fillStyle = regionColor
+			ctx.globalAlpha = this.song.markerList.segmentManager.active ? 0.3 : 0.15
+			ctx.fillRect(x1, 0, x2 - x1, cssHeight)
+			ctx.globalAlpha = 1
+		}
+
+		// Marker lines and labels
+		ctx.strokeStyle = markerColor
+		ctx.fillStyle = markerColor
+		ctx.lineWidth = 2
+		ctx.font = '12px sans-serif'
+		ctx.textBaseline = 'top'
+
+		this.song.markerList.markers.forEach(marker => {
+			const isDragging = this.interaction?.type === 'marker' && this.interaction.marker === marker
+			const time = isDragging ? this.interaction.time : marker.time
+			const x = Math.round(this.timeToX(time)) + 0.5
+			if (x < 0 || x > cssWidth) return
+
+			ctx.globalAlpha = isDragging ? 0.6 : 1
+			ctx.beginPath()
+			ctx.moveTo(x, 0)
+			ctx.lineTo(x, cssHeight)
+			ctx.stroke()
+
+			// Flag at the top of the line
+			ctx.beginPath()
+			ctx.moveTo(x, 0)
+			ctx.lineTo(x + 6, 0)
+			ctx.lineTo(x, 6)
+			ctx.closePath()
+			ctx.fill()
+
+			ctx.fillText(marker.title ?? '', x + 3, 8, 80)
+		})
+
+		ctx.globalAlpha = 1
+	}
+}
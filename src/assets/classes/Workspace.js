@@ -49,6 +49,26 @@ export class Workspace {
 		// Append song header to workspace
 		this.wrapper.appendChild(song.getHeader())
 
+		// Songs load their audio (and render their edits) when opened
+		if (!song.isPlaybackReady()) {
+			const hasEdits = song.editList.hasEdits()
+			const rendering = document.createElement('p')
+			rendering.className = 'rendering-edits'
+			rendering.textContent = hasEdits ? 'Applying audio edits...' : 'Loading audio...'
+			this.wrapper.appendChild(rendering)
+
+			song.preparePlayback().then(() => {
+				if (song.bandbook.activeSong === song) song.bandbook.refresh()
+			}).catch(error => {
+				Sentry.captureException(error)
+				rendering.textContent = hasEdits
+					? `Unable to apply audio edits: ${error.message}`
+					: `Unable to load audio: ${error.message}`
+				if (hasEdits) this.wrapper.appendChild(song.editList.getControls())
+			})
+			return
+		}
+
 		// Create player wrapper
 		const playerWrapper = document.createElement('div')
 		playerWrapper.className = 'player-wrapper'
@@ -0,0 +1,468 @@
+/**
+ * Minimal streaming zip support (stored entries, ZIP64 for large archives)
+ *
+ * - ZipWriter writes entries one chunk at a time to any async sink (e.g. a file on disk), so an archive never has to fit in memory
+ * - ZipReader reads the central directory from the end of a File and slices entries out of it on demand
+*/
+
+/** Signatures */
+const LOCAL_FILE_HEADER = 0x04034b50
+const DATA_DESCRIPTOR = 0x08074b50
+const CENTRAL_DIRECTORY_HEADER = 0x02014b50
+const END_OF_CENTRAL_DIRECTORY = 0x06054b50
+const ZIP64_END_OF_CENTRAL_DIRECTORY = 0x06064b50
+const ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR = 0x07064b50
+
+/** The id of the ZIP64 extra field */
+const ZIP64_EXTRA = 0x0001
+
+/** Values that mean "see the ZIP64 record" */
+const MAX_UINT16 = 0xffff
+const MAX_UINT32 = 0xffffffff
+
+/** Flags: sizes and CRC follow the data (bit 3), UTF-8 names (bit 11) */
+const FLAGS = 0x0808
+
+/** Compression methods */
+const STORED = 0
+const DEFLATED = 8
+
+/** The size of the chunks entries are written in */
+const CHUNK_SIZE = 1024 * 1024
+
+/**
+ * The CRC-32 lookup table
+ * @type {Uint32Array}
+ */
+const CRC_TABLE = (() => {
+	const table = new Uint32Array(256)
+	for (let i = 0; i < 256; i++) {
+		let c = i
+		for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+		table[i] = c >>> 0
+	}
+	return table
+})()
+
+/**
+ * Continues a CRC-32 over more bytes
+ * @param {number} crc - The CRC so far (0 to start)
+ * @param {Uint8Array} bytes
+ * @returns {number}
+ */
+export const crc32 = (crc, bytes) => {
+	crc = ~crc >>> 0
+	for (let i = 0; i < bytes.length; i++) crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8)
+	return ~crc >>> 0
+}
+
+/**
+ * Returns the DOS time and date of a Date
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+const toDosDateTime = (date) => ({
+	time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+	date: (Math.max(0, date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+})
+
+/**
+ * A little-endian byte builder
+ */
+class Bytes {
+	/**
+	 * @param {number} length - The total length in bytes
+	 */
+	constructor(length) {
+		this.bytes = new Uint8Array(length)
+		this.view = new DataView(this.bytes.buffer)
+		this.offset = 0
+	}
+
+	uint16(value) {
+		this.view.setUint16(this.offset, value, true)
+		this.offset += 2
+		return this
+	}
+
+	uint32(value) {
+		this.view.setUint32(this.offset, value, true)
+		this.offset += 4
+		return this
+	}
+
+	uint64(value) {
+		this.view.setBigUint64(this.offset, BigInt(value), true)
+		this.offset += 8
+		return this
+	}
+
+	raw(bytes) {
+		this.bytes.set(bytes, this.offset)
+		this.offset += bytes.length
+		return this
+	}
+}
+
+/**
+ * @typedef {Object} ZipWriterEntry
+ * @property {Uint8Array} name - The UTF-8 encoded name
+ * @property {number} crc - The CRC-32 of the data
+ * @property {number} size - The size of the data
+ * @property {number} offset - The offset of the local file header
+ * @property {boolean} zip64 - Whether the entry needs ZIP64 sizes
+ * @property {{ time: number, date: number }} modified - The DOS modification time
+*/
+
+/**
+ * Writes a zip archive (entries are stored, as audio files don't compress) to an async sink
+*/
+export class ZipWriter {
+	/**
+	 * The bytes written so far
+	 * @type {number}
+	*/
+	offset = 0
+
+	/** @type {ZipWriterEntry[]} */
+	entries = []
+
+	/**
+	 * @constructor
+	 * @param {(chunk: Uint8Array) => Promise<void>|void} write - Receives the archive one chunk at a time (awaited before the next)
+	*/
+	constructor(write) {
+		this.sink = write
+	}
+
+	/**
+	 * Writes a chunk to the sink
+	 * @param {Uint8Array} chunk
+	 * @returns {Promise<void>}
+	*/
+	async write(chunk) {
+		await this.sink(chunk)
+		this.offset += chunk.length
+	}
+
+	/**
+	 * Adds a file
+	 * @param {string} name - The path of the file in the archive
+	 * @param {Blob|ArrayBuffer|Uint8Array|string} data - The file contents
+	 * @param {Date} [modified=new Date()] - The modification time
+	 * @returns {Promise<void>}
+	*/
+	async addFile(name, data, modified = new Date()) {
+		if (typeof data === 'string') data = new TextEncoder().encode(data)
+		if (data instanceof ArrayBuffer) data = new Uint8Array(data)
+
+		const size = data instanceof Blob ? data.size : data.length
+		const entry = {
+			name: new TextEncoder().encode(name),
+			crc: 0,
+			size,
+			offset: this.offset,
+			zip64: size >= MAX_UINT32,
+			modified: toDosDateTime(modified)
+		}
+
+		// Local file header (the CRC and sizes follow the data)
+		const extraLength = entry.zip64 ? 20 : 0
+		const header = new Bytes(30 + entry.name.length + extraLength)
+			.uint32(LOCAL_FILE_HEADER)
+			.uint16(entry.zip64 ? 45 : 20)
+			.uint16(FLAGS)
+			.uint16(STORED)
+			.uint16(entry.modified.time)
+			.uint16(entry.modified.date)
+			.uint32(0)
+			.uint32(entry.zip64 ? MAX_UINT32 : 0)
+			.uint32(entry.zip64 ? MAX_UINT32 : 0)
+			.uint16(entry.name.length)
+			.uint16(extraLength)
+			.raw(entry.name)
+		if (entry.zip64) header.uint16(ZIP64_EXTRA).uint16(16).uint64(0).uint64(0)
+		await this.write(header.bytes)
+
+		// Data
+		if (data instanceof Blob) {
+			const reader = data.stream().getReader()
+			while (true) {
+				const { done, value } = await reader.read()
+				if (done) break
+				entry.crc = crc32(entry.crc, value)
+				await this.write(value)
+			}
+		} else {
+			for (let start = 0; start < size; start += CHUNK_SIZE) {
+				const chunk = data.subarray(start, start + CHUNK_SIZE)
+				entry.crc = crc32(entry.crc, chunk)
+				// Copy, as sinks may hold on to chunks after the data is gone
+				await this.write(chunk.slice())
+			}
+		}
+
+		// Data descriptor
+		const descriptor = new Bytes(entry.zip64 ? 24 : 16)
+			.uint32(DATA_DESCRIPTOR)
+			.uint32(entry.crc)
+		if (entry.zip64) descriptor.uint64(size).uint64(size)
+		else descriptor.uint32(size).uint32(size)
+		await this.write(descriptor.bytes)
+
+		this.entries.push(entry)
+	}
+
+	/**
+	 * Writes the central directory (no files can be added afterwards)
+	 * @returns {Promise<void>}
+	*/
+	async close() {
+		const start = this.offset
+
+		for (const entry of this.entries) {
+			const largeSize = entry.size >= MAX_UINT32
+			const largeOffset = entry.offset >= MAX_UINT32
+			const extraLength = (largeSize || largeOffset) ? 4 + (largeSize ? 16 : 0) + (largeOffset ? 8 : 0) : 0
+
+			const header = new Bytes(46 + entry.name.length + extraLength)
+				.uint32(CENTRAL_DIRECTORY_HEADER)
+				.uint16(45)
+				.uint16(extraLength ? 45 : 20)
+				.uint16(FLAGS)
+				.uint16(STORED)
+				.uint16(entry.modified.time)
+				.uint16(entry.modified.date)
+				.uint32(entry.crc)
+				.uint32(largeSize ? MAX_UINT32 : entry.size)
+				.uint32(largeSize ? MAX_UINT32 : entry.size)
+				.uint16(entry.name.length)
+				.uint16(extraLength)
+				.uint16(0)
+				.uint16(0)
+				.uint16(0)
+				.uint32(0)
+				.uint32(largeOffset ? MAX_UINT32 : entry.offset)
+				.raw(entry.name)
+
+			if (extraLength) {
+				header.uint16(ZIP64_EXTRA).uint16(extraLength - 4)
+				if (largeSize) header.uint64(entry.size).uint64(entry.size)
+				if (largeOffset) header.uint64(entry.offset)
+			}
+
+			await this.write(header.bytes)
+		}
+
+		const size = this.offset - start
+		const count = this.entries.length
+		const zip64 = count >= MAX_UINT16 || start >= MAX_UINT32 || size >= MAX_UINT32
+
+		if (zip64) {
+			const end = this.offset
+			await this.write(new Bytes(56)
+				.uint32(ZIP64_END_OF_CENTRAL_DIRECTORY)
+				.uint64(44)
+				.uint16(45)
+				.uint16(45)
+				.uint32(0)
+				.uint32(0)
+				.uint64(count)
+				.uint64(count)
+				.uint64(size)
+				.uint64(start)
+				.bytes)
+			await this.write(new Bytes(20)
+				.uint32(ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR)
+				.uint32(0)
+				.uint64(end)
+				.uint32(1)
+				.bytes)
+		}
+
+		await this.write(new Bytes(22)
+			.uint32(END_OF_CENTRAL_DIRECTORY)
+			.uint16(0)
+			.uint16(0)
+			.uint16(zip64 ? MAX_UINT16 : count)
+			.uint16(zip64 ? MAX_UINT16 : count)
+			.uint32(zip64 ? MAX_UINT32 : size)
+			.uint32(zip64 ? MAX_UINT32 : start)
+			.uint16(0)
+			.bytes)
+	}
+}
+
+/**
+ * @typedef {Object} ZipReaderEntry
+ * @property {string} name - The path of the file in the archive
+ * @property {number} method - The compression method
+ * @property {number} compressedSize - The size of the stored data
+ * @property {number} size - The size of the file
+ * @property {number} offset - The offset of the local file header
+*/
+
+/**
+ * Reads a zip archive from a File (or Blob) without loading all of it
+*/
+export class ZipReader {
+	/** @type {Map<string, ZipReaderEntry>} */
+	entries = new Map()
+
+	/**
+	 * @constructor
+	 * @param {Blob} file - A zip archive
+	*/
+	constructor(file) {
+		this.file = file
+	}
+
+	/**
+	 * Returns whether a file starts like a zip archive
+	 * @param {Blob} file
+	 * @returns {Promise<boolean>}
+	*/
+	static async isZip(file) {
+		const bytes = new Uint8Array(await file.slice(0, 4).arrayBuffer())
+		return bytes.length === 4 && new DataView(bytes.buffer).getUint32(0, true) === LOCAL_FILE_HEADER
+	}
+
+	/**
+	 * Reads part of the file
+	 * @param {number} start
+	 * @param {number} end
+	 * @returns {Promise<DataView>}
+	*/
+	async read(start, end) {
+		return new DataView(await this.file.slice(start, end).arrayBuffer())
+	}
+
+	/**
+	 * Reads the central directory
+	 * @returns {Promise<ZipReader>}
+	 * @throws {Error} - If the file is not a zip archive
+	*/
+	async open() {
+		const size = this.file.size
+
+		// The end of central directory record is in the last 64 KiB (plus its own size)
+		const tailStart = Math.max(0, size - (MAX_UINT16 + 22))
+		const tail = await this.read(tailStart, size)
+		let end = -1
+		for (let i = tail.byteLength - 22; i >= 0; i--) {
+			if (tail.getUint32(i, true) === END_OF_CENTRAL_DIRECTORY) {
+				end = i
+				break
+			}
+		}
+		if (end < 0) throw new Error('Not a zip archive')
+
+		let count = tail.getUint16(end + 10, true)
+		let directorySize = tail.getUint32(end + 12, true)
+		let directoryOffset = tail.getUint32(end + 16, true)
+
+		// ZIP64 end of central directory
+		if (count === MAX_UINT16 || directorySize === MAX_UINT32 || directoryOffset === MAX_UINT32) {
+			const locator = end - 20
+			if (locator < 0 || tail.getUint32(locator, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY_LOCATOR) {
+				throw new Error('Missing ZIP64 end of central directory')
+			}
+
+			const recordOffset = Number(tail.getBigUint64(locator + 8, true))
+			const record = await this.read(recordOffset, recordOffset + 56)
+			if (record.getUint32(0, true) !== ZIP64_END_OF_CENTRAL_DIRECTORY) throw new Error('Invalid ZIP64 end of central directory')
+
+			count = Number(record.getBigUint64(32, true))
+			directorySize = Number(record.getBigUint64(40, true))
+			directoryOffset = Number(record.getBigUint64(48, true))
+		}
+
+		const directory = await this.read(directoryOffset, directoryOffset + directorySize)
+		const decoder = new TextDecoder()
+		let position = 0
+
+		for (let i = 0; i < count; i++) {
+			if (directory.getUint32(position, true) !== CENTRAL_DIRECTORY_HEADER) throw new Error('Invalid central directory')
+
+			const nameLength = directory.getUint16(position + 28, true)
+			const extraLength = directory.getUint16(position + 30, true)
+			const commentLength = directory.getUint16(position + 32, true)
+			const entry = {
+				name: decoder.decode(new Uint8Array(directory.buffer, position + 46, nameLength)),
+				method: directory.getUint16(position + 10, true),
+				compressedSize: directory.getUint32(position + 20, true),
+				size: directory.getUint32(position + 24, true),
+				offset: directory.getUint32(position + 42, true)
+			}
+
+			// ZIP64 extra field values appear (in this order) only for fields set to the maximum
+			let extra = position + 46 + nameLength
+			const extraEnd = extra + extraLength
+			while (extra + 4 <= extraEnd) {
+				const id = directory.getUint16(extra, true)
+				const length = directory.getUint16(extra + 2, true)
+				if (id === ZIP64_EXTRA) {
+					let field = extra + 4
+					const next = () => {
+						const value = Number(directory.getBigUint64(field, true))
+						field += 8
+						return value
+					}
+					if (entry.size === MAX_UINT32) entry.size = next()
+					if (entry.compressedSize === MAX_UINT32) entry.compressedSize = next()
+					if (entry.offset === MAX_UINT32) entry.offset = next()
+				}
+				extra += 4 + length
+			}
+
+			this.entries.set(entry.name, entry)
+			position = extraEnd + commentLength
+		}
+
+		return this
+	}
+
+	/**
+	 * Returns whether the archive has a file
+	 * @param {string} name - The path of the file in the archive
+	 * @returns {boolean}
+	*/
+	has(name) {
+		return this.entries.has(name)
+	}
+
+	/**
+	 * Returns a file's contents (as a slice of the archive when stored)
+	 * @param {string} name - The path of the file in the archive
+	 * @returns {Promise<Blob>}
+	 * @throws {Error} - If the file is missing or compressed with an unsupported method
+	*/
+	async getBlob(name) {
+		const entry = this.entries.get(name)
+		if (!entry) throw new Error(`${name} is missing from the archive`)
+
+		const header = await this.read(entry.offset, entry.offset + 30)
+		if (header.getUint32(0, true) !== LOCAL_FILE_HEADER) throw new Error(`Invalid local header for ${name}`)
+
+		const start = entry.offset + 30 + header.getUint16(26, true) + header.getUint16(28, true)
+		const data = this.file.slice(start, start + entry.compressedSize)
+
+		if (entry.method === STORED) return data
+
+		// Archives re-zipped with other tools may be deflated
+		if (entry.method === DEFLATED && typeof DecompressionStream !== 'undefined') {
+			return new Response(data.stream().pipeThrough(new DecompressionStream('deflate-raw'))).blob()
+		}
+
+		throw new Error(`${name} uses an unsupported compression method`)
+	}
+
+	/**
+	 * Returns a file's contents as text
+	 * @param {string} name - The path of the file in the archive
+	 * @returns {Promise<string>}
+	*/
+	async getText(name) {
+		return (await this.getBlob(name)).text()
+	}
+}
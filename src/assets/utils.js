@@ -40,59 +40,263 @@ export const formattedTimeToSeconds = (formattedTime) => {
 }
 
 /**
- * Converts an AudioBuffer to a Blob
- * @param {AudioBuffer} audioBuffer
- * @param {string} type
- * @returns {Blob}
+ * Returns a readable size given a number of bytes
+ * @param {number} bytes
+ * @returns {string} formattedSize (e.g. "4.2 MB")
+*/
+export const formatBytes = (bytes) => {
+	const units = ['B', 'KB', 'MB', 'GB', 'TB']
+	let size = Math.max(0, bytes || 0)
+	let unit = 0
+
+	while (size >= 1000 && unit < units.length - 1) {
+		size /= 1000
+		unit++
+	}
+
+	return `${unit && size < 10 ? size.toFixed(1) : Math.round(size)} ${units[unit]}`
+}
+
+/**
+ * Returns the SHA-256 hash of a file's contents (as hex)
+ * @param {Blob} blob - A file (or a slice of one)
+ * @returns {Promise<string>}
+*/
+export const hashBlob = async (blob) => {
+	const digest = await crypto.subtle.digest('SHA-256', await blob.arrayBuffer())
+	return [...new Uint8Array(digest)].map(byte => byte.toString(16).padStart(2, '0')).join('')
+}
+
+/**
+ * Note names in pitch class order, spelled with sharps
+ * @type {string[]}
  */
-export const audioBufferToBlob = (audioBuffer, type) => {
-	const numberOfChannels = audioBuffer.numberOfChannels;
-	const sampleRate = audioBuffer.sampleRate;
-	const length = audioBuffer.length;
-	const interleaved = new Float32Array(length * numberOfChannels);
-	for (let channel = 0; channel < numberOfChannels; channel++) {
-		const channelData = audioBuffer.getChannelData(channel);
-		for (let i = 0; i < length; i++) {
-			interleaved[i * numberOfChannels + channel] = channelData[i];
-		}
+export const SHARP_NOTE_NAMES = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B']
+
+/**
+ * Note names in pitch class order, spelled with flats
+ * @type {string[]}
+ */
+export const FLAT_NOTE_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'Gb', 'G', 'Ab', 'A', 'Bb', 'B']
+
+/**
+ * Returns the pitch class (0-11) of a note name, or null if it cannot be parsed
+ * @param {string} note - A note name (e.g. "C", "F#", "Bb")
+ * @returns {number|null} pitchClass
+ */
+export const noteToPitchClass = (note) => {
+	const match = /^([A-Ga-g])([#b♯♭]?)/.exec(note?.trim() ?? '')
+	if (!match) return null
+
+	const natural = SHARP_NOTE_NAMES.indexOf(match[1].toUpperCase())
+	const accidental = { '#': 1, '♯': 1, 'b': -1, '♭': -1 }[match[2]] ?? 0
+	return (natural + accidental + 12) % 12
+}
+
+/**
+ * Transposes a key (e.g. "Bb", "F#m", "D minor") by a number of semitones
+ * The quality/suffix is preserved and flat keys stay spelled with flats
+ * @param {string} key - A key name
+ * @param {number} semitones - The number of semitones to transpose by
+ * @returns {string} transposedKey (or the original key if it cannot be parsed)
+ */
+export const transposeKey = (key, semitones) => {
+	const match = /^\s*([A-Ga-g][#b♯♭]?)(.*)$/.exec(key ?? '')
+	const shift = Math.round(Number(semitones) || 0)
+	if (!match || shift === 0) return key
+
+	const [, root, suffix] = match
+	const pitchClass = noteToPitchClass(root)
+	const useFlats = /[b♭]/.test(root.slice(1)) || root.toUpperCase() === 'F'
+	const names = useFlats ? FLAT_NOTE_NAMES : SHARP_NOTE_NAMES
+
+	return names[(((pitchClass + shift) % 12) + 12) % 12] + suffix
+}
+
+/**
+ * Returns the conventional name of a key (e.g. "Eb", "F#m")
+ * @param {number} tonic - The pitch class of the tonic (0-11)
+ * @param {'major'|'minor'} mode
+ * @returns {string} key
+ */
+export const formatKey = (tonic, mode) => {
+	const MAJOR_NAMES = ['C', 'Db', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'Ab', 'A', 'Bb', 'B']
+	const MINOR_NAMES = ['C', 'C#', 'D', 'Eb', 'E', 'F', 'F#', 'G', 'G#', 'A', 'Bb', 'B']
+	return mode === 'minor' ? `${MINOR_NAMES[tonic]}m` : MAJOR_NAMES[tonic]
+}
+
+/**
+ * Returns whether notes in a key are conventionally spelled with flats
+ * @param {string} key - A key name (e.g. "Bb", "Dm", "F# minor")
+ * @returns {boolean}
+ */
+export const keyUsesFlats = (key) => {
+	const match = /^\s*([A-Ga-g][#b♯♭]?)\s*(m(?!aj)|min)?/i.exec(key ?? '')
+	if (!match) return false
+	if (/[b♭]/.test(match[1].slice(1))) return true
+
+	// F, and the minor keys relative to flat major keys
+	const pitchClass = noteToPitchClass(match[1])
+	return match[2] ? [0, 2, 5, 7].includes(pitchClass) : pitchClass === 5
+}
+
+/**
+ * Returns the name of a triad (e.g. "Eb", "F#m")
+ * @param {number} root - The pitch class of the root (0-11)
+ * @param {'major'|'minor'} quality
+ * @param {boolean} [useFlats=false] - Whether to spell the root with flats
+ * @returns {string} chord
+ */
+export const formatChord = (root, quality, useFlats = false) => {
+	const names = useFlats ? FLAT_NOTE_NAMES : SHARP_NOTE_NAMES
+	return names[root] + (quality === 'minor' ? 'm' : '')
+}
+
+/**
+ * Decodes encoded audio without detaching the source buffer
+ * @param {Blob|ArrayBuffer} src - The encoded audio
+ * @returns {Promise<AudioBuffer>}
+ */
+export const decodeAudio = async (src) => {
+	const data = src instanceof Blob ? await src.arrayBuffer() : src.slice(0)
+	const audioContext = new AudioContext()
+	try {
+		return await audioContext.decodeAudioData(data)
+	} finally {
+		audioContext.close().catch(error => {
+			console.error('Error closing audio context:', error)
+		})
 	}
-	const dataView = encodeWAV(interleaved, numberOfChannels, sampleRate);
-	const blob = new Blob([dataView], { type: type });
-	return blob;
 }
 
+/**
+ * Decodes part of encoded audio
+ * PCM WAV files are sliced before decoding, so only the range is read; other formats are decoded in full and trimmed straight away
+ * @param {Blob|ArrayBuffer} src - The encoded audio
+ * @param {number} start - The start of the range in seconds
+ * @param {number} end - The end of the range in seconds
+ * @returns {Promise<AudioBuffer>}
+ */
+export const decodeAudioRange = async (src, start, end) => {
+	const blob = src instanceof Blob ? src : new Blob([src])
+	const wav = await getWavRange(blob, start, end)
+	if (wav) return decodeAudio(wav)
 
-const encodeWAV = (samples, channels, sampleRate) => {
-	const buffer = new ArrayBuffer(44 + samples.length * 2);
-	const view = new DataView(buffer);
-	writeString(view, 0, "RIFF");
-	view.setUint32(4, 36 + samples.length * 2, true);
-	writeString(view, 8, "WAVE");
-	writeString(view, 12, "fmt ");
-	view.setUint32(16, 16, true);
-	view.setUint16(20, 1, true);
-	view.setUint16(22, channels, true);
-	view.setUint32(24, sampleRate, true);
-	view.setUint32(28, sampleRate * channels * 2, true);
-	view.setUint16(32, channels * 2, true);
-	view.setUint16(34, 16, true);
-	writeString(view, 36, "data");
-	view.setUint32(40, samples.length * 2, true);
-	floatTo16BitPCM(view, 44, samples);
-	return view;
+	return sliceAudioBuffer(await decodeAudio(blob), start, end)
 }
 
-const floatTo16BitPCM = (output, offset, input) => {
-	for (let i = 0; i < input.length; i++, offset += 2) {
-		const s = Math.max(-1, Math.min(1, input[i]));
-		output.setInt16(offset, s < 0 ? s * 0x8000 : s * 0x7fff, true);
+/**
+ * Returns part of decoded audio
+ * @param {AudioBuffer} buffer - The decoded audio
+ * @param {number} start - The start of the range in seconds
+ * @param {number} end - The end of the range in seconds
+ * @returns {AudioBuffer}
+ */
+export const sliceAudioBuffer = (buffer, start, end) => {
+	const { numberOfChannels, sampleRate } = buffer
+	const startSample = Math.min(buffer.length - 1, Math.max(0, Math.floor(start * sampleRate)))
+	const length = Math.max(1, Math.min(buffer.length, Math.floor(end * sampleRate)) - startSample)
+	const slice = new AudioBuffer({ numberOfChannels, length, sampleRate })
+	for (let channel = 0; channel < numberOfChannels; channel++) {
+		slice.copyToChannel(buffer.getChannelData(channel).subarray(startSample, startSample + length), channel)
 	}
+	return slice
 }
 
-const writeString = (view, offset, string) => {
-	for (let i = 0; i < string.length; i++) {
-	  	view.setUint8(offset + i, string.charCodeAt(i));
+/**
+ * Returns a WAV file of part of a PCM WAV file, reading only its header and the range
+ * @param {Blob} blob - The encoded audio
+ * @param {number} start - The start of the range in seconds
+ * @param {number} end - The end of the range in seconds
+ * @returns {Promise<Blob|null>} - The range as a WAV file, or null if the audio isn't a PCM WAV file
+ */
+const getWavRange = async (blob, start, end) => {
+	const header = new DataView(await blob.slice(0, 65536).arrayBuffer())
+	const readId = (offset) => String.fromCharCode(...new Uint8Array(header.buffer, offset, 4))
+	if (header.byteLength < 12 || readId(0) !== 'RIFF' || readId(8) !== 'WAVE') return null
+
+	// Find the format and data chunks
+	let format = null
+	let formatOffset = 0
+	let offset = 12
+	while (offset + 8 <= header.byteLength) {
+		const id = readId(offset)
+		const size = header.getUint32(offset + 4, true)
+
+		if (id === 'fmt ') {
+			formatOffset = offset
+			format = new Uint8Array(header.buffer, offset, Math.min(8 + size, header.byteLength - offset))
+		} else if (id === 'data') {
+			// PCM, IEEE float or extensible (whose sub-format is one of those)
+			if (!format || ![1, 3, 0xfffe].includes(header.getUint16(formatOffset + 8, true))) return null
+
+			const sampleRate = header.getUint32(formatOffset + 12, true)
+			const blockAlign = header.getUint16(formatOffset + 20, true)
+			const dataStart = offset + 8
+			const dataEnd = size && size !== 0xffffffff ? Math.min(blob.size, dataStart + size) : blob.size
+			const frames = Math.floor((dataEnd - dataStart) / blockAlign)
+			const startFrame = Math.min(frames, Math.max(0, Math.floor(start * sampleRate)))
+			const endFrame = Math.min(frames, Math.max(startFrame + 1, Math.floor(end * sampleRate)))
+			const dataSize = (endFrame - startFrame) * blockAlign
+
+			const chunkHeader = new DataView(new ArrayBuffer(12 + format.length + 8))
+			const writeId = (at, value) => [...value].forEach((char, i) => chunkHeader.setUint8(at + i, char.charCodeAt(0)))
+			writeId(0, 'RIFF')
+			chunkHeader.setUint32(4, 4 + format.length + 8 + dataSize, true)
+			writeId(8, 'WAVE')
+			new Uint8Array(chunkHeader.buffer).set(format, 12)
+			writeId(12 + format.length, 'data')
+			chunkHeader.setUint32(12 + format.length + 4, dataSize, true)
+
+			return new Blob([
+				chunkHeader.buffer,
+				blob.slice(dataStart + startFrame * blockAlign, dataStart + endFrame * blockAlign)
+			], { type: 'audio/wav' })
+		}
+
+		// Chunks are padded to an even size
+		offset += 8 + size + (size % 2)
 	}
+
+	return null
+}
+
+/**
+ * Runs a worker (analysis or encoding) on decoded audio
+ * The worker receives { channels, sampleRate, ...data } and replies once with a result or { error }
+ * @param {URL} url - The worker script
+ * @param {AudioBuffer} audioBuffer - The decoded audio
+ * @param {Object} [data={}] - Additional message data
+ * @returns {Promise<Object>} - The worker's reply
+ */
+export const runAudioWorker = (url, audioBuffer, data = {}) => {
+	return new Promise((resolve, reject) => {
+		if (typeof Worker === 'undefined') {
+			return reject(new Error('This browser does not support audio workers'))
+		}
+
+		// Copy the channels so they can be transferred without detaching the AudioBuffer
+		const channels = []
+		for (let i = 0; i < audioBuffer.numberOfChannels; i++) {
+			channels.push(audioBuffer.getChannelData(i).slice())
+		}
+
+		const worker = new Worker(url)
+		worker.addEventListener('message', (e) => {
+			worker.terminate()
+			if (e.data.error) reject(new Error(e.data.error))
+			else resolve(e.data)
+		})
+		worker.addEventListener('error', (e) => {
+			worker.terminate()
+			reject(new Error(e.message || 'The audio worker failed'))
+		})
+
+		worker.postMessage(
+			{ channels, sampleRate: audioBuffer.sampleRate, ...data },
+			channels.map(channel => channel.buffer)
+		)
+	})
 }
 
 export const isIOS = () => {
@@ -0,0 +1,276 @@
+/**
+ * Beat detection worker
+ *
+ * Estimates the tempo, the beat positions and the first downbeat of a recording:
+ * 1. Onset strength - spectral flux of a downsampled short-time Fourier transform
+ * 2. Beat period - autocorrelation of the onset strength, weighted towards 120 BPM
+ * 3. Beats - dynamic programming beat tracker (Ellis, 2007), which follows tempo drift
+ * 4. Downbeat - the beat phase with the most low-frequency onset energy
+ *
+ * Message in: { channels: Float32Array[], sampleRate: number, beatsPerBar: number }
+ * Message out: { grid: BeatGrid } or { error: string }
+ */
+
+importScripts('./dsp.js')
+
+const TARGET_SAMPLE_RATE = 11025
+const FFT_SIZE = 512
+const HOP_SIZE = 128
+const MIN_BPM = 60
+const MAX_BPM = 200
+const PREFERRED_BPM = 120
+const BASS_CUTOFF_HZ = 200
+
+// How strongly the beat tracker prefers steady beats over strong onsets
+const TIGHTNESS = 100
+
+self.addEventListener('message', (e) => {
+	try {
+		const { channels, sampleRate, beatsPerBar } = e.data
+		self.postMessage({ grid: detectBeats(channels, sampleRate, beatsPerBar) })
+	} catch (error) {
+		self.postMessage({ error: error.message })
+	}
+})
+
+/**
+ * Runs the full analysis
+ * @param {Float32Array[]} channels - The audio channels
+ * @param {number} sampleRate - The audio sample rate
+ * @param {number} beatsPerBar - The number of beats in a bar
+ * @returns {import('../classes/BeatDetector.js').BeatGrid}
+ */
+function detectBeats(channels, sampleRate, beatsPerBar) {
+	const { samples, sampleRate: rate } = mixAndDownsample(channels, sampleRate, TARGET_SAMPLE_RATE)
+	const { onset, bass } = getOnsetStrength(samples, rate)
+	const frameRate = rate / HOP_SIZE
+
+	if (onset.length < frameRate * 60 / MIN_BPM * 4) {
+		throw new Error('The recording is too short to detect a tempo')
+	}
+
+	const { period, confidence } = estimateBeatPeriod(onset, frameRate)
+	const beatFrames = trackBeats(onset, period)
+	if (beatFrames.length < 2) throw new Error('No beats were found')
+
+	const frameToTime = (frame) => (frame * HOP_SIZE + FFT_SIZE / 2) / rate
+	const beats = beatFrames.map(frame => Math.round(frameToTime(frame) * 1000) / 1000)
+
+	// A least-squares fit over every beat is more precise than the frame-quantized period
+	const beatLength = fitBeatLength(beatFrames.map(frameToTime))
+
+	const downbeat = findDownbeat(beatFrames, bass, beatsPerBar)
+
+	return {
+		tempo: Math.round(600 / beatLength) / 10,
+		offset: beats[downbeat],
+		beatsPerBar,
+		beats,
+		confidence: Math.round(confidence * 100) / 100
+	}
+}
+
+/**
+ * Returns the slope of the least-squares line through the beat times (the average beat length)
+ * @param {number[]} times - Beat times in seconds
+ * @returns {number}
+ */
+function fitBeatLength(times) {
+	const count = times.length
+	const meanIndex = (count - 1) / 2
+	const meanTime = times.reduce((sum, time) => sum + time, 0) / count
+
+	let covariance = 0
+	let variance = 0
+	times.forEach((time, i) => {
+		covariance += (i - meanIndex) * (time - meanTime)
+		variance += (i - meanIndex) ** 2
+	})
+
+	return covariance / variance
+}
+
+/**
+ * Computes the onset strength (spectral flux) of every frame,
+ * plus the flux of the bass bins alone (used to find downbeats)
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @returns {{ onset: Float32Array, bass: Float32Array }}
+ */
+function getOnsetStrength(samples, sampleRate) {
+	const frames = Math.max(0, Math.floor((samples.length - FFT_SIZE) / HOP_SIZE) + 1)
+	const bins = FFT_SIZE / 2
+	const bassBins = Math.max(1, Math.round(BASS_CUTOFF_HZ * FFT_SIZE / sampleRate))
+
+	let previous = new Float32Array(bins)
+	let current = new Float32Array(bins)
+	const onset = new Float32Array(frames)
+	const bass = new Float32Array(frames)
+
+	forEachSpectrum(samples, FFT_SIZE, HOP_SIZE, (magnitudes, frame) => {
+		let flux = 0
+		let bassFlux = 0
+		for (let k = 1; k < bins; k++) {
+			// Log compression so quiet passages still produce onsets
+			const magnitude = Math.log1p(100 * magnitudes[k])
+			const rise = magnitude - previous[k]
+			current[k] = magnitude
+			if (rise > 0) {
+				flux += rise
+				if (k <= bassBins) bassFlux += rise
+			}
+		}
+
+		if (frame > 0) {
+			onset[frame] = flux
+			bass[frame] = bassFlux
+		}
+		;[previous, current] = [current, previous]
+	})
+
+	return { onset: normalizeOnset(onset, sampleRate / HOP_SIZE), bass }
+}
+
+/**
+ * Removes the local average from the onset strength, half-wave rectifies and scales to unit deviation
+ * @param {Float32Array} onset
+ * @param {number} frameRate
+ * @returns {Float32Array}
+ */
+function normalizeOnset(onset, frameRate) {
+	const radius = Math.max(1, Math.round(frameRate * 0.2))
+	const result = new Float32Array(onset.length)
+
+	let sum = 0
+	for (let i = 0; i < Math.min(radius, onset.length); i++) sum += onset[i]
+
+	for (let i = 0; i < onset.length; i++) {
+		if (i + radius < onset.length) sum += onset[i + radius]
+		if (i - radius - 1 >= 0) sum -= onset[i - radius - 1]
+		const count = Math.min(onset.length - 1, i + radius) - Math.max(0, i - radius) + 1
+		result[i] = Math.max(0, onset[i] - sum / count)
+	}
+
+	let squares = 0
+	for (let i = 0; i < result.length; i++) squares += result[i] * result[i]
+	const deviation = Math.sqrt(squares / result.length) || 1
+	for (let i = 0; i < result.length; i++) result[i] /= deviation
+
+	return result
+}
+
+/**
+ * Estimates the beat period (in frames) from the autocorrelation of the onset strength
+ * @param {Float32Array} onset
+ * @param {number} frameRate
+ * @returns {{ period: number, confidence: number }}
+ */
+function estimateBeatPeriod(onset, frameRate) {
+	const minLag = Math.floor(frameRate * 60 / MAX_BPM)
+	const maxLag = Math.ceil(frameRate * 60 / MIN_BPM)
+	const weighted = new Float32Array(maxLag + 2)
+
+	for (let lag = Math.max(1, minLag - 1); lag <= maxLag + 1; lag++) {
+		let sum = 0
+		for (let i = lag; i < onset.length; i++) sum += onset[i] * onset[i - lag]
+		const correlation = sum / (onset.length - lag)
+
+		// Listeners hear tempos near 120 BPM most readily, which resolves octave ambiguity
+		const bpm = 60 * frameRate / lag
+		weighted[lag] = correlation * Math.exp(-0.5 * (Math.log2(bpm / PREFERRED_BPM) / 0.9) ** 2)
+	}
+
+	let bestLag = minLag
+	let total = 0
+	for (let lag = minLag; lag <= maxLag; lag++) {
+		total += weighted[lag]
+		if (weighted[lag] > weighted[bestLag]) bestLag = lag
+	}
+
+	// Parabolic interpolation for a fractional lag
+	const [a, b, c] = [weighted[bestLag - 1], weighted[bestLag], weighted[bestLag + 1]]
+	const denominator = a - 2 * b + c
+	const shift = denominator ? Math.max(-0.5, Math.min(0.5, 0.5 * (a - c) / denominator)) : 0
+
+	const mean = total / (maxLag - minLag + 1)
+	const confidence = b > 0 ? Math.max(0, Math.min(1, 1 - mean / b)) : 0
+
+	return { period: bestLag + shift, confidence }
+}
+
+/**
+ * Finds the beat frames that best balance strong onsets against a steady period
+ * @param {Float32Array} onset
+ * @param {number} period - The beat period in frames
+ * @returns {number[]}
+ */
+function trackBeats(onset, period) {
+	const length = onset.length
+	const score = new Float32Array(length)
+	const backlink = new Int32Array(length).fill(-1)
+	const minStep = Math.max(1, Math.round(period / 2))
+	const maxStep = Math.round(period * 2)
+
+	for (let t = 0; t < length; t++) {
+		let best = -Infinity
+		let bestPrevious = -1
+
+		for (let p = Math.max(0, t - maxStep); p <= t - minStep; p++) {
+			const candidate = score[p] - TIGHTNESS * Math.log((t - p) / period) ** 2
+			if (candidate > best) {
+				best = candidate
+				bestPrevious = p
+			}
+		}
+
+		score[t] = onset[t] + (bestPrevious >= 0 ? best : 0)
+		backlink[t] = bestPrevious
+	}
+
+	// Start from the best-scoring frame within the last beat period
+	let last = length - 1
+	for (let t = Math.max(0, length - Math.round(period)); t < length; t++) {
+		if (score[t] > score[last]) last = t
+	}
+
+	const beats = []
+	for (let t = last; t >= 0; t = backlink[t]) beats.push(t)
+	return beats.reverse()
+}
+
+/**
+ * Returns the index of the first downbeat - the beat phase whose beats carry the most bass onset energy
+ * @param {number[]} beatFrames
+ * @param {Float32Array} bass
+ * @param {number} beatsPerBar
+ * @returns {number}
+ */
+function findDownbeat(beatFrames, bass, beatsPerBar) {
+	const strengthAt = (frame) => {
+		let max = 0
+		for (let i = Math.max(0, frame - 2); i <= Math.min(bass.length - 1, frame + 2); i++) {
+			max = Math.max(max, bass[i])
+		}
+		return max
+	}
+
+	let bestPhase = 0
+	let bestStrength = -Infinity
+
+	for (let phase = 0; phase < Math.min(beatsPerBar, beatFrames.length); phase++) {
+		let sum = 0
+		let count = 0
+		for (let i = phase; i < beatFrames.length; i += beatsPerBar) {
+			sum += strengthAt(beatFrames[i])
+			count++
+		}
+
+		const strength = sum / count
+		if (strength > bestStrength) {
+			bestStrength = strength
+			bestPhase = phase
+		}
+	}
+
+	return bestPhase
+}
@@ -0,0 +1,210 @@
+/**
+ * Chord detection worker
+ *
+ * Estimates major and minor triads over time:
+ * 1. The chroma is summed per beat (if beats are given) or per fixed-length block
+ * 2. Each block is compared against a template for every triad (cosine similarity)
+ * 3. A Viterbi pass with a penalty for changing chords smooths out flickering
+ *
+ * Message in: { channels: Float32Array[], sampleRate: number, beats?: number[] }
+ * Message out: { chords: Array<{ start, end, root, quality, confidence }> } or { error: string }
+ */
+
+importScripts('./dsp.js')
+
+const TARGET_SAMPLE_RATE = 11025
+const FFT_SIZE = 4096
+const HOP_SIZE = 1024
+
+// The block length (in seconds) used when there are no beats
+const BLOCK_LENGTH = 0.5
+
+// How much more similar a new chord must be before the estimate changes
+const CHANGE_PENALTY = 0.08
+
+// Blocks quieter than this (relative to the loudest block) are left without a chord
+const SILENCE_THRESHOLD = 0.05
+
+const QUALITIES = {
+	major: [0, 4, 7],
+	minor: [0, 3, 7]
+}
+
+self.addEventListener('message', (e) => {
+	try {
+		const { channels, sampleRate, beats } = e.data
+		self.postMessage({ chords: detectChords(channels, sampleRate, beats) })
+	} catch (error) {
+		self.postMessage({ error: error.message })
+	}
+})
+
+/**
+ * Runs the full analysis
+ * @param {Float32Array[]} channels - The audio channels
+ * @param {number} sampleRate - The audio sample rate
+ * @param {number[]} [beats] - Beat times in seconds to align chord changes to
+ * @returns {Array<{ start: number, end: number, root: number, quality: 'major'|'minor', confidence: number }>}
+ */
+function detectChords(channels, sampleRate, beats) {
+	const { samples, sampleRate: rate } = mixAndDownsample(channels, sampleRate, TARGET_SAMPLE_RATE)
+	const { chroma, frames } = getChromagram(samples, rate, FFT_SIZE, HOP_SIZE)
+	const duration = samples.length / rate
+
+	if (frames === 0) throw new Error('The recording is too short to detect chords')
+
+	const frameToTime = (frame) => (frame * HOP_SIZE + FFT_SIZE / 2) / rate
+	const blocks = getBlocks(beats, duration)
+	const templates = getTemplates()
+
+	// Sum the chroma of the frames centered within each block
+	const vectors = blocks.map(() => new Float32Array(12))
+	let blockIndex = 0
+	for (let frame = 0; frame < frames; frame++) {
+		const time = frameToTime(frame)
+		while (blockIndex < blocks.length - 1 && time >= blocks[blockIndex].end) blockIndex++
+		for (let i = 0; i < 12; i++) vectors[blockIndex][i] += chroma[frame * 12 + i]
+	}
+
+	const energies = vectors.map(vector => vector.reduce((sum, value) => sum + value, 0))
+	const loudest = Math.max(...energies)
+	if (!loudest) throw new Error('No pitched content was found')
+
+	const similarities = vectors.map((vector, i) => energies[i] / loudest < SILENCE_THRESHOLD
+		? null
+		: templates.map(template => cosineSimilarity(vector, template.vector))
+	)
+
+	const path = viterbi(similarities, templates.length)
+
+	// Merge neighboring blocks with the same chord
+	const chords = []
+	blocks.forEach((block, i) => {
+		const state = path[i]
+		if (state === null) return
+
+		const last = chords[chords.length - 1]
+		if (last && last.state === state && Math.abs(last.end - block.start) < 1e-6) {
+			last.end = block.end
+			last.similarities.push(similarities[i][state])
+			return
+		}
+
+		chords.push({ state, start: block.start, end: block.end, similarities: [similarities[i][state]] })
+	})
+
+	return chords.map(({ state, start, end, similarities }) => ({
+		start: Math.round(start * 1000) / 1000,
+		end: Math.round(end * 1000) / 1000,
+		root: templates[state].root,
+		quality: templates[state].quality,
+		confidence: Math.round(similarities.reduce((sum, value) => sum + value, 0) / similarities.length * 100) / 100
+	}))
+}
+
+/**
+ * Returns the time blocks to estimate chords over
+ * @param {number[]} [beats] - Beat times in seconds
+ * @param {number} duration - The audio duration in seconds
+ * @returns {Array<{ start: number, end: number }>}
+ */
+function getBlocks(beats, duration) {
+	const boundaries = beats?.length > 1
+		? [0, ...beats.filter(time => time > 0 && time < duration), duration]
+		: Array.from({ length: Math.ceil(duration / BLOCK_LENGTH) + 1 }, (_, i) => Math.min(duration, i * BLOCK_LENGTH))
+
+	const blocks = []
+	for (let i = 0; i < boundaries.length - 1; i++) {
+		if (boundaries[i + 1] > boundaries[i]) blocks.push({ start: boundaries[i], end: boundaries[i + 1] })
+	}
+	return blocks
+}
+
+/**
+ * Returns a chroma template for every major and minor triad
+ * @returns {Array<{ root: number, quality: 'major'|'minor', vector: Float32Array }>}
+ */
+function getTemplates() {
+	const templates = []
+	for (const [quality, intervals] of Object.entries(QUALITIES)) {
+		for (let root = 0; root < 12; root++) {
+			const vector = new Float32Array(12)
+			intervals.forEach(interval => {
+				vector[(root + interval) % 12] = 1
+			})
+			templates.push({ root, quality, vector })
+		}
+	}
+	return templates
+}
+
+/**
+ * Returns the cosine similarity of two vectors
+ * @param {Float32Array} a
+ * @param {Float32Array} b
+ * @returns {number}
+ */
+function cosineSimilarity(a, b) {
+	let dot = 0
+	let normA = 0
+	let normB = 0
+	for (let i = 0; i < a.length; i++) {
+		dot += a[i] * b[i]
+		normA += a[i] * a[i]
+		normB += b[i] * b[i]
+	}
+	return normA && normB ? dot / Math.sqrt(normA * normB) : 0
+}
+
+/**
+ * Finds the most similar chord sequence, penalizing every change of chord
+ * Silent blocks (null) break the sequence and get no chord
+ * @param {Array<number[]|null>} similarities - Per block, the similarity to every template
+ * @param {number} states - The number of templates
+ * @returns {Array<number|null>} - The chosen template per block
+ */
+function viterbi(similarities, states) {
+	const path = new Array(similarities.length).fill(null)
+	let runStart = 0
+
+	const solveRun = (start, end) => {
+		if (start >= end) return
+
+		let scores = Float64Array.from(similarities[start])
+		const backlinks = []
+
+		for (let i = start + 1; i < end; i++) {
+			let bestState = 0
+			for (let s = 1; s < states; s++) if (scores[s] > scores[bestState]) bestState = s
+
+			const next = new Float64Array(states)
+			const links = new Int16Array(states)
+			for (let s = 0; s < states; s++) {
+				const stay = scores[s]
+				const change = scores[bestState] - CHANGE_PENALTY
+				links[s] = stay >= change ? s : bestState
+				next[s] = Math.max(stay, change) + similarities[i][s]
+			}
+			backlinks.push(links)
+			scores = next
+		}
+
+		let state = 0
+		for (let s = 1; s < states; s++) if (scores[s] > scores[state]) state = s
+
+		for (let i = end - 1; i >= start; i--) {
+			path[i] = state
+			if (i > start) state = backlinks[i - start - 1][state]
+		}
+	}
+
+	similarities.forEach((similarity, i) => {
+		if (similarity === null) {
+			solveRun(runStart, i)
+			runStart = i + 1
+		}
+	})
+	solveRun(runStart, similarities.length)
+
+	return path
+}
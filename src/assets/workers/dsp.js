@@ -0,0 +1,183 @@
+/**
+ * Signal processing helpers shared by the analysis workers (loaded with importScripts)
+ */
+
+/**
+ * Mixes the channels to mono and downsamples (averaging) to roughly a target sample rate
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {number} targetSampleRate
+ * @returns {{ samples: Float32Array, sampleRate: number }}
+ */
+function mixAndDownsample(channels, sampleRate, targetSampleRate) {
+	const factor = Math.max(1, Math.floor(sampleRate / targetSampleRate))
+	const length = Math.floor(channels[0].length / factor)
+	const samples = new Float32Array(length)
+	const scale = 1 / (factor * channels.length)
+
+	for (const channel of channels) {
+		for (let i = 0; i < length; i++) {
+			let sum = 0
+			for (let j = i * factor, end = j + factor; j < end; j++) sum += channel[j]
+			samples[i] += sum * scale
+		}
+	}
+
+	return { samples, sampleRate: sampleRate / factor }
+}
+
+/**
+ * Returns a Hann window
+ * @param {number} size
+ * @returns {Float32Array}
+ */
+function hannWindow(size) {
+	const window = new Float32Array(size)
+	for (let i = 0; i < size; i++) window[i] = 0.5 - 0.5 * Math.cos(2 * Math.PI * i / size)
+	return window
+}
+
+/**
+ * In-place iterative radix-2 FFT
+ * @param {Float32Array} re - Real parts (length must be a power of 2)
+ * @param {Float32Array} im - Imaginary parts
+ * @returns {void}
+ */
+function fft(re, im) {
+	const n = re.length
+
+	// Bit-reversal permutation
+	for (let i = 1, j = 0; i < n; i++) {
+		let bit = n >> 1
+		for (; j & bit; bit >>= 1) j ^= bit
+		j ^= bit
+		if (i < j) {
+			[re[i], re[j]] = [re[j], re[i]]
+			;[im[i], im[j]] = [im[j], im[i]]
+		}
+	}
+
+	for (let size = 2; size <= n; size <<= 1) {
+		const half = size / 2
+		const angle = -2 * Math.PI / size
+		const stepRe = Math.cos(angle)
+		const stepIm = Math.sin(angle)
+
+		for (let start = 0; start < n; start += size) {
+			let wRe = 1
+			let wIm = 0
+
+			for (let k = 0; k < half; k++) {
+				const a = start + k
+				const b = a + half
+				const tRe = re[b] * wRe - im[b] * wIm
+				const tIm = re[b] * wIm + im[b] * wRe
+				re[b] = re[a] - tRe
+				im[b] = im[a] - tIm
+				re[a] += tRe
+				im[a] += tIm
+
+				const nextRe = wRe * stepRe - wIm * stepIm
+				wIm = wRe * stepIm + wIm * stepRe
+				wRe = nextRe
+			}
+		}
+	}
+}
+
+/**
+ * Calls back with the magnitude spectrum of every frame of a short-time Fourier transform
+ * @param {Float32Array} samples
+ * @param {number} fftSize - The frame size (a power of 2)
+ * @param {number} hopSize - The distance between frames
+ * @param {(magnitudes: Float32Array, frame: number) => void} callback - Receives a reused buffer of fftSize / 2 magnitudes
+ * @returns {number} - The number of frames
+ */
+function forEachSpectrum(samples, fftSize, hopSize, callback) {
+	const frames = Math.max(0, Math.floor((samples.length - fftSize) / hopSize) + 1)
+	const window = hannWindow(fftSize)
+	const re = new Float32Array(fftSize)
+	const im = new Float32Array(fftSize)
+	const magnitudes = new Float32Array(fftSize / 2)
+
+	for (let frame = 0; frame < frames; frame++) {
+		const offset = frame * hopSize
+		for (let i = 0; i < fftSize; i++) {
+			re[i] = samples[offset + i] * window[i]
+			im[i] = 0
+		}
+		fft(re, im)
+
+		for (let k = 0; k < magnitudes.length; k++) magnitudes[k] = Math.hypot(re[k], im[k])
+		callback(magnitudes, frame)
+	}
+
+	return frames
+}
+
+/**
+ * Computes a chromagram - the energy of each of the 12 pitch classes (C = 0) per frame
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} fftSize
+ * @param {number} hopSize
+ * @returns {{ chroma: Float32Array, frames: number }} - Frame-major chroma (frames * 12 values)
+ */
+function getChromagram(samples, sampleRate, fftSize, hopSize) {
+	const MIN_FREQUENCY = 55
+	const MAX_FREQUENCY = 2000
+
+	// Map each FFT bin in range to its nearest pitch class
+	const pitchClasses = new Int8Array(fftSize / 2).fill(-1)
+	for (let k = 1; k < fftSize / 2; k++) {
+		const frequency = k * sampleRate / fftSize
+		if (frequency < MIN_FREQUENCY || frequency > MAX_FREQUENCY) continue
+		const midi = Math.round(69 + 12 * Math.log2(frequency / 440))
+		pitchClasses[k] = ((midi % 12) + 12) % 12
+	}
+
+	const frameCount = Math.max(0, Math.floor((samples.length - fftSize) / hopSize) + 1)
+	const chroma = new Float32Array(frameCount * 12)
+
+	forEachSpectrum(samples, fftSize, hopSize, (magnitudes, frame) => {
+		const offset = frame * 12
+		for (let k = 0; k < magnitudes.length; k++) {
+			if (pitchClasses[k] >= 0) chroma[offset + pitchClasses[k]] += magnitudes[k]
+		}
+
+		// Normalize each frame so loud passages don't dominate (and near-silent frames are dropped)
+		let max = 0
+		for (let i = 0; i < 12; i++) max = Math.max(max, chroma[offset + i])
+		const scale = max > fftSize * 1e-4 ? 1 / max : 0
+		for (let i = 0; i < 12; i++) chroma[offset + i] *= scale
+	})
+
+	return { chroma, frames: frameCount }
+}
+
+/**
+ * Returns the Pearson correlation between two equal-length arrays
+ * @param {ArrayLike<number>} a
+ * @param {ArrayLike<number>} b
+ * @returns {number}
+ */
+function correlate(a, b) {
+	const n = a.length
+	let meanA = 0
+	let meanB = 0
+	for (let i = 0; i < n; i++) {
+		meanA += a[i] / n
+		meanB += b[i] / n
+	}
+
+	let covariance = 0
+	let varianceA = 0
+	let varianceB = 0
+	for (let i = 0; i < n; i++) {
+		covariance += (a[i] - meanA) * (b[i] - meanB)
+		varianceA += (a[i] - meanA) ** 2
+		varianceB += (b[i] - meanB) ** 2
+	}
+
+	return varianceA && varianceB ? covariance / Math.sqrt(varianceA * varianceB) : 0
+}
@@ -0,0 +1,780 @@
+/**
+ * Audio encoder worker
+ *
+ * Encodes decoded audio into a file of one of these formats:
+ * - wav-16, wav-24, wav-float: uncompressed WAV (16-bit or 24-bit PCM, or 32-bit IEEE float)
+ * - flac: 16-bit FLAC with fixed predictors and Rice-coded residuals
+ * - mp3: MP3 encoded with LAME (lamejs, bundled as lame.min.js and loaded the first time it is needed - see lame.LICENSE)
+ * - opus: Opus encoded with WebCodecs, in an Ogg container
+ *
+ * Message in: { channels: Float32Array[], sampleRate: number, format: string }
+ * Message out: { data: ArrayBuffer } or { error: string }
+ */
+
+// Relative to this worker, so MP3 export works offline
+const LAME_URL = 'lame.min.js'
+
+// The MP3 bitrate in kbps
+const MP3_BITRATE = 192
+
+// The Opus bitrate in bps and the length of the chunks fed to the encoder (in frames)
+const OPUS_BITRATE = 128000
+const OPUS_CHUNK_LENGTH = 9600
+
+// Opus always counts time at 48kHz, and libopus delays the output by this many samples
+const OPUS_RATE = 48000
+const OPUS_PRE_SKIP = 312
+
+// The number of samples in every FLAC frame but the last
+const FLAC_BLOCK_SIZE = 4096
+const FLAC_MAX_FIXED_ORDER = 4
+const FLAC_MAX_PARTITION_ORDER = 8
+
+// The sample rates FLAC frame headers have a code for
+const FLAC_SAMPLE_RATE_CODES = {
+	88200: 1, 176400: 2, 192000: 3, 8000: 4, 16000: 5, 22050: 6,
+	24000: 7, 32000: 8, 44100: 9, 48000: 10, 96000: 11
+}
+
+const ENCODERS = {
+	'wav-16': (channels, sampleRate) => encodeWav(channels, sampleRate, 16),
+	'wav-24': (channels, sampleRate) => encodeWav(channels, sampleRate, 24),
+	'wav-float': (channels, sampleRate) => encodeWav(channels, sampleRate, 32, true),
+	flac: encodeFlac,
+	mp3: encodeMp3,
+	opus: encodeOpus
+}
+
+self.addEventListener('message', async (e) => {
+	try {
+		const { channels, sampleRate, format } = e.data
+		const encode = ENCODERS[format]
+		if (!encode) throw new Error(`Unknown audio format: ${format}`)
+
+		const data = await encode(channels, sampleRate)
+		self.postMessage({ data }, [data])
+	} catch (error) {
+		self.postMessage({ error: error.message })
+	}
+})
+
+/**
+ * Converts a float sample (-1 to 1) to a signed integer of a bit depth
+ * @param {number} sample
+ * @param {number} bitDepth
+ * @returns {number}
+ */
+function toInteger(sample, bitDepth) {
+	const s = Math.max(-1, Math.min(1, sample))
+	const scale = 2 ** (bitDepth - 1)
+	return Math.round(s < 0 ? s * scale : s * (scale - 1))
+}
+
+/**
+ * Writes an ASCII string
+ * @param {DataView} view
+ * @param {number} offset
+ * @param {string} string
+ * @returns {void}
+ */
+function writeString(view, offset, string) {
+	for (let i = 0; i < string.length; i++) view.setUint8(offset + i, string.charCodeAt(i))
+}
+
+/**
+ * Concatenates byte arrays
+ * @param {Uint8Array[]} parts
+ * @returns {ArrayBuffer}
+ */
+function concat(parts) {
+	const result = new Uint8Array(parts.reduce((length, part) => length + part.length, 0))
+	let offset = 0
+	for (const part of parts) {
+		result.set(part, offset)
+		offset += part.length
+	}
+	return result.buffer
+}
+
+/* WAV */
+
+/**
+ * Encodes a WAV file
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate
+ * @param {16|24|32} bitDepth
+ * @param {boolean} [isFloat=false] - Whether to write IEEE float samples (32-bit only)
+ * @returns {ArrayBuffer}
+ */
+function encodeWav(channels, sampleRate, bitDepth, isFloat = false) {
+	const numberOfChannels = channels.length
+	const length = channels[0].length
+	const bytesPerSample = bitDepth / 8
+	const blockAlign = numberOfChannels * bytesPerSample
+	const dataSize = length * blockAlign
+
+	// Non-PCM formats need an extended fmt chunk and a fact chunk
+	const fmtSize = isFloat ? 18 : 16
+	const factSize = isFloat ? 12 : 0
+	const headerSize = 12 + 8 + fmtSize + factSize + 8
+
+	const buffer = new ArrayBuffer(headerSize + dataSize)
+	const view = new DataView(buffer)
+
+	writeString(view, 0, 'RIFF')
+	view.setUint32(4, headerSize - 8 + dataSize, true)
+	writeString(view, 8, 'WAVE')
+
+	writeString(view, 12, 'fmt ')
+	view.setUint32(16, fmtSize, true)
+	view.setUint16(20, isFloat ? 3 : 1, true)
+	view.setUint16(22, numberOfChannels, true)
+	view.setUint32(24, sampleRate, true)
+	view.setUint32(28, sampleRate * blockAlign, true)
+	view.setUint16(32, blockAlign, true)
+	view.setUint16(34, bitDepth, true)
+
+	let offset = 36
+	if (isFloat) {
+		view.setUint16(offset, 0, true)
+		writeString(view, offset + 2, 'fact')
+		view.setUint32(offset + 6, 4, true)
+		view.setUint32(offset + 10, length, true)
+		offset += 14
+	}
+
+	writeString(view, offset, 'data')
+	view.setUint32(offset + 4, dataSize, true)
+	offset += 8
+
+	for (let i = 0; i < length; i++) {
+		for (let channel = 0; channel < numberOfChannels; channel++) {
+			const sample = channels[channel][i]
+
+			if (isFloat) {
+				view.setFloat32(offset, sample, true)
+			} else if (bitDepth === 24) {
+				const value = toInteger(sample, 24)
+				view.setUint8(offset, value & 0xff)
+				view.setUint8(offset + 1, (value >> 8) & 0xff)
+				view.setUint8(offset + 2, (value >> 16) & 0xff)
+			} else {
+				view.setInt16(offset, toInteger(sample, 16), true)
+			}
+
+			offset += bytesPerSample
+		}
+	}
+
+	return buffer
+}
+
+/* MP3 */
+
+/**
+ * Encodes an MP3 file with LAME
+ * @param {Float32Array[]} channels
+ * @param {number} sampleRate - One of the MPEG sample rates
+ * @returns {ArrayBuffer}
+ */
+function encodeMp3(channels, sampleRate) {
+	if (typeof lamejs === 'undefined') {
+		try {
+			importScripts(LAME_URL)
+		} catch {
+			throw new Error('Unable to load the MP3 encoder.')
+		}
+	}
+
+	const stereo = channels.length > 1
+	const left = Int16Array.from(channels[0], sample => toInteger(sample, 16))
+	const right = stereo ? Int16Array.from(channels[1], sample => toInteger(sample, 16)) : null
+
+	const encoder = new lamejs.Mp3Encoder(stereo ? 2 : 1, sampleRate, MP3_BITRATE)
+	const parts = []
+	const frameLength = 1152
+
+	for (let i = 0; i < left.length; i += frameLength) {
+		const chunk = stereo
+			? encoder.encodeBuffer(left.subarray(i, i + frameLength), right.subarray(i, i + frameLength))
+			: encoder.encodeBuffer(left.subarray(i, i + frameLength))
+		if (chunk.length) parts.push(new Uint8Array(chunk.buffer, chunk.byteOffset, chunk.length))
+	}
+
+	const end = encoder.flush()
+	if (end.length) parts.push(new Uint8Array(end.buffer, end.byteOffset, end.length))
+
+	return concat(parts)
+}
+
+/* Opus */
+
+/**
+ * Encodes an Ogg Opus file with WebCodecs
+ * @param {Float32Array[]} channels - Up to two channels are encoded
+ * @param {number} sampleRate - Must be 48kHz
+ * @returns {Promise<ArrayBuffer>}
+ */
+async function encodeOpus(channels, sampleRate) {
+	if (typeof AudioEncoder === 'undefined') throw new Error('This browser cannot encode Opus')
+
+	const numberOfChannels = Math.min(2, channels.length)
+	const config = { codec: 'opus', sampleRate, numberOfChannels, bitrate: OPUS_BITRATE }
+	const { supported } = await AudioEncoder.isConfigSupported(config)
+	if (!supported) throw new Error('This browser cannot encode Opus')
+
+	const packets = []
+	let head = null
+	let failure = null
+
+	const encoder = new AudioEncoder({
+		output: (chunk, metadata) => {
+			const data = new Uint8Array(chunk.byteLength)
+			chunk.copyTo(data)
+			packets.push({ data, duration: Math.round((chunk.duration ?? 20000) * OPUS_RATE / 1e6) })
+
+			// Prefer the encoder's own identification header (it knows the real pre-skip)
+			const description = metadata?.decoderConfig?.description
+			if (description && !head) {
+				const bytes = ArrayBuffer.isView(description)
+					? new Uint8Array(description.buffer, description.byteOffset, description.byteLength)
+					: new Uint8Array(description)
+				if (String.fromCharCode(...bytes.subarray(0, 8)) === 'OpusHead') head = bytes.slice()
+			}
+		},
+		error: (error) => {
+			failure = error
+		}
+	})
+	encoder.configure(config)
+
+	const length = channels[0].length
+	for (let offset = 0; offset < length; offset += OPUS_CHUNK_LENGTH) {
+		const frames = Math.min(OPUS_CHUNK_LENGTH, length - offset)
+		const data = new Float32Array(frames * numberOfChannels)
+		for (let channel = 0; channel < numberOfChannels; channel++) {
+			data.set(channels[channel].subarray(offset, offset + frames), channel * frames)
+		}
+
+		const audioData = new AudioData({
+			format: 'f32-planar',
+			sampleRate,
+			numberOfFrames: frames,
+			numberOfChannels,
+			timestamp: Math.round(offset / sampleRate * 1e6),
+			data
+		})
+		encoder.encode(audioData)
+		audioData.close()
+	}
+
+	await encoder.flush()
+	encoder.close()
+	if (failure) throw failure
+	if (!packets.length) throw new Error('The audio is too short to encode')
+
+	return muxOggOpus(packets, head ?? getOpusHead(numberOfChannels, sampleRate), Math.round(length * OPUS_RATE / sampleRate))
+}
+
+/**
+ * Returns an Opus identification header (RFC 7845)
+ * @param {number} numberOfChannels - 1 or 2
+ * @param {number} sampleRate - The original sample rate
+ * @returns {Uint8Array}
+ */
+function getOpusHead(numberOfChannels, sampleRate) {
+	const head = new Uint8Array(19)
+	const view = new DataView(head.buffer)
+	writeString(view, 0, 'OpusHead')
+	view.setUint8(8, 1)
+	view.setUint8(9, numberOfChannels)
+	view.setUint16(10, OPUS_PRE_SKIP, true)
+	view.setUint32(12, sampleRate, true)
+	view.setInt16(16, 0, true)
+	view.setUint8(18, 0)
+	return head
+}
+
+/**
+ * Returns an Opus comment header without comments
+ * @returns {Uint8Array}
+ */
+function getOpusTags() {
+	const vendor = 'Band Book'
+	const tags = new Uint8Array(8 + 4 + vendor.length + 4)
+	const view = new DataView(tags.buffer)
+	writeString(view, 0, 'OpusTags')
+	view.setUint32(8, vendor.length, true)
+	writeString(view, 12, vendor)
+	view.setUint32(12 + vendor.length, 0, true)
+	return tags
+}
+
+/**
+ * The CRC-32 lookup table of Ogg pages (polynomial 0x04c11db7)
+ * @type {Uint32Array}
+ */
+const OGG_CRC_TABLE = (() => {
+	const table = new Uint32Array(256)
+	for (let i = 0; i < 256; i++) {
+		let r = i << 24
+		for (let j = 0; j < 8; j++) r = r & 0x80000000 ? (r << 1) ^ 0x04c11db7 : r << 1
+		table[i] = r >>> 0
+	}
+	return table
+})()
+
+/**
+ * Puts Opus packets into Ogg pages
+ * @param {Array<{ data: Uint8Array, duration: number }>} packets - Audio packets and their durations at 48kHz
+ * @param {Uint8Array} head - The identification header
+ * @param {number} length - The number of audio samples at 48kHz (the rest of the last packet is padding)
+ * @returns {ArrayBuffer}
+ */
+function muxOggOpus(packets, head, length) {
+	const serial = (Math.random() * 0x100000000) >>> 0
+	const preSkip = head[10] | (head[11] << 8)
+	const pages = []
+
+	const addPage = (pagePackets, granule, type) => {
+		const lacing = []
+		pagePackets.forEach(packet => {
+			for (let remaining = packet.length; ; remaining -= 255) {
+				lacing.push(Math.min(255, remaining))
+				if (remaining < 255) break
+			}
+		})
+
+		const bodyLength = pagePackets.reduce((sum, packet) => sum + packet.length, 0)
+		const page = new Uint8Array(27 + lacing.length + bodyLength)
+		const view = new DataView(page.buffer)
+		writeString(view, 0, 'OggS')
+		view.setUint8(4, 0)
+		view.setUint8(5, type)
+		view.setUint32(6, granule % 0x100000000, true)
+		view.setUint32(10, Math.floor(granule / 0x100000000), true)
+		view.setUint32(14, serial, true)
+		view.setUint32(18, pages.length, true)
+		view.setUint8(26, lacing.length)
+		page.set(lacing, 27)
+
+		let offset = 27 + lacing.length
+		pagePackets.forEach(packet => {
+			page.set(packet, offset)
+			offset += packet.length
+		})
+
+		let crc = 0
+		for (let i = 0; i < page.length; i++) crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ page[i]) & 0xff]) >>> 0
+		view.setUint32(22, crc, true)
+
+		pages.push(page)
+	}
+
+	addPage([head], 0, 0x02)
+	addPage([getOpusTags()], 0, 0)
+
+	// Fill pages up to the 255 lacing values they can hold
+	let pagePackets = []
+	let segments = 0
+	let samples = 0
+	packets.forEach(({ data, duration }, i) => {
+		const packetSegments = Math.floor(data.length / 255) + 1
+		if (segments + packetSegments > 255) {
+			addPage(pagePackets, preSkip + samples, 0)
+			pagePackets = []
+			segments = 0
+		}
+
+		pagePackets.push(data)
+		segments += packetSegments
+		samples += duration
+
+		if (i === packets.length - 1) addPage(pagePackets, preSkip + length, 0x04)
+	})
+
+	return concat(pages)
+}
+
+/* FLAC */
+
+/**
+ * Writes bits into a growing byte array
+ */
+class BitWriter {
+	constructor(capacity = 1024) {
+		this.bytes = new Uint8Array(capacity)
+		this.position = 0
+	}
+
+	/**
+	 * Makes room for a number of bits
+	 * @param {number} bits
+	 * @returns {void}
+	 */
+	ensure(bits) {
+		const needed = ((this.position + bits) >> 3) + 1
+		if (needed <= this.bytes.length) return
+
+		const bytes = new Uint8Array(Math.max(needed, this.bytes.length * 2))
+		bytes.set(this.bytes)
+		this.bytes = bytes
+	}
+
+	/**
+	 * Writes the lowest bits of an unsigned value
+	 * @param {number} value
+	 * @param {number} bits - Up to 32
+	 * @returns {void}
+	 */
+	write(value, bits) {
+		this.ensure(bits)
+
+		while (bits > 0) {
+			const free = 8 - (this.position & 7)
+			const count = Math.min(free, bits)
+			const chunk = Math.floor(value / 2 ** (bits - count)) & ((1 << count) - 1)
+			this.bytes[this.position >> 3] |= chunk << (free - count)
+			this.position += count
+			bits -= count
+		}
+	}
+
+	/**
+	 * Writes a two's complement signed value
+	 * @param {number} value
+	 * @param {number} bits
+	 * @returns {void}
+	 */
+	writeSigned(value, bits) {
+		this.write(value < 0 ? value + 2 ** bits : value, bits)
+	}
+
+	/**
+	 * Writes a number in unary (zeros ended by a one)
+	 * @param {number} value
+	 * @returns {void}
+	 */
+	writeUnary(value) {
+		this.ensure(value + 1)
+		this.position += value
+		this.write(1, 1)
+	}
+
+	/**
+	 * Pads with zeros up to the next byte
+	 * @returns {void}
+	 */
+	align() {
+		this.position = (this.position + 7) & ~7
+	}
+
+	/**
+	 * Returns the bytes written so far (the writer must be aligned)
+	 * @returns {Uint8Array}
+	 */
+	getBytes() {
+		return this.bytes.subarray(0, this.position >> 3)
+	}
+}
+
+/**
+ * The CRC-8 (polynomial 0x07) and CRC-16 (polynomial 0x8005) lookup tables of FLAC frames
+ * @type {{ crc8: Uint8Array, crc16: Uint16Array }}
+ */
+const FLAC_CRC_TABLES = (() => {
+	const crc8 = new Uint8Array(256)
+	const crc16 = new Uint16Array(256)
+	for (let i = 0; i < 256; i++) {
+		let r8 = i
+		let r16 = i << 8
+		for (let j = 0; j < 8; j++) {
+			r8 = r8 & 0x80 ? (r8 << 1) ^ 0x07 : r8 << 1
+			r16 = r16 & 0x8000 ? (r16 << 1) ^ 0x8005 : r16 << 1
+		}
+		crc8[i] = r8 & 0xff
+		crc16[i] = r16 & 0xffff
+	}
+	return { crc8, crc16 }
+})()
+
+/**
+ * Encodes a 16-bit FLAC file
+ * @param {Float32Array[]} channels - Up to 8 channels
+ * @param {number} sampleRate
+ * @returns {ArrayBuffer}
+ */
+function encodeFlac(channels, sampleRate) {
+	if (channels.length > 8) throw new Error('FLAC supports up to 8 channels')
+
+	const bitDepth = 16
+	const length = channels[0].length
+	const samples = channels.map(channel => Int32Array.from(channel, sample => toInteger(sample, bitDepth)))
+	const blockSize = Math.max(16, Math.min(FLAC_BLOCK_SIZE, length))
+
+	// Stream header with only the STREAMINFO block (frame sizes and MD5 are left unknown)
+	const header = new BitWriter(42)
+	header.write(0x664c6143, 32)
+	header.write(1, 1)
+	header.write(0, 7)
+	header.write(34, 24)
+	header.write(blockSize, 16)
+	header.write(blockSize, 16)
+	header.write(0, 24)
+	header.write(0, 24)
+	header.write(sampleRate, 20)
+	header.write(channels.length - 1, 3)
+	header.write(bitDepth - 1, 5)
+	header.write(Math.floor(length / 0x100000000), 4)
+	header.write(length % 0x100000000, 32)
+	for (let i = 0; i < 4; i++) header.write(0, 32)
+
+	const parts = [header.getBytes()]
+	for (let start = 0, frame = 0; start < length; start += FLAC_BLOCK_SIZE, frame++) {
+		const end = Math.min(length, start + FLAC_BLOCK_SIZE)
+		parts.push(encodeFlacFrame(samples.map(channel => channel.subarray(start, end)), frame, sampleRate, bitDepth))
+	}
+
+	return concat(parts)
+}
+
+/**
+ * Encodes one FLAC frame
+ * @param {Int32Array[]} block - The samples of every channel
+ * @param {number} frameNumber
+ * @param {number} sampleRate
+ * @param {16} bitDepth
+ * @returns {Uint8Array}
+ */
+function encodeFlacFrame(block, frameNumber, sampleRate, bitDepth) {
+	const size = block[0].length
+	const writer = new BitWriter(size * block.length * 3 + 64)
+
+	// Stereo is stored as whichever pair of left, right, mid and side is cheapest
+	let assignment = block.length - 1
+	let subframes = block.map(samples => ({ samples, bitDepth }))
+	if (block.length === 2) {
+		const [left, right] = block
+		const side = new Int32Array(size)
+		const mid = new Int32Array(size)
+		for (let i = 0; i < size; i++) {
+			side[i] = left[i] - right[i]
+			mid[i] = (left[i] + right[i]) >> 1
+		}
+
+		const cost = {
+			left: estimateFlacCost(left),
+			right: estimateFlacCost(right),
+			side: estimateFlacCost(side),
+			mid: estimateFlacCost(mid)
+		}
+		const options = [
+			{ assignment: 1, cost: cost.left + cost.right, subframes: [{ samples: left, bitDepth }, { samples: right, bitDepth }] },
+			{ assignment: 8, cost: cost.left + cost.side, subframes: [{ samples: left, bitDepth }, { samples: side, bitDepth: bitDepth + 1 }] },
+			{ assignment: 9, cost: cost.side + cost.right, subframes: [{ samples: side, bitDepth: bitDepth + 1 }, { samples: right, bitDepth }] },
+			{ assignment: 10, cost: cost.mid + cost.side, subframes: [{ samples: mid, bitDepth }, { samples: side, bitDepth: bitDepth + 1 }] }
+		]
+		const best = options.reduce((a, b) => b.cost < a.cost ? b : a)
+		assignment = best.assignment
+		subframes = best.subframes
+	}
+
+	// Frame header (with the sample rate and bit depth, so every frame can be decoded on its own)
+	const sampleRateCode = FLAC_SAMPLE_RATE_CODES[sampleRate]
+		?? (sampleRate % 1000 === 0 && sampleRate < 256000 ? 12 : sampleRate < 65536 ? 13 : 0)
+	writer.write(0x3ffe, 14)
+	writer.write(0, 1)
+	writer.write(0, 1)
+	writer.write(size === FLAC_BLOCK_SIZE ? 12 : 7, 4)
+	writer.write(sampleRateCode, 4)
+	writer.write(assignment, 4)
+	writer.write(0b100, 3)
+	writer.write(0, 1)
+	writeUtf8Number(writer, frameNumber)
+	if (size !== FLAC_BLOCK_SIZE) writer.write(size - 1, 16)
+	if (sampleRateCode === 12) writer.write(sampleRate / 1000, 8)
+	if (sampleRateCode === 13) writer.write(sampleRate, 16)
+
+	let crc8 = 0
+	for (const byte of writer.getBytes()) crc8 = FLAC_CRC_TABLES.crc8[crc8 ^ byte]
+	writer.write(crc8, 8)
+
+	subframes.forEach(({ samples, bitDepth }) => writeFlacSubframe(writer, samples, bitDepth))
+	writer.align()
+
+	let crc16 = 0
+	for (const byte of writer.getBytes()) crc16 = ((crc16 << 8) ^ FLAC_CRC_TABLES.crc16[(crc16 >> 8) ^ byte]) & 0xffff
+	writer.write(crc16, 16)
+
+	return writer.getBytes().slice()
+}
+
+/**
+ * Writes a frame number the way FLAC does (like UTF-8)
+ * @param {BitWriter} writer
+ * @param {number} value
+ * @returns {void}
+ */
+function writeUtf8Number(writer, value) {
+	if (value < 0x80) {
+		writer.write(value, 8)
+		return
+	}
+
+	let bytes = 2
+	while (value >= 2 ** (5 * bytes + 1)) bytes++
+
+	writer.write(((0xff00 >> bytes) & 0xff) | Math.floor(value / 2 ** (6 * (bytes - 1))), 8)
+	for (let i = bytes - 2; i >= 0; i--) writer.write(0x80 | (Math.floor(value / 2 ** (6 * i)) & 0x3f), 8)
+}
+
+/**
+ * Returns the residuals of a fixed polynomial predictor (the first order samples are warm-up)
+ * @param {Int32Array} samples
+ * @param {number} order - 0 to 4
+ * @returns {Int32Array}
+ */
+function getFixedResiduals(samples, order) {
+	const residuals = new Int32Array(Math.max(0, samples.length - order))
+	const s = samples
+	for (let i = order; i < s.length; i++) {
+		switch (order) {
+			case 0: residuals[i] = s[i]; break
+			case 1: residuals[i - 1] = s[i] - s[i - 1]; break
+			case 2: residuals[i - 2] = s[i] - 2 * s[i - 1] + s[i - 2]; break
+			case 3: residuals[i - 3] = s[i] - 3 * s[i - 1] + 3 * s[i - 2] - s[i - 3]; break
+			case 4: residuals[i - 4] = s[i] - 4 * s[i - 1] + 6 * s[i - 2] - 4 * s[i - 3] + s[i - 4]; break
+		}
+	}
+	return residuals
+}
+
+/**
+ * Picks the fixed predictor order with the smallest residuals
+ * @param {Int32Array} samples
+ * @returns {{ order: number, residuals: Int32Array, sum: number }}
+ */
+function getBestFixedPredictor(samples) {
+	let best = null
+	for (let order = 0; order <= Math.min(FLAC_MAX_FIXED_ORDER, samples.length - 1); order++) {
+		const residuals = getFixedResiduals(samples, order)
+		let sum = 0
+		for (let i = 0; i < residuals.length; i++) sum += Math.abs(residuals[i])
+		if (!best || sum < best.sum) best = { order, residuals, sum }
+	}
+	return best
+}
+
+/**
+ * Estimates the number of bits a channel costs (to choose the stereo decorrelation)
+ * @param {Int32Array} samples
+ * @returns {number}
+ */
+function estimateFlacCost(samples) {
+	const { residuals, sum } = getBestFixedPredictor(samples)
+	const mean = sum / (residuals.length || 1)
+	return residuals.length * (mean > 1 ? Math.log2(mean) + 2 : 1)
+}
+
+/**
+ * Maps a signed residual to an unsigned value for Rice coding
+ * @param {number} value
+ * @returns {number}
+ */
+function zigzag(value) {
+	return value >= 0 ? value * 2 : -value * 2 - 1
+}
+
+/**
+ * Finds the best Rice partitioning of residuals
+ * @param {Int32Array} residuals
+ * @param {number} blockSize - The size of the whole block
+ * @param {number} order - The predictor order
+ * @returns {{ bits: number, partitionOrder: number, parameters: number[] }}
+ */
+function getRicePartitions(residuals, blockSize, order) {
+	const unsigned = Uint32Array.from(residuals, zigzag)
+	let best = null
+
+	for (let partitionOrder = 0; partitionOrder <= FLAC_MAX_PARTITION_ORDER; partitionOrder++) {
+		const partitionSize = blockSize >> partitionOrder
+		if (blockSize % (1 << partitionOrder) !== 0 || partitionSize <= order) break
+
+		let bits = 0
+		const parameters = []
+		for (let partition = 0, start = 0; partition < 1 << partitionOrder; partition++) {
+			const end = start + partitionSize - (partition === 0 ? order : 0)
+
+			let sum = 0
+			for (let i = start; i < end; i++) sum += unsigned[i]
+			const count = end - start
+			const guess = count && sum > count ? Math.floor(Math.log2(sum / count)) : 0
+
+			// Try around the estimate of the best parameter
+			let bestParameter = 0
+			let bestBits = Infinity
+			for (let parameter = Math.max(0, guess - 1); parameter <= Math.min(30, guess + 1); parameter++) {
+				let partitionBits = count * (parameter + 1)
+				for (let i = start; i < end; i++) partitionBits += Math.floor(unsigned[i] / 2 ** parameter)
+				if (partitionBits < bestBits) {
+					bestBits = partitionBits
+					bestParameter = parameter
+				}
+			}
+
+			parameters.push(bestParameter)
+			bits += bestBits + 5
+			start = end
+		}
+
+		if (!best || bits < best.bits) best = { bits, partitionOrder, parameters, unsigned }
+	}
+
+	return best
+}
+
+/**
+ * Writes a subframe, choosing between constant, verbatim and fixed prediction
+ * @param {BitWriter} writer
+ * @param {Int32Array} samples
+ * @param {number} bitDepth
+ * @returns {void}
+ */
+function writeFlacSubframe(writer, samples, bitDepth) {
+	if (samples.every(sample => sample === samples[0])) {
+		writer.write(0, 8)
+		writer.writeSigned(samples[0], bitDepth)
+		return
+	}
+
+	const { order, residuals } = getBestFixedPredictor(samples)
+	const rice = getRicePartitions(residuals, samples.length, order)
+	const fixedBits = order * bitDepth + 6 + rice.bits
+
+	if (fixedBits >= samples.length * bitDepth) {
+		writer.write(0b00000010, 8)
+		for (const sample of samples) writer.writeSigned(sample, bitDepth)
+		return
+	}
+
+	writer.write(0b00010000 | (order << 1), 8)
+	for (let i = 0; i < order; i++) writer.writeSigned(samples[i], bitDepth)
+
+	// 4-bit Rice parameters (up to 14) unless a partition needs a larger one
+	const wide = rice.parameters.some(parameter => parameter > 14)
+	writer.write(wide ? 1 : 0, 2)
+	writer.write(rice.partitionOrder, 4)
+
+	const partitionSize = samples.length >> rice.partitionOrder
+	let index = 0
+	rice.parameters.forEach((parameter, partition) => {
+		writer.write(parameter, wide ? 5 : 4)
+		const end = index + partitionSize - (partition === 0 ? order : 0)
+		const divisor = 2 ** parameter
+		for (; index < end; index++) {
+			const value = rice.unsigned[index]
+			writer.writeUnary(Math.floor(value / divisor))
+			if (parameter) writer.write(value % divisor, parameter)
+		}
+	})
+}
@@ -0,0 +1,178 @@
+/**
+ * Key detection worker
+ *
+ * Estimates the musical key of a recording by correlating its chroma
+ * (the energy of each pitch class) against the Krumhansl-Kessler key profiles.
+ * The whole recording gives the overall key; overlapping windows are then
+ * estimated separately and merged into segments to find key changes.
+ *
+ * Message in: { channels: Float32Array[], sampleRate: number }
+ * Message out: { estimate: KeyEstimate } or { error: string }
+ */
+
+importScripts('./dsp.js')
+
+const TARGET_SAMPLE_RATE = 11025
+const FFT_SIZE = 4096
+const HOP_SIZE = 2048
+
+// Windows used for per-segment estimates (in seconds)
+const SEGMENT_WINDOW = 12
+const SEGMENT_HOP = 4
+const MIN_SEGMENT_LENGTH = 20
+
+// Softmax temperature for turning correlations into a confidence score
+const TEMPERATURE = 0.05
+
+const MAJOR_PROFILE = [6.35, 2.23, 3.48, 2.33, 4.38, 4.09, 2.52, 5.19, 2.39, 3.66, 2.29, 2.88]
+const MINOR_PROFILE = [6.33, 2.68, 3.52, 5.38, 2.60, 3.53, 2.54, 4.75, 3.98, 2.69, 3.34, 3.17]
+
+self.addEventListener('message', (e) => {
+	try {
+		const { channels, sampleRate } = e.data
+		self.postMessage({ estimate: detectKey(channels, sampleRate) })
+	} catch (error) {
+		self.postMessage({ error: error.message })
+	}
+})
+
+/**
+ * Runs the full analysis
+ * @param {Float32Array[]} channels - The audio channels
+ * @param {number} sampleRate - The audio sample rate
+ * @returns {{ tonic: number, mode: 'major'|'minor', confidence: number, segments: Array<{ start: number, end: number, tonic: number, mode: 'major'|'minor', confidence: number }> }}
+ */
+function detectKey(channels, sampleRate) {
+	const { samples, sampleRate: rate } = mixAndDownsample(channels, sampleRate, TARGET_SAMPLE_RATE)
+	const { chroma, frames } = getChromagram(samples, rate, FFT_SIZE, HOP_SIZE)
+	const frameRate = rate / HOP_SIZE
+
+	if (frames < frameRate * 5) throw new Error('The recording is too short to detect a key')
+
+	const overall = estimateKey(sumChroma(chroma, 0, frames))
+	if (!overall) throw new Error('No pitched content was found')
+
+	return { ...overall, segments: getSegments(chroma, frames, frameRate) }
+}
+
+/**
+ * Sums the chroma of a range of frames
+ * @param {Float32Array} chroma
+ * @param {number} start - The first frame
+ * @param {number} end - The frame after the last
+ * @returns {Float32Array}
+ */
+function sumChroma(chroma, start, end) {
+	const sum = new Float32Array(12)
+	for (let frame = start; frame < end; frame++) {
+		for (let i = 0; i < 12; i++) sum[i] += chroma[frame * 12 + i]
+	}
+	return sum
+}
+
+/**
+ * Returns the best matching key for a chroma vector
+ * @param {Float32Array} chroma - 12 pitch class energies
+ * @returns {{ tonic: number, mode: 'major'|'minor', confidence: number }|null} - Null if the chroma is empty
+ */
+function estimateKey(chroma) {
+	if (!chroma.some(value => value > 0)) return null
+
+	const candidates = []
+	for (let tonic = 0; tonic < 12; tonic++) {
+		// Rotate the chroma so the candidate tonic lines up with the profile's first entry
+		const rotated = Array.from({ length: 12 }, (_, i) => chroma[(tonic + i) % 12])
+		candidates.push({ tonic, mode: 'major', score: correlate(rotated, MAJOR_PROFILE) })
+		candidates.push({ tonic, mode: 'minor', score: correlate(rotated, MINOR_PROFILE) })
+	}
+
+	const best = candidates.reduce((a, b) => (b.score > a.score ? b : a))
+	const total = candidates.reduce((sum, { score }) => sum + Math.exp((score - best.score) / TEMPERATURE), 0)
+
+	return {
+		tonic: best.tonic,
+		mode: best.mode,
+		confidence: Math.round(100 / total) / 100
+	}
+}
+
+/**
+ * Estimates the key over overlapping windows and merges them into segments
+ * @param {Float32Array} chroma
+ * @param {number} frames
+ * @param {number} frameRate
+ * @returns {Array<{ start: number, end: number, tonic: number, mode: 'major'|'minor', confidence: number }>} - Empty if the key never changes
+ */
+function getSegments(chroma, frames, frameRate) {
+	const window = Math.round(SEGMENT_WINDOW * frameRate)
+	const hop = Math.round(SEGMENT_HOP * frameRate)
+	const duration = frames / frameRate
+
+	// Each window votes for the stretch of time around its center
+	let segments = []
+	for (let start = 0; start + window <= frames; start += hop) {
+		const key = estimateKey(sumChroma(chroma, start, start + window))
+		if (!key) continue
+
+		const center = (start + window / 2) / frameRate
+		segments.push({ start: Math.max(0, center - SEGMENT_HOP / 2), end: center + SEGMENT_HOP / 2, ...key })
+	}
+	if (segments.length === 0) return []
+
+	// Close the gaps left by rounding the hop to whole frames
+	segments.forEach((segment, i) => {
+		if (i > 0) segment.start = segments[i - 1].end
+	})
+	segments[0].start = 0
+	segments[segments.length - 1].end = duration
+	segments = mergeSameKey(segments)
+
+	// Absorb segments too short to be a real key change into their longer neighbor
+	while (segments.length > 1) {
+		const shortest = segments.reduce((a, b) => (b.end - b.start < a.end - a.start ? b : a))
+		if (shortest.end - shortest.start >= MIN_SEGMENT_LENGTH) break
+
+		const index = segments.indexOf(shortest)
+		const previous = segments[index - 1]
+		const next = segments[index + 1]
+		const neighbor = !next || (previous && previous.end - previous.start >= next.end - next.start) ? previous : next
+		neighbor.start = Math.min(neighbor.start, shortest.start)
+		neighbor.end = Math.max(neighbor.end, shortest.end)
+		segments.splice(index, 1)
+		segments = mergeSameKey(segments)
+	}
+
+	if (segments.length < 2) return []
+
+	// Re-estimate each segment over its full length
+	return mergeSameKey(segments.map(segment => {
+		const start = Math.floor(segment.start * frameRate)
+		const end = Math.min(frames, Math.ceil(segment.end * frameRate))
+		const key = estimateKey(sumChroma(chroma, start, end)) ?? segment
+		return {
+			start: Math.round(segment.start * 100) / 100,
+			end: Math.round(segment.end * 100) / 100,
+			tonic: key.tonic,
+			mode: key.mode,
+			confidence: key.confidence
+		}
+	}))
+}
+
+/**
+ * Joins neighboring segments in the same key
+ * @param {Array<{ start: number, end: number, tonic: number, mode: string, confidence: number }>} segments
+ * @returns {Array<{ start: number, end: number, tonic: number, mode: string, confidence: number }>}
+ */
+function mergeSameKey(segments) {
+	return segments.reduce((merged, segment) => {
+		const last = merged[merged.length - 1]
+		if (last && last.tonic === segment.tonic && last.mode === segment.mode) {
+			last.end = segment.end
+			last.confidence = Math.max(last.confidence, segment.confidence)
+		} else {
+			merged.push({ ...segment })
+		}
+		return merged
+	}, [])
+}
@@ -0,0 +1,134 @@
+/**
+ * Silence detection worker
+ *
+ * Measures, for every short frame of a (long) recording:
+ * - its loudness in dBFS (RMS)
+ * - its spectral flatness, smoothed over about a second - noise-like sound such as applause is flat,
+ *   while pitched music is not
+ *
+ * Finding the gaps from these is cheap, so it is left to the main thread where the thresholds can be adjusted live.
+ *
+ * Message in: { channels: Float32Array[], sampleRate: number }
+ * Message out: { analysis: { frameLength, loudness: Float32Array, flatness: Float32Array } } or { error: string }
+ */
+
+importScripts('./dsp.js')
+
+const TARGET_SAMPLE_RATE = 11025
+const FFT_SIZE = 512
+
+// The length of a frame in seconds
+const FRAME_LENGTH = 0.05
+
+// The frequency band used for the spectral flatness (in Hz)
+const MIN_FREQUENCY = 200
+const MAX_FREQUENCY = 5000
+
+// The length of the flatness smoothing window in seconds
+const FLATNESS_SMOOTHING = 1
+
+// The loudness of digital silence in dBFS
+const FLOOR = -120
+
+self.addEventListener('message', (e) => {
+	try {
+		const { channels, sampleRate } = e.data
+		const analysis = analyze(channels, sampleRate)
+		self.postMessage({ analysis }, [analysis.loudness.buffer, analysis.flatness.buffer])
+	} catch (error) {
+		self.postMessage({ error: error.message })
+	}
+})
+
+/**
+ * Runs the full analysis
+ * @param {Float32Array[]} channels - The audio channels
+ * @param {number} sampleRate - The audio sample rate
+ * @returns {{ frameLength: number, loudness: Float32Array, flatness: Float32Array }}
+ */
+function analyze(channels, sampleRate) {
+	const { samples, sampleRate: rate } = mixAndDownsample(channels, sampleRate, TARGET_SAMPLE_RATE)
+	const hopSize = Math.round(rate * FRAME_LENGTH)
+	const frames = Math.floor(samples.length / hopSize)
+
+	if (frames === 0) throw new Error('The recording is too short to split')
+
+	return {
+		frameLength: hopSize / rate,
+		loudness: getLoudness(samples, hopSize, frames),
+		flatness: smooth(getFlatness(samples, rate, hopSize, frames), Math.round(FLATNESS_SMOOTHING / FRAME_LENGTH))
+	}
+}
+
+/**
+ * Returns the RMS loudness of every frame in dBFS
+ * @param {Float32Array} samples
+ * @param {number} hopSize - The frame length in samples
+ * @param {number} frames - The number of frames
+ * @returns {Float32Array}
+ */
+function getLoudness(samples, hopSize, frames) {
+	const loudness = new Float32Array(frames)
+
+	for (let frame = 0; frame < frames; frame++) {
+		let sum = 0
+		for (let i = frame * hopSize, end = i + hopSize; i < end; i++) sum += samples[i] * samples[i]
+		const rms = Math.sqrt(sum / hopSize)
+		loudness[frame] = rms > 0 ? Math.max(FLOOR, 20 * Math.log10(rms)) : FLOOR
+	}
+
+	return loudness
+}
+
+/**
+ * Returns the spectral flatness (0 for a pure tone to 1 for white noise) of every frame
+ * @param {Float32Array} samples
+ * @param {number} rate - The sample rate of the samples
+ * @param {number} hopSize - The frame length in samples
+ * @param {number} frames - The number of frames
+ * @returns {Float32Array}
+ */
+function getFlatness(samples, rate, hopSize, frames) {
+	const flatness = new Float32Array(frames)
+	const minBin = Math.max(1, Math.floor(MIN_FREQUENCY * FFT_SIZE / rate))
+	const maxBin = Math.min(FFT_SIZE / 2 - 1, Math.ceil(MAX_FREQUENCY * FFT_SIZE / rate))
+	const bins = maxBin - minBin + 1
+
+	forEachSpectrum(samples, FFT_SIZE, hopSize, (magnitudes, frame) => {
+		if (frame >= frames) return
+
+		let logSum = 0
+		let sum = 0
+		for (let k = minBin; k <= maxBin; k++) {
+			const power = magnitudes[k] * magnitudes[k] + 1e-12
+			logSum += Math.log(power)
+			sum += power
+		}
+
+		flatness[frame] = Math.exp(logSum / bins) / (sum / bins)
+	})
+
+	return flatness
+}
+
+/**
+ * Returns a centered moving average
+ * @param {Float32Array} values
+ * @param {number} size - The window size in values
+ * @returns {Float32Array}
+ */
+function smooth(values, size) {
+	const smoothed = new Float32Array(values.length)
+	const half = Math.floor(size / 2)
+	let sum = 0
+
+	for (let i = 0; i < Math.min(half, values.length); i++) sum += values[i]
+
+	for (let i = 0; i < values.length; i++) {
+		if (i + half < values.length) sum += values[i + half]
+		if (i - half - 1 >= 0) sum -= values[i - half - 1]
+		smoothed[i] = sum / (Math.min(values.length - 1, i + half) - Math.max(0, i - half) + 1)
+	}
+
+	return smoothed
+}
@@ -0,0 +1,100 @@
+/**
+ * Delay-line pitch shifter
+ *
+ * Two read heads sweep through a short ring buffer at `pitchRatio` times the
+ * write speed. Each head is faded out as it wraps around so the jump is not
+ * audible, and the heads are half a window apart so their gains always sum to 1.
+ * Tempo is left untouched - that is handled by the media element's playbackRate.
+ */
+class PitchShiftProcessor extends AudioWorkletProcessor {
+	static get parameterDescriptors() {
+		return [
+			{
+				name: 'pitchRatio',
+				defaultValue: 1,
+				minValue: 0.25,
+				maxValue: 4,
+				automationRate: 'k-rate'
+			}
+		]
+	}
+
+	constructor() {
+		super()
+
+		// 50ms grains are a good compromise between smearing and flutter
+		this.windowSize = Math.round(sampleRate * 0.05)
+		this.bufferSize = this.windowSize * 2 + 2
+
+		/** @type {Float32Array[]} */
+		this.buffers = []
+		this.writeIndex = 0
+		this.phase = 0
+	}
+
+	/**
+	 * Reads a linearly interpolated sample from a ring buffer
+	 * @param {Float32Array} buffer
+	 * @param {number} position - A fractional index (may be negative)
+	 * @returns {number}
+	 */
+	read(buffer, position) {
+		const size = this.bufferSize
+		const wrapped = ((position % size) + size) % size
+		const index = Math.floor(wrapped)
+		const fraction = wrapped - index
+		const next = buffer[(index + 1) % size]
+		return buffer[index] + (next - buffer[index]) * fraction
+	}
+
+	process(inputs, outputs, parameters) {
+		const input = inputs[0]
+		const output = outputs[0]
+		if (!input || input.length === 0) return true
+
+		// Allocate (or re-allocate) ring buffers when the channel count changes
+		if (this.buffers.length !== input.length) {
+			this.buffers = input.map(() => new Float32Array(this.bufferSize))
+		}
+
+		const ratio = parameters.pitchRatio[0]
+		const frames = input[0].length
+		const window = this.windowSize
+
+		for (let i = 0; i < frames; i++) {
+			const writeIndex = this.writeIndex
+
+			for (let channel = 0; channel < input.length; channel++) {
+				this.buffers[channel][writeIndex] = input[channel][i]
+			}
+
+			if (ratio === 1) {
+				// Bypass - keep writing so there is no glitch when shifting resumes
+				for (let channel = 0; channel < output.length; channel++) {
+					output[channel][i] = input[channel]?.[i] ?? 0
+				}
+			} else {
+				const phaseB = (this.phase + 0.5) % 1
+				const gainA = Math.sin(Math.PI * this.phase) ** 2
+				const gainB = 1 - gainA
+				const readA = writeIndex - this.phase * window
+				const readB = writeIndex - phaseB * window
+
+				for (let channel = 0; channel < output.length; channel++) {
+					const buffer = this.buffers[channel] ?? this.buffers[0]
+					output[channel][i] = gainA * this.read(buffer, readA) + gainB * this.read(buffer, readB)
+				}
+
+				// The delay changes by (1 - ratio) samples per sample, so the heads move at `ratio`
+				this.phase += (1 - ratio) / window
+				this.phase -= Math.floor(this.phase)
+			}
+
+			this.writeIndex = (writeIndex + 1) % this.bufferSize
+		}
+
+		return true
+	}
+}
+
+registerProcessor('pitch-shift-processor', PitchShiftProcessor)